@@ -0,0 +1,117 @@
+class Admin::BoothsController < ApplicationController
+  before_action :authenticate_user!
+  before_action :ensure_admin!
+  before_action :set_venue
+  before_action :set_booth, only: [ :update, :destroy, :assign_vendor, :unassign_vendor ]
+
+  # 出店者を割り当てる状態
+  VENDOR_STATUSES = %w[assigned occupied].freeze
+
+  def create
+    @booth = @venue.festival.booths.build(booth_params)
+    @booth.venue_area = @venue.venue_areas.find(booth_params[:venue_area_id])
+    @booth.status = restored_status
+    # 複製時は番号と名前を振り直す
+    @booth.renumber_as_copy if params[:duplicate].present?
+    vendor_application = restored_vendor_application
+    error = @booth.assignment_error(vendor_application) if vendor_application
+
+    respond_to do |format|
+      if error
+        format.json { render json: { error: error }, status: :unprocessable_entity }
+      elsif @booth.save
+        @booth.assign_to_vendor!(vendor_application) if vendor_application
+        format.json { render json: layout_service.booth_data(@booth), status: :created }
+      else
+        format.json { render json: @booth.errors, status: :unprocessable_entity }
+      end
+    end
+  end
+
+  def update
+    respond_to do |format|
+      if @booth.update(booth_params.except(:venue_area_id))
+        format.json { render json: layout_service.booth_data(@booth) }
+      else
+        format.json { render json: @booth.errors, status: :unprocessable_entity }
+      end
+    end
+  end
+
+  def destroy
+    @booth.destroy
+    respond_to do |format|
+      format.json { head :no_content }
+    end
+  end
+
+  # 設備が合わない場合も割り当ては行い、warnings で知らせる
+  def assign_vendor
+    vendor_application = @venue.festival.vendor_applications.find(params[:vendor_application_id])
+    error = @booth.assignment_error(vendor_application)
+
+    respond_to do |format|
+      if error
+        format.json { render json: { error: error }, status: :unprocessable_entity }
+      else
+        @booth.assign_to_vendor!(vendor_application)
+        format.json do
+          render json: layout_service.booth_data(@booth).merge(warnings: @booth.assignment_warnings(vendor_application))
+        end
+      end
+    end
+  end
+
+  def unassign_vendor
+    respond_to do |format|
+      if @booth.is_assigned?
+        @booth.unassign_from_vendor!
+        format.json { render json: layout_service.booth_data(@booth) }
+      else
+        format.json do
+          render json: { error: "ブース #{@booth.booth_number} には出店者が割り当てられていません" }, status: :unprocessable_entity
+        end
+      end
+    end
+  end
+
+  private
+
+  def set_venue
+    @venue = Venue.find(params[:venue_id])
+  end
+
+  def set_booth
+    @booth = @venue.booths.find(params[:id])
+  end
+
+  def layout_service
+    @layout_service ||= LayoutManagementService.new(@venue)
+  end
+
+  # 出店者と状態は assign_vendor / unassign_vendor で変える
+  def booth_params
+    params.require(:booth).permit(:venue_area_id, :name, :booth_number, :size,
+                                  :width, :height, :x_position, :y_position, :rotation,
+                                  :power_required, :water_required, :power_load, :special_requirements, :setup_instructions)
+  end
+
+  # 削除したブースを元に戻すときだけ、割り当てられていた出店者を受け付ける。
+  # assign_vendor と同じく assignment_error で確かめてから割り当てる
+  def restored_vendor_application
+    vendor_application_id = params.dig(:booth, :vendor_application_id)
+    return if vendor_application_id.blank? || params[:duplicate].present?
+
+    @venue.festival.vendor_applications.find(vendor_application_id)
+  end
+
+  # 割り当て済みの状態は出店者の割り当てでしか付かない
+  def restored_status
+    status = params.dig(:booth, :status).to_s
+    Booth::STATUSES.include?(status) && VENDOR_STATUSES.exclude?(status) ? status : "available"
+  end
+
+  def ensure_admin!
+    redirect_to root_path unless current_user.admin?
+  end
+end
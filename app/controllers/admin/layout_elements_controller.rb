@@ -1,4 +1,9 @@
 class Admin::LayoutElementsController < ApplicationController
+  BULK_ATTRIBUTES = [
+    *%i[element_type name description x_position y_position width height rotation color layer locked visible],
+    { properties: {} }
+  ].freeze
+
   before_action :authenticate_user!
   before_action :ensure_admin!
   before_action :set_venue
@@ -83,13 +88,21 @@ class Admin::LayoutElementsController < ApplicationController
     end
   end
 
+  # id なしの項目は作成、_destroy 付きの項目は削除として一括で処理する
   def bulk_update
     updates = params.require(:layout_elements).values
+    created = []
 
     ActiveRecord::Base.transaction do
       updates.each do |update_params|
-        element = @venue.layout_elements.find(update_params[:id])
-        element.update!(update_params.except(:id))
+        if update_params[:id].blank?
+          created << @venue.layout_elements.create!(update_params.permit(*BULK_ATTRIBUTES))
+        elsif ActiveModel::Type::Boolean.new.cast(update_params[:_destroy])
+          @venue.layout_elements.find(update_params[:id]).destroy!
+        else
+          element = @venue.layout_elements.find(update_params[:id])
+          element.update!(update_params.permit(*BULK_ATTRIBUTES))
+        end
       end
     end
 
@@ -97,7 +110,7 @@ class Admin::LayoutElementsController < ApplicationController
     overlaps = layout_service.detect_overlaps
 
     respond_to do |format|
-      format.json { render json: { success: true, overlaps: overlaps } }
+      format.json { render json: { success: true, created: created, overlaps: overlaps } }
     end
   rescue ActiveRecord::RecordInvalid => e
     respond_to do |format|
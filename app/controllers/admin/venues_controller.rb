@@ -1,7 +1,8 @@
 class Admin::VenuesController < ApplicationController
   before_action :authenticate_user!
   before_action :ensure_admin!
-  before_action :set_venue, only: [ :show, :edit, :update, :destroy, :layout_editor ]
+  before_action :set_venue, only: [ :show, :edit, :update, :destroy, :layout_editor, :safety_check, :utility_plan,
+                                    :auto_arrange, :layout_export, :site_plan, :remove_site_plan, :trace_site_plan ]
   before_action :set_festival, only: [ :index, :new, :create ]
 
   def index
@@ -34,10 +35,17 @@ class Admin::VenuesController < ApplicationController
   end
 
   def update
-    if @venue.update(venue_params)
-      redirect_to admin_festival_venue_path(@festival, @venue), notice: "会場が正常に更新されました。"
-    else
-      render :edit, status: :unprocessable_entity
+    respond_to do |format|
+      if @venue.update(venue_params)
+        format.html { redirect_to admin_festival_venue_path(@festival, @venue), notice: "会場が正常に更新されました。" }
+        format.json do
+          render json: { pixels_per_meter: @venue.pixels_per_meter, layout_guides: @venue.guides,
+                         safety_rules: @venue.safety_rule_settings, site_plan: site_plan_data }
+        end
+      else
+        format.html { render :edit, status: :unprocessable_entity }
+        format.json { render json: @venue.errors, status: :unprocessable_entity }
+      end
     end
   end
 
@@ -48,16 +56,142 @@ class Admin::VenuesController < ApplicationController
 
   def layout_editor
     @layout_service = LayoutManagementService.new(@venue)
-    @layout_data = @layout_service.generate_layout_data
+    @layout_data = @layout_service.generate_layout_data(include_hidden: true)
+    @vendor_applications = @layout_service.assignable_vendor_applications_data
+    @site_plan = site_plan_data
     @venue_areas = @venue.venue_areas.includes(:booths)
     @layout_elements = @venue.layout_elements.visible.ordered_by_layer
-    @available_booth_types = Booth::BOOTH_SIZES.keys
+    @available_booth_types = Booth::SIZES
     @available_area_types = VenueArea::AREA_TYPES
     @available_element_types = LayoutElement::ELEMENT_TYPES
   end
 
+  # 安全チェックの結果。CSV は安全コンプライアンス申請の添付資料として使う
+  def safety_check
+    checker = LayoutSafetyCheckService.new(@venue)
+
+    respond_to do |format|
+      format.json { render json: checker.report }
+      format.csv do
+        send_data checker.to_csv, filename: "safety_check_#{@venue.name}_#{Date.current}.csv", type: "text/csv"
+      end
+    end
+  end
+
+  # 電源・給水計画。HTML は施工業者に渡す印刷用の計画図
+  def utility_plan
+    @utility_plan = UtilityPlanService.new(@venue)
+    @report = @utility_plan.report
+
+    respond_to do |format|
+      format.html
+      format.json { render json: @report }
+    end
+  end
+
+  # ブースの自動配置。commit がなければ保存せずに配置案だけを返す
+  def auto_arrange
+    area = @venue.venue_areas.find(params[:area_id])
+    vendor_applications = @festival.vendor_applications.approved.where(id: params[:vendor_application_ids]).where.missing(:booth)
+    arrangement = BoothArrangementService.new(area, vendor_applications, arrangement_options)
+
+    respond_to do |format|
+      if !arrangement.valid?
+        format.json { render json: { error: arrangement.errors.join("、") }, status: :unprocessable_entity }
+      elsif params[:commit].present?
+        booths = arrangement.apply!
+        layout_service = LayoutManagementService.new(@venue)
+        format.json { render json: { booths: booths.map { |booth| layout_service.booth_data(booth) } }, status: :created }
+      else
+        format.json { render json: arrangement.proposal }
+      end
+    end
+  end
+
+  # レイアウトの書き出し。HTML は凡例と出店者索引つきの印刷用図面で、ブラウザから PDF に保存する。
+  # GeoJSON は許可申請や公開サイトの地図に重ねるためのもので、会場の緯度経度が必要
+  def layout_export
+    @layout_export = LayoutExportService.new(@venue)
+    filename = "layout_#{@venue.name}_#{Date.current}"
+
+    respond_to do |format|
+      format.html
+      format.svg { send_data @layout_export.to_svg, filename: "#{filename}.svg", type: "image/svg+xml" }
+      format.geojson do
+        if @venue.has_coordinates?
+          send_data @layout_export.to_geojson.to_json, filename: "#{filename}.geojson", type: "application/geo+json"
+        else
+          render json: { error: "会場の緯度・経度が設定されていません" }, status: :unprocessable_entity
+        end
+      end
+    end
+  end
+
+  # SVG の会場図をそのまま返す。Active Storage は SVG をダウンロード用に配信するため <img> で表示できない。
+  # 直接開かれても SVG 内のスクリプトが動かないよう sandbox の CSP を付ける
+  def site_plan
+    return head :not_found unless @venue.site_plan_svg?
+
+    response.headers["Content-Security-Policy"] = "sandbox"
+    send_data @venue.site_plan.download, type: "image/svg+xml", disposition: "inline",
+                                         filename: @venue.site_plan.filename.to_s
+  end
+
+  # レイアウトエディタの背景の会場図を外す
+  def remove_site_plan
+    @venue.site_plan.purge
+    @venue.update!(site_plan_settings: nil)
+
+    respond_to do |format|
+      format.json { head :no_content }
+    end
+  end
+
+  # SVG の会場図の図形を会場エリアとして取り込む。commit がなければ保存せずに候補だけを返す
+  def trace_site_plan
+    trace = SitePlanTraceService.new(@venue, area_type: params[:area_type])
+
+    respond_to do |format|
+      if !trace.valid?
+        format.json { render json: { error: trace.errors.join("、") }, status: :unprocessable_entity }
+      elsif params[:commit].present?
+        areas = trace.import!(params[:shape_ids])
+        layout_service = LayoutManagementService.new(@venue)
+        format.json { render json: { venue_areas: areas.map { |area| layout_service.venue_area_data(area) } }, status: :created }
+      else
+        format.json { render json: trace.proposal }
+      end
+    end
+  end
+
   private
 
+  # レイアウトエディタに渡す会場図。PDF はプレビュー画像（サーバーに poppler か mupdf が必要）を表示する
+  def site_plan_data
+    return unless @venue.site_plan.attached?
+
+    site_plan = @venue.site_plan
+    url = if @venue.site_plan_svg?
+      site_plan_admin_festival_venue_path(@festival, @venue)
+    elsif site_plan.previewable?
+      rails_representation_path(site_plan.preview(resize_to_limit: [ 4000, 4000 ]))
+    else
+      rails_blob_path(site_plan, disposition: "inline")
+    end
+
+    {
+      url: url,
+      filename: site_plan.filename.to_s,
+      content_type: site_plan.content_type,
+      plan_size: @venue.site_plan_size,
+      settings: @venue.site_plan_placement
+    }
+  end
+
+  def arrangement_options
+    params.permit(:size, :aisle_width, :separation, :cross_aisle_every).to_h
+  end
+
   def set_venue
     @venue = Venue.find(params[:id])
     @festival = @venue.festival
@@ -68,7 +202,10 @@ class Admin::VenuesController < ApplicationController
   end
 
   def venue_params
-    params.require(:venue).permit(:name, :description, :capacity, :address, :latitude, :longitude, :facility_type, :contact_info)
+    params.require(:venue).permit(:name, :description, :capacity, :address, :latitude, :longitude, :facility_type, :contact_info,
+                                  :pixels_per_meter, :site_plan, layout_guides: { vertical: [], horizontal: [] },
+                                  site_plan_settings: %i[x y scale opacity visible],
+                                  safety_rules: Venue::SAFETY_RULE_DEFAULTS.keys.index_with { [ :enabled, :meters ] })
   end
 
   def ensure_admin!
@@ -0,0 +1,65 @@
+class Api::V1::TaskDependenciesController < Api::V1::BaseController
+  before_action :set_task
+  before_action :authorize_task_access
+
+  # GET /api/v1/tasks/:task_id/dependencies
+  def index
+    render json: {
+      predecessors: @task.predecessor_dependencies.map { |dependency| serialize_dependency(dependency) },
+      successors: @task.successor_dependencies.map { |dependency| serialize_dependency(dependency) }
+    }
+  end
+
+  # POST /api/v1/tasks/:task_id/dependencies
+  def create
+    @dependency = @task.successor_dependencies.build(dependency_params)
+
+    if @dependency.save
+      render json: {
+        dependency: serialize_dependency(@dependency),
+        message: "Dependency created successfully"
+      }, status: :created
+    else
+      render json: {
+        errors: @dependency.errors.full_messages,
+        details: @dependency.errors.details
+      }, status: :unprocessable_entity
+    end
+  end
+
+  # DELETE /api/v1/tasks/:task_id/dependencies/:id
+  def destroy
+    @dependency = TaskDependency.for_tasks([ @task.id ]).find(params[:id])
+    @dependency.destroy
+
+    render json: {
+      message: "Dependency deleted successfully"
+    }
+  end
+
+  private
+
+  def set_task
+    @task = Task.find(params[:task_id])
+  end
+
+  def authorize_task_access
+    unless @task.festival.accessible_by?(current_user) || current_user.admin?
+      render json: { error: "Access denied to this task" }, status: :forbidden
+    end
+  end
+
+  def dependency_params
+    params.require(:dependency).permit(:successor_id, :dependency_type)
+  end
+
+  def serialize_dependency(dependency)
+    {
+      id: dependency.id,
+      predecessor_id: dependency.predecessor_id,
+      successor_id: dependency.successor_id,
+      type: dependency.dependency_type,
+      type_text: dependency.dependency_type_text
+    }
+  end
+end
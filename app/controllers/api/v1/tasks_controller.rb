@@ -148,20 +148,20 @@ class Api::V1::TasksController < Api::V1::BaseController
   def authorize_festival_access
     return unless @festival
 
-    unless @festival.users.include?(current_user) || current_user.admin?
+    unless @festival.accessible_by?(current_user) || current_user.admin?
       render json: { error: "Access denied to this festival" }, status: :forbidden
     end
   end
 
   def authorize_task_access
-    unless @task.festival.users.include?(current_user) || current_user.admin?
+    unless @task.festival.accessible_by?(current_user) || current_user.admin?
       render json: { error: "Access denied to this task" }, status: :forbidden
     end
   end
 
   def task_params
     params.require(:task).permit(
-      :title, :description, :priority, :status, :due_date,
+      :title, :description, :priority, :status, :start_date, :due_date,
       :estimated_hours, :progress, :notes, :category,
       :assigned_user_id, tag_list: []
     )
@@ -207,6 +207,7 @@ class Api::V1::TasksController < Api::V1::BaseController
       description: task.description,
       status: task.status,
       priority: task.priority,
+      start_date: task.start_date&.iso8601,
       due_date: task.due_date&.iso8601,
       progress: task.progress,
       category: task.category,
@@ -238,7 +239,9 @@ class Api::V1::TasksController < Api::V1::BaseController
       created_by: task.created_by ? {
         id: task.created_by.id,
         name: task.created_by.name
-      } : nil
+      } : nil,
+      predecessor_ids: task.predecessor_ids,
+      successor_ids: task.successor_ids
     )
   end
 
@@ -24,8 +24,13 @@ class ApplicationController < ActionController::Base
   end
 
   def render_403
-    flash[:alert] = "この操作を実行する権限がありません。"
-    redirect_to root_path
+    respond_to do |format|
+      format.json { render json: { error: "この操作を実行する権限がありません。" }, status: :forbidden }
+      format.any do
+        flash[:alert] = "この操作を実行する権限がありません。"
+        redirect_to root_path
+      end
+    end
   end
 
   def render_500
@@ -59,21 +59,50 @@ class FestivalsController < ApplicationController
   end
 
   def gantt
+    @festival = Festival.find(params[:festival_id])
     authorize! :read, @festival
-    @tasks = @festival.tasks.includes(:user)
+    @tasks = @festival.tasks.includes(:user, :venue_area)
 
     # ガントチャート用のデータ準備
     @gantt_data = prepare_gantt_data(@tasks)
+    @gantt_dependencies = prepare_gantt_dependencies(@tasks)
     @date_range = calculate_date_range(@tasks)
+    @milestones = FestivalMilestoneService.new(@festival)
 
     respond_to do |format|
       format.html
       format.json { render json: @gantt_data }
+      format.ics do
+        send_data TaskCalendarExportService.new(@tasks, calendar_name: "#{@festival.name} タスク期限").to_ical,
+                  filename: "festival_#{@festival.id}_tasks_#{Date.current}.ics",
+                  type: "text/calendar"
+      end
     end
   end
 
+  # 当日のステージ・エリア別進行表（印刷用）
+  def run_sheet
+    @festival = Festival.find(params[:festival_id])
+    authorize! :read, @festival
+
+    @date = parse_run_sheet_date
+    @venue_areas = @festival.venue_areas.order(:name)
+    @run_sheet = RunSheetService.new(@festival, @date, area_id: params[:area_id])
+  end
+
   private
 
+  def parse_run_sheet_date
+    Date.iso8601(params[:date].to_s)
+  rescue Date::Error
+    # 日付指定がなければ開催中は当日、それ以外は初日を表示する
+    first_day = @festival.start_date&.to_date
+    last_day = @festival.end_date&.to_date || first_day
+    return Date.current if first_day.nil? || Date.current.between?(first_day, last_day)
+
+    first_day
+  end
+
   def set_festival
     @festival = Festival.find(params[:id])
   end
@@ -84,7 +113,7 @@ class FestivalsController < ApplicationController
 
   def prepare_gantt_data(tasks)
     tasks.map do |task|
-      start_date = task.created_at.to_date
+      start_date = task.scheduled_start_date.to_date
       end_date = task.due_date.to_date
       duration = (end_date - start_date).to_i + 1
 
@@ -93,14 +122,22 @@ class FestivalsController < ApplicationController
         name: task.title,
         start: start_date.strftime("%Y-%m-%d"),
         end: end_date.strftime("%Y-%m-%d"),
+        start_at: task.scheduled_start_date.iso8601,
+        end_at: task.due_date.iso8601,
         duration: duration,
         progress: task_progress_percentage(task),
         priority: task.priority,
         status: task.status,
         festival: task.festival.name,
         festival_id: task.festival.id,
+        festival_start: task.festival.start_date&.to_date&.strftime("%Y-%m-%d"),
+        festival_end: task.festival.end_date&.to_date&.strftime("%Y-%m-%d"),
         description: task.description,
         user: task.user.display_name,
+        user_id: task.user_id,
+        area: task.venue_area&.name,
+        area_id: task.venue_area_id,
+        milestone: task.milestone_key,
         overdue: task.overdue?,
         due_soon: task.due_soon?,
         color: task_gantt_color(task)
@@ -108,6 +145,17 @@ class FestivalsController < ApplicationController
     end
   end
 
+  def prepare_gantt_dependencies(tasks)
+    TaskDependency.for_tasks(tasks.map(&:id)).map do |dependency|
+      {
+        id: dependency.id,
+        predecessor_id: dependency.predecessor_id,
+        successor_id: dependency.successor_id,
+        type: dependency.dependency_type
+      }
+    end
+  end
+
   def calculate_date_range(tasks)
     if tasks.empty?
       return {
@@ -116,7 +164,7 @@ class FestivalsController < ApplicationController
       }
     end
 
-    start_dates = tasks.map { |t| t.created_at.to_date }
+    start_dates = tasks.map { |t| t.scheduled_start_date.to_date }
     end_dates = tasks.map { |t| t.due_date.to_date }
 
     min_date = start_dates.min
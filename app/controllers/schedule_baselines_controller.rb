@@ -0,0 +1,74 @@
+class ScheduleBaselinesController < ApplicationController
+  before_action :set_festival
+  before_action :set_schedule_baseline, only: [ :show, :destroy ]
+
+  def index
+    authorize! :read, @festival
+    @schedule_baselines = @festival.schedule_baselines.includes(:user).recent
+
+    render json: { baselines: @schedule_baselines.map { |baseline| serialize_baseline(baseline) } }
+  end
+
+  def show
+    authorize! :read, @festival
+
+    respond_to do |format|
+      format.json do
+        report = @schedule_baseline.drift_report
+        render json: {
+          baseline: serialize_baseline(@schedule_baseline),
+          tasks: report,
+          summary: @schedule_baseline.drift_summary(report)
+        }
+      end
+      format.csv do
+        send_data @schedule_baseline.to_csv,
+                  filename: "schedule_drift_#{@festival.id}_#{@schedule_baseline.id}_#{Date.current}.csv",
+                  type: "text/csv"
+      end
+    end
+  end
+
+  def create
+    authorize! :update, @festival
+    @schedule_baseline = ScheduleBaseline.capture(@festival, current_user, schedule_baseline_params)
+
+    if @schedule_baseline.save
+      render json: { baseline: serialize_baseline(@schedule_baseline) }, status: :created
+    else
+      render json: { errors: @schedule_baseline.errors.full_messages }, status: :unprocessable_entity
+    end
+  end
+
+  def destroy
+    authorize! :update, @festival
+    @schedule_baseline.destroy
+
+    head :no_content
+  end
+
+  private
+
+  def set_festival
+    @festival = Festival.find(params[:festival_id])
+  end
+
+  def set_schedule_baseline
+    @schedule_baseline = @festival.schedule_baselines.find(params[:id])
+  end
+
+  def schedule_baseline_params
+    params.require(:schedule_baseline).permit(:name, :description)
+  end
+
+  def serialize_baseline(baseline)
+    {
+      id: baseline.id,
+      name: baseline.name,
+      description: baseline.description,
+      task_count: baseline.task_count,
+      created_by: baseline.user.display_name,
+      created_at: baseline.created_at
+    }
+  end
+end
@@ -0,0 +1,50 @@
+# ガントチャートのリンク（タスクの依存関係）の作成・削除。ガントチャートの画面からセッションで呼ぶ
+class TaskDependenciesController < ApplicationController
+  before_action :set_festival
+  before_action :set_task
+
+  # POST /festivals/:festival_id/tasks/:task_id/dependencies
+  def create
+    authorize! :update, @task
+    @dependency = @task.successor_dependencies.build(dependency_params)
+
+    if @dependency.save
+      render json: { dependency: serialize_dependency(@dependency) }, status: :created
+    else
+      render json: { errors: @dependency.errors.full_messages }, status: :unprocessable_entity
+    end
+  end
+
+  # DELETE /festivals/:festival_id/tasks/:task_id/dependencies/:id
+  def destroy
+    authorize! :update, @task
+    @dependency = TaskDependency.for_tasks([ @task.id ]).find(params[:id])
+    @dependency.destroy
+
+    head :no_content
+  end
+
+  private
+
+  def set_festival
+    @festival = Festival.find(params[:festival_id])
+  end
+
+  def set_task
+    @task = @festival.tasks.find(params[:task_id])
+  end
+
+  def dependency_params
+    params.require(:dependency).permit(:successor_id, :dependency_type)
+  end
+
+  def serialize_dependency(dependency)
+    {
+      id: dependency.id,
+      predecessor_id: dependency.predecessor_id,
+      successor_id: dependency.successor_id,
+      type: dependency.dependency_type,
+      type_text: dependency.dependency_type_text
+    }
+  end
+end
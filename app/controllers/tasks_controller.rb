@@ -1,5 +1,5 @@
 class TasksController < ApplicationController
-  before_action :set_festival, except: [ :index ]
+  before_action :set_festival, except: [ :index, :gantt ]
   before_action :set_task, only: [ :show, :edit, :update, :destroy ]
 
   def index
@@ -19,20 +19,24 @@ class TasksController < ApplicationController
   end
 
   def gantt
-    @tasks = current_user.tasks.includes(:festival, :user)
+    @tasks = current_user.tasks.includes(:festival, :user, :venue_area)
     authorize! :read, Task
 
-    # フィルタリング適用
-    @tasks = filter_tasks(@tasks)
-
     # ガントチャート用のデータ準備
+    # （status・priority・festival_id などの絞り込みはクライアント側でURLクエリから行うため全タスクを渡す）
     @gantt_data = prepare_gantt_data(@tasks)
+    @gantt_dependencies = prepare_gantt_dependencies(@tasks)
     @festivals = @tasks.map(&:festival).uniq
     @date_range = calculate_date_range(@tasks)
 
     respond_to do |format|
       format.html
       format.json { render json: @gantt_data }
+      format.ics do
+        send_data TaskCalendarExportService.new(@tasks, calendar_name: "#{current_user.display_name}のタスク期限").to_ical,
+                  filename: "tasks_#{Date.current}.ics",
+                  type: "text/calendar"
+      end
     end
   end
 
@@ -69,10 +73,14 @@ class TasksController < ApplicationController
   def update
     authorize! :update, @task
 
-    if @task.update(task_params)
-      redirect_to [ @festival, @task ], notice: "タスクが更新されました。"
-    else
-      render :edit, status: :unprocessable_entity
+    respond_to do |format|
+      if @task.update(task_params)
+        format.html { redirect_to [ @festival, @task ], notice: "タスクが更新されました。" }
+        format.json { render json: { task: { id: @task.id, start_date: @task.start_date, due_date: @task.due_date } } }
+      else
+        format.html { render :edit, status: :unprocessable_entity }
+        format.json { render json: { errors: @task.errors.full_messages }, status: :unprocessable_entity }
+      end
     end
   end
 
@@ -93,7 +101,7 @@ class TasksController < ApplicationController
   end
 
   def task_params
-    params.require(:task).permit(:title, :description, :due_date, :priority, :status, :user_id)
+    params.require(:task).permit(:title, :description, :start_date, :due_date, :priority, :status, :user_id, :venue_area_id, :milestone_key)
   end
 
   def filter_tasks(tasks)
@@ -148,7 +156,7 @@ class TasksController < ApplicationController
 
   def prepare_gantt_data(tasks)
     tasks.map do |task|
-      start_date = task.created_at.to_date
+      start_date = task.scheduled_start_date.to_date
       end_date = task.due_date.to_date
       duration = (end_date - start_date).to_i + 1
 
@@ -157,14 +165,22 @@ class TasksController < ApplicationController
         name: task.title,
         start: start_date.strftime("%Y-%m-%d"),
         end: end_date.strftime("%Y-%m-%d"),
+        start_at: task.scheduled_start_date.iso8601,
+        end_at: task.due_date.iso8601,
         duration: duration,
         progress: task_progress_percentage(task),
         priority: task.priority,
         status: task.status,
         festival: task.festival.name,
         festival_id: task.festival.id,
+        festival_start: task.festival.start_date&.to_date&.strftime("%Y-%m-%d"),
+        festival_end: task.festival.end_date&.to_date&.strftime("%Y-%m-%d"),
         description: task.description,
         user: task.user.display_name,
+        user_id: task.user_id,
+        area: task.venue_area&.name,
+        area_id: task.venue_area_id,
+        milestone: task.milestone_key,
         overdue: task.overdue?,
         due_soon: task.due_soon?,
         color: task_gantt_color(task)
@@ -172,10 +188,21 @@ class TasksController < ApplicationController
     end
   end
 
+  def prepare_gantt_dependencies(tasks)
+    TaskDependency.for_tasks(tasks.map(&:id)).map do |dependency|
+      {
+        id: dependency.id,
+        predecessor_id: dependency.predecessor_id,
+        successor_id: dependency.successor_id,
+        type: dependency.dependency_type
+      }
+    end
+  end
+
   def calculate_date_range(tasks)
     return { start: Date.current, end: Date.current + 30.days } if tasks.empty?
 
-    start_dates = tasks.map { |t| t.created_at.to_date }
+    start_dates = tasks.map { |t| t.scheduled_start_date.to_date }
     end_dates = tasks.map { |t| t.due_date.to_date }
 
     min_date = start_dates.min
@@ -1,28 +1,145 @@
 import { Controller } from "@hotwired/stimulus"
+import { analyzeSchedule, isDrivingLink } from "lib/critical_path"
+import { applyTaskFilter, isFilterEmpty, parseTaskFilter, serializeTaskFilter, FILTER_KEYS } from "lib/task_filter"
+import { groupTasks, GROUPINGS, NO_MILESTONE } from "lib/task_grouping"
+import { computeResourceLoad, isOpenTask } from "lib/resource_load"
+import { renderGanttCanvas } from "lib/gantt_image"
+import { canvasToPdf, downloadBlob } from "lib/pdf_export"
+import { SCALES, DAY_MINUTES, isTimeScale, wallMinutes, dayStartMinutes, shiftTimestamp, formatClock, currentWallMinutes, slotSpan, overlapsDay } from "lib/time_scale"
+
+const MILESTONE_COLORS = { open: '#dc3545', done: '#198754', empty: '#6c757d' }
+const PHASE_COLORS = {
+  vendor_recruitment: 'rgba(13, 110, 253, 0.08)',
+  permits: 'rgba(111, 66, 193, 0.08)',
+  setup: 'rgba(253, 126, 20, 0.1)',
+  festival: 'rgba(25, 135, 84, 0.1)'
+}
 
 // Connects to data-controller="gantt"
 export default class extends Controller {
-  static targets = ["chart", "timeline", "tasks", "legend"]
+  static targets = [
+    "chart", "timeline", "tasks", "legend",
+    "filterInput", "assigneeFilter", "filterChips", "taskCount", "groupBy",
+    "scaleSelect", "scaleDay", "runSheetLink", "milestoneLane",
+    "loadPanel", "loadThresholdInput",
+    "baselineSelect", "baselineExport", "baselineDelete", "baselineSummary",
+    "announcer", "accessibleTable"
+  ]
   static values = { 
     tasks: Array, 
+    dependencies: Array,
     dateRange: Object,
-    festival: String 
+    festival: String,
+    loadThreshold: { type: Number, default: 3 },
+    baselinesUrl: String,
+    milestones: Array,
+    phases: Array
   }
 
   connect() {
+    this.filter = parseTaskFilter(window.location.search)
+    this.groupBy = this.parseGrouping(window.location.search)
+    this.collapsedGroups = new Set()
+    this.milestones = this.milestonesValue
+    this.phases = this.phasesValue
+    this.parseScale(window.location.search)
     this.initializeChart()
+    this.populateAssigneeOptions()
+    this.syncFilterInputs()
+    this.syncScaleInputs()
+    if (this.hasLoadThresholdInputTarget) this.loadThresholdInputTarget.value = this.loadThresholdValue
     this.renderChart()
+    this.renderFilterChips()
+    if (this.hasBaselinesUrlValue && this.hasBaselineSelectTarget) this.loadBaselines()
+    if (this.isTimeScale) this.scrollToWorkingHours()
+    this.nowTimer = setInterval(() => this.positionNowLine(), 30000)
+  }
+
+  // Cached copy: reading a Stimulus value re-parses the data attribute
+  dependenciesValueChanged() {
+    this.dependencies = this.dependenciesValue
+  }
+
+  // Value change callbacks run asynchronously, so keep the cache in sync here
+  setDependencies(dependencies) {
+    this.dependencies = dependencies
+    this.dependenciesValue = dependencies
+  }
+
+  disconnect() {
+    clearTimeout(this.searchTimeout)
+    clearInterval(this.nowTimer)
+    if (this.pendingNudge) this.commitNudge()
+    this.closeContextMenu()
+    window.removeEventListener('resize', this.boundRenderVisibleWindow)
+    if (this.scrollFrame) cancelAnimationFrame(this.scrollFrame)
   }
 
+  // Columns are "slots": days across the planning period on the day scale,
+  // hours or quarter hours of a single day (scaleDay) on the time scales
   initializeChart() {
     this.startDate = new Date(this.dateRangeValue.start)
+    this.dateRangeStart = this.startDate.toISOString().slice(0, 10)
     this.endDate = new Date(this.dateRangeValue.end)
-    this.totalDays = Math.ceil((this.endDate - this.startDate) / (1000 * 60 * 60 * 24))
-    
+
+    const scale = SCALES[this.scale]
+    this.isTimeScale = isTimeScale(this.scale)
+    this.slotMinutes = scale.slotMinutes
+    this.windowStart = dayStartMinutes(this.isTimeScale ? this.scaleDay : this.dateRangeStart)
+    this.totalSlots = this.isTimeScale
+      ? DAY_MINUTES / this.slotMinutes - 1
+      : Math.ceil((this.endDate - this.startDate) / (1000 * 60 * 60 * 24))
+
     // Chart dimensions
-    this.chartWidth = Math.max(this.totalDays * 30, 800) // 30px per day, minimum 800px
+    this.slotWidth = scale.width
+    this.minSlotWidth = scale.minWidth
+    this.maxSlotWidth = scale.maxWidth
+    this.chartWidth = this.calculateChartWidth()
     this.rowHeight = 50
     this.headerHeight = 80
+
+    // Only the rows / day columns inside the scrolled window (plus a small
+    // buffer) are in the DOM; everything else is positioned virtually.
+    this.rowBuffer = 10
+    this.columnBuffer = 14
+  }
+
+  // Show every Nth day label depending on zoom; the time scales label every
+  // hour (or every other hour when zoomed out)
+  labelStep() {
+    if (this.isTimeScale) {
+      const slotsPerHour = 60 / this.slotMinutes
+      return this.slotWidth * slotsPerHour >= 50 ? slotsPerHour : slotsPerHour * 2
+    }
+    return this.slotWidth >= 50 ? 1 : (this.slotWidth >= 20 ? 7 : 14)
+  }
+
+  calculateChartWidth() {
+    return Math.max((this.totalSlots + 1) * this.slotWidth, 800) // minimum 800px
+  }
+
+  // Header label and shading of column i, shared by the chart and the exports
+  columnInfo(i, today = new Date()) {
+    if (this.isTimeScale) {
+      const minutes = this.windowStart + i * this.slotMinutes
+      const minuteOfHour = minutes % 60
+      return {
+        label: i % this.labelStep() === 0 ? formatClock(minutes) : null,
+        sublabel: minuteOfHour === 0 ? null : `:${String(minuteOfHour).padStart(2, '0')}`,
+        hourStart: minuteOfHour === 0,
+        weekend: false,
+        today: false
+      }
+    }
+
+    const date = new Date(this.startDate)
+    date.setDate(date.getDate() + i)
+    return {
+      date,
+      label: i % this.labelStep() === 0 || i === this.totalSlots ? `${date.getMonth() + 1}/${date.getDate()}` : null,
+      weekend: date.getDay() === 0 || date.getDay() === 6,
+      today: this.isSameDay(date, today)
+    }
   }
 
   renderChart() {
@@ -35,61 +152,530 @@ export default class extends Controller {
   renderTimeline() {
     const timeline = this.timelineTarget
     timeline.innerHTML = ''
-    timeline.style.width = `${this.chartWidth}px`
 
     // Date headers
     const datesRow = document.createElement('div')
     datesRow.className = 'gantt-dates-row'
-    
-    for (let i = 0; i <= this.totalDays; i++) {
-      const currentDate = new Date(this.startDate)
-      currentDate.setDate(currentDate.getDate() + i)
-      
+    datesRow.setAttribute('aria-hidden', 'true')
+    datesRow.style.width = `${this.chartWidth}px`
+    timeline.appendChild(datesRow)
+
+    this.datesRow = datesRow
+    this.renderedColumns = null
+    this.renderVisibleColumns()
+
+    this.nowMarker = document.createElement('div')
+    this.nowMarker.className = 'gantt-now-marker'
+    this.nowMarker.setAttribute('aria-hidden', 'true')
+    timeline.appendChild(this.nowMarker)
+    this.positionNowLine()
+  }
+
+  // Live "now" line across the chart, moved every 30 seconds
+  positionNowLine() {
+    const offset = (this.currentMinutes() - this.windowStart) / this.slotMinutes
+    const visible = offset >= 0 && offset <= this.totalSlots + 1
+    const left = `${offset * this.slotWidth}px`
+
+    if (this.nowMarker) {
+      this.nowMarker.hidden = !visible
+      this.nowMarker.style.left = left
+      this.nowMarker.textContent = formatClock(this.currentMinutes())
+    }
+    if (this.nowLine) {
+      this.nowLine.hidden = !visible
+      this.nowLine.style.left = left
+    }
+  }
+
+  // Wall-clock time in the zone the task times were sent in
+  currentMinutes() {
+    return currentWallMinutes(this.tasksValue[0]?.start_at)
+  }
+
+  renderVisibleColumns() {
+    if (!this.datesRow) return
+
+    const viewport = this.chartTarget
+    const first = Math.max(0, Math.floor(viewport.scrollLeft / this.slotWidth) - this.columnBuffer)
+    const last = Math.min(this.totalSlots, Math.ceil((viewport.scrollLeft + viewport.clientWidth) / this.slotWidth) + this.columnBuffer)
+
+    if (this.renderedColumns && first >= this.renderedColumns.first && last <= this.renderedColumns.last) return
+
+    // Render a wider window than needed so small scrolls do not re-render
+    const from = Math.max(0, first - this.columnBuffer)
+    const to = Math.min(this.totalSlots, last + this.columnBuffer)
+    const today = new Date()
+    const fragment = document.createDocumentFragment()
+
+    for (let i = from; i <= to; i++) {
+      const column = this.columnInfo(i, today)
+
       const dateCell = document.createElement('div')
       dateCell.className = 'gantt-date-cell'
-      dateCell.style.width = '30px'
-      
-      // Show every 7th day or first/last day
-      if (i % 7 === 0 || i === this.totalDays) {
+      dateCell.style.left = `${i * this.slotWidth}px`
+      dateCell.style.width = `${this.slotWidth}px`
+
+      if (this.isTimeScale) {
+        dateCell.classList.toggle('hour-start', column.hourStart)
+        if (column.label) {
+          dateCell.innerHTML = `<div class="date-label"><div class="day">${column.label}</div></div>`
+        } else if (column.sublabel && this.slotWidth >= 24) {
+          dateCell.innerHTML = `<div class="date-label"><div class="month">${column.sublabel}</div></div>`
+        }
+      } else if (column.label) {
+        // Every Nth day (depending on zoom) or the last day
         dateCell.innerHTML = `
           <div class="date-label">
-            <div class="month">${currentDate.toLocaleDateString('ja-JP', { month: 'short' })}</div>
-            <div class="day">${currentDate.getDate()}</div>
+            <div class="month">${column.date.toLocaleDateString('ja-JP', { month: 'short' })}</div>
+            <div class="day">${column.date.getDate()}</div>
           </div>
         `
       }
-      
-      // Highlight weekends
-      if (currentDate.getDay() === 0 || currentDate.getDay() === 6) {
-        dateCell.classList.add('weekend')
-      }
-      
-      // Highlight today
-      if (this.isSameDay(currentDate, new Date())) {
-        dateCell.classList.add('today')
-      }
-      
-      datesRow.appendChild(dateCell)
+
+      if (column.weekend) dateCell.classList.add('weekend')
+      if (column.today) dateCell.classList.add('today')
+
+      fragment.appendChild(dateCell)
     }
-    
-    timeline.appendChild(datesRow)
+
+    this.datesRow.innerHTML = ''
+    this.datesRow.appendChild(fragment)
+    this.renderedColumns = { first: from, last: to }
+    this.renderLoadCells()
   }
 
+  // Rebuilds the virtual task canvas after the task data or the filter changed.
+  // tasksValue always holds every task; only the rows are filtered.
   renderTasks() {
     const tasksContainer = this.tasksTarget
+    this.restoreFocus = this.restoreFocus || tasksContainer.contains(document.activeElement)
     tasksContainer.innerHTML = ''
     tasksContainer.style.width = `${this.chartWidth}px`
 
-    this.tasksValue.forEach((task, index) => {
-      const taskRow = this.createTaskRow(task, index)
-      tasksContainer.appendChild(taskRow)
+    this.allTasks = this.tasksValue
+    this.rowTasks = applyTaskFilter(this.allTasks, this.filter)
+    if (this.isTimeScale) this.rowTasks = this.rowTasks.filter(task => overlapsDay(task, this.scaleDay))
+    this.rows = this.buildRows(this.rowTasks)
+    this.rowIndex = new Map()
+    this.rows.forEach((row, index) => {
+      if (row.task) this.rowIndex.set(row.task.id, index)
+    })
+    tasksContainer.style.height = `${this.rows.length * this.rowHeight}px`
+    this.updateGridAttributes()
+
+    this.nowLine = document.createElement('div')
+    this.nowLine.className = 'gantt-now-line'
+    this.nowLine.setAttribute('aria-hidden', 'true')
+    tasksContainer.appendChild(this.nowLine)
+    this.positionNowLine()
+    this.renderMilestones()
+
+    this.analyzeCriticalPath()
+    this.updateTaskCount()
+    this.renderLoadPanel()
+    this.updateBaselineSummary()
+    this.renderAccessibleTable()
+
+    this.renderedRows = null
+    this.renderVisibleRows()
+  }
+
+  // Flat task rows, or swimlanes: one summary row per group followed by its
+  // tasks unless the group is collapsed
+  buildRows(tasks) {
+    if (!this.groupBy) return tasks.map(task => ({ task }))
+
+    const rows = []
+    groupTasks(tasks, this.groupBy).forEach(group => {
+      const collapsed = this.collapsedGroups.has(group.key)
+      rows.push({ group, collapsed })
+      if (!collapsed) group.tasks.forEach(task => rows.push({ task }))
+    })
+    return rows
+  }
+
+  renderVisibleRows() {
+    if (!this.rows) return
+
+    const viewport = this.chartTarget
+    const first = Math.max(0, Math.floor(viewport.scrollTop / this.rowHeight) - this.rowBuffer)
+    const last = Math.min(this.rows.length - 1, Math.ceil((viewport.scrollTop + viewport.clientHeight) / this.rowHeight) + this.rowBuffer)
+
+    if (this.renderedRows && first >= this.renderedRows.first && last <= this.renderedRows.last) return
+
+    const from = Math.max(0, first - this.rowBuffer)
+    const to = Math.min(this.rows.length - 1, last + this.rowBuffer)
+    const fragment = document.createDocumentFragment()
+
+    for (let index = from; index <= to; index++) {
+      const row = this.rows[index]
+      fragment.appendChild(row.group ? this.createGroupRow(row, index) : this.createTaskRow(row.task, index))
+    }
+
+    const restoreFocus = this.restoreFocus || this.tasksTarget.contains(document.activeElement)
+    this.restoreFocus = false
+
+    this.tasksTarget.querySelectorAll('.gantt-task-row').forEach(row => row.remove())
+    this.tasksTarget.appendChild(fragment)
+    this.renderedRows = { first: from, last: to }
+
+    this.renderDependencies()
+    this.renderSlotCursor()
+    if (restoreFocus) this.focusRenderedRow()
+  }
+
+  renderVisibleWindow() {
+    this.renderVisibleColumns()
+    this.renderVisibleRows()
+  }
+
+  handleChartScroll() {
+    this.timelineTarget.scrollLeft = this.chartTarget.scrollLeft
+    if (this.hasLoadPanelTarget) this.loadPanelTarget.scrollLeft = this.chartTarget.scrollLeft
+    if (this.hasMilestoneLaneTarget) this.milestoneLaneTarget.scrollLeft = this.chartTarget.scrollLeft
+
+    if (this.scrollFrame) return
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null
+      this.renderVisibleWindow()
+    })
+  }
+
+  // Milestones: diamonds in their own lane above the tasks plus a line down the
+  // chart, with the preparation phases shaded behind the rows. A milestone is
+  // red while any task leading up to it is still open.
+  renderMilestones() {
+    if (!this.hasMilestoneLaneTarget) return
+
+    const lane = this.milestoneLaneTarget
+    lane.innerHTML = ''
+    lane.hidden = this.milestones.length === 0 && this.phases.length === 0
+    if (lane.hidden) return
+
+    const canvas = document.createElement('div')
+    canvas.className = 'gantt-milestone-canvas'
+    canvas.style.width = `${this.chartWidth}px`
+    const bands = document.createDocumentFragment()
+
+    this.phases.forEach(phase => {
+      const { x, width } = this.phaseGeometry(phase)
+      if (width <= 0) return
+
+      const label = document.createElement('div')
+      label.className = `gantt-phase-label phase-${phase.key}`
+      label.style.left = `${x}px`
+      label.style.width = `${width}px`
+      label.textContent = phase.name
+      label.title = `${phase.name}: ${phase.start} ～ ${phase.end}`
+      canvas.appendChild(label)
+
+      const band = document.createElement('div')
+      band.className = `gantt-phase-band phase-${phase.key}`
+      band.setAttribute('aria-hidden', 'true')
+      band.style.left = `${x}px`
+      band.style.width = `${width}px`
+      bands.appendChild(band)
+    })
+
+    this.milestoneStates().forEach(milestone => {
+      const x = this.milestoneX(milestone)
+      if (x < 0 || x > this.chartWidth) return
+
+      const marker = document.createElement('button')
+      marker.type = 'button'
+      marker.className = `gantt-milestone ${milestone.state}`
+      marker.style.left = `${x}px`
+      marker.title = this.milestoneTitle(milestone)
+      marker.setAttribute('aria-label', marker.title)
+      marker.dataset.action = 'click->gantt#showMilestone'
+      marker.dataset.ganttMilestoneParam = milestone.key
+
+      const diamond = document.createElement('span')
+      diamond.className = 'gantt-milestone-diamond'
+      const label = document.createElement('span')
+      label.className = 'gantt-milestone-label'
+      label.textContent = milestone.total > 0 ? `${milestone.name} ${milestone.total - milestone.open}/${milestone.total}` : milestone.name
+      marker.append(diamond, label)
+      canvas.appendChild(marker)
+
+      const line = document.createElement('div')
+      line.className = `gantt-milestone-line ${milestone.state}`
+      line.setAttribute('aria-hidden', 'true')
+      line.style.left = `${x}px`
+      bands.appendChild(line)
+    })
+
+    lane.appendChild(canvas)
+    lane.scrollLeft = this.chartTarget.scrollLeft
+    this.tasksTarget.prepend(bands)
+  }
+
+  // Live status from the task data: "open" while linked tasks are unfinished
+  milestoneStates() {
+    return this.milestones.map(milestone => {
+      const tasks = this.allTasks.filter(task => task.milestone === milestone.key && task.status !== 'cancelled')
+      const open = tasks.filter(isOpenTask).length
+      const state = open > 0 ? 'open' : (tasks.length > 0 ? 'done' : 'empty')
+      return { ...milestone, total: tasks.length, open, state }
+    })
+  }
+
+  milestoneTitle(milestone) {
+    const status = milestone.state === 'open'
+      ? `未完了タスク ${milestone.open}件`
+      : (milestone.state === 'done' ? '関連タスクはすべて完了' : '関連タスクなし')
+    return `${milestone.name}（${milestone.date}）: ${status}`
+  }
+
+  // Milestones sit in the middle of their day on the day scale and at the
+  // start of the day on the time scales
+  milestoneX(milestone) {
+    const { startOffset } = this.taskOffsets({ start: milestone.date, end: milestone.date })
+    return (startOffset + (this.isTimeScale ? 0 : 0.5)) * this.slotWidth
+  }
+
+  phaseGeometry(phase) {
+    const { startOffset, duration } = this.taskOffsets(phase)
+    const left = Math.max(startOffset, 0)
+    const right = Math.min(startOffset + duration, this.totalSlots + 1)
+    return { x: left * this.slotWidth, width: (right - left) * this.slotWidth }
+  }
+
+  showMilestone(event) {
+    this.setFilter('milestone', event.params.milestone)
+  }
+
+  // Resource load histogram: open tasks per assignee per day. Always computed
+  // from all tasks so that drilling into a hot day keeps the histogram intact.
+  renderLoadPanel() {
+    if (!this.hasLoadPanelTarget) return
+
+    const panel = this.loadPanelTarget
+    panel.innerHTML = ''
+    if (this.isTimeScale) {
+      this.loadRows = null
+      panel.innerHTML = '<div class="gantt-load-empty">負荷ヒストグラムは日表示でのみ表示されます</div>'
+      return
+    }
+    this.resourceLoad = computeResourceLoad(this.allTasks)
+
+    const canvas = document.createElement('div')
+    canvas.className = 'gantt-load-canvas'
+    canvas.style.width = `${this.chartWidth}px`
+
+    this.loadRows = this.resourceLoad.map(assignee => {
+      const row = document.createElement('div')
+      row.className = 'gantt-load-row'
+
+      const label = document.createElement('span')
+      label.className = 'gantt-load-label'
+      label.textContent = assignee.name
+      label.classList.toggle('hot', assignee.peak > this.loadThresholdValue)
+      row.appendChild(label)
+
+      canvas.appendChild(row)
+      return { assignee, element: row }
+    })
+
+    if (this.loadRows.length === 0) {
+      canvas.innerHTML = '<div class="gantt-load-empty">未完了のタスクはありません</div>'
+    }
+
+    panel.appendChild(canvas)
+    panel.scrollLeft = this.chartTarget.scrollLeft
+    this.renderLoadCells()
+  }
+
+  // Only the day columns rendered in the timeline get histogram cells
+  renderLoadCells() {
+    if (!this.loadRows || !this.renderedColumns) return
+
+    const { first, last } = this.renderedColumns
+    const threshold = this.loadThresholdValue
+    const showCounts = this.slotWidth >= 16
+
+    this.loadRows.forEach(({ assignee, element }) => {
+      element.querySelectorAll('.gantt-load-cell').forEach(cell => cell.remove())
+      const fragment = document.createDocumentFragment()
+
+      for (let i = first; i <= last; i++) {
+        const date = this.addDays(this.dateRangeStart, i)
+        const count = assignee.load.get(date)
+        if (!count) continue
+
+        const cell = document.createElement('div')
+        cell.className = 'gantt-load-cell'
+        cell.style.left = `${i * this.slotWidth}px`
+        cell.style.width = `${this.slotWidth}px`
+        cell.style.opacity = Math.min(0.35 + count / (threshold * 2), 1)
+        cell.title = `${assignee.name} ${date}: ${count}件`
+        if (showCounts) cell.textContent = count
+
+        if (count > threshold) {
+          cell.classList.add('hot')
+          cell.title += '（クリックで該当タスクを表示）'
+          cell.dataset.action = 'click->gantt#showLoadDay'
+          cell.dataset.ganttUserParam = assignee.userId
+          cell.dataset.ganttDateParam = date
+        }
+
+        fragment.appendChild(cell)
+      }
+
+      element.appendChild(fragment)
     })
   }
 
+  changeLoadThreshold(event) {
+    const threshold = parseInt(event.target.value, 10)
+    if (!(threshold > 0)) return
+
+    this.loadThresholdValue = threshold
+    this.renderLoadPanel()
+  }
+
+  // Drill into a hot day: the assignee's tasks overlapping that day
+  showLoadDay(event) {
+    const { user, date } = event.params
+    this.filter = { ...this.filter, assignee: String(user), from: date, to: date }
+    this.applyFilter()
+  }
+
+  // Baselines: named snapshots of the schedule shown as ghost bars
+  loadBaselines(selectedId = null) {
+    return this.sendJsonRequest(this.baselinesUrlValue, 'GET')
+      .then(data => {
+        const select = this.baselineSelectTarget
+        const current = selectedId ?? select.value
+
+        select.querySelectorAll('option:not([value=""])').forEach(option => option.remove())
+        data.baselines.forEach(baseline => {
+          const savedOn = new Date(baseline.created_at).toLocaleDateString('ja-JP')
+          select.add(new Option(`${baseline.name}（${savedOn}）`, baseline.id))
+        })
+
+        select.value = data.baselines.some(b => String(b.id) === String(current)) ? current : ''
+        return this.showBaseline(select.value)
+      })
+      .catch(error => {
+        console.error('Baseline loading failed:', error)
+        this.showToast('ベースラインを読み込めませんでした', 'danger')
+      })
+  }
+
+  selectBaseline(event) {
+    this.showBaseline(event.target.value)
+  }
+
+  showBaseline(baselineId) {
+    const url = baselineId ? `${this.baselinesUrlValue}/${baselineId}` : null
+    if (this.hasBaselineExportTarget) {
+      this.baselineExportTarget.href = url ? `${url}.csv` : '#'
+      this.baselineExportTarget.classList.toggle('disabled', !url)
+    }
+    if (this.hasBaselineDeleteTarget) this.baselineDeleteTarget.disabled = !url
+
+    if (!url) {
+      this.baseline = null
+      this.renderTasks()
+      return Promise.resolve()
+    }
+
+    return this.sendJsonRequest(url, 'GET')
+      .then(data => {
+        // Tasks added after the baseline have nothing to compare against
+        this.baseline = new Map(
+          data.tasks
+            .filter(row => row.baseline_start && row.status !== 'removed')
+            .map(row => [row.task_id, row])
+        )
+        this.renderTasks()
+      })
+      .catch(error => {
+        console.error('Baseline loading failed:', error)
+        this.showToast('ベースラインを読み込めませんでした', 'danger')
+      })
+  }
+
+  saveBaseline() {
+    const name = prompt('ベースライン名を入力してください（例: 委員会承認済み計画）', `計画 ${new Date().toLocaleDateString('ja-JP')}`)
+    if (!name || !name.trim()) return
+
+    this.sendJsonRequest(this.baselinesUrlValue, 'POST', { schedule_baseline: { name: name.trim() } })
+      .then(data => {
+        this.showToast(`ベースライン「${data.baseline.name}」を保存しました`, 'success')
+        return this.loadBaselines(data.baseline.id)
+      })
+      .catch(error => {
+        console.error('Baseline creation failed:', error)
+        this.showToast(`ベースラインを保存できませんでした: ${error.message}`, 'danger')
+      })
+  }
+
+  deleteBaseline() {
+    const baselineId = this.baselineSelectTarget.value
+    if (!baselineId || !confirm('選択中のベースラインを削除しますか？')) return
+
+    this.sendJsonRequest(`${this.baselinesUrlValue}/${baselineId}`, 'DELETE')
+      .then(() => this.loadBaselines(''))
+      .catch(error => {
+        console.error('Baseline deletion failed:', error)
+        this.showToast('ベースラインを削除できませんでした', 'danger')
+      })
+  }
+
+  // Drift summary from the live (possibly just rescheduled) task dates
+  updateBaselineSummary() {
+    if (!this.hasBaselineSummaryTarget) return
+
+    if (!this.baseline) {
+      this.baselineSummaryTarget.textContent = ''
+      return
+    }
+
+    const variances = this.allTasks
+      .filter(task => this.baseline.has(task.id))
+      .map(task => this.daysBetween(this.baseline.get(task.id).baseline_end, task.end))
+    const delayed = variances.filter(variance => variance > 0)
+
+    this.baselineSummaryTarget.textContent = delayed.length > 0
+      ? `${variances.length}件中 ${delayed.length}件が遅延（最大 ${Math.max(...delayed)}日）`
+      : `${variances.length}件すべて計画どおり`
+  }
+
+  // Critical path / slack analysis. Preparation tasks have to be finished the
+  // day before the festival opens; anything planned to end later (teardown,
+  // reporting) is measured against the festival's last day instead.
+  // Runs on all tasks so that filtering never changes what is critical.
+  analyzeCriticalPath() {
+    const tasks = this.allTasks
+      .filter(task => task.status !== 'cancelled')
+      .map(task => ({
+        id: task.id,
+        start: task.start,
+        end: task.end,
+        deadline: this.taskDeadline(task)
+      }))
+
+    this.scheduleAnalysis = analyzeSchedule(tasks, this.dependencies)
+  }
+
+  taskDeadline(task) {
+    if (!task.festival_start) return null
+
+    const dayBeforeOpening = this.addDays(task.festival_start, -1)
+    if (task.end <= dayBeforeOpening) return dayBeforeOpening
+    return task.festival_end || task.festival_start
+  }
+
   createTaskRow(task, index) {
     const row = document.createElement('div')
     row.className = 'gantt-task-row'
+    row.classList.toggle('alt', index % 2 === 1)
+    row.style.top = `${index * this.rowHeight}px`
     row.style.height = `${this.rowHeight}px`
+    this.setRowAttributes(row, index, this.groupBy ? 2 : null)
 
     // Task info panel
     const taskInfo = document.createElement('div')
@@ -104,17 +690,18 @@ export default class extends Controller {
     `
 
     // Task bar
-    const taskStart = new Date(task.start)
-    const taskEnd = new Date(task.end)
-    const startOffset = Math.ceil((taskStart - this.startDate) / (1000 * 60 * 60 * 24))
-    const duration = Math.ceil((taskEnd - taskStart) / (1000 * 60 * 60 * 24)) + 1
+    const { startOffset, duration } = this.taskOffsets(task)
 
     const taskBar = document.createElement('div')
     taskBar.className = 'gantt-task-bar'
-    taskBar.style.left = `${startOffset * 30}px`
-    taskBar.style.width = `${duration * 30}px`
+    taskBar.style.left = `${startOffset * this.slotWidth}px`
+    taskBar.style.width = `${duration * this.slotWidth}px`
     taskBar.style.backgroundColor = task.color
     taskBar.dataset.taskId = task.id
+    taskBar.classList.add('gantt-cell')
+    taskBar.setAttribute('role', 'gridcell')
+    taskBar.setAttribute('aria-label', this.taskAccessibleLabel(task))
+    taskBar.tabIndex = this.isFocusedRow(index) ? 0 : -1
 
     // Progress bar
     if (task.progress > 0) {
@@ -145,162 +732,1547 @@ export default class extends Controller {
       barContent.appendChild(warning)
     }
 
+    // Badges shown right of the bar (slack, baseline variance)
+    const badges = document.createElement('div')
+    badges.className = 'gantt-row-badges'
+    badges.style.left = `${(startOffset + duration) * this.slotWidth + 20}px`
+
+    // Critical path highlight
+    if (this.isCritical(task)) {
+      const analysis = this.scheduleAnalysis.get(task.id)
+      taskBar.classList.add('critical')
+      taskBar.title = analysis.slack < 0
+        ? `クリティカル: 開催日に${-analysis.slack}日遅れる見込み`
+        : 'クリティカル: 遅れると開催日に影響します'
+    }
+
+    // Baseline ghost bar (snapshots only hold dates, so day scale only)
+    const baseline = !this.isTimeScale && this.baseline?.get(task.id)
+    if (baseline) {
+      const ghost = this.taskOffsets({ start: baseline.baseline_start, end: baseline.baseline_end })
+      const ghostBar = document.createElement('div')
+      ghostBar.className = 'gantt-baseline-bar'
+      ghostBar.style.left = `${ghost.startOffset * this.slotWidth}px`
+      ghostBar.style.width = `${ghost.duration * this.slotWidth}px`
+      ghostBar.title = `ベースライン: ${baseline.baseline_start} ～ ${baseline.baseline_end}`
+      ghostBar.setAttribute('aria-hidden', 'true')
+      row.appendChild(ghostBar)
+    }
+
+    this.taskBadges(task).forEach(({ className, text, title }) => {
+      const badge = document.createElement('span')
+      badge.className = className
+      badge.textContent = text
+      badge.title = title
+      badges.appendChild(badge)
+    })
+
+    badges.setAttribute('aria-hidden', 'true')
+    if (badges.childElementCount > 0) row.appendChild(badges)
+
+    // Resize handles for changing the start / due date
+    const resizeEdges = ['start', 'end']
+    resizeEdges.forEach(edge => {
+      const handle = document.createElement('span')
+      handle.className = `gantt-resize-handle gantt-resize-handle-${edge}`
+      handle.dataset.edge = edge
+      handle.setAttribute('aria-hidden', 'true')
+      taskBar.appendChild(handle)
+    })
+
+    // Dependency link handles
+    const linkSides = ['start', 'finish']
+    linkSides.forEach(side => {
+      const handle = document.createElement('span')
+      handle.className = `gantt-link-handle gantt-link-handle-${side}`
+      handle.dataset.side = side
+      handle.title = side === 'start' ? '開始点から依存関係を作成' : '終了点から依存関係を作成'
+      handle.setAttribute('aria-hidden', 'true')
+      taskBar.appendChild(handle)
+    })
+
     row.appendChild(taskBar)
     return row
   }
 
-  renderLegend() {
-    const legend = this.legendTarget
-    legend.innerHTML = `
-      <div class="gantt-legend">
-        <h6>優先度</h6>
-        <div class="legend-items">
-          <div class="legend-item">
-            <div class="legend-color" style="background-color: #e74c3c"></div>
-            <span>緊急</span>
-          </div>
-          <div class="legend-item">
-            <div class="legend-color" style="background-color: #f39c12"></div>
-            <span>高</span>
-          </div>
-          <div class="legend-item">
-            <div class="legend-color" style="background-color: #3498db"></div>
-            <span>中</span>
-          </div>
-          <div class="legend-item">
-            <div class="legend-color" style="background-color: #27ae60"></div>
-            <span>低</span>
-          </div>
-        </div>
-        
-        <h6 class="mt-3">ステータス</h6>
-        <div class="legend-items">
-          <div class="legend-item">
-            <i class="bi bi-circle text-secondary"></i>
-            <span>未着手</span>
-          </div>
-          <div class="legend-item">
-            <i class="bi bi-play-circle text-primary"></i>
-            <span>進行中</span>
-          </div>
-          <div class="legend-item">
-            <i class="bi bi-check-circle text-success"></i>
-            <span>完了</span>
-          </div>
-          <div class="legend-item">
-            <i class="bi bi-x-circle text-danger"></i>
-            <span>キャンセル</span>
-          </div>
-        </div>
-        
-        <h6 class="mt-3">警告</h6>
-        <div class="legend-items">
-          <div class="legend-item">
-            <i class="bi bi-exclamation-triangle-fill text-danger"></i>
-            <span>期限切れ</span>
-          </div>
-          <div class="legend-item">
-            <i class="bi bi-clock-fill text-warning"></i>
-            <span>期限間近</span>
-          </div>
-        </div>
-      </div>
-    `
+  // Accessibility: the chart is an ARIA grid (treegrid with swimlanes) with a
+  // roving tabindex. Up/Down move between rows, Left/Right move a day cursor
+  // that is announced through a live region.
+  updateGridAttributes() {
+    const grid = this.tasksTarget
+    grid.setAttribute('role', this.groupBy ? 'treegrid' : 'grid')
+    grid.setAttribute('aria-label', `${this.festivalValue} ガントチャート`)
+    grid.setAttribute('aria-rowcount', this.rows.length)
+    grid.setAttribute('aria-colcount', 1)
+    if (document.getElementById('gantt-keyboard-help')) {
+      grid.setAttribute('aria-describedby', 'gantt-keyboard-help')
+    }
   }
 
-  setupInteractions() {
-    // Task bar click events
-    this.tasksTarget.addEventListener('click', (event) => {
-      const taskBar = event.target.closest('.gantt-task-bar')
-      if (taskBar) {
-        const taskId = taskBar.dataset.taskId
-        this.showTaskDetails(taskId)
-      }
-    })
+  setRowAttributes(row, index, level) {
+    row.setAttribute('role', 'row')
+    row.setAttribute('aria-rowindex', index + 1)
+    row.dataset.rowKey = this.rowKey(this.rows[index])
+    if (level) row.setAttribute('aria-level', level)
+  }
 
-    // Horizontal scroll synchronization
-    this.chartTarget.addEventListener('scroll', (event) => {
-      this.timelineTarget.scrollLeft = event.target.scrollLeft
-    })
+  rowKey(row) {
+    return row.group ? `group:${row.group.key}` : `task:${row.task.id}`
   }
 
-  showTaskDetails(taskId) {
-    const task = this.tasksValue.find(t => t.id.toString() === taskId)
-    if (task) {
-      // Create modal or tooltip with task details
-      alert(`タスク: ${task.name}\n期間: ${task.start} ～ ${task.end}\n担当者: ${task.user}\n進捗: ${task.progress}%\n説明: ${task.description || 'なし'}`)
-    }
+  focusedRowIndex() {
+    if (!this.focusedKey) return 0
+    const index = this.rows.findIndex(row => this.rowKey(row) === this.focusedKey)
+    return Math.max(index, 0)
   }
 
-  getPriorityText(priority) {
-    const priorities = {
-      'urgent': '緊急',
-      'high': '高',
-      'medium': '中',
-      'low': '低'
-    }
-    return priorities[priority] || priority
+  isFocusedRow(index) {
+    return index === this.focusedRowIndex()
   }
 
-  getStatusText(status) {
-    const statuses = {
-      'pending': '未着手',
-      'in_progress': '進行中',
-      'completed': '完了',
-      'cancelled': 'キャンセル'
+  taskAccessibleLabel(task) {
+    const parts = [
+      task.name,
+      this.isTimeScale
+        ? `${this.formatTimestamp(task.start_at)} から ${this.formatTimestamp(task.end_at)}`
+        : `${task.start} から ${task.end}（${task.duration || this.daysBetween(task.start, task.end) + 1}日間）`,
+      `担当 ${task.user}`,
+      `優先度 ${this.getPriorityText(task.priority)}`,
+      `ステータス ${this.getStatusText(task.status)}`,
+      `進捗 ${task.progress}%`
+    ]
+    if (this.isCritical(task)) parts.push('クリティカルパス')
+    if (task.overdue) parts.push('期限切れ')
+    else if (task.due_soon) parts.push('期限間近')
+    this.taskBadges(task).forEach(badge => parts.push(badge.text))
+    return parts.join('、')
+  }
+
+  focusRow(index) {
+    if (this.rows.length === 0) return
+
+    index = Math.min(Math.max(index, 0), this.rows.length - 1)
+    this.focusedKey = this.rowKey(this.rows[index])
+
+    // Scroll the row into the virtual window before focusing it
+    const viewport = this.chartTarget
+    const top = index * this.rowHeight
+    if (top < viewport.scrollTop) {
+      viewport.scrollTop = top
+    } else if (top + this.rowHeight > viewport.scrollTop + viewport.clientHeight) {
+      viewport.scrollTop = top + this.rowHeight - viewport.clientHeight
     }
-    return statuses[status] || status
+
+    this.renderVisibleRows()
+    this.focusRenderedRow()
+    this.renderSlotCursor()
   }
 
-  isSameDay(date1, date2) {
-    return date1.getFullYear() === date2.getFullYear() &&
-           date1.getMonth() === date2.getMonth() &&
-           date1.getDate() === date2.getDate()
+  focusRenderedRow() {
+    const index = this.focusedRowIndex()
+    const row = this.tasksTarget.querySelector(`.gantt-task-row[aria-rowindex="${index + 1}"]`)
+    const cell = row?.querySelector('.gantt-cell')
+    if (!cell) return
+
+    this.tasksTarget.querySelectorAll('.gantt-cell[tabindex="0"]').forEach(element => { element.tabIndex = -1 })
+    cell.tabIndex = 0
+    cell.focus({ preventScroll: true })
+  }
+
+  focusedRow() {
+    return this.rows[this.focusedRowIndex()]
   }
 
-  // Filter tasks by status
-  filterByStatus(event) {
-    const status = event.target.value
-    this.filterTasks({ status })
+  handleGridFocus(event) {
+    const row = event.target.closest('.gantt-task-row')
+    if (!row) return
+
+    const key = row.dataset.rowKey
+    if (key !== this.focusedKey) {
+      this.focusedKey = key
+      this.focusSlot = null
+    }
+
+    const task = this.focusedRow()?.task
+    if (this.focusSlot == null) {
+      this.focusSlot = task ? this.taskOffsets(task).startOffset : Math.floor(this.chartTarget.scrollLeft / this.slotWidth)
+    }
+    this.renderSlotCursor()
   }
 
-  // Filter tasks by priority
-  filterByPriority(event) {
-    const priority = event.target.value
-    this.filterTasks({ priority })
+  handleGridKeydown(event) {
+    if (!event.target.closest('.gantt-cell')) return
+
+    const row = this.focusedRow()
+    const index = this.focusedRowIndex()
+    const pageRows = Math.max(1, Math.floor(this.chartTarget.clientHeight / this.rowHeight) - 1)
+    let handled = true
+
+    switch (event.key) {
+      case 'ArrowUp':
+        this.focusRow(index - 1)
+        break
+      case 'ArrowDown':
+        this.focusRow(index + 1)
+        break
+      case 'PageUp':
+        this.focusRow(index - pageRows)
+        break
+      case 'PageDown':
+        this.focusRow(index + pageRows)
+        break
+      case 'Home':
+        if (event.ctrlKey) {
+          this.focusRow(0)
+        } else {
+          this.moveSlotCursorTo(row.task ? this.taskOffsets(row.task).startOffset : 0)
+        }
+        break
+      case 'End':
+        if (event.ctrlKey) {
+          this.focusRow(this.rows.length - 1)
+        } else if (row.task) {
+          const { startOffset, duration } = this.taskOffsets(row.task)
+          this.moveSlotCursorTo(startOffset + duration - 1)
+        } else {
+          this.moveSlotCursorTo(this.totalSlots)
+        }
+        break
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        handled = this.handleHorizontalKey(event, row)
+        break
+      case 'Enter':
+        if (row.task) {
+          this.showTaskDetails(row.task.id.toString())
+        } else {
+          this.toggleGroupKey(row.group.key)
+        }
+        break
+      case ' ':
+        if (row.group) {
+          this.toggleGroupKey(row.group.key)
+        } else {
+          handled = false
+        }
+        break
+      default:
+        handled = false
+    }
+
+    if (handled) event.preventDefault()
   }
 
-  filterTasks(filters) {
-    let filteredTasks = [...this.tasksValue]
+  // Plain arrows move the day cursor. On a task, Alt moves the task and Shift
+  // changes its due date; on a swimlane the arrows collapse / expand it.
+  handleHorizontalKey(event, row) {
+    const delta = event.key === 'ArrowRight' ? 1 : -1
 
-    if (filters.status && filters.status !== 'all') {
-      filteredTasks = filteredTasks.filter(task => task.status === filters.status)
+    if (row.group && this.collapsedGroups.has(row.group.key) === (delta > 0)) {
+      this.toggleGroupKey(row.group.key)
+      return true
     }
 
-    if (filters.priority && filters.priority !== 'all') {
-      filteredTasks = filteredTasks.filter(task => task.priority === filters.priority)
+    if (row.task && event.altKey) {
+      this.nudgeTask(row.task, delta, delta)
+    } else if (row.task && event.shiftKey) {
+      this.nudgeTask(row.task, 0, delta)
+    } else {
+      this.moveSlotCursorTo((this.focusSlot ?? 0) + delta)
     }
+    return true
+  }
 
-    // Re-render with filtered tasks
-    this.tasksValue = filteredTasks
+  toggleGroupKey(key) {
+    const groupKey = String(key)
+    if (this.collapsedGroups.has(groupKey)) {
+      this.collapsedGroups.delete(groupKey)
+      this.announce('展開しました')
+    } else {
+      this.collapsedGroups.add(groupKey)
+      this.announce('折りたたみました')
+    }
     this.renderTasks()
   }
 
-  // Zoom functionality
-  zoomIn() {
-    this.chartWidth = Math.min(this.chartWidth * 1.2, this.totalDays * 60)
-    this.updateChartWidth()
+  moveSlotCursorTo(slot) {
+    this.focusSlot = Math.min(Math.max(slot, 0), this.totalSlots)
+    this.renderSlotCursor()
+
+    // Keep the cursor inside the horizontal viewport
+    const viewport = this.chartTarget
+    const left = this.focusSlot * this.slotWidth
+    if (left < viewport.scrollLeft) {
+      viewport.scrollLeft = left
+    } else if (left + this.slotWidth > viewport.scrollLeft + viewport.clientWidth) {
+      viewport.scrollLeft = left + this.slotWidth - viewport.clientWidth
+    }
+
+    const label = this.slotLabel(this.focusSlot)
+    const task = this.focusedRow()?.task
+    if (task) {
+      const { startOffset, duration } = this.taskOffsets(task)
+      const within = this.focusSlot >= startOffset && this.focusSlot < startOffset + duration
+      this.announce(`${label}: ${task.name} ${within ? '作業期間内' : '作業期間外'}`)
+    } else {
+      this.announce(label)
+    }
   }
 
-  zoomOut() {
-    this.chartWidth = Math.max(this.chartWidth * 0.8, this.totalDays * 15)
-    this.updateChartWidth()
+  slotLabel(slot) {
+    if (this.isTimeScale) return formatClock(this.windowStart + slot * this.slotMinutes)
+
+    const date = this.addDays(this.dateRangeStart, slot)
+    return new Date(date).toLocaleDateString('ja-JP', { month: 'long', day: 'numeric', weekday: 'short', timeZone: 'UTC' })
   }
 
-  updateChartWidth() {
-    this.timelineTarget.style.width = `${this.chartWidth}px`
-    this.tasksTarget.style.width = `${this.chartWidth}px`
-    this.renderTimeline()
-    this.renderTasks()
+  renderSlotCursor() {
+    this.tasksTarget.querySelector('.gantt-slot-cursor')?.remove()
+    if (this.focusSlot == null || !this.focusedKey) return
+
+    const row = this.tasksTarget.querySelector(`.gantt-task-row[aria-rowindex="${this.focusedRowIndex() + 1}"]`)
+    if (!row) return
+
+    const cursor = document.createElement('div')
+    cursor.className = 'gantt-slot-cursor'
+    cursor.setAttribute('aria-hidden', 'true')
+    cursor.style.left = `${this.focusSlot * this.slotWidth}px`
+    cursor.style.width = `${this.slotWidth}px`
+    row.appendChild(cursor)
+  }
+
+  // Keyboard moves are applied at once and saved in one request once the
+  // keys come to rest
+  nudgeTask(task, startDelta, endDelta) {
+    const startAt = shiftTimestamp(task.start_at, startDelta * this.slotMinutes)
+    const endAt = shiftTimestamp(task.end_at, endDelta * this.slotMinutes)
+    const reversed = this.isTimeScale
+      ? wallMinutes(endAt) < wallMinutes(startAt)
+      : endAt.slice(0, 10) < startAt.slice(0, 10)
+    if (reversed) return
+
+    if (this.pendingNudge && this.pendingNudge.taskId !== task.id) this.commitNudge()
+    if (!this.pendingNudge) this.pendingNudge = { taskId: task.id, previousTasks: this.tasksValue }
+
+    this.applyTaskTimes(task.id, startAt, endAt)
+    const moved = this.taskOffsets({ start: startAt.slice(0, 10), end: endAt.slice(0, 10), start_at: startAt, end_at: endAt })
+    this.focusSlot = startDelta ? (this.focusSlot ?? 0) + startDelta : moved.startOffset + moved.duration - 1
+    this.renderSlotCursor()
+    this.announce(`${task.name}: ${this.formatTimestamp(startAt)} から ${this.formatTimestamp(endAt)}`)
+
+    clearTimeout(this.nudgeTimeout)
+    this.nudgeTimeout = setTimeout(() => this.commitNudge(), 600)
+  }
+
+  commitNudge() {
+    clearTimeout(this.nudgeTimeout)
+    const { taskId, previousTasks } = this.pendingNudge
+    this.pendingNudge = null
+
+    const task = this.tasksValue.find(t => t.id === taskId)
+    if (task) this.rescheduleTask(taskId, task.start_at, task.end_at, previousTasks)
+  }
+
+  announce(message) {
+    if (!this.hasAnnouncerTarget) return
+    this.announcerTarget.textContent = ''
+    // A fresh text node makes screen readers repeat identical messages
+    requestAnimationFrame(() => { this.announcerTarget.textContent = message })
+  }
+
+  // Plain table listing every task in the current view for screen readers
+  renderAccessibleTable() {
+    if (!this.hasAccessibleTableTarget) return
+
+    const table = document.createElement('table')
+    const caption = document.createElement('caption')
+    caption.textContent = isFilterEmpty(this.filter)
+      ? `${this.festivalValue} タスク一覧（${this.rowTasks.length}件）`
+      : `${this.festivalValue} タスク一覧（絞り込み中: ${this.rowTasks.length} / ${this.allTasks.length}件）`
+    table.appendChild(caption)
+
+    const headers = ['タスク', '担当者', '開始日', '期限', '日数', '進捗', 'ステータス', '優先度', 'スケジュール', '先行タスク']
+    const thead = table.createTHead().insertRow()
+    headers.forEach(text => {
+      const th = document.createElement('th')
+      th.scope = 'col'
+      th.textContent = text
+      thead.appendChild(th)
+    })
+
+    const names = new Map(this.allTasks.map(task => [task.id, task.name]))
+    const tbody = table.createTBody()
+    this.rowTasks.forEach(task => {
+      const predecessors = this.dependencies
+        .filter(dependency => dependency.successor_id === task.id)
+        .map(dependency => `${names.get(dependency.predecessor_id) || dependency.predecessor_id}（${this.getDependencyTypeText(dependency.type)}）`)
+      const schedule = [this.isCritical(task) ? 'クリティカル' : null, ...this.taskBadges(task).map(badge => badge.text)]
+        .filter(Boolean)
+
+      const row = tbody.insertRow()
+      const th = document.createElement('th')
+      th.scope = 'row'
+      th.textContent = task.name
+      row.appendChild(th)
+
+      const cells = [
+        task.user,
+        this.formatTimestamp(task.start_at || task.start),
+        this.formatTimestamp(task.end_at || task.end),
+        `${this.daysBetween(task.start, task.end) + 1}日`,
+        `${task.progress}%`,
+        this.getStatusText(task.status),
+        this.getPriorityText(task.priority),
+        schedule.join('、') || '—',
+        predecessors.join('、') || 'なし'
+      ]
+      cells.forEach(text => { row.insertCell().textContent = text })
+    })
+
+    this.accessibleTableTarget.replaceChildren(table)
+  }
+
+  // Swimlane header with a summary bar spanning the whole group
+  createGroupRow({ group, collapsed }, index) {
+    const row = document.createElement('div')
+    row.className = 'gantt-task-row gantt-group-row'
+    row.style.top = `${index * this.rowHeight}px`
+    row.style.height = `${this.rowHeight}px`
+    this.setRowAttributes(row, index, 1)
+    row.setAttribute('aria-expanded', String(!collapsed))
+
+    const label = this.getGroupLabel(group)
+    const summary = `${group.tasks.length}件・平均進捗 ${group.progress}%`
+
+    const toggle = document.createElement('button')
+    toggle.type = 'button'
+    toggle.className = 'gantt-group-toggle'
+    toggle.dataset.action = 'click->gantt#toggleGroup'
+    toggle.dataset.ganttGroupParam = group.key
+    toggle.classList.add('gantt-cell')
+    toggle.setAttribute('role', 'gridcell')
+    toggle.setAttribute('aria-label', `${label}、${summary}、期間 ${group.start} ～ ${group.end}`)
+    toggle.tabIndex = this.isFocusedRow(index) ? 0 : -1
+    toggle.innerHTML = `<i class="bi bi-chevron-${collapsed ? 'right' : 'down'}" aria-hidden="true"></i>`
+
+    const toggleLabel = document.createElement('span')
+    toggleLabel.textContent = `${label}（${summary}）`
+    toggle.appendChild(toggleLabel)
+    row.appendChild(toggle)
+
+    const { startOffset, duration } = this.taskOffsets(group)
+
+    const summaryBar = document.createElement('div')
+    summaryBar.className = 'gantt-summary-bar'
+    summaryBar.style.left = `${startOffset * this.slotWidth}px`
+    summaryBar.style.width = `${duration * this.slotWidth}px`
+    summaryBar.title = `${label}: ${group.start} ～ ${group.end}（${summary}）`
+    summaryBar.setAttribute('aria-hidden', 'true')
+
+    const progressBar = document.createElement('div')
+    progressBar.className = 'gantt-summary-progress'
+    progressBar.style.width = `${group.progress}%`
+    summaryBar.appendChild(progressBar)
+
+    row.appendChild(summaryBar)
+    return row
+  }
+
+  isCritical(task) {
+    return task.status !== 'completed' && !!this.scheduleAnalysis?.get(task.id)?.critical
+  }
+
+  // Days of slack and baseline variance shown right of a task bar
+  taskBadges(task) {
+    const badges = []
+
+    const analysis = this.scheduleAnalysis?.get(task.id)
+    if (analysis && !analysis.critical && task.status !== 'completed') {
+      badges.push({
+        className: 'gantt-slack-badge',
+        text: `余裕 ${analysis.slack}日`,
+        title: `最遅開始日: ${analysis.lateStart}`
+      })
+    }
+
+    const baseline = this.baseline?.get(task.id)
+    if (baseline) {
+      const variance = this.daysBetween(baseline.baseline_end, task.end)
+      badges.push({
+        className: `gantt-variance-badge ${variance > 0 ? 'late' : (variance < 0 ? 'early' : 'on-track')}`,
+        text: variance === 0 ? '差異 なし' : `差異 ${variance > 0 ? '+' : ''}${variance}日`,
+        title: `ベースライン期限: ${baseline.baseline_end}`
+      })
+    }
+
+    return badges
+  }
+
+  getGroupLabel(group) {
+    switch (this.groupBy) {
+      case 'user':
+        return group.tasks[0].user || '未割り当て'
+      case 'priority':
+        return this.getPriorityText(group.key)
+      case 'status':
+        return this.getStatusText(group.key)
+      case 'milestone':
+        return this.getMilestoneName(group.key)
+      default:
+        return group.key
+    }
+  }
+
+  // Slot position of a task, group or baseline entry. On the time scales
+  // entries without times (baselines) cover their days completely.
+  taskOffsets(task) {
+    if (this.isTimeScale) {
+      const startAt = task.start_at || task.start
+      const endAt = task.end_at || shiftTimestamp(task.end, DAY_MINUTES)
+      return slotSpan(startAt, endAt, this.windowStart, this.slotMinutes)
+    }
+
+    const taskStart = new Date(task.start)
+    const taskEnd = new Date(task.end)
+    const startOffset = Math.ceil((taskStart - this.startDate) / (1000 * 60 * 60 * 24))
+    const duration = Math.ceil((taskEnd - taskStart) / (1000 * 60 * 60 * 24)) + 1
+    return { startOffset, duration }
+  }
+
+  // Dependency connectors
+  renderDependencies() {
+    const tasksContainer = this.tasksTarget
+    tasksContainer.querySelector('.gantt-dependency-layer')?.remove()
+
+    const rows = this.rows
+    const rowIndex = this.rowIndex
+    const rendered = this.renderedRows || { first: 0, last: -1 }
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+    svg.classList.add('gantt-dependency-layer')
+    svg.setAttribute('aria-hidden', 'true')
+    svg.setAttribute('width', this.chartWidth)
+    svg.setAttribute('height', Math.max(rows.length * this.rowHeight, 1))
+    svg.innerHTML = `
+      <defs>
+        <marker id="gantt-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z" fill="#495057"></path>
+        </marker>
+      </defs>
+    `
+
+    this.dependencies.forEach(dependency => {
+      if (!rowIndex.has(dependency.predecessor_id) || !rowIndex.has(dependency.successor_id)) return
+
+      // Skip connectors that lie entirely outside the rendered rows
+      const fromRow = rowIndex.get(dependency.predecessor_id)
+      const toRow = rowIndex.get(dependency.successor_id)
+      if (Math.max(fromRow, toRow) < rendered.first || Math.min(fromRow, toRow) > rendered.last) return
+
+      const predecessor = rows[fromRow].task
+      const successor = rows[toRow].task
+      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path')
+      path.classList.add('gantt-dependency')
+      if (this.scheduleAnalysis && isDrivingLink(dependency, this.scheduleAnalysis)) {
+        path.classList.add('critical')
+      }
+      path.dataset.dependencyId = dependency.id
+      path.setAttribute('d', this.dependencyPath(
+        dependency.type,
+        predecessor, fromRow,
+        successor, toRow
+      ))
+      path.setAttribute('marker-end', 'url(#gantt-arrow)')
+
+      const title = document.createElementNS('http://www.w3.org/2000/svg', 'title')
+      title.textContent = `${predecessor.name} → ${successor.name} (${this.getDependencyTypeText(dependency.type)})`
+      path.appendChild(title)
+
+      svg.appendChild(path)
+    })
+
+    tasksContainer.appendChild(svg)
+  }
+
+  dependencyPath(type, predecessor, fromRow, successor, toRow) {
+    const from = this.taskOffsets(predecessor)
+    const to = this.taskOffsets(successor)
+    const fromY = fromRow * this.rowHeight + this.rowHeight / 2
+    const toY = toRow * this.rowHeight + this.rowHeight / 2
+    const midY = fromRow < toRow ? (fromRow + 1) * this.rowHeight : fromRow * this.rowHeight
+    const gap = 10
+
+    const fromX = type === 'start_to_start'
+      ? from.startOffset * this.slotWidth
+      : (from.startOffset + from.duration) * this.slotWidth
+    const toX = type === 'finish_to_finish'
+      ? (to.startOffset + to.duration) * this.slotWidth
+      : to.startOffset * this.slotWidth
+
+    const exitX = type === 'start_to_start' ? fromX - gap : fromX + gap
+    const entryX = type === 'finish_to_finish' ? toX + gap : toX - gap
+
+    return `M ${fromX} ${fromY} H ${exitX} V ${midY} H ${entryX} V ${toY} H ${toX}`
+  }
+
+  startLinkDrag(handle, event) {
+    const taskBar = handle.closest('.gantt-task-bar')
+    const containerRect = this.tasksTarget.getBoundingClientRect()
+
+    this.linkDrag = {
+      taskId: parseInt(taskBar.dataset.taskId),
+      side: handle.dataset.side,
+      originX: event.clientX - containerRect.left,
+      originY: event.clientY - containerRect.top
+    }
+
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line')
+    line.classList.add('gantt-dependency-preview')
+    line.setAttribute('x1', this.linkDrag.originX)
+    line.setAttribute('y1', this.linkDrag.originY)
+    line.setAttribute('x2', this.linkDrag.originX)
+    line.setAttribute('y2', this.linkDrag.originY)
+    this.tasksTarget.querySelector('.gantt-dependency-layer')?.appendChild(line)
+    this.linkPreview = line
+
+    this.boundLinkDragMove = this.updateLinkDrag.bind(this)
+    this.boundLinkDragEnd = this.finishLinkDrag.bind(this)
+    document.addEventListener('mousemove', this.boundLinkDragMove)
+    document.addEventListener('mouseup', this.boundLinkDragEnd)
+
+    event.preventDefault()
+    event.stopPropagation()
+  }
+
+  updateLinkDrag(event) {
+    if (!this.linkPreview) return
+
+    const containerRect = this.tasksTarget.getBoundingClientRect()
+    this.linkPreview.setAttribute('x2', event.clientX - containerRect.left)
+    this.linkPreview.setAttribute('y2', event.clientY - containerRect.top)
+  }
+
+  finishLinkDrag(event) {
+    document.removeEventListener('mousemove', this.boundLinkDragMove)
+    document.removeEventListener('mouseup', this.boundLinkDragEnd)
+    this.linkPreview?.remove()
+    this.linkPreview = null
+
+    const drag = this.linkDrag
+    this.linkDrag = null
+    this.suppressNextClick()
+
+    const target = document.elementFromPoint(event.clientX, event.clientY)?.closest('.gantt-task-bar')
+    if (!drag || !target || !this.tasksTarget.contains(target)) return
+
+    const targetId = parseInt(target.dataset.taskId)
+    if (targetId === drag.taskId) return
+
+    const targetRect = target.getBoundingClientRect()
+    const targetSide = event.clientX < targetRect.left + targetRect.width / 2 ? 'start' : 'finish'
+    const type = this.dependencyTypeFor(drag.side, targetSide)
+
+    if (!type) {
+      this.showToast('開始点から終了点への依存関係には対応していません', 'warning')
+      return
+    }
+
+    this.createDependency(drag.taskId, targetId, type)
+  }
+
+  // Swallow the click that follows mouseup so the details view does not open
+  suppressNextClick() {
+    this.suppressClick = true
+    setTimeout(() => { this.suppressClick = false }, 0)
+  }
+
+  // Drag to reschedule / resize
+  startBarDrag(taskBar, event) {
+    const resizeHandle = event.target.closest('.gantt-resize-handle')
+
+    this.barDrag = {
+      taskId: parseInt(taskBar.dataset.taskId),
+      bar: taskBar,
+      mode: resizeHandle ? `resize-${resizeHandle.dataset.edge}` : 'move',
+      originX: event.clientX,
+      originLeft: parseFloat(taskBar.style.left),
+      originWidth: parseFloat(taskBar.style.width),
+      originTitle: taskBar.title,
+      deltaSlots: 0
+    }
+
+    this.boundBarDragMove = this.updateBarDrag.bind(this)
+    this.boundBarDragEnd = this.finishBarDrag.bind(this)
+    document.addEventListener('mousemove', this.boundBarDragMove)
+    document.addEventListener('mouseup', this.boundBarDragEnd)
+
+    event.preventDefault()
+  }
+
+  updateBarDrag(event) {
+    const drag = this.barDrag
+    if (!drag) return
+
+    // Snap to whole slots (days, hours or quarter hours)
+    const slots = Math.round((event.clientX - drag.originX) / this.slotWidth)
+    const maxShrink = Math.round(drag.originWidth / this.slotWidth) - 1
+    let deltaSlots = slots
+    if (drag.mode === 'resize-start') deltaSlots = Math.min(slots, maxShrink)
+    if (drag.mode === 'resize-end') deltaSlots = Math.max(slots, -maxShrink)
+
+    if (deltaSlots === drag.deltaSlots) return
+    drag.deltaSlots = deltaSlots
+    drag.bar.classList.add('dragging')
+
+    const offset = deltaSlots * this.slotWidth
+    if (drag.mode !== 'resize-end') {
+      drag.bar.style.left = `${drag.originLeft + offset}px`
+    }
+    if (drag.mode === 'resize-start') {
+      drag.bar.style.width = `${drag.originWidth - offset}px`
+    } else if (drag.mode === 'resize-end') {
+      drag.bar.style.width = `${drag.originWidth + offset}px`
+    }
+
+    const { startAt, endAt } = this.draggedTimes(drag)
+    drag.bar.title = `${this.formatTimestamp(startAt)} ～ ${this.formatTimestamp(endAt)}`
+  }
+
+  finishBarDrag() {
+    document.removeEventListener('mousemove', this.boundBarDragMove)
+    document.removeEventListener('mouseup', this.boundBarDragEnd)
+
+    const drag = this.barDrag
+    this.barDrag = null
+    if (!drag) return
+
+    // A bar dragged away and back to where it started is still a drag, not a click
+    if (drag.bar.classList.contains('dragging')) this.suppressNextClick()
+    drag.bar.classList.remove('dragging')
+    drag.bar.title = drag.originTitle
+    if (drag.deltaSlots === 0) return
+
+    const { startAt, endAt } = this.draggedTimes(drag)
+    this.rescheduleTask(drag.taskId, startAt, endAt)
+  }
+
+  // Moves keep the time of day on the day scale; resizing on the time scales
+  // never lets the due time pass the start time
+  draggedTimes(drag) {
+    const task = this.tasksValue.find(t => t.id === drag.taskId)
+    const minutes = drag.deltaSlots * this.slotMinutes
+    const startAt = drag.mode === 'resize-end' ? task.start_at : shiftTimestamp(task.start_at, minutes)
+    let endAt = drag.mode === 'resize-start' ? task.end_at : shiftTimestamp(task.end_at, minutes)
+    if (this.isTimeScale && wallMinutes(endAt) < wallMinutes(startAt)) endAt = startAt
+    return { startAt, endAt }
+  }
+
+  // Optimistically applies the new times (and the shifted successors) and rolls
+  // everything back if the server rejects the change.
+  rescheduleTask(taskId, startAt, endAt, previousTasks = this.tasksValue) {
+    if (!this.applyTaskTimes(taskId, startAt, endAt)) return
+
+    const url = this.taskUrl(taskId)
+    const body = {
+      task: {
+        start_date: startAt,
+        due_date: endAt
+      }
+    }
+
+    this.sendJsonRequest(url, 'PATCH', body)
+      .catch(error => {
+        console.error('Task reschedule failed:', error)
+        this.tasksValue = previousTasks
+        this.renderTasks()
+        this.showToast(`日程を変更できませんでした: ${error.message}`, 'danger')
+      })
+  }
+
+  applyTaskTimes(taskId, startAt, endAt) {
+    const tasks = this.tasksValue
+    const task = tasks.find(t => t.id === taskId)
+    if (!task) return false
+
+    task.start_at = startAt
+    task.end_at = endAt
+    task.start = startAt.slice(0, 10)
+    task.end = endAt.slice(0, 10)
+    task.duration = this.daysBetween(task.start, task.end) + 1
+    this.tasksValue = tasks
+    this.shiftSuccessors(taskId)
+    this.renderTasks()
+    return true
+  }
+
+  dependencyTypeFor(fromSide, toSide) {
+    const types = {
+      'finish:start': 'finish_to_start',
+      'start:start': 'start_to_start',
+      'finish:finish': 'finish_to_finish'
+    }
+    return types[`${fromSide}:${toSide}`] || null
+  }
+
+  // Task endpoints are nested under the task's festival and use the session
+  taskUrl(taskId) {
+    const task = this.tasksValue.find(t => t.id === taskId)
+    return `/festivals/${task.festival_id}/tasks/${taskId}`
+  }
+
+  createDependency(predecessorId, successorId, type) {
+    const url = `${this.taskUrl(predecessorId)}/dependencies`
+    const body = {
+      dependency: {
+        successor_id: successorId,
+        dependency_type: type
+      }
+    }
+
+    this.sendJsonRequest(url, 'POST', body)
+      .then(data => {
+        this.setDependencies([...this.dependencies, data.dependency])
+        this.shiftSuccessors(predecessorId)
+        this.renderTasks()
+      })
+      .catch(error => {
+        console.error('Dependency creation failed:', error)
+        this.showToast(error.message || '依存関係の作成に失敗しました', 'danger')
+      })
+  }
+
+  deleteDependency(dependencyId) {
+    const dependency = this.dependencies.find(d => d.id === dependencyId)
+    if (!dependency) return
+
+    const url = `${this.taskUrl(dependency.predecessor_id)}/dependencies/${dependencyId}`
+
+    this.sendJsonRequest(url, 'DELETE')
+      .then(() => {
+        this.setDependencies(this.dependencies.filter(d => d.id !== dependencyId))
+        this.renderTasks()
+      })
+      .catch(error => {
+        console.error('Dependency deletion failed:', error)
+        this.showToast('依存関係の削除に失敗しました', 'danger')
+      })
+  }
+
+  // Mirrors TaskDependency#enforce! on the server: successors are pushed back
+  // (keeping their duration) until every link is satisfied again.
+  shiftSuccessors(taskId, tasks = null) {
+    const isRoot = tasks === null
+    tasks = tasks || this.tasksValue
+    const shifted = new Set()
+
+    this.dependencies
+      .filter(dependency => dependency.predecessor_id === taskId)
+      .forEach(dependency => {
+        const predecessor = tasks.find(t => t.id === dependency.predecessor_id)
+        const successor = tasks.find(t => t.id === dependency.successor_id)
+        if (!predecessor || !successor) return
+
+        const shift = this.requiredShiftDays(dependency.type, predecessor, successor)
+        if (shift <= 0) return
+
+        successor.start = this.addDays(successor.start, shift)
+        successor.end = this.addDays(successor.end, shift)
+        successor.start_at = shiftTimestamp(successor.start_at, shift * DAY_MINUTES)
+        successor.end_at = shiftTimestamp(successor.end_at, shift * DAY_MINUTES)
+        shifted.add(successor.id)
+        this.shiftSuccessors(successor.id, tasks).forEach(id => shifted.add(id))
+      })
+
+    if (isRoot && shifted.size > 0) {
+      this.tasksValue = tasks
+    }
+    return shifted
+  }
+
+  requiredShiftDays(type, predecessor, successor) {
+    switch (type) {
+      case 'finish_to_start':
+        return this.daysBetween(successor.start, this.addDays(predecessor.end, 1))
+      case 'start_to_start':
+        return this.daysBetween(successor.start, predecessor.start)
+      case 'finish_to_finish':
+        return this.daysBetween(successor.end, predecessor.end)
+      default:
+        return 0
+    }
+  }
+
+  showDependencyMenu(dependencyId, event) {
+    this.closeContextMenu()
+
+    const menu = document.createElement('div')
+    menu.className = 'dropdown-menu show gantt-context-menu'
+    menu.style.position = 'fixed'
+    menu.style.left = `${event.clientX}px`
+    menu.style.top = `${event.clientY}px`
+    menu.innerHTML = `
+      <button type="button" class="dropdown-item text-danger" data-action-name="delete-dependency">
+        <i class="bi bi-trash"></i> 依存関係を削除
+      </button>
+    `
+
+    menu.querySelector('[data-action-name="delete-dependency"]').addEventListener('click', () => {
+      this.closeContextMenu()
+      this.deleteDependency(dependencyId)
+    })
+
+    document.body.appendChild(menu)
+    this.contextMenu = menu
+
+    this.boundCloseContextMenu = (closeEvent) => {
+      if (!menu.contains(closeEvent.target)) this.closeContextMenu()
+    }
+    setTimeout(() => document.addEventListener('mousedown', this.boundCloseContextMenu), 0)
+  }
+
+  closeContextMenu() {
+    if (this.boundCloseContextMenu) {
+      document.removeEventListener('mousedown', this.boundCloseContextMenu)
+      this.boundCloseContextMenu = null
+    }
+    this.contextMenu?.remove()
+    this.contextMenu = null
+  }
+
+  // Legend contents, shared by the on-screen legend and image exports
+  legendSections() {
+    return [
+      {
+        title: '優先度',
+        items: [
+          { kind: 'color', color: '#e74c3c', label: '緊急' },
+          { kind: 'color', color: '#f39c12', label: '高' },
+          { kind: 'color', color: '#3498db', label: '中' },
+          { kind: 'color', color: '#27ae60', label: '低' }
+        ]
+      },
+      {
+        title: 'ステータス',
+        items: [
+          { kind: 'icon', icon: 'bi-circle text-secondary', color: '#6c757d', label: '未着手' },
+          { kind: 'icon', icon: 'bi-play-circle text-primary', color: '#0d6efd', label: '進行中' },
+          { kind: 'icon', icon: 'bi-check-circle text-success', color: '#198754', label: '完了' },
+          { kind: 'icon', icon: 'bi-x-circle text-danger', color: '#dc3545', label: 'キャンセル' }
+        ]
+      },
+      {
+        title: 'スケジュール分析',
+        items: [
+          { kind: 'critical', label: 'クリティカルパス' },
+          { kind: 'badge', text: '余裕 N日', label: '開催日までの余裕' },
+          { kind: 'baseline', label: 'ベースライン' }
+        ]
+      },
+      {
+        title: '警告',
+        items: [
+          { kind: 'icon', icon: 'bi-exclamation-triangle-fill text-danger', color: '#dc3545', label: '期限切れ' },
+          { kind: 'icon', icon: 'bi-clock-fill text-warning', color: '#ffc107', label: '期限間近' }
+        ]
+      },
+      ...(this.milestones.length > 0 ? [{
+        title: 'マイルストーン',
+        items: [
+          { kind: 'milestone', color: MILESTONE_COLORS.open, label: '未完了タスクあり' },
+          { kind: 'milestone', color: MILESTONE_COLORS.done, label: '関連タスク完了' },
+          { kind: 'milestone', color: MILESTONE_COLORS.empty, label: '関連タスクなし' }
+        ]
+      }] : [])
+    ]
+  }
+
+  renderLegend() {
+    const legend = this.legendTarget
+    const symbol = (item) => {
+      switch (item.kind) {
+        case 'icon':
+          return `<i class="bi ${item.icon}"></i>`
+        case 'critical':
+          return '<div class="legend-color legend-critical"></div>'
+        case 'baseline':
+          return '<div class="legend-color legend-baseline"></div>'
+        case 'badge':
+          return `<span class="gantt-slack-badge legend-slack">${item.text}</span>`
+        case 'milestone':
+          return `<div class="legend-milestone" style="background-color: ${item.color}"></div>`
+        default:
+          return `<div class="legend-color" style="background-color: ${item.color}"></div>`
+      }
+    }
+
+    legend.innerHTML = `
+      <div class="gantt-legend">
+        ${this.legendSections().map((section, index) => `
+          <h6${index > 0 ? ' class="mt-3"' : ''}>${section.title}</h6>
+          <div class="legend-items">
+            ${section.items.map(item => `
+              <div class="legend-item">
+                ${symbol(item)}
+                <span>${item.label}</span>
+              </div>
+            `).join('')}
+          </div>
+        `).join('')}
+      </div>
+    `
+  }
+
+  setupInteractions() {
+    // Start dependency links from the bar handles,
+    // move / resize task bars from anywhere else
+    this.tasksTarget.addEventListener('mousedown', (event) => {
+      if (event.button !== 0) return
+
+      const handle = event.target.closest('.gantt-link-handle')
+      const taskBar = event.target.closest('.gantt-task-bar')
+      if (handle) {
+        this.startLinkDrag(handle, event)
+      } else if (taskBar) {
+        this.startBarDrag(taskBar, event)
+      }
+    })
+
+    // Keyboard navigation
+    this.tasksTarget.addEventListener('keydown', this.handleGridKeydown.bind(this))
+    this.tasksTarget.addEventListener('focusin', this.handleGridFocus.bind(this))
+
+    // Dependency context menu
+    this.tasksTarget.addEventListener('contextmenu', (event) => {
+      const connector = event.target.closest('.gantt-dependency')
+      if (connector) {
+        event.preventDefault()
+        this.showDependencyMenu(parseInt(connector.dataset.dependencyId), event)
+      }
+    })
+
+    // Task bar click events
+    this.tasksTarget.addEventListener('click', (event) => {
+      if (this.suppressClick) {
+        this.suppressClick = false
+        return
+      }
+
+      const taskBar = event.target.closest('.gantt-task-bar')
+      if (taskBar) {
+        const taskId = taskBar.dataset.taskId
+        this.showTaskDetails(taskId)
+      }
+    })
+
+    // Horizontal scroll synchronization and virtual window updates
+    this.chartTarget.addEventListener('scroll', this.handleChartScroll.bind(this))
+
+    this.boundRenderVisibleWindow = this.renderVisibleWindow.bind(this)
+    window.addEventListener('resize', this.boundRenderVisibleWindow)
+  }
+
+  showTaskDetails(taskId) {
+    const task = this.tasksValue.find(t => t.id.toString() === taskId)
+    if (task) {
+      // Create modal or tooltip with task details
+      alert(`タスク: ${task.name}\n期間: ${task.start} ～ ${task.end}\n担当者: ${task.user}\n進捗: ${task.progress}%\n説明: ${task.description || 'なし'}`)
+    }
+  }
+
+  getPriorityText(priority) {
+    const priorities = {
+      'urgent': '緊急',
+      'high': '高',
+      'medium': '中',
+      'low': '低'
+    }
+    return priorities[priority] || priority
+  }
+
+  getStatusText(status) {
+    const statuses = {
+      'pending': '未着手',
+      'in_progress': '進行中',
+      'completed': '完了',
+      'cancelled': 'キャンセル'
+    }
+    return statuses[status] || status
+  }
+
+  getMilestoneName(key) {
+    if (key === NO_MILESTONE) return 'マイルストーンなし'
+    return this.milestones.find(milestone => milestone.key === key)?.name || key
+  }
+
+  getDependencyTypeText(type) {
+    const types = {
+      'finish_to_start': '終了→開始',
+      'start_to_start': '開始→開始',
+      'finish_to_finish': '終了→終了'
+    }
+    return types[type] || type
+  }
+
+  // Dates on the day scale, date and time on the hour scales
+  formatTimestamp(timestamp) {
+    if (!this.isTimeScale) return timestamp.slice(0, 10)
+    return `${timestamp.slice(5, 10).replace('-', '/')} ${formatClock(wallMinutes(timestamp))}`
+  }
+
+  taskSpanText(task) {
+    if (!this.isTimeScale) return `${task.start} ～ ${task.end}`
+    return `${this.formatTimestamp(task.start_at)} ～ ${this.formatTimestamp(task.end_at)}`
+  }
+
+  // Dates in the chart data are plain "YYYY-MM-DD" strings (UTC midnight)
+  addDays(dateString, days) {
+    const date = new Date(dateString)
+    date.setUTCDate(date.getUTCDate() + days)
+    return date.toISOString().slice(0, 10)
+  }
+
+  daysBetween(fromDateString, toDateString) {
+    return Math.round((new Date(toDateString) - new Date(fromDateString)) / (1000 * 60 * 60 * 24))
+  }
+
+  sendJsonRequest(url, method, body = null) {
+    return fetch(url, {
+      method: method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').getAttribute('content'),
+        'Accept': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : null
+    }).then(response => {
+      return response.json().catch(() => ({})).then(data => {
+        if (!response.ok) {
+          throw new Error((data.errors && data.errors.join(', ')) || data.error || response.statusText)
+        }
+        return data
+      })
+    })
+  }
+
+  showToast(message, variant = 'warning') {
+    const toast = document.createElement('div')
+    toast.className = 'toast show position-fixed top-0 end-0 m-3'
+    toast.style.zIndex = '9999'
+    toast.innerHTML = `
+      <div class="toast-header bg-${variant} ${variant === 'danger' ? 'text-white' : ''}">
+        <strong class="me-auto">ガントチャート</strong>
+        <button type="button" class="btn-close" data-bs-dismiss="toast"></button>
+      </div>
+      <div class="toast-body"></div>
+    `
+    // Messages carry user input (baseline names, server errors), so never parse them as markup
+    toast.querySelector('.toast-body').textContent = message
+
+    document.body.appendChild(toast)
+    toast.querySelector('.btn-close')?.addEventListener('click', () => toast.remove())
+
+    setTimeout(() => {
+      toast.remove()
+    }, 5000)
+  }
+
+  isSameDay(date1, date2) {
+    return date1.getFullYear() === date2.getFullYear() &&
+           date1.getMonth() === date2.getMonth() &&
+           date1.getDate() === date2.getDate()
+  }
+
+  // Filters: status / priority / assignee / date window / free text.
+  // Inputs declare their filter key with data-gantt-key-param.
+  updateFilter(event) {
+    this.setFilter(event.params.key, event.target.value)
+  }
+
+  // Free-text search waits for the user to stop typing
+  updateSearch(event) {
+    clearTimeout(this.searchTimeout)
+    this.searchTimeout = setTimeout(() => this.setFilter('q', event.target.value), 250)
+  }
+
+  removeFilter(event) {
+    this.setFilter(event.params.key, null)
+  }
+
+  clearFilters() {
+    this.filter = {}
+    this.applyFilter()
+  }
+
+  setFilter(key, value) {
+    const normalized = value?.trim()
+    const filter = { ...this.filter }
+
+    if (normalized && normalized !== 'all') {
+      filter[key] = normalized
+    } else {
+      delete filter[key]
+    }
+
+    this.filter = filter
+    this.applyFilter()
+  }
+
+  applyFilter() {
+    this.replaceQueryString(serializeTaskFilter(this.filter, window.location.search))
+
+    this.syncFilterInputs()
+    this.renderFilterChips()
+    this.chartTarget.scrollTop = 0
+    this.renderTasks()
+  }
+
+  // Swimlanes: group rows by assignee, priority or status
+  parseGrouping(search) {
+    const groupBy = new URLSearchParams(search).get('group')
+    return GROUPINGS.includes(groupBy) ? groupBy : null
+  }
+
+  changeGrouping(event) {
+    this.groupBy = GROUPINGS.includes(event.target.value) ? event.target.value : null
+    this.collapsedGroups.clear()
+
+    const params = new URLSearchParams(window.location.search)
+    if (this.groupBy) {
+      params.set('group', this.groupBy)
+    } else {
+      params.delete('group')
+    }
+    this.replaceQueryString(params.toString() ? `?${params}` : '')
+
+    this.chartTarget.scrollTop = 0
+    this.renderTasks()
+  }
+
+  toggleGroup(event) {
+    this.toggleGroupKey(event.params.group)
+  }
+
+  // Time scale: "day" spans the planning period, "hour" / "quarter" one day
+  parseScale(search) {
+    const params = new URLSearchParams(search)
+    const scale = params.get('scale')
+    const day = params.get('day')
+
+    this.scale = Object.hasOwn(SCALES, scale || '') ? scale : 'day'
+    this.scaleDay = /^\d{4}-\d{2}-\d{2}$/.test(day || '') ? day : this.defaultScaleDay()
+  }
+
+  // Today while the festival is on, otherwise its first day
+  defaultScaleDay() {
+    const today = new Date(this.currentMinutes() * 60000).toISOString().slice(0, 10)
+    const festivalDays = this.tasksValue.filter(task => task.festival_start)
+    if (festivalDays.some(task => today >= task.festival_start && today <= (task.festival_end || task.festival_start))) {
+      return today
+    }
+
+    const upcoming = festivalDays.map(task => task.festival_start).filter(day => day >= today).sort()
+    return upcoming[0] || today
+  }
+
+  changeScale(event) {
+    if (!Object.hasOwn(SCALES, event.target.value)) return
+    this.scale = event.target.value
+    this.applyScale()
+  }
+
+  changeScaleDay(event) {
+    if (!event.target.value) return
+    this.scaleDay = event.target.value
+    this.applyScale()
+  }
+
+  applyScale() {
+    const params = new URLSearchParams(window.location.search)
+    if (isTimeScale(this.scale)) {
+      params.set('scale', this.scale)
+      params.set('day', this.scaleDay)
+    } else {
+      params.delete('scale')
+      params.delete('day')
+    }
+    this.replaceQueryString(params.toString() ? `?${params}` : '')
+
+    this.focusSlot = null
+    this.initializeChart()
+    this.renderTimeline()
+    this.renderTasks()
+    this.syncScaleInputs()
+
+    if (this.isTimeScale) {
+      this.scrollToWorkingHours()
+    } else {
+      this.chartTarget.scrollLeft = 0
+    }
+  }
+
+  syncScaleInputs() {
+    if (this.hasScaleSelectTarget) this.scaleSelectTarget.value = this.scale
+    if (this.hasScaleDayTarget) {
+      this.scaleDayTarget.value = this.scaleDay
+      this.scaleDayTarget.disabled = !this.isTimeScale
+    }
+    if (this.hasRunSheetLinkTarget) {
+      const url = new URL(this.runSheetLinkTarget.href, window.location.origin)
+      url.searchParams.set('date', this.scaleDay)
+      this.runSheetLinkTarget.href = url.toString()
+      this.runSheetLinkTarget.hidden = !this.isTimeScale
+    }
+  }
+
+  // Opens the day at the current time, or shortly before the first task
+  scrollToWorkingHours() {
+    const viewport = this.chartTarget
+    const now = this.currentMinutes() - this.windowStart
+    const starts = this.rowTasks.map(task => wallMinutes(task.start_at) - this.windowStart).filter(minutes => minutes >= 0)
+    const target = now >= 0 && now < DAY_MINUTES
+      ? now - 60
+      : (starts.length > 0 ? Math.min(...starts) - this.slotMinutes : 8 * 60)
+
+    viewport.scrollLeft = Math.max(0, target / this.slotMinutes * this.slotWidth)
+    this.timelineTarget.scrollLeft = viewport.scrollLeft
+  }
+
+  replaceQueryString(search) {
+    const { pathname, hash } = window.location
+    window.history.replaceState(window.history.state, '', `${pathname}${search}${hash}`)
+  }
+
+  syncFilterInputs() {
+    this.filterInputTargets.forEach(input => {
+      const fallback = input.tagName === 'SELECT' ? 'all' : ''
+      input.value = this.filter[input.dataset.ganttKeyParam] || fallback
+    })
+
+    if (this.hasGroupByTarget) this.groupByTarget.value = this.groupBy || 'none'
+  }
+
+  // Assignee options come from the tasks themselves
+  populateAssigneeOptions() {
+    if (!this.hasAssigneeFilterTarget) return
+
+    const select = this.assigneeFilterTarget
+    const assignees = new Map()
+    this.tasksValue.forEach(task => {
+      if (task.user_id) assignees.set(String(task.user_id), task.user)
+    })
+
+    const options = [...assignees.entries()].sort((a, b) => a[1].localeCompare(b[1], 'ja'))
+
+    select.querySelectorAll('option:not([value="all"])').forEach(option => option.remove())
+    options.forEach(([id, name]) => select.add(new Option(name, id)))
+  }
+
+  renderFilterChips() {
+    if (!this.hasFilterChipsTarget) return
+
+    const container = this.filterChipsTarget
+    container.innerHTML = ''
+    if (isFilterEmpty(this.filter)) return
+
+    FILTER_KEYS.forEach(key => {
+      if (!this.filter[key]) return
+
+      const chip = document.createElement('span')
+      chip.className = 'gantt-filter-chip badge rounded-pill'
+
+      const label = document.createElement('span')
+      label.textContent = this.getFilterLabel(key, this.filter[key])
+      chip.appendChild(label)
+
+      const remove = document.createElement('button')
+      remove.type = 'button'
+      remove.className = 'btn-close btn-close-sm'
+      remove.setAttribute('aria-label', '条件を解除')
+      remove.dataset.action = 'click->gantt#removeFilter'
+      remove.dataset.ganttKeyParam = key
+      chip.appendChild(remove)
+
+      container.appendChild(chip)
+    })
+
+    const clearAll = document.createElement('button')
+    clearAll.type = 'button'
+    clearAll.className = 'btn btn-link btn-sm p-0 ms-1'
+    clearAll.textContent = 'すべて解除'
+    clearAll.dataset.action = 'click->gantt#clearFilters'
+    container.appendChild(clearAll)
+  }
+
+  getFilterLabel(key, value) {
+    switch (key) {
+      case 'status':
+        return `ステータス: ${this.getStatusText(value)}`
+      case 'priority':
+        return `優先度: ${this.getPriorityText(value)}`
+      case 'assignee': {
+        const task = this.tasksValue.find(t => String(t.user_id) === String(value))
+        return `担当者: ${task ? task.user : value}`
+      }
+      case 'festival_id': {
+        const task = this.tasksValue.find(t => String(t.festival_id) === String(value))
+        return `お祭り: ${task ? task.festival : value}`
+      }
+      case 'from':
+        return `期間: ${value} 以降`
+      case 'to':
+        return `期間: ${value} 以前`
+      case 'q':
+        return `キーワード: ${value}`
+      case 'milestone':
+        return `マイルストーン: ${this.getMilestoneName(value)}`
+      default:
+        return value
+    }
+  }
+
+  // Task count and the server-rendered sidebar follow the filter
+  updateTaskCount() {
+    const visibleIds = new Set(this.rowTasks.map(task => String(task.id)))
+
+    this.element.querySelectorAll('.gantt-task-item[data-task-id]').forEach(item => {
+      item.hidden = !visibleIds.has(item.dataset.taskId)
+    })
+
+    if (this.hasTaskCountTarget) {
+      this.taskCountTarget.innerHTML = isFilterEmpty(this.filter)
+        ? `<strong>${this.allTasks.length}</strong> 件`
+        : `<strong>${this.rowTasks.length}</strong> / ${this.allTasks.length} 件`
+    }
+  }
+
+  // Zoom functionality
+  zoomIn() {
+    this.setSlotWidth(this.slotWidth * 1.25)
+  }
+
+  zoomOut() {
+    this.setSlotWidth(this.slotWidth * 0.8)
+  }
+
+  // Keeps the slot in the middle of the viewport in place while zooming
+  setSlotWidth(width) {
+    const viewport = this.chartTarget
+    const centerSlot = (viewport.scrollLeft + viewport.clientWidth / 2) / this.slotWidth
+
+    this.slotWidth = Math.min(Math.max(width, this.minSlotWidth), this.maxSlotWidth)
+    this.chartWidth = this.calculateChartWidth()
+    this.updateChartWidth()
+
+    viewport.scrollLeft = Math.max(0, centerSlot * this.slotWidth - viewport.clientWidth / 2)
+    this.timelineTarget.scrollLeft = viewport.scrollLeft
+  }
+
+  updateChartWidth() {
+    this.renderTimeline()
+    this.renderTasks()
+  }
+
+  // Export the current view (filters, swimlanes, zoom, baseline) as an image
+  exportPng() {
+    const canvas = renderGanttCanvas(this.buildExportView())
+    canvas.toBlob(blob => downloadBlob(blob, `${this.exportFilename()}.png`), 'image/png')
+  }
+
+  exportPdf() {
+    const canvas = renderGanttCanvas(this.buildExportView())
+    downloadBlob(canvasToPdf(canvas), `${this.exportFilename()}.pdf`)
+  }
+
+  exportFilename() {
+    if (this.isTimeScale) return `gantt_${this.scaleDay}_${this.scale}`
+    return `gantt_${new Date().toISOString().slice(0, 10)}`
+  }
+
+  buildExportView() {
+    const today = new Date()
+    const columns = []
+
+    for (let i = 0; i <= this.totalSlots; i++) {
+      const { label, weekend, today: isToday } = this.columnInfo(i, today)
+      columns.push({ x: i * this.slotWidth, width: this.slotWidth, label, weekend, today: isToday })
+    }
+
+    const rows = this.rows.map(row => row.group ? this.exportGroupRow(row.group) : this.exportTaskRow(row.task))
+
+    const links = this.dependencies
+      .filter(d => this.rowIndex.has(d.predecessor_id) && this.rowIndex.has(d.successor_id))
+      .map(dependency => {
+        const fromRow = this.rowIndex.get(dependency.predecessor_id)
+        const toRow = this.rowIndex.get(dependency.successor_id)
+        return {
+          d: this.dependencyPath(dependency.type, this.rows[fromRow].task, fromRow, this.rows[toRow].task, toRow),
+          critical: !!this.scheduleAnalysis && isDrivingLink(dependency, this.scheduleAnalysis)
+        }
+      })
+
+    const conditions = FILTER_KEYS
+      .filter(key => this.filter[key])
+      .map(key => this.getFilterLabel(key, this.filter[key]))
+    if (this.hasBaselineSelectTarget && this.baselineSelectTarget.value) {
+      conditions.push(`ベースライン: ${this.baselineSelectTarget.selectedOptions[0].text}`)
+    }
+
+    return {
+      title: this.isTimeScale
+        ? `${this.festivalValue} 当日進行（${this.scaleDay}・${this.scale === 'hour' ? '1時間' : '15分'}単位）`
+        : `${this.festivalValue} ガントチャート`,
+      subtitle: [
+        `出力日時: ${today.toLocaleString('ja-JP')}`,
+        `${this.rowTasks.length}件`,
+        ...conditions
+      ].join('　'),
+      chartWidth: this.chartWidth,
+      rowHeight: this.rowHeight,
+      columns,
+      rows,
+      links,
+      milestones: this.milestoneStates().map(milestone => ({
+        x: this.milestoneX(milestone),
+        label: milestone.name,
+        color: MILESTONE_COLORS[milestone.state]
+      })),
+      phases: this.phases
+        .map(phase => ({ ...this.phaseGeometry(phase), label: phase.name, color: PHASE_COLORS[phase.key] }))
+        .filter(phase => phase.width > 0),
+      legend: this.legendSections()
+    }
+  }
+
+  exportTaskRow(task) {
+    const { startOffset, duration } = this.taskOffsets(task)
+    const baseline = !this.isTimeScale && this.baseline?.get(task.id)
+    const ghost = baseline && this.taskOffsets({ start: baseline.baseline_start, end: baseline.baseline_end })
+
+    return {
+      kind: 'task',
+      label: task.name,
+      sublabel: `${task.user}・${this.taskSpanText(task)}`,
+      x: startOffset * this.slotWidth,
+      width: duration * this.slotWidth,
+      color: task.color,
+      progress: task.progress,
+      critical: this.isCritical(task),
+      warning: task.overdue ? '#dc3545' : (task.due_soon ? '#ffc107' : null),
+      baseline: ghost ? { x: ghost.startOffset * this.slotWidth, width: ghost.duration * this.slotWidth } : null,
+      badges: this.taskBadges(task).map(badge => badge.text)
+    }
+  }
+
+  exportGroupRow(group) {
+    const { startOffset, duration } = this.taskOffsets(group)
+
+    return {
+      kind: 'group',
+      label: `${this.getGroupLabel(group)}（${group.tasks.length}件）`,
+      sublabel: `平均進捗 ${group.progress}%`,
+      x: startOffset * this.slotWidth,
+      width: duration * this.slotWidth,
+      progress: group.progress
+    }
   }
-}
\ No newline at end of file
+}
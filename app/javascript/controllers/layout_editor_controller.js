@@ -1,12 +1,149 @@
 import { Controller } from "@hotwired/stimulus"
 import { Sortable } from "sortablejs"
+import { LayoutHistory, invertCommand, compactChanges } from "lib/layout_history"
+import { HANDLES, normalizeRotation, resizeBox, rotationFromPointer } from "lib/layout_geometry"
+import { alignBoxes, arrangeInRows, distributeBoxes, readingOrder } from "lib/layout_arrange"
+import { LayoutViewport, expandToAspect, worldBounds } from "lib/layout_viewport"
+import { edgeGap, formatMeters, rulerTicks, snapToGuides, toMeters, toPixels } from "lib/layout_measure"
+import {
+  EXIT_TYPES, WALKWAY_TYPES, blocksWalking, buildWalkGrid, chooseCellSize, evacuationRoute, exitDistances, heatmapColor
+} from "lib/layout_evacuation"
+import {
+  POWER_SOURCE_TYPES, RUN_TYPES, formatPoints, isRun, isUtility, parsePoints, polylineLength, runGeometry
+} from "lib/layout_utilities"
+
+// Record kinds the editor can save, with the attributes sent when one is
+// (re)created. Venue areas are shown but edited on their own screen.
+const EDITABLE_ATTRIBUTES = {
+  layout_element: [
+    'element_type', 'name', 'description', 'x_position', 'y_position',
+    'width', 'height', 'rotation', 'color', 'layer', 'locked', 'visible', 'properties'
+  ],
+  booth: [
+    'venue_area_id', 'vendor_application_id', 'name', 'booth_number', 'size', 'status',
+    'x_position', 'y_position', 'width', 'height', 'rotation',
+    'power_required', 'water_required', 'power_load', 'special_requirements'
+  ]
+}
+const NUMERIC_ATTRIBUTES = ['x_position', 'y_position', 'width', 'height', 'rotation']
+// Property panel fields, shown when every selected record has the attribute.
+// `single` fields only make sense for one element; `geometry` fields are
+// frozen while an element is locked. `command` names the step in the history.
+// `meters` fields are stored in pixels and shown in meters at the venue scale.
+// `shape` fields don't apply to cable and hose runs, whose points set their
+// shape. `types` fields live in properties, on those element types only.
+const PANEL_FIELDS = [
+  { attribute: 'x_position', label: 'X (m)', type: 'number', command: 'Move', geometry: true, single: true, meters: true, step: 0.1 },
+  { attribute: 'y_position', label: 'Y (m)', type: 'number', command: 'Move', geometry: true, single: true, meters: true, step: 0.1 },
+  { attribute: 'size', label: 'Size', type: 'select', command: 'Resize', geometry: true },
+  { attribute: 'width', label: 'Width (m)', type: 'number', command: 'Resize', geometry: true, shape: true, meters: true, min: 0.1, step: 0.1 },
+  { attribute: 'height', label: 'Height (m)', type: 'number', command: 'Resize', geometry: true, shape: true, meters: true, min: 0.1, step: 0.1 },
+  { attribute: 'rotation', label: 'Rotation (°)', type: 'number', command: 'Rotate', geometry: true, shape: true, min: 0, max: 359 },
+  { attribute: 'color', label: 'Color', type: 'color', command: 'Color' },
+  { attribute: 'layer', label: 'Layer', type: 'number', command: 'Layer', min: 0, step: 1 },
+  { attribute: 'locked', label: 'Locked', type: 'checkbox', command: 'Lock' },
+  { attribute: 'visible', label: 'Visible', type: 'checkbox', command: 'Visibility' },
+  { attribute: 'power_required', label: 'Needs power', type: 'checkbox', command: 'Utilities' },
+  { attribute: 'power_load', label: 'Power load (kW)', type: 'number', command: 'Utilities', min: 0, step: 0.1 },
+  { attribute: 'water_required', label: 'Needs water', type: 'checkbox', command: 'Utilities' },
+  { attribute: 'capacity_kw', label: 'Capacity (kW)', type: 'number', command: 'Capacity', min: 0, step: 0.1, types: POWER_SOURCE_TYPES }
+]
+const MIN_ELEMENT_SIZE = 5
+// Rotation snaps to this step while Shift is held
+const ROTATION_SNAP = 15
+// Pointer travel (px) below which a marquee counts as a plain click
+const MARQUEE_THRESHOLD = 3
+// Zoom factor per wheel notch and per toolbar click
+const WHEEL_ZOOM = 1.1
+const BUTTON_ZOOM = 1.25
+// Screen distance (px) within which dragged edges stick to a guide
+const GUIDE_SNAP = 6
+// Thickness (px) of the rulers along the canvas edges
+const RULER_SIZE = 20
+// Each paste lands this far (px) below and to the right of the previous one
+const PASTE_OFFSET = 20
+// Quiet period after an edit before the server reports are refreshed
+const REPORT_DELAY = 500
+const SEVERITY_ORDER = ['critical', 'major', 'moderate', 'minor']
+const SEVERITY_BADGES = { critical: 'danger', major: 'warning', moderate: 'info', minor: 'secondary' }
+// Meters of open ground around venues that have no venue areas
+const EVACUATION_MARGIN = 5
+// Meters per second, the usual planning figure for a crowd walking out
+const WALKING_SPEED = 1
+const RUN_COLORS = { cable_run: '#fd7e14', hose_run: '#0d6efd' }
+
+function escapeHtml(text) {
+  const div = document.createElement('div')
+  div.textContent = text ?? ''
+  return div.innerHTML
+}
+
+function recordKey(kind, id) {
+  return `${kind}:${id}`
+}
+
+// Whether a property panel field edits this record
+function fieldApplies(field, record) {
+  if (field.types) return record.kind === 'layout_element' && field.types.includes(record.element_type)
+  if (field.shape && isRun(record)) return false
+  return EDITABLE_ATTRIBUTES[record.kind].includes(field.attribute)
+}
+
+function fieldValue(field, record) {
+  return field.types ? record.properties?.[field.attribute] : record[field.attribute]
+}
+
+// Decimal columns arrive from Rails as strings; booths nest their area and vendor
+function normalizeRecord(kind, data) {
+  const record = { ...data, kind }
+  NUMERIC_ATTRIBUTES.forEach(attribute => {
+    if (record[attribute] != null) record[attribute] = parseFloat(record[attribute])
+  })
+  if (kind === 'booth') {
+    record.venue_area_id = data.venue_area?.id ?? data.venue_area_id
+    record.vendor_application_id = data.vendor?.id ?? data.vendor_application_id ?? null
+    record.power_load = record.power_load != null ? parseFloat(record.power_load) : null
+  } else if (kind === 'layout_element') {
+    record.layer = record.layer != null ? parseInt(record.layer, 10) : null
+    record.locked = !!record.locked
+    record.visible = record.visible === true
+    // Freshly saved elements come back with properties still as JSON text
+    if (typeof record.properties === 'string') {
+      try {
+        record.properties = JSON.parse(record.properties)
+      } catch {
+        record.properties = {}
+      }
+    }
+    record.properties ||= {}
+  }
+  return record
+}
 
 export default class extends Controller {
-  static targets = ["canvas", "sidebar", "toolbar", "elementPalette", "propertyPanel", "coordinateDisplay"]
+  static targets = ["canvas", "sidebar", "toolbar", "elementPalette", "propertyPanel", "coordinateDisplay", "undoButton", "redoButton",
+                    "rowSize", "rowSpacing", "rowAisle", "minimap", "scaleInput", "measureButton",
+                    "safetyRules", "safetyResults", "safetyBadge",
+                    "routeButton", "heatmapButton", "runButton", "utilityButton", "utilitySummary", "utilityBadge",
+                    "vendorList", "vendorCount", "arrangeForm", "arrangeResults",
+                    "sitePlanName", "sitePlanControls", "sitePlanOpacity", "sitePlanVisible", "calibrationDistance",
+                    "calibrateButton", "traceForm", "traceAreaType", "traceResults"]
   static values = { 
     venueId: Number,
+    elementsUrl: String,
+    boothsUrl: String,
+    venueUrl: String,
+    safetyCheckUrl: String,
+    utilityPlanUrl: String,
+    autoArrangeUrl: String,
+    removeSitePlanUrl: String,
+    traceSitePlanUrl: String,
+    sitePlan: Object,
     layoutData: Object,
+    vendorApplications: { type: Array, default: [] },
     gridSize: { type: Number, default: 10 },
+    pixelsPerMeter: { type: Number, default: 10 },
+    boothSizes: Object,
     snapToGrid: { type: Boolean, default: true },
     showGrid: { type: Boolean, default: true }
   }
@@ -15,21 +152,60 @@ export default class extends Controller {
     console.log("Layout editor connected")
     this.selectedElements = new Set()
     this.draggedElement = null
+    this.dragGroup = []
+    this.marquee = null
+    this.suppressClick = false
     this.startPos = { x: 0, y: 0 }
-    this.canvasOffset = { x: 0, y: 0 }
-    this.scale = 1
+    this.viewport = new LayoutViewport()
+    this.guides = { vertical: [], horizontal: [], ...this.layoutDataValue.venue?.layout_guides }
+    this.guideDrag = null
+    this.measuring = false
+    this.measurement = null
+    this.routing = false
+    this.route = null
+    this.showHeatmap = false
+    this.heatmap = null
+    this.evacuation = undefined
+    this.runDraft = null
+    this.draggedVendor = null
+    this.skippedVendors = new Set()
+    this.arrangement = null
+    this.sitePlan = this.sitePlanValue.url ? this.sitePlanValue : null
+    this.sitePlanLayer = null
+    this.calibration = null
+    this.tracing = null
     this.isSpacePressed = false
     this.isPanning = false
     this.panStart = { x: 0, y: 0 }
+    this.history = new LayoutHistory()
+    this.historyBusy = false
+    this.records = new Map()
+    const { booths = [], layout_elements: layoutElements = [] } = this.layoutDataValue
+    booths.forEach(booth => this.addRecord(normalizeRecord('booth', booth)))
+    layoutElements.forEach(element => this.addRecord(normalizeRecord('layout_element', element)))
+    this.clipboard = []
+    this.pasteCount = 0
+    this.safetyReport = null
+    this.violations = new Map()
+    this.utilityReport = null
+    this.unmetNeeds = new Map()
     
     this.initializeCanvas()
     this.initializeEventListeners()
     this.initializePalette()
     this.renderLayout()
+    this.renderSitePlan()
+    // Open with the whole layout in view, without blowing small layouts up
+    this.fitView({ maxScale: 1 })
+    this.updateHistoryButtons()
+    this.renderVendorList()
+    this.refreshReports()
   }
 
   disconnect() {
     this.removeEventListeners()
+    if (this.minimapFrame) cancelAnimationFrame(this.minimapFrame)
+    clearTimeout(this.reportTimer)
   }
 
   initializeCanvas() {
@@ -43,6 +219,38 @@ export default class extends Controller {
     if (this.showGridValue) {
       this.addGridBackground()
     }
+
+    // Everything in world coordinates lives in this layer, which carries the
+    // viewport's pan and zoom
+    this.world = document.createElement('div')
+    this.world.className = 'layout-world'
+    canvas.appendChild(this.world)
+
+    // Guides, the measure line and the rulers are drawn in screen space on
+    // top of the world
+    this.overlay = document.createElement('div')
+    this.overlay.className = 'layout-overlay'
+    canvas.appendChild(this.overlay)
+
+    this.rulers = {
+      horizontal: this.createRuler('horizontal'),
+      vertical: this.createRuler('vertical')
+    }
+    const corner = document.createElement('div')
+    corner.className = 'layout-ruler-corner'
+    corner.textContent = 'm'
+    canvas.appendChild(corner)
+  }
+
+  // The top ruler is horizontal and pulls out horizontal guides; the left one
+  // pulls out vertical guides
+  createRuler(orientation) {
+    const ruler = document.createElement('div')
+    ruler.className = `layout-ruler layout-ruler-${orientation}`
+    ruler.dataset.guideAxis = orientation
+    ruler.title = 'Drag onto the canvas to add a guide'
+    this.canvasTarget.appendChild(ruler)
+    return ruler
   }
 
   addGridBackground() {
@@ -51,7 +259,7 @@ export default class extends Controller {
     const gridPattern = `
       <defs>
         <pattern id="grid" width="${gridSize}" height="${gridSize}" patternUnits="userSpaceOnUse">
-          <path d="M ${gridSize} 0 L 0 0 0 ${gridSize}" fill="none" stroke="#e0e0e0" stroke-width="1"/>
+          <path d="M ${gridSize} 0 L 0 0 0 ${gridSize}" fill="none" stroke="#e0e0e0" stroke-width="1" vector-effect="non-scaling-stroke"/>
         </pattern>
       </defs>
       <rect width="100%" height="100%" fill="url(#grid)" />
@@ -68,6 +276,8 @@ export default class extends Controller {
     svg.style.zIndex = '0'
     
     canvas.insertBefore(svg, canvas.firstChild)
+    // The grid stays on the canvas and follows the viewport through the pattern
+    this.gridPattern = svg.querySelector('pattern')
   }
 
   initializeEventListeners() {
@@ -76,14 +286,19 @@ export default class extends Controller {
     this.canvasTarget.addEventListener('mouseup', this.handleMouseUp.bind(this))
     this.canvasTarget.addEventListener('click', this.handleClick.bind(this))
     this.canvasTarget.addEventListener('wheel', this.handleWheel.bind(this))
+    this.canvasTarget.addEventListener('dragover', this.handleDragOver.bind(this))
+    this.canvasTarget.addEventListener('drop', this.handleDrop.bind(this))
     
-    document.addEventListener('keydown', this.handleKeyDown.bind(this))
-    document.addEventListener('keyup', this.handleKeyUp.bind(this))
+    // Keep the bound handlers so disconnect removes the same functions
+    this.boundKeyDown = this.handleKeyDown.bind(this)
+    this.boundKeyUp = this.handleKeyUp.bind(this)
+    document.addEventListener('keydown', this.boundKeyDown)
+    document.addEventListener('keyup', this.boundKeyUp)
   }
 
   removeEventListeners() {
-    document.removeEventListener('keydown', this.handleKeyDown.bind(this))
-    document.removeEventListener('keyup', this.handleKeyUp.bind(this))
+    document.removeEventListener('keydown', this.boundKeyDown)
+    document.removeEventListener('keyup', this.boundKeyUp)
   }
 
   initializePalette() {
@@ -95,12 +310,15 @@ export default class extends Controller {
       { type: 'exit', name: '出口', icon: '🚪', color: '#dc3545' },
       { type: 'stage', name: 'ステージ', icon: '🎭', color: '#6f42c1' },
       { type: 'restroom', name: 'トイレ', icon: '🚻', color: '#17a2b8' },
-      { type: 'food_court', name: 'フードコート', icon: '🍽️', color: '#fd7e14' },
-      { type: 'information', name: '案内所', icon: 'ℹ️', color: '#007bff' },
-      { type: 'parking', name: '駐車場', icon: '🅿️', color: '#6c757d' },
+      { type: 'food_area', name: 'フードコート', icon: '🍽️', color: '#fd7e14' },
+      { type: 'info_booth', name: '案内所', icon: 'ℹ️', color: '#007bff' },
+      { type: 'parking_area', name: '駐車場', icon: '🅿️', color: '#6c757d' },
       { type: 'path', name: '通路', icon: '🛤️', color: '#ffc107' },
-      { type: 'security', name: '警備', icon: '🛡️', color: '#e83e8c' },
-      { type: 'storage', name: '倉庫', icon: '📦', color: '#20c997' }
+      { type: 'security_post', name: '警備', icon: '🛡️', color: '#e83e8c' },
+      { type: 'storage_area', name: '倉庫', icon: '📦', color: '#20c997' },
+      { type: 'generator', name: '発電機', icon: '⚡', color: '#fd7e14' },
+      { type: 'distribution_board', name: '分電盤', icon: '🔌', color: '#e8590c' },
+      { type: 'water_point', name: '給水栓', icon: '🚰', color: '#0dcaf0' }
     ]
 
     elementTypes.forEach(elementType => {
@@ -108,6 +326,8 @@ export default class extends Controller {
       paletteItem.className = 'palette-item'
       paletteItem.draggable = true
       paletteItem.dataset.elementType = elementType.type
+      paletteItem.dataset.elementName = elementType.name
+      paletteItem.dataset.elementColor = elementType.color
       paletteItem.innerHTML = `
         <span class="palette-icon">${elementType.icon}</span>
         <span class="palette-name">${elementType.name}</span>
@@ -134,19 +354,18 @@ export default class extends Controller {
       })
     }
     
-    // Render booths
-    if (this.layoutDataValue.booths) {
-      this.layoutDataValue.booths.forEach(booth => {
-        this.renderBooth(booth)
-      })
-    }
-    
-    // Render layout elements
-    if (this.layoutDataValue.layout_elements) {
-      this.layoutDataValue.layout_elements.forEach(element => {
-        this.renderLayoutElement(element)
-      })
-    }
+    // Render booths and layout elements
+    this.records.forEach(record => {
+      this.renderRecord(record)
+    })
+  }
+
+  renderRecord(record) {
+    this.scheduleMinimap()
+    const node = record.kind === 'booth' ? this.renderBooth(record) : this.renderLayoutElement(record)
+    this.markViolations(node)
+    this.markUtilities(node)
+    return node
   }
 
   renderVenueArea(area) {
@@ -154,6 +373,7 @@ export default class extends Controller {
     areaElement.className = 'layout-element venue-area'
     areaElement.dataset.elementId = area.id
     areaElement.dataset.elementType = 'venue_area'
+    areaElement.dataset.kind = 'venue_area'
     areaElement.style.position = 'absolute'
     areaElement.style.left = `${area.x_position}px`
     areaElement.style.top = `${area.y_position}px`
@@ -182,7 +402,7 @@ export default class extends Controller {
     label.style.pointerEvents = 'none'
     
     areaElement.appendChild(label)
-    this.canvasTarget.appendChild(areaElement)
+    this.world.appendChild(areaElement)
   }
 
   renderBooth(booth) {
@@ -190,6 +410,7 @@ export default class extends Controller {
     boothElement.className = 'layout-element booth'
     boothElement.dataset.elementId = booth.id
     boothElement.dataset.elementType = 'booth'
+    boothElement.dataset.kind = 'booth'
     boothElement.style.position = 'absolute'
     boothElement.style.left = `${booth.x_position}px`
     boothElement.style.top = `${booth.y_position}px`
@@ -219,7 +440,8 @@ export default class extends Controller {
     label.style.pointerEvents = 'none'
     
     boothElement.appendChild(label)
-    this.canvasTarget.appendChild(boothElement)
+    this.world.appendChild(boothElement)
+    return boothElement
   }
 
   renderLayoutElement(element) {
@@ -227,6 +449,7 @@ export default class extends Controller {
     elementDiv.className = 'layout-element layout-element-custom'
     elementDiv.dataset.elementId = element.id
     elementDiv.dataset.elementType = element.element_type
+    elementDiv.dataset.kind = 'layout_element'
     elementDiv.style.position = 'absolute'
     elementDiv.style.left = `${element.x_position}px`
     elementDiv.style.top = `${element.y_position}px`
@@ -235,17 +458,27 @@ export default class extends Controller {
     elementDiv.style.backgroundColor = element.color || '#007bff'
     elementDiv.style.border = '2px solid #0056b3'
     elementDiv.style.borderRadius = '4px'
-    elementDiv.style.cursor = 'move'
+    elementDiv.style.cursor = element.locked ? 'default' : 'move'
     elementDiv.style.zIndex = element.layer || '30'
+    // Hidden elements stay editable here but are faded out
+    elementDiv.classList.toggle('is-hidden', element.visible !== true)
+    elementDiv.classList.toggle('is-locked', !!element.locked)
+    if (isUtility(element)) elementDiv.dataset.utility = 'true'
     
     if (element.rotation) {
       elementDiv.style.transform = `rotate(${element.rotation}deg)`
     }
     
+    if (isRun(element)) {
+      this.drawRun(elementDiv, element)
+      this.world.appendChild(elementDiv)
+      return elementDiv
+    }
+    
     const icon = this.getElementIcon(element.element_type)
     const label = document.createElement('div')
     label.className = 'element-label'
-    label.innerHTML = `${icon} ${element.name}`
+    label.innerHTML = `${element.locked ? '🔒 ' : ''}${icon} ${escapeHtml(element.name)}`
     label.style.position = 'absolute'
     label.style.top = '50%'
     label.style.left = '50%'
@@ -257,7 +490,61 @@ export default class extends Controller {
     label.style.pointerEvents = 'none'
     
     elementDiv.appendChild(label)
-    this.canvasTarget.appendChild(elementDiv)
+    this.world.appendChild(elementDiv)
+    return elementDiv
+  }
+
+  // Records: booths and layout elements by kind and id, kept in step with the
+  // server so history entries can be replayed from them
+
+  addRecord(record) {
+    this.records.set(recordKey(record.kind, record.id), record)
+  }
+
+  recordFor(node) {
+    return this.records.get(recordKey(node.dataset.kind, node.dataset.elementId)) || null
+  }
+
+  isEditable(node) {
+    return Object.hasOwn(EDITABLE_ATTRIBUTES, node.dataset.kind)
+  }
+
+  selectedRecords() {
+    return [...this.selectedElements].map(node => this.recordFor(node)).filter(Boolean)
+  }
+
+  findRecordNode(record) {
+    return this.canvasTarget.querySelector(`[data-kind="${record.kind}"][data-element-id="${record.id}"]`)
+  }
+
+  // Re-renders one record in place, keeping it selected
+  refreshRecord(record) {
+    const existing = this.findRecordNode(record)
+    const wasSelected = existing && this.selectedElements.has(existing)
+    existing?.remove()
+
+    const node = this.renderRecord(record)
+    if (wasSelected) {
+      this.selectedElements.delete(existing)
+      this.selectedElements.add(node)
+      node.classList.add('selected')
+      this.selectionChanged()
+    }
+  }
+
+  storeRecord(record) {
+    this.addRecord(record)
+    this.refreshRecord(record)
+  }
+
+  removeRecord(record) {
+    const existing = this.findRecordNode(record)
+    if (existing) {
+      this.selectedElements.delete(existing)
+      existing.remove()
+    }
+    this.records.delete(recordKey(record.kind, record.id))
+    this.scheduleMinimap()
   }
 
   getBoothColor(status) {
@@ -277,18 +564,29 @@ export default class extends Controller {
       'exit': '🚪',
       'stage': '🎭',
       'restroom': '🚻',
-      'food_court': '🍽️',
-      'information': 'ℹ️',
-      'parking': '🅿️',
+      'food_area': '🍽️',
+      'info_booth': 'ℹ️',
+      'parking_area': '🅿️',
       'path': '🛤️',
-      'security': '🛡️',
-      'storage': '📦'
+      'security_post': '🛡️',
+      'storage_area': '📦',
+      'power_source': '🔌',
+      'generator': '⚡',
+      'distribution_board': '🔌',
+      'water_source': '🚰',
+      'water_point': '🚰'
     }
     return icons[elementType] || '📍'
   }
 
   handleMouseDown(event) {
+    // The minimap handles its own pointer events
+    if (event.target.closest('.layout-minimap')) return
+
+    const guideSource = event.target.closest('.layout-ruler, .layout-guide')
+
     const element = event.target.closest('.layout-element')
+    const handle = event.target.closest('.layout-handle')
     
     if (this.isSpacePressed) {
       // Pan mode
@@ -299,29 +597,52 @@ export default class extends Controller {
       return
     }
     
-    if (element) {
+    this.suppressClick = false
+    if (guideSource) {
+      this.startGuideDrag(guideSource, event)
+    } else if (this.measuring) {
+      this.startMeasure(event)
+    } else if (this.routing) {
+      this.traceRoute(event)
+    } else if (this.runDraft) {
+      this.addRunPoint(event)
+    } else if (this.calibration) {
+      this.addCalibrationPoint(event)
+    } else if (handle) {
+      this.startTransform(handle, event)
+    } else if (element && this.isEditable(element)) {
       this.startDrag(element, event)
     } else {
-      this.clearSelection()
+      // Empty canvas or a venue area: rubber-band selection
+      this.startMarquee(event)
     }
   }
 
   handleMouseMove(event) {
     if (this.isPanning) {
-      const deltaX = event.clientX - this.panStart.x
-      const deltaY = event.clientY - this.panStart.y
-      
-      this.canvasOffset.x += deltaX
-      this.canvasOffset.y += deltaY
-      
-      this.canvasTarget.style.transform = `translate(${this.canvasOffset.x}px, ${this.canvasOffset.y}px) scale(${this.scale})`
+      this.viewport.panBy(event.clientX - this.panStart.x, event.clientY - this.panStart.y)
+      this.applyViewport()
       
       this.panStart = { x: event.clientX, y: event.clientY }
       return
     }
     
-    if (this.draggedElement) {
+    if (this.guideDrag) {
+      this.updateGuideDrag(event)
+    } else if (this.measurement?.active) {
+      this.updateMeasure(event)
+    } else if (this.runDraft) {
+      this.updateRunDraft(event)
+    } else if (this.calibration) {
+      this.updateCalibration(event)
+    } else if (this.transform) {
+      this.updateTransform(event)
+    } else if (this.draggedElement) {
       this.updateDraggedElement(event)
+    } else if (this.marquee) {
+      this.updateMarquee(event)
+    } else if (this.lockedDrag) {
+      this.warnLockedDrag(event)
     }
     
     this.updateCoordinateDisplay(event)
@@ -330,16 +651,34 @@ export default class extends Controller {
   handleMouseUp(event) {
     if (this.isPanning) {
       this.isPanning = false
-      this.canvasTarget.style.cursor = this.isSpacePressed ? 'grab' : 'default'
+      this.canvasTarget.style.cursor = this.isSpacePressed ? 'grab' : this.idleCursor()
       return
     }
     
-    if (this.draggedElement) {
+    if (this.guideDrag) {
+      this.finalizeGuideDrag(event)
+    } else if (this.measurement?.active) {
+      this.measurement.active = false
+    } else if (this.transform) {
+      this.finalizeTransform()
+    } else if (this.draggedElement) {
       this.finalizeDrag(event)
+    } else if (this.marquee) {
+      this.finalizeMarquee()
     }
+    this.lockedDrag = null
   }
 
   handleClick(event) {
+    // Clicks belong to the canvas tools while one is on
+    if (this.measuring || this.routing || this.runDraft || this.calibration) return
+
+    // A group drag or marquee just finished; keep the selection it made
+    if (this.suppressClick) {
+      this.suppressClick = false
+      return
+    }
+
     const element = event.target.closest('.layout-element')
     
     if (element) {
@@ -354,16 +693,21 @@ export default class extends Controller {
   }
 
   handleWheel(event) {
+    event.preventDefault()
     if (event.ctrlKey || event.metaKey) {
-      // Zoom
-      event.preventDefault()
-      const delta = event.deltaY > 0 ? 0.9 : 1.1
-      this.scale = Math.max(0.1, Math.min(3, this.scale * delta))
-      this.canvasTarget.style.transform = `translate(${this.canvasOffset.x}px, ${this.canvasOffset.y}px) scale(${this.scale})`
+      // Zoom around the pointer
+      this.viewport.zoomAt(this.screenPoint(event), event.deltaY > 0 ? 1 / WHEEL_ZOOM : WHEEL_ZOOM)
+    } else {
+      this.viewport.panBy(-event.deltaX, -event.deltaY)
     }
+    this.applyViewport()
+    this.updateCoordinateDisplay(event)
   }
 
   handleKeyDown(event) {
+    // Leave typing in the property panel and other fields alone
+    if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return
+
     switch (event.key) {
       case ' ':
         if (!this.isSpacePressed) {
@@ -374,7 +718,40 @@ export default class extends Controller {
         break
       case 'Delete':
       case 'Backspace':
-        this.deleteSelectedElements()
+        if (this.runDraft) {
+          this.undoRunPoint()
+        } else {
+          this.deleteSelectedElements()
+        }
+        break
+      case 'Enter':
+        if (this.runDraft) {
+          this.finishRun()
+        }
+        break
+      case 'm':
+        if (!event.ctrlKey && !event.metaKey) {
+          this.toggleMeasure()
+        }
+        break
+      case 'e':
+        if (!event.ctrlKey && !event.metaKey) {
+          this.toggleRouteTool()
+        }
+        break
+      case 'Escape':
+        if (this.measuring || this.routing || this.runDraft || this.calibration) {
+          this.exitTools()
+          this.updateToolButtons()
+          this.canvasTarget.style.cursor = this.idleCursor()
+          this.renderOverlay()
+        }
+        break
+      case 'a':
+        if (event.ctrlKey || event.metaKey) {
+          event.preventDefault()
+          this.selectAll()
+        }
         break
       case 'c':
         if (event.ctrlKey || event.metaKey) {
@@ -386,8 +763,16 @@ export default class extends Controller {
           this.pasteElements()
         }
         break
+      case 'd':
+        if (event.ctrlKey || event.metaKey) {
+          event.preventDefault()
+          this.duplicateSelectedElements()
+        }
+        break
       case 'z':
+      case 'Z':
         if (event.ctrlKey || event.metaKey) {
+          event.preventDefault()
           if (event.shiftKey) {
             this.redo()
           } else {
@@ -395,222 +780,2314 @@ export default class extends Controller {
           }
         }
         break
+      case 'y':
+        if (event.ctrlKey || event.metaKey) {
+          event.preventDefault()
+          this.redo()
+        }
+        break
     }
   }
 
   handleKeyUp(event) {
     if (event.key === ' ') {
       this.isSpacePressed = false
-      this.canvasTarget.style.cursor = 'default'
+      this.canvasTarget.style.cursor = this.idleCursor()
     }
   }
 
   handlePaletteDragStart(event) {
-    const elementType = event.target.dataset.elementType
+    const { elementType, elementName, elementColor } = event.target.dataset
     event.dataTransfer.setData('text/plain', JSON.stringify({
       type: 'new_element',
-      element_type: elementType
+      element_type: elementType,
+      name: elementName,
+      color: elementColor
     }))
     event.dataTransfer.effectAllowed = 'copy'
   }
 
+  handleDragOver(event) {
+    event.preventDefault()
+    if (!this.draggedVendor) {
+      event.dataTransfer.dropEffect = 'copy'
+      return
+    }
+
+    // Vendors can only be dropped on booths
+    const booth = event.target.closest('.layout-element[data-kind="booth"]')
+    this.highlightDropTarget(booth)
+    event.dataTransfer.dropEffect = booth ? 'link' : 'none'
+  }
+
+  handleDrop(event) {
+    event.preventDefault()
+
+    let data
+    try {
+      data = JSON.parse(event.dataTransfer.getData('text/plain'))
+    } catch {
+      return
+    }
+    if (data.type === 'vendor_application') {
+      this.endVendorDrag()
+      this.assignVendor(data.id, event.target.closest('.layout-element[data-kind="booth"]'))
+      return
+    }
+    if (data.type !== 'new_element') return
+
+    let { x, y } = this.canvasPoint(event)
+    if (this.snapToGridValue) {
+      x = Math.round(x / this.gridSizeValue) * this.gridSizeValue
+      y = Math.round(y / this.gridSizeValue) * this.gridSizeValue
+    }
+
+    this.execute({
+      type: 'create',
+      label: 'Add',
+      elements: [{
+        kind: 'layout_element',
+        element_type: data.element_type,
+        name: data.name || data.element_type,
+        x_position: x,
+        y_position: y,
+        width: 100,
+        height: 100,
+        color: data.color || '#007bff',
+        locked: false,
+        visible: true
+      }]
+    })
+  }
+
   startDrag(element, event) {
+    const record = this.recordFor(element)
+    if (record?.locked) {
+      this.lockedDrag = { record, start: { x: event.clientX, y: event.clientY } }
+      return
+    }
+
+    // Dragging a selected element carries the rest of the selection along;
+    // locked members stay where they are
+    const nodes = this.selectedElements.has(element)
+      ? [...this.selectedElements].filter(node => this.isEditable(node) && !this.recordFor(node)?.locked)
+      : [element]
+
     this.draggedElement = element
+    this.dragGroup = nodes.map(node => ({
+      node,
+      zIndex: node.style.zIndex,
+      origin: {
+        x_position: parseFloat(node.style.left),
+        y_position: parseFloat(node.style.top)
+      }
+    }))
     this.startPos = { x: event.clientX, y: event.clientY }
     
-    const rect = element.getBoundingClientRect()
-    const canvasRect = this.canvasTarget.getBoundingClientRect()
-    
-    this.elementOffset = {
-      x: event.clientX - rect.left,
-      y: event.clientY - rect.top
-    }
-    
-    element.style.zIndex = '1000'
-    element.style.opacity = '0.8'
+    nodes.forEach(node => {
+      node.style.zIndex = '1000'
+      node.style.opacity = '0.8'
+    })
     
     event.preventDefault()
   }
 
   updateDraggedElement(event) {
-    const canvasRect = this.canvasTarget.getBoundingClientRect()
-    let newX = event.clientX - canvasRect.left - this.elementOffset.x
-    let newY = event.clientY - canvasRect.top - this.elementOffset.y
+    const { origin } = this.dragGroup.find(item => item.node === this.draggedElement)
+    let newX = origin.x_position + this.viewport.toWorldDistance(event.clientX - this.startPos.x)
+    let newY = origin.y_position + this.viewport.toWorldDistance(event.clientY - this.startPos.y)
     
-    // Snap to grid
+    // Snap the element under the pointer; the others keep their offsets to it
     if (this.snapToGridValue) {
       newX = Math.round(newX / this.gridSizeValue) * this.gridSizeValue
       newY = Math.round(newY / this.gridSizeValue) * this.gridSizeValue
     }
+    // Guides win over the grid when an edge comes close to one
+    const threshold = this.viewport.toWorldDistance(GUIDE_SNAP)
+    newX = snapToGuides(newX, parseFloat(this.draggedElement.style.width), this.guides.vertical, threshold)
+    newY = snapToGuides(newY, parseFloat(this.draggedElement.style.height), this.guides.horizontal, threshold)
+    const deltaX = Math.round((newX - origin.x_position) * 100) / 100
+    const deltaY = Math.round((newY - origin.y_position) * 100) / 100
     
-    this.draggedElement.style.left = `${newX}px`
-    this.draggedElement.style.top = `${newY}px`
+    this.dragGroup.forEach(item => {
+      item.node.style.left = `${item.origin.x_position + deltaX}px`
+      item.node.style.top = `${item.origin.y_position + deltaY}px`
+    })
+    this.syncPanelInputs(this.draggedElement, {
+      x_position: origin.x_position + deltaX,
+      y_position: origin.y_position + deltaY
+    })
+  }
+
+  // Locked elements stay put; say why once the pointer actually moves
+  warnLockedDrag(event) {
+    const { record, start } = this.lockedDrag
+    if (Math.hypot(event.clientX - start.x, event.clientY - start.y) < 4) return
+
+    this.lockedDrag = null
+    this.showToast(`${escapeHtml(record.name)} is locked. Unlock it in the properties panel to move it.`)
   }
 
   finalizeDrag(event) {
     if (!this.draggedElement) return
     
-    const elementId = this.draggedElement.dataset.elementId
-    const elementType = this.draggedElement.dataset.elementType
-    
-    const newX = parseFloat(this.draggedElement.style.left)
-    const newY = parseFloat(this.draggedElement.style.top)
-    
-    // Reset visual state
-    this.draggedElement.style.zIndex = ''
-    this.draggedElement.style.opacity = ''
+    const changes = compactChanges(this.dragGroup.map(({ node, zIndex, origin }) => {
+      // Reset visual state
+      node.style.zIndex = zIndex
+      node.style.opacity = ''
+      
+      const record = this.recordFor(node)
+      return {
+        kind: record.kind,
+        id: record.id,
+        before: origin,
+        after: { x_position: parseFloat(node.style.left), y_position: parseFloat(node.style.top) }
+      }
+    }))
     
-    // Update position on server
-    this.updateElementPosition(elementId, elementType, newX, newY)
+    // Update positions on server
+    if (changes) {
+      if (this.dragGroup.length > 1) this.suppressClick = true
+      this.execute({ type: 'update', label: 'Move', changes })
+    }
     
     this.draggedElement = null
+    this.dragGroup = []
   }
 
-  updateElementPosition(elementId, elementType, x, y) {
-    const url = `/admin/venues/${this.venueIdValue}/layout_elements/${elementId}/update_position`
-    const data = {
-      layout_element: {
-        x_position: x,
-        y_position: y
-      }
+  // Rubber-band selection. Booths and layout elements touched by the band are
+  // selected; Shift / Ctrl adds them to the current selection.
+
+  startMarquee(event) {
+    const additive = event.shiftKey || event.ctrlKey || event.metaKey
+    if (!additive) this.clearSelection()
+
+    const band = document.createElement('div')
+    band.className = 'layout-marquee'
+    band.style.display = 'none'
+    this.world.appendChild(band)
+
+    this.marquee = { start: this.canvasPoint(event), band, rect: null }
+    event.preventDefault()
+  }
+
+  updateMarquee(event) {
+    const { start, band } = this.marquee
+    const point = this.canvasPoint(event)
+    const rect = {
+      left: Math.min(start.x, point.x),
+      top: Math.min(start.y, point.y),
+      right: Math.max(start.x, point.x),
+      bottom: Math.max(start.y, point.y)
     }
-    
-    fetch(url, {
-      method: 'PATCH',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').getAttribute('content')
-      },
-      body: JSON.stringify(data)
-    })
-    .then(response => response.json())
-    .then(data => {
-      if (data.overlaps && data.overlaps.length > 0) {
-        this.showOverlapWarning(data.overlaps)
+
+    this.marquee.rect = rect
+    band.style.display = ''
+    band.style.left = `${rect.left}px`
+    band.style.top = `${rect.top}px`
+    band.style.width = `${rect.right - rect.left}px`
+    band.style.height = `${rect.bottom - rect.top}px`
+  }
+
+  finalizeMarquee() {
+    const { band, rect } = this.marquee
+    band.remove()
+    this.marquee = null
+
+    const threshold = this.viewport.toWorldDistance(MARQUEE_THRESHOLD)
+    if (!rect || (rect.right - rect.left < threshold && rect.bottom - rect.top < threshold)) return
+
+    this.canvasTarget.querySelectorAll('.layout-element').forEach(node => {
+      if (!this.isEditable(node)) return
+
+      const left = parseFloat(node.style.left)
+      const top = parseFloat(node.style.top)
+      const touches = left < rect.right && left + parseFloat(node.style.width) > rect.left &&
+        top < rect.bottom && top + parseFloat(node.style.height) > rect.top
+      if (touches) {
+        this.selectedElements.add(node)
+        node.classList.add('selected')
       }
     })
-    .catch(error => {
-      console.error('Error updating position:', error)
-    })
+    this.suppressClick = true
+    this.selectionChanged()
   }
 
-  selectElement(element) {
-    this.clearSelection()
-    this.selectedElements.add(element)
-    element.classList.add('selected')
-    this.updatePropertyPanel(element)
+  // Pointer position on the canvas element, in screen pixels
+  screenPoint(event) {
+    const rect = this.canvasTarget.getBoundingClientRect()
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top }
   }
 
-  toggleSelection(element) {
-    if (this.selectedElements.has(element)) {
-      this.selectedElements.delete(element)
-      element.classList.remove('selected')
+  // Pointer position in world coordinates, whatever the pan and zoom
+  canvasPoint(event) {
+    return this.viewport.toWorld(this.screenPoint(event))
+  }
+
+  // Viewport: pan and zoom are held in this.viewport and pushed to the world
+  // layer, the grid and the minimap from applyViewport()
+
+  canvasSize() {
+    return { width: this.canvasTarget.clientWidth, height: this.canvasTarget.clientHeight }
+  }
+
+  applyViewport() {
+    const { scale, offset } = this.viewport
+    this.world.style.transform = this.viewport.cssTransform
+    this.gridPattern?.setAttribute('patternTransform', `translate(${offset.x} ${offset.y}) scale(${scale})`)
+    this.renderRulers()
+    this.renderOverlay()
+    this.scheduleMinimap()
+  }
+
+  zoomIn() {
+    this.zoomAtCenter(BUTTON_ZOOM)
+  }
+
+  zoomOut() {
+    this.zoomAtCenter(1 / BUTTON_ZOOM)
+  }
+
+  zoomAtCenter(factor) {
+    const { width, height } = this.canvasSize()
+    this.viewport.zoomAt({ x: width / 2, y: height / 2 }, factor)
+    this.applyViewport()
+  }
+
+  fitToVenue() {
+    this.fitView()
+  }
+
+  // Frames every venue area, booth and layout element
+  fitView(options = {}) {
+    const bounds = worldBounds(this.nodeBoxes())
+    if (bounds) {
+      this.viewport.fit(bounds, this.canvasSize(), options)
     } else {
-      this.selectedElements.add(element)
-      element.classList.add('selected')
+      this.viewport.scale = 1
+      this.viewport.offset = { x: 0, y: 0 }
     }
-    this.updatePropertyPanel()
+    this.applyViewport()
   }
 
-  clearSelection() {
-    this.selectedElements.forEach(element => {
-      element.classList.remove('selected')
-    })
-    this.selectedElements.clear()
-    this.updatePropertyPanel()
+  // World boxes of everything drawn on the canvas, as currently rendered
+  nodeBoxes() {
+    return [...this.world.querySelectorAll('.layout-element')].map(node => this.nodeBox(node))
   }
 
-  updatePropertyPanel(element = null) {
-    if (!this.hasPropertyPanelTarget) return
-    
-    const panel = this.propertyPanelTarget
-    
-    if (element) {
-      const elementId = element.dataset.elementId
-      const elementType = element.dataset.elementType
-      
-      panel.innerHTML = `
-        <h6>Properties</h6>
-        <div class="mb-2">
-          <label>Type:</label>
-          <span>${elementType}</span>
-        </div>
-        <div class="mb-2">
-          <label>X:</label>
-          <input type="number" class="form-control form-control-sm" value="${parseFloat(element.style.left)}" data-property="x">
-        </div>
-        <div class="mb-2">
-          <label>Y:</label>
-          <input type="number" class="form-control form-control-sm" value="${parseFloat(element.style.top)}" data-property="y">
-        </div>
-        <div class="mb-2">
-          <label>Width:</label>
-          <input type="number" class="form-control form-control-sm" value="${parseFloat(element.style.width)}" data-property="width">
-        </div>
-        <div class="mb-2">
-          <label>Height:</label>
-          <input type="number" class="form-control form-control-sm" value="${parseFloat(element.style.height)}" data-property="height">
-        </div>
-      `
-    } else {
-      panel.innerHTML = '<p class="text-muted">Select an element to edit properties</p>'
+  nodeBox(node) {
+    return {
+      node,
+      x_position: parseFloat(node.style.left) || 0,
+      y_position: parseFloat(node.style.top) || 0,
+      width: parseFloat(node.style.width) || 0,
+      height: parseFloat(node.style.height) || 0
     }
   }
 
-  updateCoordinateDisplay(event) {
-    if (!this.hasCoordinateDisplayTarget) return
-    
-    const canvasRect = this.canvasTarget.getBoundingClientRect()
-    const x = event.clientX - canvasRect.left
-    const y = event.clientY - canvasRect.top
-    
-    this.coordinateDisplayTarget.textContent = `X: ${Math.round(x)}, Y: ${Math.round(y)}`
+  // Minimap: the whole layout in miniature with the visible part outlined.
+  // Redrawn at most once per frame; click or drag on it to move the view.
+
+  scheduleMinimap() {
+    if (!this.hasMinimapTarget || this.minimapFrame) return
+
+    this.minimapFrame = requestAnimationFrame(() => {
+      this.minimapFrame = null
+      this.renderMinimap()
+    })
   }
 
-  showOverlapWarning(overlaps) {
-    // Create toast notification for overlaps
-    const toast = document.createElement('div')
-    toast.className = 'toast show position-fixed top-0 end-0 m-3'
-    toast.style.zIndex = '9999'
-    toast.innerHTML = `
-      <div class="toast-header bg-warning">
-        <strong class="me-auto">Layout Warning</strong>
-        <button type="button" class="btn-close" data-bs-dismiss="toast"></button>
-      </div>
-      <div class="toast-body">
-        ${overlaps.length} overlap(s) detected. Please adjust element positions.
-      </div>
+  renderMinimap() {
+    const minimap = this.minimapTarget
+    const boxes = this.nodeBoxes()
+    const visible = this.viewport.visibleWorld(this.canvasSize())
+
+    // Keep the scale steady while the user drags on the minimap
+    if (!this.minimapPanning || !this.minimapView) {
+      const visibleBox = { x_position: visible.x, y_position: visible.y, width: visible.width, height: visible.height }
+      const content = worldBounds([...boxes, visibleBox])
+      this.minimapView = expandToAspect(content, minimap.clientWidth / Math.max(minimap.clientHeight, 1))
+    }
+
+    const view = this.minimapView
+    const rects = boxes.map(({ node, x_position, y_position, width, height }) => {
+      const fill = node.dataset.kind === 'venue_area' ? '#dee2e6' : (node.style.backgroundColor || '#adb5bd')
+      return `<rect x="${x_position}" y="${y_position}" width="${width}" height="${height}" fill="${fill}"/>`
+    })
+
+    minimap.innerHTML = `
+      <svg width="100%" height="100%" viewBox="${view.x} ${view.y} ${view.width} ${view.height}">
+        ${rects.join('')}
+        <rect class="layout-minimap-viewport" x="${visible.x}" y="${visible.y}" width="${visible.width}" height="${visible.height}"
+              fill="rgba(0, 123, 255, 0.1)" stroke="#007bff" stroke-width="2" vector-effect="non-scaling-stroke"/>
+      </svg>
     `
-    
-    document.body.appendChild(toast)
-    
-    setTimeout(() => {
-      toast.remove()
-    }, 5000)
   }
 
-  deleteSelectedElements() {
-    // Implementation for deleting selected elements
-    console.log('Delete selected elements')
+  startMinimapPan(event) {
+    event.preventDefault()
+    event.stopPropagation()
+    this.minimapTarget.setPointerCapture(event.pointerId)
+    this.minimapPanning = true
+    this.panToMinimapPoint(event)
   }
 
-  copySelectedElements() {
-    // Implementation for copying selected elements
-    console.log('Copy selected elements')
+  moveMinimapPan(event) {
+    if (this.minimapPanning) this.panToMinimapPoint(event)
   }
 
-  pasteElements() {
-    // Implementation for pasting elements
-    console.log('Paste elements')
+  endMinimapPan(event) {
+    if (!this.minimapPanning) return
+
+    this.minimapPanning = false
+    this.minimapTarget.releasePointerCapture(event.pointerId)
+    this.scheduleMinimap()
   }
 
-  undo() {
-    // Implementation for undo
-    console.log('Undo')
+  panToMinimapPoint(event) {
+    const rect = this.minimapTarget.getBoundingClientRect()
+    const view = this.minimapView
+    if (!view) return
+
+    this.viewport.centerOn({
+      x: view.x + (event.clientX - rect.left) / rect.width * view.width,
+      y: view.y + (event.clientY - rect.top) / rect.height * view.height
+    }, this.canvasSize())
+    this.applyViewport()
   }
 
-  redo() {
-    // Implementation for redo
-    console.log('Redo')
+  // Scale, rulers and guides. The venue's pixels-per-meter turns layout
+  // pixels into meters everywhere the editor shows a length.
+
+  saveScale() {
+    const pixelsPerMeter = parseFloat(this.scaleInputTarget.value)
+    if (!(pixelsPerMeter > 0)) {
+      this.showToast('Enter how many layout pixels make one meter')
+      return
+    }
+
+    this.sendJsonRequest(this.venueUrlValue, 'PATCH', { venue: { pixels_per_meter: pixelsPerMeter } })
+      .then(data => {
+        this.pixelsPerMeterValue = parseFloat(data.pixels_per_meter)
+        this.applyViewport()
+        this.updatePropertyPanel()
+        this.refreshReports()
+        this.refreshEvacuation()
+        this.showToast(`Scale saved: ${this.pixelsPerMeterValue} px = 1 m`, 'success')
+      })
+      .catch(error => this.showToast(`Could not save the scale: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  // Analyses that depend on where everything stands
+  layoutChanged() {
+    this.renderVendorList()
+    // A proposal made for the old layout would no longer match what Accept saves
+    if (this.arrangement) {
+      this.discardArrangement()
+      this.showToast('The layout changed, so the auto-arrange preview was discarded')
+    }
+    this.scheduleReports()
+    this.refreshEvacuation()
+  }
+
+  // The safety check and the utility plan come from the server, once edits
+  // settle, so the editor shows exactly what the downloadable reports list
+
+  scheduleReports() {
+    clearTimeout(this.reportTimer)
+    this.reportTimer = setTimeout(() => this.refreshReports(), REPORT_DELAY)
+  }
+
+  refreshReports() {
+    clearTimeout(this.reportTimer)
+    this.runSafetyCheck()
+    this.loadUtilityPlan()
+  }
+
+  runSafetyCheck() {
+    if (!this.hasSafetyCheckUrlValue) return
+
+    this.sendJsonRequest(this.safetyCheckUrlValue, 'GET')
+      .then(report => this.showSafetyReport(report))
+      .catch(error => this.showToast(`Could not run the safety check: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  showSafetyReport(report) {
+    this.safetyReport = report
+    this.violations = new Map()
+    report.violations.forEach(violation => {
+      violation.elements.forEach(reference => {
+        const key = recordKey(reference.kind, reference.id)
+        this.violations.set(key, [...(this.violations.get(key) || []), violation])
+      })
+    })
+
+    this.canvasTarget.querySelectorAll('.layout-element').forEach(node => this.markViolations(node))
+    this.renderSafetyResults()
+  }
+
+  markViolations(node) {
+    node.querySelector(':scope > .layout-violation-badge')?.remove()
+    const violations = this.violations.get(recordKey(node.dataset.kind, node.dataset.elementId))
+    node.classList.toggle('has-violation', Boolean(violations))
+    if (!violations) {
+      delete node.dataset.severity
+      return
+    }
+
+    node.dataset.severity = SEVERITY_ORDER.find(severity => violations.some(violation => violation.severity === severity))
+    const badge = document.createElement('div')
+    badge.className = 'layout-violation-badge'
+    badge.textContent = '!'
+    badge.title = violations.map(violation => violation.description).join('\n')
+    node.appendChild(badge)
+  }
+
+  renderSafetyResults() {
+    const violations = this.safetyReport.violations
+
+    if (this.hasSafetyBadgeTarget) {
+      this.safetyBadgeTarget.className = `badge bg-${violations.length === 0 ? 'success' : 'danger'}`
+      this.safetyBadgeTarget.textContent = violations.length === 0 ? 'OK' : `${violations.length} issue${violations.length === 1 ? '' : 's'}`
+    }
+    if (!this.hasSafetyResultsTarget) return
+
+    if (violations.length === 0) {
+      this.safetyResultsTarget.innerHTML = '<p class="text-success small mb-0"><i class="bi bi-check-circle"></i> No violations</p>'
+      return
+    }
+
+    this.safetyResultsTarget.innerHTML = `
+      <div class="list-group list-group-flush small">
+        ${violations.map((violation, index) => `
+          <button type="button" class="list-group-item list-group-item-action px-2 py-1"
+                  data-action="layout-editor#showViolation" data-layout-editor-index-param="${index}">
+            <span class="badge bg-${SEVERITY_BADGES[violation.severity] || 'secondary'} me-1">${escapeHtml(violation.severity)}</span>
+            ${escapeHtml(violation.description)}
+          </button>
+        `).join('')}
+      </div>
+    `
+  }
+
+  // Selects the records behind a violation and brings it into view
+  showViolation(event) {
+    const violation = this.safetyReport?.violations[event.params.index]
+    if (!violation) return
+
+    this.selectRecords(violation.elements)
+    if (violation.position) {
+      this.viewport.centerOn({
+        x: toPixels(violation.position.x, this.pixelsPerMeterValue),
+        y: toPixels(violation.position.y, this.pixelsPerMeterValue)
+      }, this.canvasSize())
+      this.applyViewport()
+    }
+  }
+
+  changeSafetyRule() {
+    const rules = {}
+    this.safetyRulesTarget.querySelectorAll('[data-safety-rule]').forEach(input => {
+      const rule = (rules[input.dataset.safetyRule] ||= {})
+      rule[input.dataset.safetySetting] = input.type === 'checkbox' ? input.checked : parseFloat(input.value)
+    })
+
+    this.sendJsonRequest(this.venueUrlValue, 'PATCH', { venue: { safety_rules: rules } })
+      .then(() => this.runSafetyCheck())
+      .catch(error => this.showToast(`Could not save the safety rules: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  renderRulers() {
+    const size = this.canvasSize()
+    const visible = this.viewport.visibleWorld(size)
+    const draw = (ruler, start, length, side) => {
+      const { ticks } = rulerTicks({ start, length, scale: this.viewport.scale, pixelsPerMeter: this.pixelsPerMeterValue })
+      ruler.innerHTML = ticks.map(tick => `
+        <div class="layout-ruler-tick${tick.major ? ' major' : ''}" style="${side}: ${tick.screen}px">
+          ${tick.major ? `<span>${tick.meters}</span>` : ''}
+        </div>
+      `).join('')
+    }
+
+    draw(this.rulers.horizontal, visible.x, size.width, 'left')
+    draw(this.rulers.vertical, visible.y, size.height, 'top')
+  }
+
+  // Guides and the current measurement, redrawn whenever either or the
+  // viewport changes
+  renderOverlay() {
+    const guides = ['vertical', 'horizontal'].flatMap(axis => this.guides[axis].map((position, index) => {
+      const screen = this.viewport.toScreen({ x: position, y: position })
+      const style = axis === 'vertical' ? `left: ${screen.x}px` : `top: ${screen.y}px`
+      const meters = formatMeters(toMeters(position, this.pixelsPerMeterValue))
+      return `
+        <div class="layout-guide layout-guide-${axis}" style="${style}" title="${meters}: drag onto the ruler to remove"
+             data-guide-axis="${axis}" data-guide-index="${index}"></div>
+      `
+    }))
+
+    this.overlay.innerHTML = guides.join('') + this.measurementHtml() + this.evacuationHtml() + this.runDraftHtml() +
+                             this.calibrationHtml()
+  }
+
+  startGuideDrag(source, event) {
+    const axis = source.dataset.guideAxis
+    let index = parseInt(source.dataset.guideIndex, 10)
+    if (Number.isNaN(index)) {
+      this.guides[axis].push(this.guidePosition(axis, event))
+      index = this.guides[axis].length - 1
+    }
+
+    this.guideDrag = { axis, index }
+    event.preventDefault()
+    this.renderOverlay()
+  }
+
+  updateGuideDrag(event) {
+    const { axis, index } = this.guideDrag
+    this.guides[axis][index] = this.guidePosition(axis, event)
+    this.renderOverlay()
+  }
+
+  // Dropping a guide back on its ruler removes it
+  finalizeGuideDrag(event) {
+    const { axis, index } = this.guideDrag
+    const screen = this.screenPoint(event)
+    if ((axis === 'vertical' ? screen.x : screen.y) < RULER_SIZE) {
+      this.guides[axis].splice(index, 1)
+    }
+
+    this.guideDrag = null
+    this.renderOverlay()
+    this.saveGuides()
+  }
+
+  guidePosition(axis, event) {
+    const point = this.canvasPoint(event)
+    const position = axis === 'vertical' ? point.x : point.y
+    const snapped = this.snapToGridValue ? Math.round(position / this.gridSizeValue) * this.gridSizeValue : position
+    return Math.round(snapped * 100) / 100
+  }
+
+  saveGuides() {
+    this.sendJsonRequest(this.venueUrlValue, 'PATCH', { venue: { layout_guides: this.guides } })
+      .then(data => {
+        this.guides = { vertical: [], horizontal: [], ...data.layout_guides }
+        this.renderOverlay()
+      })
+      .catch(error => this.showToast(`Could not save the guides: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  // Measure tool: drag between two points for the distance in meters. When
+  // both ends sit on elements, the gap between their edges is shown too.
+
+  toggleMeasure() {
+    const on = !this.measuring
+    this.exitTools()
+    this.measuring = on
+    this.updateToolButtons()
+    this.canvasTarget.style.cursor = this.idleCursor()
+    this.renderOverlay()
+  }
+
+  idleCursor() {
+    return this.measuring || this.routing || this.runDraft || this.calibration ? 'crosshair' : 'default'
+  }
+
+  startMeasure(event) {
+    const point = this.canvasPoint(event)
+    this.measurement = {
+      from: point,
+      to: point,
+      fromNode: event.target.closest('.layout-element'),
+      toNode: null,
+      active: true
+    }
+    event.preventDefault()
+    this.renderOverlay()
+  }
+
+  // Shift keeps the line horizontal or vertical
+  updateMeasure(event) {
+    const { from } = this.measurement
+    const point = this.canvasPoint(event)
+    if (event.shiftKey) {
+      if (Math.abs(point.x - from.x) > Math.abs(point.y - from.y)) {
+        point.y = from.y
+      } else {
+        point.x = from.x
+      }
+    }
+
+    this.measurement.to = point
+    this.measurement.toNode = event.target.closest('.layout-element')
+    this.renderOverlay()
+  }
+
+  measurementHtml() {
+    if (!this.measurement) return ''
+
+    const { from, to, fromNode, toNode } = this.measurement
+    const meters = pixels => formatMeters(toMeters(pixels, this.pixelsPerMeterValue))
+    const start = this.viewport.toScreen(from)
+    const end = this.viewport.toScreen(to)
+    let label = meters(Math.hypot(to.x - from.x, to.y - from.y))
+    let edgeLine = ''
+
+    if (fromNode && toNode && fromNode !== toNode) {
+      const gap = edgeGap(this.nodeBox(fromNode), this.nodeBox(toNode))
+      const gapStart = this.viewport.toScreen(gap.from)
+      const gapEnd = this.viewport.toScreen(gap.to)
+      label += ` (edges ${meters(gap.distance)})`
+      edgeLine = `<line class="layout-measure-edges" x1="${gapStart.x}" y1="${gapStart.y}" x2="${gapEnd.x}" y2="${gapEnd.y}"/>`
+    }
+
+    return `
+      <svg class="layout-measure" width="100%" height="100%">
+        ${edgeLine}
+        <line class="layout-measure-line" x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}"/>
+        <circle class="layout-measure-end" cx="${start.x}" cy="${start.y}" r="3"/>
+        <circle class="layout-measure-end" cx="${end.x}" cy="${end.y}" r="3"/>
+      </svg>
+      <div class="layout-measure-label" style="left: ${(start.x + end.x) / 2}px; top: ${(start.y + end.y) / 2}px">${label}</div>
+    `
+  }
+
+  // Evacuation routes: click anywhere for the shortest walk to the nearest
+  // exit, or show the walking distance to the exits across the venue. Both
+  // come from one distance field, rebuilt whenever the layout changes.
+
+  toggleRouteTool() {
+    const on = !this.routing
+    this.exitTools()
+    this.routing = on
+    this.updateToolButtons()
+    this.canvasTarget.style.cursor = this.idleCursor()
+    this.renderOverlay()
+  }
+
+  toggleHeatmap() {
+    this.showHeatmap = !this.showHeatmap
+    if (this.hasHeatmapButtonTarget) this.heatmapButtonTarget.classList.toggle('active', this.showHeatmap)
+    this.renderHeatmap()
+    this.renderOverlay()
+  }
+
+  // The walk grid and exit distances for the current layout; null when the
+  // layout has no exits
+  evacuationAnalysis() {
+    if (this.evacuation !== undefined) return this.evacuation
+
+    const records = [...this.records.values()]
+    const box = item => ({
+      x_position: parseFloat(item.x_position) || 0,
+      y_position: parseFloat(item.y_position) || 0,
+      width: parseFloat(item.width) || 0,
+      height: parseFloat(item.height) || 0,
+      rotation: parseFloat(item.rotation) || 0
+    })
+    const elementsOf = types => records.filter(record => record.kind === 'layout_element' && record.visible && types.includes(record.element_type))
+
+    const exits = elementsOf(EXIT_TYPES)
+    if (exits.length === 0) {
+      this.evacuation = null
+      return null
+    }
+
+    const ground = (this.layoutDataValue.venue_areas || []).map(box)
+    const walkways = elementsOf(WALKWAY_TYPES).map(box)
+    const exitBoxes = exits.map(box)
+    // Open venues get a few meters of ground around everything on them
+    const extent = ground.length > 0
+      ? worldBounds([...ground, ...walkways, ...exitBoxes])
+      : worldBounds(records.map(box))
+    const margin = ground.length > 0 ? 0 : EVACUATION_MARGIN * this.pixelsPerMeterValue
+    const bounds = {
+      x: extent.x - margin,
+      y: extent.y - margin,
+      width: extent.width + margin * 2,
+      height: extent.height + margin * 2
+    }
+
+    const grid = buildWalkGrid({
+      bounds,
+      cellSize: chooseCellSize(bounds, this.pixelsPerMeterValue),
+      ground,
+      walkways,
+      obstacles: records.filter(blocksWalking).map(box)
+    })
+    const field = exitDistances(grid, exitBoxes.map((exitBox, index) => ({ key: recordKey('layout_element', exits[index].id), box: exitBox })))
+
+    this.evacuation = { grid, field, exits }
+    return this.evacuation
+  }
+
+  // Drops the cached analysis and redraws whatever was showing from it
+  refreshEvacuation() {
+    this.evacuation = undefined
+    if (this.route) {
+      this.route = this.findRoute(this.route.points[0])
+      if (!this.route) this.showToast('The layout change cut the last route off from every exit')
+    }
+    this.renderHeatmap()
+    this.renderOverlay()
+  }
+
+  traceRoute(event) {
+    if (!this.evacuationAnalysis()) {
+      this.showToast('Add an entrance, exit or emergency exit to the layout first')
+      return
+    }
+
+    this.route = this.findRoute(this.canvasPoint(event))
+    if (!this.route) this.showToast('No way out from there: pick a point on open ground')
+    this.renderOverlay()
+  }
+
+  findRoute(point) {
+    const analysis = this.evacuationAnalysis()
+    const route = analysis && evacuationRoute(analysis.grid, analysis.field, point)
+    return route && { ...route, exitName: analysis.exits[route.exit]?.name }
+  }
+
+  renderHeatmap() {
+    this.heatmap?.remove()
+    this.heatmap = null
+    if (!this.showHeatmap) return
+
+    const analysis = this.evacuationAnalysis()
+    if (!analysis) {
+      this.showToast('Add an entrance, exit or emergency exit to the layout first')
+      return
+    }
+
+    const { grid, field } = analysis
+    const canvas = document.createElement('canvas')
+    canvas.className = 'layout-heatmap'
+    canvas.width = grid.columns
+    canvas.height = grid.rows
+    canvas.style.left = `${grid.origin.x}px`
+    canvas.style.top = `${grid.origin.y}px`
+    canvas.style.width = `${grid.columns * grid.cellSize}px`
+    canvas.style.height = `${grid.rows * grid.cellSize}px`
+
+    const context = canvas.getContext('2d')
+    const image = context.createImageData(grid.columns, grid.rows)
+    field.distance.forEach((distance, index) => {
+      if (grid.walkable[index] !== 1) return
+      // Walkable but walled off from every exit shows grey
+      const [red, green, blue] = distance === Infinity ? [108, 117, 125] : heatmapColor(distance / (field.max || 1))
+      image.data.set([red, green, blue, 255], index * 4)
+    })
+    context.putImageData(image, 0, 0)
+
+    this.heatmap = canvas
+    this.world.appendChild(canvas)
+  }
+
+  evacuationHtml() {
+    const meters = pixels => formatMeters(toMeters(pixels, this.pixelsPerMeterValue))
+    let html = ''
+
+    if (this.showHeatmap && this.evacuation) {
+      html += `
+        <div class="layout-heatmap-legend">
+          <span>0 m</span>
+          <div class="layout-heatmap-scale"></div>
+          <span>${meters(this.evacuation.field.max)}</span>
+          <span class="ms-2 text-muted">to the nearest exit</span>
+        </div>
+      `
+    }
+
+    if (this.route) {
+      const points = this.route.points.map(point => this.viewport.toScreen(point))
+      const start = points[0]
+      const end = points[points.length - 1]
+      const seconds = Math.ceil(toMeters(this.route.distance, this.pixelsPerMeterValue) / WALKING_SPEED)
+      html += `
+        <svg class="layout-route" width="100%" height="100%">
+          <polyline class="layout-route-line" points="${points.map(point => `${point.x},${point.y}`).join(' ')}"/>
+          <circle class="layout-route-start" cx="${start.x}" cy="${start.y}" r="4"/>
+          <circle class="layout-route-end" cx="${end.x}" cy="${end.y}" r="5"/>
+        </svg>
+        <div class="layout-measure-label" style="left: ${start.x}px; top: ${start.y}px">
+          ${meters(this.route.distance)} to ${escapeHtml(this.route.exitName || 'the exit')}, about ${seconds} s on foot
+        </div>
+      `
+    }
+
+    return html
+  }
+
+  // Cable and hose runs: click to add points, double-click or Enter to
+  // finish, Backspace to take back a point, Escape to stop drawing
+
+  toggleRunTool(event) {
+    const type = event.params.runType
+    const on = this.runDraft?.type !== type
+    this.exitTools()
+    if (on) this.runDraft = { type, points: [], hover: null }
+    this.updateToolButtons()
+    this.canvasTarget.style.cursor = this.idleCursor()
+    this.renderOverlay()
+  }
+
+  runDraftPoint(event) {
+    let { x, y } = this.canvasPoint(event)
+    if (this.snapToGridValue) {
+      x = Math.round(x / this.gridSizeValue) * this.gridSizeValue
+      y = Math.round(y / this.gridSizeValue) * this.gridSizeValue
+    }
+    return { x, y }
+  }
+
+  addRunPoint(event) {
+    // The second press of a double-click finishes the run
+    if (event.detail === 2) {
+      this.finishRun()
+      return
+    }
+    this.runDraft.points.push(this.runDraftPoint(event))
+    this.renderOverlay()
+  }
+
+  updateRunDraft(event) {
+    this.runDraft.hover = this.runDraftPoint(event)
+    this.renderOverlay()
+  }
+
+  undoRunPoint() {
+    this.runDraft.points.pop()
+    this.renderOverlay()
+  }
+
+  finishRun() {
+    const { type, points } = this.runDraft
+    if (points.length < 2) {
+      this.showToast('A run needs at least two points')
+      return
+    }
+
+    const name = type === 'cable_run' ? 'ケーブル' : 'ホース'
+    const taken = [...this.records.values()].filter(record => record.element_type === type).length
+    this.runDraft = { type, points: [], hover: null }
+    this.renderOverlay()
+    this.execute({
+      type: 'create',
+      label: 'Draw',
+      elements: [{
+        kind: 'layout_element',
+        element_type: type,
+        name: `${name} ${taken + 1}`,
+        ...runGeometry(points),
+        color: RUN_COLORS[type],
+        locked: false,
+        visible: true
+      }]
+    })
+  }
+
+  runDraftHtml() {
+    if (!this.runDraft || this.runDraft.points.length === 0) return ''
+
+    const points = [...this.runDraft.points, ...(this.runDraft.hover ? [this.runDraft.hover] : [])]
+    const screen = points.map(point => this.viewport.toScreen(point))
+    const last = screen[screen.length - 1]
+    const length = formatMeters(toMeters(polylineLength(points), this.pixelsPerMeterValue))
+    return `
+      <svg class="layout-measure" width="100%" height="100%">
+        <polyline class="layout-run-draft" stroke="${RUN_COLORS[this.runDraft.type]}"
+                  points="${screen.map(point => `${point.x},${point.y}`).join(' ')}"/>
+      </svg>
+      <div class="layout-measure-label" style="left: ${last.x}px; top: ${last.y}px">${length}</div>
+    `
+  }
+
+  // Turns off whichever canvas tool is on
+  exitTools() {
+    this.measuring = false
+    this.measurement = null
+    this.routing = false
+    this.route = null
+    this.runDraft = null
+    this.calibration = null
+  }
+
+  updateToolButtons() {
+    if (this.hasMeasureButtonTarget) this.measureButtonTarget.classList.toggle('active', this.measuring)
+    if (this.hasRouteButtonTarget) this.routeButtonTarget.classList.toggle('active', this.routing)
+    if (this.hasCalibrateButtonTarget) this.calibrateButtonTarget.classList.toggle('active', Boolean(this.calibration))
+    this.runButtonTargets.forEach(button => {
+      button.classList.toggle('active', this.runDraft?.type === button.dataset.layoutEditorRunTypeParam)
+    })
+  }
+
+  drawRun(node, element) {
+    const points = parsePoints(element.properties?.points)
+    const length = formatMeters(toMeters(polylineLength(points), this.pixelsPerMeterValue))
+    node.classList.add('layout-run', `layout-run-${RUN_TYPES[element.element_type]}`)
+    node.style.backgroundColor = 'transparent'
+    node.style.border = 'none'
+    node.title = `${element.name}: ${length}`
+    node.innerHTML = `
+      <svg class="layout-run-line" width="100%" height="100%">
+        <polyline points="${escapeHtml(formatPoints(points))}" stroke="${escapeHtml(element.color || RUN_COLORS[element.element_type])}"/>
+      </svg>
+    `
+  }
+
+  toggleUtilityLayer() {
+    const hidden = this.canvasTarget.classList.toggle('hide-utilities')
+    if (this.hasUtilityButtonTarget) this.utilityButtonTarget.classList.toggle('active', !hidden)
+  }
+
+  // Power and water badges on booths that need them, red when the utility
+  // plan found the need unmet
+  markUtilities(node) {
+    if (node.dataset.kind !== 'booth') return
+    node.querySelector(':scope > .layout-utility-needs')?.remove()
+
+    const record = this.recordFor(node)
+    if (!record || (!record.power_required && !record.water_required)) return
+
+    const unmet = this.unmetNeeds.get(String(record.id)) || []
+    const badge = document.createElement('div')
+    badge.className = 'layout-utility-needs'
+    badge.classList.toggle('is-unmet', unmet.length > 0)
+    badge.textContent = `${record.power_required ? '⚡' : ''}${record.water_required ? '💧' : ''}`
+    badge.title = unmet.length > 0 ? unmet.map(need => need.reason).join('\n') : 'Utility needs met'
+    node.appendChild(badge)
+  }
+
+  loadUtilityPlan() {
+    if (!this.hasUtilityPlanUrlValue) return
+
+    this.sendJsonRequest(this.utilityPlanUrlValue, 'GET')
+      .then(report => this.showUtilityPlan(report))
+      .catch(error => this.showToast(`Could not load the utility plan: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  showUtilityPlan(report) {
+    this.utilityReport = report
+    this.unmetNeeds = new Map()
+    report.unmet.forEach(need => {
+      const key = String(need.booth.id)
+      this.unmetNeeds.set(key, [...(this.unmetNeeds.get(key) || []), need])
+    })
+
+    this.canvasTarget.querySelectorAll('.layout-element[data-kind="booth"]').forEach(node => this.markUtilities(node))
+    this.renderUtilitySummary()
+  }
+
+  renderUtilitySummary() {
+    const { power, water, unmet } = this.utilityReport
+
+    if (this.hasUtilityBadgeTarget) {
+      this.utilityBadgeTarget.className = `badge bg-${unmet.length === 0 ? 'success' : 'danger'}`
+      this.utilityBadgeTarget.textContent = unmet.length === 0 ? 'OK' : `${unmet.length} unmet`
+    }
+    if (!this.hasUtilitySummaryTarget) return
+
+    const powerRows = power.sources.map(source => `
+      <li class="d-flex justify-content-between${source.overloaded ? ' text-danger fw-bold' : ''}">
+        <span>⚡ ${escapeHtml(source.name)}</span>
+        <span>${source.load_kw}${source.capacity_kw ? ` / ${source.capacity_kw}` : ''} kW · ${source.run_length} m</span>
+      </li>
+    `)
+    const waterRows = water.sources.map(source => `
+      <li class="d-flex justify-content-between">
+        <span>💧 ${escapeHtml(source.name)}</span>
+        <span>${source.booth_ids.length} booths · ${source.run_length} m</span>
+      </li>
+    `)
+    const unmetRows = unmet.map((need, index) => `
+      <button type="button" class="list-group-item list-group-item-action px-2 py-1"
+              data-action="layout-editor#showUnmetNeed" data-layout-editor-index-param="${index}">
+        <strong>${escapeHtml(need.booth.booth_number)}</strong> ${escapeHtml(need.reason)}
+      </button>
+    `)
+
+    this.utilitySummaryTarget.innerHTML = `
+      <ul class="list-unstyled small mb-2">
+        ${powerRows.join('') || '<li class="text-muted">No power sources</li>'}
+        ${waterRows.join('') || '<li class="text-muted">No water points</li>'}
+      </ul>
+      ${unmetRows.length > 0 ? `<div class="list-group list-group-flush small">${unmetRows.join('')}</div>` : ''}
+    `
+  }
+
+  showUnmetNeed(event) {
+    const need = this.utilityReport?.unmet[event.params.index]
+    if (need) this.selectRecords([{ kind: 'booth', id: need.booth.id }])
+  }
+
+  // Vendor assignment. Approved vendors without a booth are listed in the
+  // sidebar; dropping one on a booth is an ordinary booth update of
+  // vendor_application_id, so it undoes like any other edit. The server
+  // warns when the booth lacks water or power the vendor needs.
+
+  renderVendorList() {
+    if (!this.hasVendorListTarget) return
+
+    const booths = new Map()
+    this.records.forEach(record => {
+      if (record.kind === 'booth' && record.vendor_application_id) booths.set(String(record.vendor_application_id), record)
+    })
+    const waiting = this.vendorApplicationsValue.filter(vendor => !booths.has(String(vendor.id)))
+    const assigned = this.vendorApplicationsValue.filter(vendor => booths.has(String(vendor.id)))
+
+    const needs = vendor => `${vendor.needs_power ? '⚡' : ''}${vendor.needs_water ? '💧' : ''}`
+    const waitingItems = waiting.map(vendor => `
+      <div class="vendor-item" draggable="true" data-vendor-id="${vendor.id}"
+           data-action="dragstart->layout-editor#startVendorDrag dragend->layout-editor#endVendorDrag">
+        <div class="d-flex justify-content-between">
+          <label class="mb-0">
+            <input type="checkbox" class="form-check-input me-1" title="Include in auto-arrange"
+                   data-vendor-id="${vendor.id}" data-action="change->layout-editor#toggleArrangeVendor"
+                   ${this.skippedVendors.has(String(vendor.id)) ? '' : 'checked'}>
+            <strong>${escapeHtml(vendor.business_name)}</strong>
+          </label>
+          <span>${needs(vendor)}</span>
+        </div>
+        <div class="text-muted">${escapeHtml(vendor.business_type)} · ${escapeHtml(vendor.user_name)}</div>
+      </div>
+    `)
+    const assignedItems = assigned.map(vendor => `
+      <div class="vendor-item is-assigned d-flex justify-content-between align-items-center">
+        <span><strong>${escapeHtml(booths.get(String(vendor.id)).booth_number)}</strong> ${escapeHtml(vendor.business_name)}</span>
+        <button type="button" class="btn btn-link btn-sm p-0 text-danger" title="Unassign"
+                data-action="layout-editor#unassignVendor" data-layout-editor-booth-id-param="${booths.get(String(vendor.id)).id}">
+          <i class="bi bi-x-lg"></i>
+        </button>
+      </div>
+    `)
+
+    this.vendorListTarget.innerHTML = `
+      ${waitingItems.join('') || '<p class="text-muted small mb-2">Every approved vendor has a booth</p>'}
+      ${assignedItems.length > 0 ? `<div class="small text-muted mt-2 mb-1">Assigned in this venue</div>${assignedItems.join('')}` : ''}
+    `
+    if (this.hasVendorCountTarget) this.vendorCountTarget.textContent = waiting.length
+  }
+
+  startVendorDrag(event) {
+    this.draggedVendor = event.currentTarget.dataset.vendorId
+    event.dataTransfer.setData('text/plain', JSON.stringify({ type: 'vendor_application', id: this.draggedVendor }))
+    event.dataTransfer.effectAllowed = 'link'
+  }
+
+  endVendorDrag() {
+    this.draggedVendor = null
+    this.highlightDropTarget(null)
+  }
+
+  highlightDropTarget(node) {
+    this.canvasTarget.querySelectorAll('.is-drop-target').forEach(target => {
+      if (target !== node) target.classList.remove('is-drop-target')
+    })
+    node?.classList.add('is-drop-target')
+  }
+
+  assignVendor(vendorId, node) {
+    const record = node && this.recordFor(node)
+    if (!record) return
+    if (record.vendor_application_id) {
+      this.showToast(`Booth ${escapeHtml(record.booth_number)} already has a vendor`)
+      return
+    }
+
+    // Show the assignment straight away; a failed save re-renders the booth
+    node.style.backgroundColor = this.getBoothColor('assigned')
+    this.execute({
+      type: 'update',
+      label: 'Assign vendor',
+      changes: [{
+        kind: 'booth',
+        id: record.id,
+        before: { vendor_application_id: null },
+        after: { vendor_application_id: Number(vendorId) }
+      }]
+    })
+  }
+
+  unassignVendor(event) {
+    const record = this.records.get(recordKey('booth', event.params.boothId))
+    if (!record?.vendor_application_id) return
+
+    const node = this.findRecordNode(record)
+    if (node) node.style.backgroundColor = this.getBoothColor('available')
+    this.execute({
+      type: 'update',
+      label: 'Unassign vendor',
+      changes: [{
+        kind: 'booth',
+        id: record.id,
+        before: { vendor_application_id: record.vendor_application_id },
+        after: { vendor_application_id: null }
+      }]
+    })
+  }
+
+  // Vendor changes go through assign_vendor / unassign_vendor, which also set
+  // the booth status and notify the vendor
+  saveBooth(id, attributes) {
+    const url = `${this.boothsUrlValue}/${id}`
+    const { vendor_application_id: vendorId, ...rest } = attributes
+    let request = Object.keys(rest).length > 0
+      ? this.sendJsonRequest(url, 'PATCH', { booth: rest })
+      : Promise.resolve(null)
+
+    if (Object.hasOwn(attributes, 'vendor_application_id')) {
+      request = request.then(() => vendorId
+        ? this.sendJsonRequest(`${url}/assign_vendor`, 'PATCH', { vendor_application_id: vendorId })
+        : this.sendJsonRequest(`${url}/unassign_vendor`, 'PATCH'))
+    }
+
+    return request.then(({ warnings = [], ...data }) => {
+      this.storeRecord(normalizeRecord('booth', data))
+      if (warnings.length > 0) this.showToast(warnings.map(escapeHtml).join('<br>'))
+    })
+  }
+
+  // Auto-arrange. The server (BoothArrangementService) proposes a layout for
+  // the checked vendors; the editor shows it as outlines until it is accepted,
+  // which saves the booths in one go and adds a single undo entry, or
+  // discarded. Accepting re-runs the solver with the same settings, which
+  // gives the same result as long as the layout has not changed meanwhile.
+
+  toggleArrangeVendor(event) {
+    const id = event.target.dataset.vendorId
+    if (event.target.checked) {
+      this.skippedVendors.delete(id)
+    } else {
+      this.skippedVendors.add(id)
+    }
+  }
+
+  arrangementRequest() {
+    const options = Object.fromEntries(
+      [...this.arrangeFormTarget.querySelectorAll('[data-arrange-option]')].map(input => [input.dataset.arrangeOption, input.value])
+    )
+    const vendorIds = [...this.vendorListTarget.querySelectorAll('.vendor-item[data-vendor-id]')]
+      .map(item => item.dataset.vendorId)
+      .filter(id => !this.skippedVendors.has(id))
+    return { ...options, vendor_application_ids: vendorIds }
+  }
+
+  previewArrangement() {
+    if (!this.hasAutoArrangeUrlValue) return
+
+    const request = this.arrangementRequest()
+    this.discardArrangement()
+    this.sendJsonRequest(this.autoArrangeUrlValue, 'POST', request)
+      .then(proposal => {
+        this.arrangement = { request, proposal }
+        this.renderArrangement()
+      })
+      .catch(error => this.showToast(`Could not arrange the booths: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  renderArrangement() {
+    const { proposal } = this.arrangement
+    proposal.placements.forEach(placement => {
+      const node = document.createElement('div')
+      node.className = 'layout-proposal'
+      node.classList.toggle('is-powered', placement.power_required)
+      node.style.left = `${placement.x_position}px`
+      node.style.top = `${placement.y_position}px`
+      node.style.width = `${placement.width}px`
+      node.style.height = `${placement.height}px`
+      node.innerHTML = `<strong>${escapeHtml(placement.booth_number)}</strong><br>${escapeHtml(placement.business_name)}`
+      this.world.appendChild(node)
+    })
+
+    if (!this.hasArrangeResultsTarget) return
+    const { score, unplaced } = proposal
+    const unplacedNames = unplaced.map(vendor => escapeHtml(vendor.business_name)).join(', ')
+    this.arrangeResultsTarget.innerHTML = `
+      <ul class="list-unstyled small mb-2">
+        <li>${proposal.placements.length} booths in ${escapeHtml(proposal.area.name)} (${proposal.slot_count} free spots)</li>
+        <li class="${score.competitor_conflicts > 0 ? 'text-danger' : ''}">
+          ${score.competitor_conflicts} competitor pairs closer than ${escapeHtml(proposal.options.separation)} m
+        </li>
+        ${score.average_power_distance != null ? `<li>Power: ${score.average_power_distance} m to a source on average</li>` : ''}
+        ${score.power_sources === 0 ? '<li class="text-warning">No power sources placed yet</li>' : ''}
+        ${unplaced.length > 0 ? `<li class="text-danger">No room for ${unplaced.length}: ${unplacedNames}</li>` : ''}
+      </ul>
+      <div class="d-flex gap-1">
+        <button type="button" class="btn btn-primary btn-sm" data-action="layout-editor#acceptArrangement">
+          <i class="bi bi-check-lg"></i> Accept
+        </button>
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-action="layout-editor#discardArrangement">
+          Discard
+        </button>
+      </div>
+    `
+  }
+
+  acceptArrangement() {
+    if (!this.arrangement) return
+
+    const { request } = this.arrangement
+    this.discardArrangement()
+    this.sendJsonRequest(this.autoArrangeUrlValue, 'POST', { ...request, commit: true })
+      .then(data => {
+        const booths = data.booths.map(booth => normalizeRecord('booth', booth))
+        booths.forEach(booth => this.storeRecord(booth))
+        // Already saved, so the entry goes straight onto the history
+        this.history.push({ type: 'create', label: 'Auto-arrange', elements: booths.map(booth => ({ ...booth })) })
+        this.updateHistoryButtons()
+        this.layoutChanged()
+        this.showToast(`Placed ${booths.length} booths`, 'success')
+      })
+      .catch(error => this.showToast(`Could not save the arrangement: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  discardArrangement() {
+    this.arrangement = null
+    this.world.querySelectorAll('.layout-proposal').forEach(node => node.remove())
+    if (this.hasArrangeResultsTarget) this.arrangeResultsTarget.innerHTML = ''
+  }
+
+  // Site plan: an uploaded PNG, PDF or SVG shown behind the layout to trace
+  // over. It never takes clicks; calibration rescales it so a known distance
+  // on the plan measures true, and an SVG plan's shapes can be turned into
+  // venue areas on the server (SitePlanTraceService).
+
+  renderSitePlan() {
+    this.sitePlanLayer?.remove()
+    this.sitePlanLayer = null
+    this.updateSitePlanControls()
+    if (!this.sitePlan) return
+
+    const image = document.createElement('img')
+    image.className = 'layout-site-plan'
+    image.alt = ''
+    image.draggable = false
+    image.addEventListener('load', () => this.placeSitePlan())
+    image.addEventListener('error', () => {
+      this.showToast(`Could not display ${escapeHtml(this.sitePlan?.filename || 'the site plan')}. PDF plans need a PDF previewer on the server.`)
+    })
+    image.src = this.sitePlan.url
+    this.sitePlanLayer = image
+    this.world.prepend(image)
+    this.placeSitePlan()
+  }
+
+  // An SVG plan is sized by its viewBox, the units traced areas are measured
+  // in; an image by its pixels
+  placeSitePlan() {
+    const image = this.sitePlanLayer
+    if (!image) return
+
+    const { settings, plan_size: planSize } = this.sitePlan
+    const width = planSize?.width || image.naturalWidth
+    const height = planSize?.height || image.naturalHeight
+    image.style.left = `${settings.x}px`
+    image.style.top = `${settings.y}px`
+    if (width && height) {
+      image.style.width = `${width * settings.scale}px`
+      image.style.height = `${height * settings.scale}px`
+    }
+    image.style.opacity = settings.opacity
+    image.hidden = !settings.visible
+  }
+
+  updateSitePlanControls() {
+    const plan = this.sitePlan
+    if (this.hasSitePlanNameTarget) this.sitePlanNameTarget.textContent = plan?.filename || ''
+    if (this.hasSitePlanControlsTarget) this.sitePlanControlsTarget.hidden = !plan
+    if (this.hasTraceFormTarget) this.traceFormTarget.hidden = plan?.content_type !== 'image/svg+xml'
+    if (!plan) return
+
+    if (this.hasSitePlanOpacityTarget) this.sitePlanOpacityTarget.value = plan.settings.opacity
+    if (this.hasSitePlanVisibleTarget) this.sitePlanVisibleTarget.checked = plan.settings.visible
+  }
+
+  uploadSitePlan(event) {
+    const input = event.target
+    const file = input.files[0]
+    if (!file) return
+
+    const form = new FormData()
+    form.append('venue[site_plan]', file)
+    this.sendJsonRequest(this.venueUrlValue, 'PATCH', form)
+      .then(data => {
+        this.discardTrace()
+        this.sitePlan = data.site_plan
+        this.renderSitePlan()
+        this.showToast(`Loaded ${escapeHtml(file.name)}. Calibrate its scale before tracing over it.`, 'success')
+      })
+      .catch(error => this.showToast(`Could not upload the site plan: ${escapeHtml(error.message)}`, 'danger'))
+      .finally(() => { input.value = '' })
+  }
+
+  previewSitePlanOpacity(event) {
+    if (!this.sitePlan) return
+
+    this.sitePlan.settings.opacity = Number(event.target.value)
+    this.placeSitePlan()
+  }
+
+  toggleSitePlan(event) {
+    if (!this.sitePlan) return
+
+    this.sitePlan.settings.visible = event.target.checked
+    this.placeSitePlan()
+    this.saveSitePlanSettings()
+  }
+
+  // The whole settings hash goes every time; the server replaces it
+  saveSitePlanSettings() {
+    if (!this.sitePlan) return
+
+    this.sendJsonRequest(this.venueUrlValue, 'PATCH', { venue: { site_plan_settings: this.sitePlan.settings } })
+      .then(data => {
+        if (!data.site_plan) return
+        this.sitePlan = data.site_plan
+        this.placeSitePlan()
+        this.updateSitePlanControls()
+      })
+      .catch(error => this.showToast(`Could not save the site plan settings: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  removeSitePlan() {
+    if (!this.sitePlan || !confirm(`Remove ${this.sitePlan.filename} from the layout editor?`)) return
+
+    this.sendJsonRequest(this.removeSitePlanUrlValue, 'DELETE')
+      .then(() => {
+        this.exitTools()
+        this.updateToolButtons()
+        this.canvasTarget.style.cursor = this.idleCursor()
+        this.renderOverlay()
+        this.discardTrace()
+        this.sitePlan = null
+        this.renderSitePlan()
+      })
+      .catch(error => this.showToast(`Could not remove the site plan: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  // Calibration: click the two ends of a distance known from the plan
+  toggleCalibration() {
+    const meters = parseFloat(this.calibrationDistanceTarget.value)
+    if (!this.calibration && !(meters > 0)) {
+      this.showToast('Enter the known distance in meters first')
+      this.calibrationDistanceTarget.focus()
+      return
+    }
+
+    const on = !this.calibration
+    this.exitTools()
+    if (on) this.calibration = { meters, points: [], hover: null }
+    this.updateToolButtons()
+    this.canvasTarget.style.cursor = this.idleCursor()
+    this.renderOverlay()
+  }
+
+  addCalibrationPoint(event) {
+    this.calibration.points.push(this.canvasPoint(event))
+    event.preventDefault()
+    if (this.calibration.points.length === 2) {
+      this.applyCalibration()
+    } else {
+      this.renderOverlay()
+    }
+  }
+
+  updateCalibration(event) {
+    this.calibration.hover = this.canvasPoint(event)
+    this.renderOverlay()
+  }
+
+  // Scales the plan around the first point, so that point stays put
+  applyCalibration() {
+    const { meters, points: [from, to] } = this.calibration
+    const measured = Math.hypot(to.x - from.x, to.y - from.y)
+    if (measured < 1) {
+      this.calibration.points = []
+      this.showToast('The two points are too close together, so try again')
+      this.renderOverlay()
+      return
+    }
+
+    const ratio = toPixels(meters, this.pixelsPerMeterValue) / measured
+    const settings = this.sitePlan.settings
+    settings.x = from.x - (from.x - settings.x) * ratio
+    settings.y = from.y - (from.y - settings.y) * ratio
+    settings.scale *= ratio
+
+    this.exitTools()
+    this.updateToolButtons()
+    this.canvasTarget.style.cursor = this.idleCursor()
+    this.renderOverlay()
+    this.discardTrace()
+    this.placeSitePlan()
+    this.saveSitePlanSettings()
+    this.showToast(`Site plan scaled so that the line measures ${formatMeters(meters)}`, 'success')
+  }
+
+  calibrationHtml() {
+    if (!this.calibration) return ''
+
+    const [from] = this.calibration.points
+    const to = this.calibration.hover
+    if (!from || !to) return ''
+
+    const start = this.viewport.toScreen(from)
+    const end = this.viewport.toScreen(to)
+    return `
+      <svg class="layout-measure" width="100%" height="100%">
+        <line class="layout-measure-line" x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}"/>
+        <circle class="layout-measure-end" cx="${start.x}" cy="${start.y}" r="3"/>
+      </svg>
+      <div class="layout-measure-label" style="left: ${end.x}px; top: ${end.y}px">
+        ${formatMeters(this.calibration.meters)}
+      </div>
+    `
+  }
+
+  previewTrace() {
+    const request = { area_type: this.traceAreaTypeTarget.value }
+    this.discardTrace()
+    this.sendJsonRequest(this.traceSitePlanUrlValue, 'POST', request)
+      .then(proposal => {
+        this.tracing = { request, proposal }
+        this.renderTrace()
+      })
+      .catch(error => this.showToast(`Could not trace the site plan: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  renderTrace() {
+    const { areas } = this.tracing.proposal
+    areas.forEach(area => {
+      const node = document.createElement('div')
+      node.className = 'layout-trace'
+      node.style.left = `${area.x_position}px`
+      node.style.top = `${area.y_position}px`
+      node.style.width = `${area.width}px`
+      node.style.height = `${area.height}px`
+      node.textContent = area.name
+      this.world.appendChild(node)
+    })
+
+    this.traceResultsTarget.innerHTML = `
+      <p class="small mb-2">${areas.length} areas found on the plan</p>
+      <div class="d-flex gap-1">
+        <button type="button" class="btn btn-primary btn-sm" data-action="layout-editor#acceptTrace">
+          <i class="bi bi-check-lg"></i> Add areas
+        </button>
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-action="layout-editor#discardTrace">
+          Discard
+        </button>
+      </div>
+    `
+  }
+
+  // Venue areas are not on the undo history; they are edited and removed on
+  // the venue areas page
+  acceptTrace() {
+    if (!this.tracing) return
+
+    const { request, proposal } = this.tracing
+    const shapeIds = proposal.areas.map(area => area.id)
+    this.discardTrace()
+    this.sendJsonRequest(this.traceSitePlanUrlValue, 'POST', { ...request, shape_ids: shapeIds, commit: true })
+      .then(data => {
+        const layoutData = this.layoutDataValue
+        this.layoutDataValue = { ...layoutData, venue_areas: [...(layoutData.venue_areas || []), ...data.venue_areas] }
+        data.venue_areas.forEach(area => this.renderVenueArea(area))
+
+        const areaSelect = this.hasArrangeFormTarget && this.arrangeFormTarget.querySelector('[data-arrange-option="area_id"]')
+        data.venue_areas.forEach(area => areaSelect?.add(new Option(area.name, area.id)))
+
+        this.layoutChanged()
+        this.showToast(`Added ${data.venue_areas.length} venue areas from the site plan`, 'success')
+      })
+      .catch(error => this.showToast(`Could not add the areas: ${escapeHtml(error.message)}`, 'danger'))
+  }
+
+  discardTrace() {
+    this.tracing = null
+    this.world.querySelectorAll('.layout-trace').forEach(node => node.remove())
+    if (this.hasTraceResultsTarget) this.traceResultsTarget.innerHTML = ''
+  }
+
+  // Resize / rotate handles on the single selected element. They are children
+  // of the element, so they turn with it.
+
+  renderHandles() {
+    this.canvasTarget.querySelectorAll('.layout-handle').forEach(handle => handle.remove())
+    if (this.selectedElements.size !== 1) return
+
+    const [node] = this.selectedElements
+    const record = this.recordFor(node)
+    if (!record || record.locked || isRun(record)) return
+
+    Object.keys(HANDLES).forEach(name => {
+      const handle = document.createElement('div')
+      handle.className = `layout-handle layout-handle-resize handle-${name}`
+      handle.dataset.handle = name
+      node.appendChild(handle)
+    })
+
+    const rotateHandle = document.createElement('div')
+    rotateHandle.className = 'layout-handle layout-handle-rotate'
+    rotateHandle.dataset.handle = 'rotate'
+    rotateHandle.title = 'Rotate (Shift: 15° steps)'
+    node.appendChild(rotateHandle)
+  }
+
+  startTransform(handle, event) {
+    const node = handle.closest('.layout-element')
+    const record = this.recordFor(node)
+    if (!record) return
+
+    const rect = node.getBoundingClientRect()
+    this.transform = {
+      node,
+      record,
+      handle: handle.dataset.handle,
+      start: { x: event.clientX, y: event.clientY },
+      center: { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 },
+      box: {
+        x_position: record.x_position,
+        y_position: record.y_position,
+        width: record.width,
+        height: record.height,
+        rotation: record.rotation || 0
+      },
+      values: null
+    }
+
+    event.preventDefault()
+    event.stopPropagation()
+  }
+
+  updateTransform(event) {
+    const { node, handle, start, center, box } = this.transform
+    const values = handle === 'rotate'
+      ? { rotation: rotationFromPointer(center, { x: event.clientX, y: event.clientY }, event.shiftKey ? ROTATION_SNAP : null) }
+      : resizeBox(
+        box,
+        handle,
+        {
+          x: this.viewport.toWorldDistance(event.clientX - start.x),
+          y: this.viewport.toWorldDistance(event.clientY - start.y)
+        },
+        { minSize: MIN_ELEMENT_SIZE, snap: this.snapToGridValue && !box.rotation ? this.gridSizeValue : null }
+      )
+
+    this.transform.values = values
+    this.applyNodeGeometry(node, { ...box, ...values })
+    this.syncPanelInputs(node, values)
+  }
+
+  finalizeTransform() {
+    const { record, handle, values } = this.transform
+    this.transform = null
+    if (!values) return
+
+    const after = this.withBoothSize(record, values)
+    const before = Object.fromEntries(Object.keys(after).map(key => [key, record[key]]))
+    const changes = compactChanges([{ kind: record.kind, id: record.id, before, after }])
+    if (changes) {
+      this.execute({ type: 'update', label: handle === 'rotate' ? 'Rotate' : 'Resize', changes })
+    } else {
+      this.refreshRecord(record)
+    }
+  }
+
+  applyNodeGeometry(node, box) {
+    node.style.left = `${box.x_position}px`
+    node.style.top = `${box.y_position}px`
+    node.style.width = `${box.width}px`
+    node.style.height = `${box.height}px`
+    node.style.transform = box.rotation ? `rotate(${box.rotation}deg)` : ''
+  }
+
+  // Server sync. Every edit goes through execute(), which applies a command
+  // and records it; undo / redo replay commands from the history.
+
+  execute(command) {
+    return this.applyCommand(command)
+      .then(() => {
+        this.history.push(command)
+        this.updateHistoryButtons()
+        this.layoutChanged()
+      })
+      .catch(error => {
+        this.restoreElements(command)
+        // Whatever the server did accept still gets an entry, so it can be undone
+        const saved = this.savedPart(command, error.saved)
+        if (saved) {
+          this.history.push(saved)
+          this.updateHistoryButtons()
+          this.layoutChanged()
+        }
+        this.showToast(`Could not save ${saved ? 'all of ' : ''}the change: ${escapeHtml(error.message)}`, 'danger')
+      })
+  }
+
+  // A command narrowed to the records the server saved; null when none were
+  savedPart(command, saved = []) {
+    if (saved.length === 0) return null
+
+    return command.type === 'update' ? { ...command, changes: saved } : { ...command, elements: saved }
+  }
+
+  applyCommand(command) {
+    switch (command.type) {
+      case 'update':
+        return this.updateRecords(command.changes)
+      case 'create':
+        return this.createRecords(command.elements)
+      case 'delete':
+        return this.destroyRecords(command.elements)
+      default:
+        return Promise.reject(new Error(`Unknown layout command: ${command.type}`))
+    }
+  }
+
+  // Layout elements go through the bulk_update route in one request; booths
+  // are saved one by one. Each request resolves with the command items it
+  // saved, and records are only touched once the server has accepted them.
+  updateRecords(changes) {
+    const elements = changes.filter(change => change.kind === 'layout_element')
+    const requests = changes
+      .filter(change => change.kind === 'booth')
+      .map(change => this.saveBooth(change.id, change.after).then(() => [change]))
+
+    if (elements.length > 0) {
+      requests.push(this.bulkUpdateElements(elements.map(change => ({ id: change.id, ...change.after }))).then(data => {
+        elements.forEach(change => {
+          this.storeRecord({ ...this.records.get(recordKey(change.kind, change.id)), ...change.after })
+        })
+        this.warnAboutOverlaps(elements, data.overlaps || [])
+        return elements
+      }))
+    }
+
+    return this.settleRequests(requests)
+  }
+
+  // Recreated records get new ids, which are written back into the history
+  createRecords(records) {
+    const elements = records.filter(record => record.kind === 'layout_element')
+    const requests = records
+      .filter(record => record.kind === 'booth')
+      .map(record => {
+        const body = { booth: this.recordAttributes(record) }
+        if (record.duplicate) body.duplicate = true
+        return this.sendJsonRequest(this.boothsUrlValue, 'POST', body).then(data => {
+          this.adoptCreated(record, data)
+          return [record]
+        })
+      })
+
+    if (elements.length > 0) {
+      requests.push(this.bulkUpdateElements(elements.map(record => this.recordAttributes(record))).then(data => {
+        data.created.forEach((created, index) => this.adoptCreated(elements[index], created))
+        return elements
+      }))
+    }
+
+    return this.settleRequests(requests)
+  }
+
+  destroyRecords(records) {
+    const elements = records.filter(record => record.kind === 'layout_element')
+    const requests = records
+      .filter(record => record.kind === 'booth')
+      .map(record => {
+        return this.sendJsonRequest(`${this.boothsUrlValue}/${record.id}`, 'DELETE').then(() => {
+          this.removeRecord(record)
+          return [record]
+        })
+      })
+
+    if (elements.length > 0) {
+      requests.push(this.bulkUpdateElements(elements.map(record => ({ id: record.id, _destroy: true }))).then(() => {
+        elements.forEach(record => this.removeRecord(record))
+        return elements
+      }))
+    }
+
+    return this.settleRequests(requests).finally(() => this.selectionChanged())
+  }
+
+  // Waits for every request, not just the first failure. When one fails, the
+  // error carries the command items the others saved (error.saved).
+  settleRequests(requests) {
+    return Promise.allSettled(requests).then(results => {
+      const failure = results.find(result => result.status === 'rejected')
+      if (!failure) return
+
+      const error = failure.reason instanceof Error ? failure.reason : new Error(String(failure.reason))
+      error.saved = results.filter(result => result.status === 'fulfilled').flatMap(result => result.value)
+      throw error
+    })
+  }
+
+  bulkUpdateElements(entries) {
+    const body = { layout_elements: Object.fromEntries(entries.map((entry, index) => [index, entry])) }
+    return this.sendJsonRequest(`${this.elementsUrlValue}/bulk_update`, 'PATCH', body)
+  }
+
+  recordAttributes(record) {
+    return Object.fromEntries(
+      EDITABLE_ATTRIBUTES[record.kind].filter(key => record[key] !== undefined).map(key => [key, record[key]])
+    )
+  }
+
+  // Writes the server's id (and any renumbering) back into the snapshot the
+  // history holds, so redoing recreates the same record
+  adoptCreated(record, data) {
+    const created = normalizeRecord(record.kind, data)
+    if (record.id != null) this.history.remapId(record.kind, record.id, created.id)
+    delete record.duplicate
+    Object.assign(record, created)
+    this.storeRecord(created)
+  }
+
+  warnAboutOverlaps(elements, overlaps) {
+    const ids = new Set(elements.map(element => String(element.id)))
+    const related = overlaps.filter(overlap =>
+      overlap.type === 'element_overlap' &&
+        (ids.has(String(overlap.element1.id)) || ids.has(String(overlap.element2.id)))
+    )
+    if (related.length > 0) {
+      this.showOverlapWarning(related)
+    }
+  }
+
+  // Puts records back where the server has them after a failed save
+  restoreElements(command) {
+    const targets = command.changes || command.elements || []
+    targets.forEach(target => {
+      const record = this.records.get(recordKey(target.kind, target.id))
+      if (record) this.refreshRecord(record)
+    })
+  }
+
+  // Sends FormData (file uploads) as multipart and anything else as JSON
+  sendJsonRequest(url, method, body = null) {
+    const multipart = body instanceof FormData
+    const headers = {
+      'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').getAttribute('content'),
+      'Accept': 'application/json'
+    }
+    if (!multipart) headers['Content-Type'] = 'application/json'
+
+    return fetch(url, {
+      method: method,
+      headers: headers,
+      body: multipart ? body : (body ? JSON.stringify(body) : null)
+    }).then(response => {
+      return response.json().catch(() => ({})).then(data => {
+        if (!response.ok) {
+          throw new Error(data.error || Object.values(data).flat().join(', ') || response.statusText)
+        }
+        return data
+      })
+    })
+  }
+
+  selectElement(element) {
+    this.clearSelection()
+    this.selectedElements.add(element)
+    element.classList.add('selected')
+    this.selectionChanged()
+  }
+
+  toggleSelection(element) {
+    if (this.selectedElements.has(element)) {
+      this.selectedElements.delete(element)
+      element.classList.remove('selected')
+    } else {
+      this.selectedElements.add(element)
+      element.classList.add('selected')
+    }
+    this.selectionChanged()
+  }
+
+  clearSelection() {
+    this.selectedElements.forEach(element => {
+      element.classList.remove('selected')
+    })
+    this.selectedElements.clear()
+    this.selectionChanged()
+  }
+
+  selectionChanged() {
+    this.updatePropertyPanel()
+    this.renderHandles()
+  }
+
+  // Property panel: mirrors the selected records and writes edits back
+  // through the history. With several elements selected, a field shows the
+  // shared value (blank when they differ) and an edit applies to all of them.
+
+  updatePropertyPanel() {
+    if (!this.hasPropertyPanelTarget) return
+
+    const panel = this.propertyPanelTarget
+    const nodes = [...this.selectedElements]
+    const records = this.selectedRecords()
+
+    if (nodes.length === 0) {
+      panel.innerHTML = '<p class="text-muted">Select an element to edit properties</p>'
+      return
+    }
+    if (records.length === 0) {
+      panel.innerHTML = `
+        <h6>Properties</h6>
+        <p class="text-muted small">${escapeHtml(nodes[0].dataset.elementType)}: venue areas are edited on the venue area screen</p>
+      `
+      return
+    }
+
+    const fields = PANEL_FIELDS.filter(field =>
+      records.every(record => fieldApplies(field, record)) &&
+        (records.length === 1 || !field.single)
+    )
+    const locked = records.some(record => record.locked)
+    const heading = records.length === 1 ? this.recordTitle(records[0]) : `${records.length} elements selected`
+
+    panel.innerHTML = `
+      <h6>Properties</h6>
+      <div class="mb-2 small text-muted">${escapeHtml(heading)}</div>
+      ${this.selectionGapHtml()}
+      ${locked ? '<div class="alert alert-secondary py-1 px-2 small"><i class="bi bi-lock-fill"></i> Locked: unlock to move, resize or rotate</div>' : ''}
+      ${fields.map(field => this.propertyFieldHtml(field, records, locked)).join('')}
+    `
+    panel.querySelectorAll('input[data-mixed="true"][type="checkbox"]').forEach(input => {
+      input.indeterminate = true
+    })
+  }
+
+  propertyFieldHtml(field, records, locked) {
+    const values = records.map(record => fieldValue(field, record))
+    const mixed = values.some(value => value !== values[0])
+    const id = `layout-property-${field.attribute}`
+    const common = `id="${id}" data-property="${field.attribute}" data-mixed="${mixed}" data-action="change->layout-editor#changeProperty"`
+
+    if (field.type === 'checkbox') {
+      return `
+        <div class="form-check mb-2">
+          <input type="checkbox" class="form-check-input" ${common} ${!mixed && values[0] ? 'checked' : ''}>
+          <label class="form-check-label" for="${id}">${field.label}</label>
+        </div>
+      `
+    }
+
+    if (field.type === 'select') {
+      const options = this.boothSizeOptions().map(([size, label]) =>
+        `<option value="${size}" ${!mixed && values[0] === size ? 'selected' : ''}>${label}</option>`
+      )
+      return `
+        <div class="mb-2">
+          <label for="${id}">${field.label}:</label>
+          <select class="form-select form-select-sm" ${common} ${field.geometry && locked ? 'disabled' : ''}>
+            ${mixed ? '<option value="" selected>Mixed</option>' : ''}
+            ${options.join('')}
+          </select>
+        </div>
+      `
+    }
+
+    const shown = field.meters && values[0] != null ? toMeters(values[0], this.pixelsPerMeterValue) : values[0]
+    const value = mixed || shown == null ? '' : shown
+    const limits = ['min', 'max', 'step']
+      .filter(limit => field[limit] !== undefined)
+      .map(limit => `${limit}="${field[limit]}"`)
+      .join(' ')
+
+    return `
+      <div class="mb-2">
+        <label for="${id}">${field.label}:</label>
+        <input type="${field.type}" class="form-control form-control-sm${field.type === 'color' ? ' form-control-color' : ''}"
+               value="${escapeHtml(String(value))}" placeholder="${mixed ? 'Mixed' : ''}" ${limits}
+               ${common} ${field.geometry && locked ? 'disabled' : ''}>
+      </div>
+    `
+  }
+
+  recordTitle(record) {
+    return record.kind === 'booth'
+      ? `Booth ${record.booth_number} (${record.name})`
+      : `${record.element_type}: ${record.name}`
+  }
+
+  // [size, label] pairs for the booth size select, in meters at this venue
+  boothSizeOptions() {
+    const presets = Object.entries(this.boothSizesValue).map(([size, meters]) => [size, `${size} (${meters} m × ${meters} m)`])
+    return [...presets, ['custom', 'custom']]
+  }
+
+  // Booths resized by hand keep `size` honest: a preset when the new
+  // dimensions match one, custom otherwise
+  withBoothSize(record, after) {
+    if (record.kind !== 'booth' || (after.width === undefined && after.height === undefined)) return after
+
+    const width = toMeters(after.width ?? record.width, this.pixelsPerMeterValue)
+    const height = toMeters(after.height ?? record.height, this.pixelsPerMeterValue)
+    const preset = Object.entries(this.boothSizesValue)
+      .find(([, meters]) => Math.abs(meters - width) < 0.01 && Math.abs(meters - height) < 0.01)
+    return { ...after, size: preset ? preset[0] : 'custom' }
+  }
+
+  // Gap between the edges of exactly two selected elements
+  selectionGapHtml() {
+    if (this.selectedElements.size !== 2) return ''
+
+    const [a, b] = [...this.selectedElements].map(node => this.nodeBox(node))
+    const gap = edgeGap(a, b)
+    const meters = pixels => formatMeters(toMeters(pixels, this.pixelsPerMeterValue))
+    return `
+      <div class="alert alert-light border py-1 px-2 small mb-2">
+        <i class="bi bi-rulers"></i> Gap: <strong>${meters(gap.distance)}</strong>
+        (↔ ${meters(gap.dx)}, ↕ ${meters(gap.dy)})
+      </div>
+    `
+  }
+
+  // Live update while dragging or using a handle on the selected element
+  syncPanelInputs(node, values) {
+    if (!this.hasPropertyPanelTarget || this.selectedElements.size !== 1 || !this.selectedElements.has(node)) return
+
+    Object.entries(values).forEach(([attribute, value]) => {
+      const input = this.propertyPanelTarget.querySelector(`[data-property="${attribute}"]`)
+      const field = PANEL_FIELDS.find(candidate => candidate.attribute === attribute)
+      if (input) input.value = field?.meters ? toMeters(value, this.pixelsPerMeterValue) : value
+    })
+  }
+
+  changeProperty(event) {
+    const input = event.target
+    const attribute = input.dataset.property
+    const field = PANEL_FIELDS.find(candidate => candidate.attribute === attribute)
+    const records = this.selectedRecords()
+      .filter(record => fieldApplies(field, record))
+      .filter(record => !(field.geometry && record.locked))
+    const value = this.parsePropertyValue(input, attribute)
+
+    if (records.length === 0 || value === undefined) {
+      this.updatePropertyPanel()
+      return
+    }
+
+    const changes = compactChanges(records.map(record => {
+      let after = { [attribute]: value }
+      if (field.types) {
+        after = { properties: { ...record.properties, [attribute]: value } }
+      } else if (attribute === 'size' && this.boothSizesValue[value]) {
+        const side = toPixels(this.boothSizesValue[value], this.pixelsPerMeterValue)
+        after = { ...after, width: side, height: side }
+      } else {
+        after = this.withBoothSize(record, after)
+      }
+
+      return {
+        kind: record.kind,
+        id: record.id,
+        before: Object.fromEntries(Object.keys(after).map(key => [key, record[key]])),
+        after
+      }
+    }))
+    if (changes) {
+      this.execute({ type: 'update', label: field.command, changes })
+    }
+  }
+
+  // undefined for input the server would reject
+  parsePropertyValue(input, attribute) {
+    if (input.type === 'checkbox') return input.checked
+    if (input.type === 'color') return input.value
+    if (input.tagName === 'SELECT') return input.value || undefined
+
+    const field = PANEL_FIELDS.find(candidate => candidate.attribute === attribute)
+    const parsed = parseFloat(input.value)
+    if (!Number.isFinite(parsed)) return undefined
+    const number = field.meters ? toPixels(parsed, this.pixelsPerMeterValue) : parsed
+
+    switch (attribute) {
+      case 'width':
+      case 'height':
+        return number > 0 ? number : undefined
+      case 'rotation':
+        return normalizeRotation(number)
+      case 'layer':
+        return number >= 0 ? Math.round(number) : undefined
+      case 'power_load':
+      case 'capacity_kw':
+        return number >= 0 ? number : undefined
+      default:
+        return number
+    }
+  }
+
+  updateCoordinateDisplay(event) {
+    if (!this.hasCoordinateDisplayTarget) return
+    
+    const { x, y } = this.canvasPoint(event)
+    const zoom = Math.round(this.viewport.scale * 100)
+    const meters = pixels => formatMeters(toMeters(pixels, this.pixelsPerMeterValue))
+    
+    this.coordinateDisplayTarget.textContent = `X: ${meters(x)}, Y: ${meters(y)} (${zoom}%)`
+  }
+
+  showOverlapWarning(overlaps) {
+    // Create toast notification for overlaps
+    const toast = document.createElement('div')
+    toast.className = 'toast show position-fixed top-0 end-0 m-3'
+    toast.style.zIndex = '9999'
+    toast.innerHTML = `
+      <div class="toast-header bg-warning">
+        <strong class="me-auto">Layout Warning</strong>
+        <button type="button" class="btn-close" data-bs-dismiss="toast"></button>
+      </div>
+      <div class="toast-body">
+        ${overlaps.length} overlap(s) detected. Please adjust element positions.
+      </div>
+    `
+    
+    document.body.appendChild(toast)
+    
+    setTimeout(() => {
+      toast.remove()
+    }, 5000)
+  }
+
+  showToast(message, variant = 'warning') {
+    const toast = document.createElement('div')
+    toast.className = 'toast show position-fixed top-0 end-0 m-3'
+    toast.style.zIndex = '9999'
+    toast.innerHTML = `
+      <div class="toast-header bg-${variant} ${variant === 'danger' ? 'text-white' : ''}">
+        <strong class="me-auto">Layout Editor</strong>
+        <button type="button" class="btn-close" data-bs-dismiss="toast"></button>
+      </div>
+      <div class="toast-body">
+        ${message}
+      </div>
+    `
+
+    document.body.appendChild(toast)
+    toast.querySelector('.btn-close')?.addEventListener('click', () => toast.remove())
+
+    setTimeout(() => {
+      toast.remove()
+    }, 5000)
+  }
+
+  deleteSelectedElements() {
+    const records = this.selectedRecords()
+    if (records.length === 0) return
+
+    const assigned = records.filter(record => record.kind === 'booth' && record.vendor_application_id)
+    if (assigned.length > 0) {
+      const numbers = assigned.map(record => record.booth_number).join(', ')
+      if (!confirm(`Booth ${numbers} is assigned to a vendor. Delete it anyway?`)) return
+    }
+
+    this.execute({ type: 'delete', label: 'Delete', elements: records.map(record => ({ ...record })) })
+  }
+
+  // Clipboard: copies are kept as record snapshots, so pasting still works
+  // after the originals have been moved or deleted
+
+  copySelectedElements() {
+    const records = this.selectedRecords()
+    if (records.length === 0) return
+
+    this.clipboard = records.map(record => ({ ...record }))
+    this.pasteCount = 0
+    this.showToast(`Copied ${records.length} element(s)`, 'info')
+  }
+
+  pasteElements() {
+    if (this.clipboard.length === 0) return
+
+    this.pasteCount += 1
+    this.insertCopies(this.clipboard, PASTE_OFFSET * this.pasteCount, 'Paste')
+  }
+
+  duplicateSelectedElements() {
+    const records = this.selectedRecords()
+    if (records.length === 0) return
+
+    this.insertCopies(records, PASTE_OFFSET, 'Duplicate')
+  }
+
+  // Layout elements get a "(コピー)" name here; the server gives booth copies
+  // the next free booth number and drops the vendor assignment
+  insertCopies(sources, offset, label) {
+    const names = new Set(
+      [...this.records.values()].filter(record => record.kind === 'layout_element').map(record => record.name)
+    )
+
+    const copies = sources.map(({ id, vendor, ...source }) => {
+      const copy = { ...source, x_position: source.x_position + offset, y_position: source.y_position + offset }
+      if (copy.kind === 'booth') {
+        copy.duplicate = true
+      } else {
+        copy.name = this.copyName(source.name, names)
+        names.add(copy.name)
+      }
+      return copy
+    })
+
+    this.execute({ type: 'create', label, elements: copies }).then(() => this.selectRecords(copies))
+  }
+
+  copyName(name, taken) {
+    const base = name.replace(/ \(コピー(?: \d+)?\)$/, '')
+    let candidate = `${base} (コピー)`
+    for (let n = 2; taken.has(candidate); n++) {
+      candidate = `${base} (コピー ${n})`
+    }
+    return candidate
+  }
+
+  selectRecords(records) {
+    this.clearSelection()
+    records
+      .map(record => record.id != null && this.findRecordNode(record))
+      .filter(Boolean)
+      .forEach(node => {
+        this.selectedElements.add(node)
+        node.classList.add('selected')
+      })
+    this.selectionChanged()
+  }
+
+  selectAll() {
+    this.clearSelection()
+    this.canvasTarget.querySelectorAll('.layout-element').forEach(node => {
+      if (!this.isEditable(node)) return
+      this.selectedElements.add(node)
+      node.classList.add('selected')
+    })
+    this.selectionChanged()
+  }
+
+  // Arrange: moves the selected, unlocked records as one history step.
+  // Toolbar buttons pass the edge or axis as Stimulus action params.
+
+  alignSelection(event) {
+    this.arrangeSelection('Align', 2, boxes => alignBoxes(boxes, event.params.edge))
+  }
+
+  distributeSelection(event) {
+    this.arrangeSelection('Distribute', 3, boxes => distributeBoxes(boxes, event.params.axis))
+  }
+
+  // Rows of booths keep their numbering order; anything else goes in reading order
+  arrangeSelectionInRows() {
+    const spacing = parseFloat(this.rowSpacingTarget.value)
+    const aisle = this.rowAisleTarget.value === '' ? spacing : parseFloat(this.rowAisleTarget.value)
+    const perRow = parseInt(this.rowSizeTarget.value, 10)
+
+    if (!(spacing >= 0) || !(aisle >= 0) || !(perRow >= 1)) {
+      this.showToast('Enter a row size of at least 1 and spacing of 0 m or more')
+      return
+    }
+
+    this.arrangeSelection('Arrange in rows', 2, boxes => {
+      const ordered = boxes.every(box => box.record.kind === 'booth')
+        ? [...boxes].sort((a, b) => String(a.record.booth_number).localeCompare(String(b.record.booth_number), undefined, { numeric: true }))
+        : readingOrder(boxes)
+      return arrangeInRows(ordered, {
+        perRow,
+        spacing: toPixels(spacing, this.pixelsPerMeterValue),
+        aisle: toPixels(aisle, this.pixelsPerMeterValue)
+      })
+    })
+  }
+
+  arrangeSelection(label, minimum, arrange) {
+    const selected = this.selectedRecords()
+    const records = selected.filter(record => !record.locked)
+
+    if (records.length < minimum) {
+      this.showToast(`Select at least ${minimum} unlocked elements to ${label.toLowerCase()}`)
+      return
+    }
+    if (records.length < selected.length) {
+      this.showToast(`${selected.length - records.length} locked element(s) left in place`, 'info')
+    }
+
+    const boxes = records.map(record => ({
+      key: recordKey(record.kind, record.id),
+      record,
+      x_position: record.x_position,
+      y_position: record.y_position,
+      width: record.width,
+      height: record.height
+    }))
+    const positions = arrange(boxes)
+
+    const changes = compactChanges(records.map(record => ({
+      kind: record.kind,
+      id: record.id,
+      before: { x_position: record.x_position, y_position: record.y_position },
+      after: positions.get(recordKey(record.kind, record.id))
+    })))
+    if (changes) {
+      this.execute({ type: 'update', label, changes })
+    }
+  }
+
+  undo() {
+    const command = this.history.peekUndo()
+    if (!command || this.historyBusy) return
+
+    this.replay(invertCommand(command), 'undo')
+  }
+
+  redo() {
+    const command = this.history.peekRedo()
+    if (!command || this.historyBusy) return
+
+    this.replay(command, 'redo')
+  }
+
+  // Applies a history step on the server; the history only moves on once
+  // the server has accepted it, so a failed undo can simply be retried. When
+  // only some records went through, those move across and the rest stay put.
+  replay(command, action) {
+    this.historyBusy = true
+    this.updateHistoryButtons()
+    this.clearSelection()
+
+    this.applyCommand(command)
+      .then(() => this.history[action]())
+      .then(() => this.layoutChanged())
+      .catch(error => {
+        const saved = new Set((error.saved || []).map(item => recordKey(item.kind, item.id)))
+        if (saved.size > 0) {
+          this.history.advancePart(action, item => saved.has(recordKey(item.kind, item.id)))
+          this.layoutChanged()
+        }
+        this.renderLayout()
+        this.showToast(`Could not ${action} the change: ${escapeHtml(error.message)}`, 'danger')
+      })
+      .finally(() => {
+        this.historyBusy = false
+        this.updateHistoryButtons()
+      })
+  }
+
+  updateHistoryButtons() {
+    if (this.hasUndoButtonTarget) {
+      const command = this.history.peekUndo()
+      this.undoButtonTarget.disabled = this.historyBusy || !command
+      this.undoButtonTarget.title = command ? `Undo ${command.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)'
+    }
+    if (this.hasRedoButtonTarget) {
+      const command = this.history.peekRedo()
+      this.redoButtonTarget.disabled = this.historyBusy || !command
+      this.redoButtonTarget.title = command ? `Redo ${command.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)'
+    }
   }
 }
\ No newline at end of file
@@ -0,0 +1,130 @@
+import { Controller } from "@hotwired/stimulus"
+import { canvasToPdf, downloadBlob } from "lib/pdf_export"
+
+// Downloads the layout plan as a PDF
+//
+// The exported SVG drawing (with its legend) is rasterized onto a canvas
+// below the plan heading and above the vendor index, and the canvas is tiled
+// over A3 pages by canvasToPdf.
+
+const PADDING = 40
+const MIN_WIDTH = 900
+const TITLE_HEIGHT = 72
+const ROW_HEIGHT = 26
+const INDEX_COLUMNS = [
+  { key: 'booth_number', label: 'Booth', width: 0.15 },
+  { key: 'business_name', label: 'Vendor', width: 0.35 },
+  { key: 'business_type', label: 'Business', width: 0.25 },
+  { key: 'area', label: 'Area', width: 0.25 }
+]
+const FONT = '"Hiragino Sans", "Noto Sans JP", "Yu Gothic", sans-serif'
+// Rasterize at twice the drawing size so booth numbers stay sharp in print,
+// within what browsers allow for a canvas
+const RESOLUTION = 2
+const MAX_SIDE = 16000
+const MAX_AREA = 100000000
+
+export default class extends Controller {
+  static targets = ['button']
+  static values = {
+    svgUrl: String,
+    filename: String,
+    title: String,
+    subtitle: String,
+    vendors: Array
+  }
+
+  async download() {
+    this.buttonTarget.disabled = true
+    try {
+      const drawing = await this.loadDrawing()
+      downloadBlob(canvasToPdf(this.renderCanvas(drawing)), this.filenameValue)
+    } catch (error) {
+      console.error('Layout PDF export failed:', error)
+      alert('Could not create the PDF. Download the SVG instead.')
+    } finally {
+      this.buttonTarget.disabled = false
+    }
+  }
+
+  async loadDrawing() {
+    const response = await fetch(this.svgUrlValue, { headers: { 'Accept': 'image/svg+xml' } })
+    if (!response.ok) throw new Error(response.statusText)
+
+    const url = URL.createObjectURL(await response.blob())
+    try {
+      const image = new Image()
+      image.src = url
+      await image.decode()
+      return image
+    } finally {
+      URL.revokeObjectURL(url)
+    }
+  }
+
+  renderCanvas(drawing) {
+    const width = Math.max(drawing.naturalWidth, MIN_WIDTH) + PADDING * 2
+    const indexHeight = this.vendorsValue.length > 0 ? (this.vendorsValue.length + 2) * ROW_HEIGHT : 0
+    const height = TITLE_HEIGHT + drawing.naturalHeight + indexHeight + PADDING * 2
+
+    const scale = Math.min(RESOLUTION, MAX_SIDE / width, MAX_SIDE / height, Math.sqrt(MAX_AREA / (width * height)))
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.floor(width * scale)
+    canvas.height = Math.floor(height * scale)
+
+    const ctx = canvas.getContext('2d')
+    ctx.scale(scale, scale)
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, width, height)
+    ctx.textBaseline = 'middle'
+
+    ctx.fillStyle = '#212529'
+    ctx.font = `bold 22px ${FONT}`
+    ctx.fillText(this.titleValue, PADDING, PADDING + 14)
+    ctx.fillStyle = '#6c757d'
+    ctx.font = `13px ${FONT}`
+    ctx.fillText(this.subtitleValue, PADDING, PADDING + 44)
+
+    const drawingTop = PADDING + TITLE_HEIGHT
+    ctx.drawImage(drawing, PADDING, drawingTop, drawing.naturalWidth, drawing.naturalHeight)
+
+    if (indexHeight > 0) {
+      this.drawVendorIndex(ctx, drawingTop + drawing.naturalHeight + ROW_HEIGHT, width - PADDING * 2)
+    }
+    return canvas
+  }
+
+  drawVendorIndex(ctx, top, tableWidth) {
+    ctx.fillStyle = '#212529'
+    ctx.font = `bold 16px ${FONT}`
+    ctx.fillText('Vendor index', PADDING, top)
+
+    const rows = [Object.fromEntries(INDEX_COLUMNS.map(column => [column.key, column.label])), ...this.vendorsValue]
+    rows.forEach((row, index) => {
+      const y = top + (index + 1) * ROW_HEIGHT
+      if (index === 0) {
+        ctx.fillStyle = '#f8f9fa'
+        ctx.fillRect(PADDING, y - ROW_HEIGHT / 2, tableWidth, ROW_HEIGHT)
+      }
+      ctx.strokeStyle = '#dee2e6'
+      ctx.strokeRect(PADDING, y - ROW_HEIGHT / 2, tableWidth, ROW_HEIGHT)
+
+      ctx.fillStyle = '#212529'
+      ctx.font = `${index === 0 ? 'bold ' : ''}12px ${FONT}`
+      let x = PADDING
+      INDEX_COLUMNS.forEach(column => {
+        const columnWidth = tableWidth * column.width
+        ctx.fillText(this.fitText(ctx, String(row[column.key] ?? ''), columnWidth - 12), x + 6, y)
+        x += columnWidth
+      })
+    })
+  }
+
+  fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text
+
+    let fitted = text
+    while (fitted.length > 0 && ctx.measureText(`${fitted}…`).width > maxWidth) fitted = fitted.slice(0, -1)
+    return `${fitted}…`
+  }
+}
@@ -0,0 +1,143 @@
+// Critical path (CPM) analysis for Gantt task plans
+//
+// Tasks are { id, start, end, deadline? } with inclusive "YYYY-MM-DD" dates and
+// dependencies are { predecessor_id, successor_id, type } as stored by
+// TaskDependency. Every task keeps its planned start as a "start no earlier
+// than" constraint, so the forward pass never schedules work before the plan.
+// The backward pass runs from each task's deadline (e.g. the festival opening
+// day) or, without one, from the end of the whole plan.
+
+const DAY = 1000 * 60 * 60 * 24
+
+const toDay = (dateString) => Math.round(Date.parse(dateString) / DAY)
+const fromDay = (day) => new Date(day * DAY).toISOString().slice(0, 10)
+
+function topologicalOrder(ids, linksFrom) {
+  const incoming = new Map(ids.map(id => [id, 0]))
+
+  linksFrom.forEach(links => links.forEach(link => {
+    incoming.set(link.successor_id, incoming.get(link.successor_id) + 1)
+  }))
+
+  const queue = ids.filter(id => incoming.get(id) === 0)
+  const order = []
+
+  // Index-based queue: Array#shift is O(n) and plans can have thousands of tasks
+  for (let head = 0; head < queue.length; head++) {
+    const id = queue[head]
+    order.push(id)
+    linksFrom.get(id).forEach(link => {
+      incoming.set(link.successor_id, incoming.get(link.successor_id) - 1)
+      if (incoming.get(link.successor_id) === 0) queue.push(link.successor_id)
+    })
+  }
+
+  // Tasks caught in a cycle are left out of the analysis
+  return order
+}
+
+export function analyzeSchedule(tasks, dependencies) {
+  const nodes = new Map(tasks.map(task => {
+    const start = toDay(task.start)
+    const duration = toDay(task.end) - start + 1
+    return [task.id, {
+      id: task.id,
+      start,
+      duration,
+      deadline: task.deadline ? toDay(task.deadline) : null
+    }]
+  }))
+
+  const linksFrom = new Map([...nodes.keys()].map(id => [id, []]))
+  const linksTo = new Map([...nodes.keys()].map(id => [id, []]))
+
+  dependencies.forEach(dependency => {
+    if (!nodes.has(dependency.predecessor_id) || !nodes.has(dependency.successor_id)) return
+    linksFrom.get(dependency.predecessor_id).push(dependency)
+    linksTo.get(dependency.successor_id).push(dependency)
+  })
+
+  const order = topologicalOrder([...nodes.keys()], linksFrom)
+
+  // Forward pass: earliest start / finish
+  order.forEach(id => {
+    const node = nodes.get(id)
+    let earlyStart = node.start
+
+    linksTo.get(id).forEach(link => {
+      const predecessor = nodes.get(link.predecessor_id)
+      switch (link.type) {
+        case 'start_to_start':
+          earlyStart = Math.max(earlyStart, predecessor.earlyStart)
+          break
+        case 'finish_to_finish':
+          earlyStart = Math.max(earlyStart, predecessor.earlyFinish - node.duration + 1)
+          break
+        default:
+          earlyStart = Math.max(earlyStart, predecessor.earlyFinish + 1)
+      }
+    })
+
+    node.earlyStart = earlyStart
+    node.earlyFinish = earlyStart + node.duration - 1
+  })
+
+  const planFinish = order.reduce((latest, id) => Math.max(latest, nodes.get(id).earlyFinish), -Infinity)
+
+  // Backward pass: latest start / finish
+  order.slice().reverse().forEach(id => {
+    const node = nodes.get(id)
+    let lateFinish = node.deadline ?? planFinish
+
+    linksFrom.get(id).forEach(link => {
+      const successor = nodes.get(link.successor_id)
+      switch (link.type) {
+        case 'start_to_start':
+          lateFinish = Math.min(lateFinish, successor.lateStart + node.duration - 1)
+          break
+        case 'finish_to_finish':
+          lateFinish = Math.min(lateFinish, successor.lateFinish)
+          break
+        default:
+          lateFinish = Math.min(lateFinish, successor.lateStart - 1)
+      }
+    })
+
+    node.lateFinish = lateFinish
+    node.lateStart = lateFinish - node.duration + 1
+  })
+
+  const results = new Map()
+  order.forEach(id => {
+    const node = nodes.get(id)
+    const slack = node.lateStart - node.earlyStart
+
+    results.set(id, {
+      earlyStart: fromDay(node.earlyStart),
+      earlyFinish: fromDay(node.earlyFinish),
+      lateStart: fromDay(node.lateStart),
+      lateFinish: fromDay(node.lateFinish),
+      slack,
+      critical: slack <= 0
+    })
+  })
+
+  return results
+}
+
+// A link is on the critical path when both ends are critical and the
+// predecessor is what actually drives the successor's earliest start.
+export function isDrivingLink(dependency, analysis) {
+  const predecessor = analysis.get(dependency.predecessor_id)
+  const successor = analysis.get(dependency.successor_id)
+  if (!predecessor || !successor || !predecessor.critical || !successor.critical) return false
+
+  switch (dependency.type) {
+    case 'start_to_start':
+      return predecessor.earlyStart === successor.earlyStart
+    case 'finish_to_finish':
+      return predecessor.earlyFinish === successor.earlyFinish
+    default:
+      return toDay(predecessor.earlyFinish) + 1 === toDay(successor.earlyStart)
+  }
+}
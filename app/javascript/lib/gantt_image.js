@@ -0,0 +1,348 @@
+// Draws a Gantt chart view onto a canvas for PNG / PDF export
+//
+// The controller passes an already laid-out view (pixel positions at the
+// current zoom), so the image matches what is on screen including filters,
+// swimlanes and baselines:
+//
+//   title, subtitle          - heading lines
+//   chartWidth, rowHeight    - timeline size in px
+//   columns                  - [{ x, width, label, weekend, today }]
+//   rows                     - [{ kind: 'task' | 'group', label, sublabel, x, width,
+//                                color, progress, critical, warning, baseline: { x, width },
+//                                badges: [text] }]
+//   links                    - [{ d: SVG path data, critical }]
+//   milestones               - [{ x, label, color }]
+//   phases                   - [{ x, width, label, color }]
+//   legend                   - [{ title, items: [{ kind, color, label }] }]
+
+const LABEL_WIDTH = 260
+const HEADER_HEIGHT = 50
+const TITLE_HEIGHT = 64
+const MILESTONE_HEIGHT = 36
+const LEGEND_ITEM_WIDTH = 150
+const FONT = '"Hiragino Sans", "Noto Sans JP", "Yu Gothic", sans-serif'
+
+// Browsers refuse canvases beyond roughly 16k px per side / 100M px in total
+const MAX_SIDE = 16000
+const MAX_AREA = 100000000
+
+function legendHeight(legend, width) {
+  const perRow = Math.max(1, Math.floor((width - 40) / LEGEND_ITEM_WIDTH))
+  return legend.reduce((height, section) => height + 28 + Math.ceil(section.items.length / perRow) * 22, 16)
+}
+
+export function renderGanttCanvas(view) {
+  const width = LABEL_WIDTH + view.chartWidth
+  const laneHeight = hasMilestoneLane(view) ? MILESTONE_HEIGHT : 0
+  const chartHeight = HEADER_HEIGHT + laneHeight + view.rows.length * view.rowHeight
+  const height = TITLE_HEIGHT + chartHeight + legendHeight(view.legend, width)
+
+  const scale = Math.min(1, MAX_SIDE / width, MAX_SIDE / height, Math.sqrt(MAX_AREA / (width * height)))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.floor(width * scale)
+  canvas.height = Math.floor(height * scale)
+
+  const ctx = canvas.getContext('2d')
+  ctx.scale(scale, scale)
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, width, height)
+  ctx.textBaseline = 'middle'
+
+  drawTitle(ctx, view)
+  ctx.save()
+  ctx.translate(0, TITLE_HEIGHT)
+  drawHeader(ctx, view)
+  if (laneHeight > 0) {
+    ctx.translate(0, HEADER_HEIGHT)
+    drawMilestoneLane(ctx, view)
+    ctx.translate(0, laneHeight - HEADER_HEIGHT)
+  }
+  drawRows(ctx, view)
+  ctx.restore()
+  drawLegend(ctx, view, width, TITLE_HEIGHT + chartHeight + 16)
+
+  return canvas
+}
+
+function drawTitle(ctx, view) {
+  ctx.fillStyle = '#212529'
+  ctx.font = `bold 20px ${FONT}`
+  ctx.fillText(view.title, 16, 22)
+  ctx.fillStyle = '#6c757d'
+  ctx.font = `12px ${FONT}`
+  ctx.fillText(view.subtitle, 16, 48)
+}
+
+function drawHeader(ctx, view) {
+  ctx.fillStyle = '#495057'
+  ctx.fillRect(0, 0, LABEL_WIDTH + view.chartWidth, HEADER_HEIGHT)
+
+  ctx.fillStyle = '#ffffff'
+  ctx.font = `bold 12px ${FONT}`
+  ctx.fillText('タスク', 12, HEADER_HEIGHT / 2)
+
+  ctx.font = `10px ${FONT}`
+  ctx.textAlign = 'center'
+  view.columns.forEach(column => {
+    const x = LABEL_WIDTH + column.x
+    if (column.weekend || column.today) {
+      ctx.fillStyle = column.today ? 'rgba(255, 193, 7, 0.6)' : 'rgba(255, 255, 255, 0.12)'
+      ctx.fillRect(x, 0, column.width, HEADER_HEIGHT)
+    }
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.25)'
+    ctx.fillRect(x + column.width - 1, 0, 1, HEADER_HEIGHT)
+
+    if (column.label) {
+      ctx.fillStyle = '#ffffff'
+      ctx.fillText(column.label, x + column.width / 2, HEADER_HEIGHT / 2)
+    }
+  })
+  ctx.textAlign = 'left'
+}
+
+function hasMilestoneLane(view) {
+  return view.milestones.length + view.phases.length > 0
+}
+
+function drawMilestoneLane(ctx, view) {
+  ctx.fillStyle = '#f8f9fa'
+  ctx.fillRect(0, 0, LABEL_WIDTH + view.chartWidth, MILESTONE_HEIGHT)
+  ctx.fillStyle = '#dee2e6'
+  ctx.fillRect(0, MILESTONE_HEIGHT - 1, LABEL_WIDTH + view.chartWidth, 1)
+
+  ctx.fillStyle = '#212529'
+  ctx.font = `bold 12px ${FONT}`
+  ctx.fillText('マイルストーン', 12, MILESTONE_HEIGHT / 2)
+
+  ctx.save()
+  ctx.beginPath()
+  ctx.rect(LABEL_WIDTH, 0, view.chartWidth, MILESTONE_HEIGHT)
+  ctx.clip()
+  ctx.translate(LABEL_WIDTH, 0)
+
+  ctx.font = `10px ${FONT}`
+  view.phases.forEach(phase => {
+    ctx.fillStyle = phase.color
+    ctx.fillRect(phase.x, 0, phase.width, 12)
+    ctx.fillStyle = '#495057'
+    ctx.fillText(phase.label, phase.x + 4, 6)
+  })
+
+  view.milestones.forEach(milestone => {
+    drawDiamond(ctx, milestone.x, 23, 6, milestone.color)
+    ctx.fillStyle = '#212529'
+    ctx.fillText(milestone.label, milestone.x + 10, 23)
+  })
+  ctx.restore()
+}
+
+function drawDiamond(ctx, x, y, radius, color) {
+  ctx.beginPath()
+  ctx.moveTo(x, y - radius)
+  ctx.lineTo(x + radius, y)
+  ctx.lineTo(x, y + radius)
+  ctx.lineTo(x - radius, y)
+  ctx.closePath()
+  ctx.fillStyle = color
+  ctx.fill()
+}
+
+function drawRows(ctx, view) {
+  const { rowHeight, chartWidth } = view
+
+  ctx.save()
+  ctx.translate(0, HEADER_HEIGHT)
+
+  // Weekend / today shading down the whole chart
+  view.columns.forEach(column => {
+    if (!column.weekend && !column.today) return
+    ctx.fillStyle = column.today ? 'rgba(255, 193, 7, 0.12)' : '#f8f9fa'
+    ctx.fillRect(LABEL_WIDTH + column.x, 0, column.width, view.rows.length * rowHeight)
+  })
+
+  // Phase bands behind the bars
+  view.phases.forEach(phase => {
+    ctx.fillStyle = phase.color
+    ctx.fillRect(LABEL_WIDTH + phase.x, 0, phase.width, view.rows.length * rowHeight)
+  })
+
+  view.rows.forEach((row, index) => {
+    const top = index * rowHeight
+
+    if (row.kind === 'group') {
+      ctx.fillStyle = '#eef2f7'
+      ctx.fillRect(0, top, LABEL_WIDTH + chartWidth, rowHeight)
+    }
+    ctx.fillStyle = '#dee2e6'
+    ctx.fillRect(0, top + rowHeight - 1, LABEL_WIDTH + chartWidth, 1)
+
+    drawRowLabel(ctx, row, top, rowHeight)
+
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(LABEL_WIDTH, top, chartWidth, rowHeight)
+    ctx.clip()
+    ctx.translate(LABEL_WIDTH, top)
+    if (row.kind === 'group') {
+      drawSummaryBar(ctx, row, rowHeight)
+    } else {
+      drawTaskBar(ctx, row, rowHeight)
+    }
+    ctx.restore()
+  })
+
+  ctx.fillStyle = '#dee2e6'
+  ctx.fillRect(LABEL_WIDTH - 1, 0, 1, view.rows.length * rowHeight)
+
+  // Dependency connectors use the same SVG paths as the live chart
+  ctx.translate(LABEL_WIDTH, 0)
+  ctx.lineWidth = 1.5
+  view.links.forEach(link => {
+    ctx.strokeStyle = link.critical ? '#c0392b' : '#495057'
+    ctx.stroke(new Path2D(link.d))
+  })
+
+  ctx.setLineDash([4, 3])
+  ctx.lineWidth = 1
+  view.milestones.forEach(milestone => {
+    ctx.strokeStyle = milestone.color
+    ctx.beginPath()
+    ctx.moveTo(milestone.x, 0)
+    ctx.lineTo(milestone.x, view.rows.length * rowHeight)
+    ctx.stroke()
+  })
+  ctx.setLineDash([])
+
+  ctx.restore()
+}
+
+function drawRowLabel(ctx, row, top, rowHeight) {
+  ctx.save()
+  ctx.beginPath()
+  ctx.rect(0, top, LABEL_WIDTH - 8, rowHeight)
+  ctx.clip()
+
+  ctx.fillStyle = '#212529'
+  ctx.font = `${row.kind === 'group' ? 'bold ' : ''}12px ${FONT}`
+  ctx.fillText(row.label, 12, top + (row.sublabel ? rowHeight / 2 - 8 : rowHeight / 2))
+
+  if (row.sublabel) {
+    ctx.fillStyle = '#6c757d'
+    ctx.font = `10px ${FONT}`
+    ctx.fillText(row.sublabel, 12, top + rowHeight / 2 + 10)
+  }
+  ctx.restore()
+}
+
+function drawSummaryBar(ctx, row, rowHeight) {
+  const y = rowHeight - 20
+  ctx.fillStyle = '#6c757d'
+  ctx.fillRect(row.x, y, row.width, 12)
+  ctx.fillStyle = '#343a40'
+  ctx.fillRect(row.x, y, row.width * row.progress / 100, 12)
+}
+
+function drawTaskBar(ctx, row, rowHeight) {
+  const barTop = (rowHeight - 32) / 2
+
+  if (row.baseline) {
+    ctx.fillStyle = 'rgba(108, 117, 125, 0.25)'
+    ctx.fillRect(row.baseline.x, barTop + 19, row.baseline.width, 16)
+    ctx.setLineDash([3, 3])
+    ctx.strokeStyle = '#6c757d'
+    ctx.lineWidth = 1
+    ctx.strokeRect(row.baseline.x, barTop + 19, row.baseline.width, 16)
+    ctx.setLineDash([])
+  }
+
+  ctx.fillStyle = row.color || '#3498db'
+  ctx.fillRect(row.x, barTop, row.width, 32)
+
+  if (row.progress > 0) {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.3)'
+    ctx.fillRect(row.x, barTop, row.width * row.progress / 100, 32)
+  }
+
+  if (row.critical || row.warning) {
+    ctx.strokeStyle = row.critical ? '#c0392b' : row.warning
+    ctx.lineWidth = row.critical ? 3 : 2
+    ctx.strokeRect(row.x - 1, barTop - 1, row.width + 2, 34)
+  }
+
+  ctx.save()
+  ctx.beginPath()
+  ctx.rect(row.x, barTop, row.width, 32)
+  ctx.clip()
+  ctx.fillStyle = '#ffffff'
+  ctx.font = `bold 11px ${FONT}`
+  ctx.fillText(row.label, row.x + 6, barTop + 16)
+  ctx.restore()
+
+  let badgeX = row.x + row.width + 20
+  ctx.font = `bold 10px ${FONT}`
+  row.badges.forEach(badge => {
+    const badgeWidth = ctx.measureText(badge).width + 12
+    ctx.fillStyle = '#e9ecef'
+    ctx.fillRect(badgeX, rowHeight / 2 - 9, badgeWidth, 18)
+    ctx.fillStyle = '#495057'
+    ctx.fillText(badge, badgeX + 6, rowHeight / 2)
+    badgeX += badgeWidth + 4
+  })
+}
+
+function drawLegend(ctx, view, width, top) {
+  const perRow = Math.max(1, Math.floor((width - 40) / LEGEND_ITEM_WIDTH))
+  let y = top
+
+  view.legend.forEach(section => {
+    ctx.fillStyle = '#212529'
+    ctx.font = `bold 12px ${FONT}`
+    ctx.fillText(section.title, 16, y + 10)
+    y += 24
+
+    section.items.forEach((item, index) => {
+      const x = 16 + (index % perRow) * LEGEND_ITEM_WIDTH
+      const itemY = y + Math.floor(index / perRow) * 22
+      drawLegendSymbol(ctx, item, x, itemY)
+
+      ctx.fillStyle = '#495057'
+      ctx.font = `11px ${FONT}`
+      ctx.fillText(item.label, x + 26, itemY + 8)
+    })
+
+    y += Math.ceil(section.items.length / perRow) * 22 + 4
+  })
+}
+
+function drawLegendSymbol(ctx, item, x, y) {
+  switch (item.kind) {
+    case 'icon':
+      ctx.beginPath()
+      ctx.arc(x + 8, y + 8, 6, 0, Math.PI * 2)
+      ctx.fillStyle = item.color
+      ctx.fill()
+      break
+    case 'critical':
+      ctx.strokeStyle = '#c0392b'
+      ctx.lineWidth = 2
+      ctx.strokeRect(x, y + 2, 18, 12)
+      break
+    case 'baseline':
+      ctx.setLineDash([3, 3])
+      ctx.strokeStyle = '#6c757d'
+      ctx.lineWidth = 1
+      ctx.strokeRect(x, y + 2, 18, 12)
+      ctx.setLineDash([])
+      break
+    case 'badge':
+      ctx.fillStyle = '#e9ecef'
+      ctx.fillRect(x, y + 2, 18, 12)
+      break
+    case 'milestone':
+      drawDiamond(ctx, x + 9, y + 8, 6, item.color)
+      break
+    default:
+      ctx.fillStyle = item.color
+      ctx.fillRect(x, y + 2, 18, 12)
+  }
+}
@@ -0,0 +1,96 @@
+// Alignment and arrangement for groups of layout elements
+//
+// Boxes are { key, x_position, y_position, width, height } in canvas pixels,
+// compared unrotated. Every function returns a Map of key -> { x_position,
+// y_position } holding only the new positions, so callers can diff them
+// against the records for the history.
+
+export const ALIGN_EDGES = ['left', 'center', 'right', 'top', 'middle', 'bottom']
+
+function round(value) {
+  return Math.round(value * 100) / 100
+}
+
+export function boundsOf(boxes) {
+  const left = Math.min(...boxes.map(box => box.x_position))
+  const top = Math.min(...boxes.map(box => box.y_position))
+  const right = Math.max(...boxes.map(box => box.x_position + box.width))
+  const bottom = Math.max(...boxes.map(box => box.y_position + box.height))
+  return { left, top, right, bottom, width: right - left, height: bottom - top }
+}
+
+function positions(boxes, place) {
+  return new Map(boxes.map(box => {
+    const { x = box.x_position, y = box.y_position } = place(box)
+    return [box.key, { x_position: round(x), y_position: round(y) }]
+  }))
+}
+
+// Lines the boxes up against the matching edge (or centre line) of the
+// selection's bounding box
+export function alignBoxes(boxes, edge) {
+  const bounds = boundsOf(boxes)
+
+  switch (edge) {
+    case 'left':
+      return positions(boxes, () => ({ x: bounds.left }))
+    case 'center':
+      return positions(boxes, box => ({ x: bounds.left + (bounds.width - box.width) / 2 }))
+    case 'right':
+      return positions(boxes, box => ({ x: bounds.right - box.width }))
+    case 'top':
+      return positions(boxes, () => ({ y: bounds.top }))
+    case 'middle':
+      return positions(boxes, box => ({ y: bounds.top + (bounds.height - box.height) / 2 }))
+    case 'bottom':
+      return positions(boxes, box => ({ y: bounds.bottom - box.height }))
+    default:
+      throw new Error(`Unknown alignment: ${edge}`)
+  }
+}
+
+// Equal gaps between neighbours along one axis; the outermost boxes stay put
+export function distributeBoxes(boxes, axis) {
+  const [start, size] = axis === 'horizontal' ? ['x_position', 'width'] : ['y_position', 'height']
+  const sorted = [...boxes].sort((a, b) => a[start] - b[start])
+  if (sorted.length < 3) return positions(sorted, () => ({}))
+
+  const first = sorted[0]
+  const last = sorted[sorted.length - 1]
+  const occupied = sorted.reduce((total, box) => total + box[size], 0)
+  const gap = (last[start] + last[size] - first[start] - occupied) / (sorted.length - 1)
+
+  let cursor = first[start]
+  return positions(sorted, box => {
+    const placed = cursor
+    cursor += box[size] + gap
+    return axis === 'horizontal' ? { x: placed } : { y: placed }
+  })
+}
+
+// Reading order: top to bottom, then left to right
+export function readingOrder(boxes) {
+  return [...boxes].sort((a, b) => a.y_position - b.y_position || a.x_position - b.x_position)
+}
+
+// Lays the boxes out in rows of `perRow`, starting at the selection's top-left
+// corner, with `spacing` pixels between boxes in a row and `aisle` pixels
+// between rows. Boxes keep the order they are given in.
+export function arrangeInRows(boxes, { perRow, spacing, aisle = spacing }) {
+  const bounds = boundsOf(boxes)
+  const columns = Math.max(1, Math.floor(perRow))
+  const result = new Map()
+
+  let y = bounds.top
+  for (let index = 0; index < boxes.length; index += columns) {
+    const row = boxes.slice(index, index + columns)
+    let x = bounds.left
+    row.forEach(box => {
+      result.set(box.key, { x_position: round(x), y_position: round(y) })
+      x += box.width + spacing
+    })
+    y += Math.max(...row.map(box => box.height)) + aisle
+  }
+
+  return result
+}
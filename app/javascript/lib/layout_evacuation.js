@@ -0,0 +1,264 @@
+// Walking distances to the exits for the venue layout editor
+//
+// The venue is rasterised into a grid of square cells. A cell is walkable when
+// it lies on the venue's ground (its venue areas, paths and exits; or anywhere
+// when the venue has no areas) and no obstacle covers it. Paths, gates and
+// exits cut through obstacles, so a gate in a fence stays passable.
+//
+// exitDistances() floods the grid outwards from every exit cell (Dijkstra,
+// eight neighbours, no cutting corners past obstacles). The result is both the
+// heatmap and the way back: from any cell, stepping to the neighbour that is
+// closest to an exit follows a shortest route out.
+
+// Keep in step with LayoutSafetyCheckService::EXIT_TYPES
+export const EXIT_TYPES = ['entrance', 'exit', 'emergency_exit']
+// Always walkable, even across an obstacle
+export const WALKWAY_TYPES = ['path', 'walkway', 'gate']
+// Zones and markers people walk through
+const OPEN_TYPES = ['signage', 'seating_area', 'food_area', 'vendor_area', 'parking_area', 'cable_run', 'hose_run']
+
+// Cap on grid cells, so big venues get coarser cells instead of a slow flood
+export const MAX_CELLS = 60000
+
+const NEIGHBOURS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1]
+]
+
+// Whether a booth or layout element stops people walking through it
+export function blocksWalking(record) {
+  if (record.kind === 'booth') return true
+  if (record.visible === false) return false
+  return ![...EXIT_TYPES, ...WALKWAY_TYPES, ...OPEN_TYPES].includes(record.element_type)
+}
+
+// Whether a { x_position, y_position, width, height, rotation } box covers
+// the point; rotation is about the box centre, as on the canvas
+export function containsPoint(box, { x, y }) {
+  const centerX = box.x_position + box.width / 2
+  const centerY = box.y_position + box.height / 2
+  const angle = -(box.rotation || 0) * Math.PI / 180
+  const dx = x - centerX
+  const dy = y - centerY
+  const localX = dx * Math.cos(angle) - dy * Math.sin(angle)
+  const localY = dx * Math.sin(angle) + dy * Math.cos(angle)
+  return Math.abs(localX) <= box.width / 2 && Math.abs(localY) <= box.height / 2
+}
+
+// One meter per cell where the venue is small enough, coarser otherwise
+export function chooseCellSize(bounds, pixelsPerMeter, maxCells = MAX_CELLS) {
+  return Math.max(pixelsPerMeter, Math.sqrt((bounds.width * bounds.height) / maxCells))
+}
+
+// Axis-aligned box around a possibly rotated box
+function extentOf(box) {
+  const angle = (box.rotation || 0) * Math.PI / 180
+  const halfWidth = (Math.abs(box.width * Math.cos(angle)) + Math.abs(box.height * Math.sin(angle))) / 2
+  const halfHeight = (Math.abs(box.width * Math.sin(angle)) + Math.abs(box.height * Math.cos(angle))) / 2
+  const centerX = box.x_position + box.width / 2
+  const centerY = box.y_position + box.height / 2
+  return { left: centerX - halfWidth, top: centerY - halfHeight, right: centerX + halfWidth, bottom: centerY + halfHeight }
+}
+
+// Indexes of the cells whose centres the box covers
+function coveredCells(grid, box) {
+  const extent = extentOf(box)
+  const first = {
+    column: Math.max(0, Math.floor((extent.left - grid.origin.x) / grid.cellSize)),
+    row: Math.max(0, Math.floor((extent.top - grid.origin.y) / grid.cellSize))
+  }
+  const last = {
+    column: Math.min(grid.columns - 1, Math.floor((extent.right - grid.origin.x) / grid.cellSize)),
+    row: Math.min(grid.rows - 1, Math.floor((extent.bottom - grid.origin.y) / grid.cellSize))
+  }
+
+  const cells = []
+  for (let row = first.row; row <= last.row; row++) {
+    for (let column = first.column; column <= last.column; column++) {
+      const index = row * grid.columns + column
+      if (containsPoint(box, cellCenter(grid, index))) cells.push(index)
+    }
+  }
+  return cells
+}
+
+// bounds: the { x, y, width, height } world box to cover. ground, obstacles
+// and walkways are lists of boxes; an empty ground means open ground.
+export function buildWalkGrid({ bounds, cellSize, ground = [], obstacles = [], walkways = [] }) {
+  const columns = Math.max(1, Math.ceil(bounds.width / cellSize))
+  const rows = Math.max(1, Math.ceil(bounds.height / cellSize))
+  const walkable = new Uint8Array(columns * rows).fill(ground.length === 0 ? 1 : 0)
+  const grid = { origin: { x: bounds.x, y: bounds.y }, cellSize, columns, rows, walkable }
+
+  ground.forEach(box => coveredCells(grid, box).forEach(index => { walkable[index] = 1 }))
+  obstacles.forEach(box => coveredCells(grid, box).forEach(index => { walkable[index] = 0 }))
+  walkways.forEach(box => coveredCells(grid, box).forEach(index => { walkable[index] = 1 }))
+
+  return grid
+}
+
+export function cellIndex(grid, { x, y }) {
+  const column = Math.floor((x - grid.origin.x) / grid.cellSize)
+  const row = Math.floor((y - grid.origin.y) / grid.cellSize)
+  if (column < 0 || row < 0 || column >= grid.columns || row >= grid.rows) return -1
+  return row * grid.columns + column
+}
+
+export function cellCenter(grid, index) {
+  return {
+    x: grid.origin.x + (index % grid.columns + 0.5) * grid.cellSize,
+    y: grid.origin.y + (Math.floor(index / grid.columns) + 0.5) * grid.cellSize
+  }
+}
+
+// Walkable cells reachable in one step from `index`, with the step length in
+// cells. Diagonal steps need both orthogonal neighbours free.
+function steps(grid, index) {
+  const column = index % grid.columns
+  const row = Math.floor(index / grid.columns)
+  const free = (c, r) => c >= 0 && r >= 0 && c < grid.columns && r < grid.rows && grid.walkable[r * grid.columns + c] === 1
+
+  return NEIGHBOURS.filter(([dc, dr]) => {
+    if (!free(column + dc, row + dr)) return false
+    return dc === 0 || dr === 0 || (free(column + dc, row) && free(column, row + dr))
+  }).map(([dc, dr]) => ({
+    index: (row + dr) * grid.columns + column + dc,
+    length: dc === 0 || dr === 0 ? 1 : Math.SQRT2
+  }))
+}
+
+// Binary min-heap of [priority, index] pairs
+class CellQueue {
+  constructor() {
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  push(priority, index) {
+    const items = this.items
+    items.push([priority, index])
+    let child = items.length - 1
+    while (child > 0) {
+      const parent = (child - 1) >> 1
+      if (items[parent][0] <= items[child][0]) break
+      const swap = items[parent]
+      items[parent] = items[child]
+      items[child] = swap
+      child = parent
+    }
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length > 0) {
+      items[0] = last
+      let parent = 0
+      for (;;) {
+        const left = parent * 2 + 1
+        const right = left + 1
+        let smallest = parent
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right
+        if (smallest === parent) break
+        const swap = items[parent]
+        items[parent] = items[smallest]
+        items[smallest] = swap
+        parent = smallest
+      }
+    }
+    return top
+  }
+}
+
+// exits: [{ key, box }]. Every cell under an exit is a start, and made
+// walkable like a walkway; an exit smaller than a cell starts from the cell
+// under its centre. Returns the distance from each cell to its nearest exit in
+// world pixels (Infinity when walled off), which exit that is, and the largest
+// finite distance.
+export function exitDistances(grid, exits) {
+  const distance = new Float64Array(grid.walkable.length).fill(Infinity)
+  const exit = new Int32Array(grid.walkable.length).fill(-1)
+  const queue = new CellQueue()
+
+  exits.forEach(({ box }, exitIndex) => {
+    const center = { x: box.x_position + box.width / 2, y: box.y_position + box.height / 2 }
+    const cells = coveredCells(grid, box)
+    if (cells.length === 0 && cellIndex(grid, center) >= 0) cells.push(cellIndex(grid, center))
+
+    cells.forEach(index => {
+      grid.walkable[index] = 1
+      distance[index] = 0
+      exit[index] = exitIndex
+      queue.push(0, index)
+    })
+  })
+
+  while (queue.size > 0) {
+    const [reached, index] = queue.pop()
+    if (reached > distance[index]) continue
+
+    steps(grid, index).forEach(step => {
+      const candidate = reached + step.length * grid.cellSize
+      if (candidate < distance[step.index]) {
+        distance[step.index] = candidate
+        exit[step.index] = exit[index]
+        queue.push(candidate, step.index)
+      }
+    })
+  }
+
+  const max = distance.reduce((largest, value) => (value !== Infinity && value > largest ? value : largest), 0)
+  return { distance, exit, max }
+}
+
+// Drops points that sit on a straight line between their neighbours
+function simplify(points) {
+  return points.filter((point, index) => {
+    if (index === 0 || index === points.length - 1) return true
+    const before = points[index - 1]
+    const after = points[index + 1]
+    const cross = (point.x - before.x) * (after.y - before.y) - (point.y - before.y) * (after.x - before.x)
+    return Math.abs(cross) > 1e-6
+  })
+}
+
+// Shortest route from a world point to the nearest exit: { points, distance,
+// exit } with the exit's position in the exits list, or null when the point
+// is off the grid, inside an obstacle or walled off from every exit
+export function evacuationRoute(grid, field, point) {
+  let index = cellIndex(grid, point)
+  if (index < 0 || field.distance[index] === Infinity) return null
+
+  const cells = [index]
+  while (field.distance[index] > 0) {
+    let best = null
+    steps(grid, index).forEach(step => {
+      const through = field.distance[step.index] + step.length * grid.cellSize
+      if (!best || through < best.through) best = { index: step.index, through }
+    })
+    if (!best || field.distance[best.index] >= field.distance[index]) break
+    index = best.index
+    cells.push(index)
+  }
+
+  const points = [point, ...cells.slice(1).map(cell => cellCenter(grid, cell))]
+  return {
+    points: simplify(points),
+    distance: field.distance[cells[0]],
+    exit: field.exit[cells[0]]
+  }
+}
+
+// Heatmap colour for a distance as a fraction of the longest one: green next
+// to an exit, through yellow, to red furthest away
+export function heatmapColor(fraction) {
+  const t = Math.min(1, Math.max(0, fraction))
+  return t < 0.5
+    ? [Math.round(510 * t), 200, 0]
+    : [255, Math.round(200 * (2 - 2 * t)), 0]
+}
@@ -0,0 +1,63 @@
+// Geometry for the layout editor's resize and rotate handles
+//
+// Boxes are { x_position, y_position, width, height, rotation } in canvas
+// pixels. x / y is the unrotated top-left corner and the rotation (degrees,
+// clockwise) turns the box around its centre, the same way the rendered
+// element's CSS transform does.
+
+// Handle name -> which edges it moves: -1 left / top, 1 right / bottom, 0 neither
+export const HANDLES = {
+  nw: [-1, -1], n: [0, -1], ne: [1, -1], e: [1, 0],
+  se: [1, 1], s: [0, 1], sw: [-1, 1], w: [-1, 0]
+}
+
+export function normalizeRotation(degrees) {
+  return ((degrees % 360) + 360) % 360
+}
+
+function rotatePoint({ x, y }, degrees) {
+  const radians = degrees * Math.PI / 180
+  const cos = Math.cos(radians)
+  const sin = Math.sin(radians)
+  return { x: x * cos - y * sin, y: x * sin + y * cos }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100
+}
+
+// Resizes from one handle while the opposite edge (or corner) stays put.
+// `delta` is the pointer movement in canvas pixels since the drag started.
+export function resizeBox(box, handle, delta, { minSize = 1, snap = null } = {}) {
+  const [sx, sy] = HANDLES[handle]
+  const rotation = box.rotation || 0
+  const local = rotatePoint(delta, -rotation)
+
+  const resize = (size, direction, movement) => {
+    if (direction === 0) return size
+    const resized = size + direction * movement
+    const snapped = snap ? Math.round(resized / snap) * snap : resized
+    return Math.max(minSize, snapped)
+  }
+  const width = resize(box.width, sx, local.x)
+  const height = resize(box.height, sy, local.y)
+
+  const shift = rotatePoint({ x: sx * (width - box.width) / 2, y: sy * (height - box.height) / 2 }, rotation)
+  const centerX = box.x_position + box.width / 2 + shift.x
+  const centerY = box.y_position + box.height / 2 + shift.y
+
+  return {
+    x_position: round(centerX - width / 2),
+    y_position: round(centerY - height / 2),
+    width: round(width),
+    height: round(height)
+  }
+}
+
+// Angle of the pointer around the box centre, with 0° straight up where the
+// rotate handle sits
+export function rotationFromPointer(center, pointer, snapDegrees = null) {
+  const degrees = Math.atan2(pointer.y - center.y, pointer.x - center.x) * 180 / Math.PI + 90
+  const snapped = snapDegrees ? Math.round(degrees / snapDegrees) * snapDegrees : Math.round(degrees)
+  return normalizeRotation(snapped)
+}
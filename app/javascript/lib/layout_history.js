@@ -0,0 +1,130 @@
+// Undo / redo history for the venue layout editor
+//
+// Every entry describes one user action with record snapshots, so the editor
+// can replay it in either direction against the server. Records are booths or
+// layout elements, told apart by `kind`:
+//
+//   { type: 'update', label, changes: [{ kind, id, before: { attr: value }, after: { attr: value } }] }
+//   { type: 'create', label, elements: [{ kind, id, ...attributes }] }
+//   { type: 'delete', label, elements: [{ kind, id, ...attributes }] }
+//
+// Undoing a delete (or redoing a create) recreates the record, which gets a
+// new id on the server; remapId rewrites that id throughout the history so the
+// other entries keep pointing at the same record.
+
+export const HISTORY_LIMIT = 100
+
+export function invertCommand(command) {
+  switch (command.type) {
+    case 'update':
+      return {
+        ...command,
+        changes: command.changes.map(({ before, after, ...target }) => ({ ...target, before: after, after: before }))
+      }
+    case 'create':
+      return { ...command, type: 'delete' }
+    case 'delete':
+      return { ...command, type: 'create' }
+    default:
+      throw new Error(`Unknown layout command: ${command.type}`)
+  }
+}
+
+// Drops the attributes that did not actually change; null when nothing did
+export function compactChanges(changes) {
+  const compacted = changes
+    .map(({ before, after, ...target }) => {
+      const keys = Object.keys(after).filter(key => before[key] !== after[key])
+      return {
+        ...target,
+        before: Object.fromEntries(keys.map(key => [key, before[key]])),
+        after: Object.fromEntries(keys.map(key => [key, after[key]]))
+      }
+    })
+    .filter(change => Object.keys(change.after).length > 0)
+
+  return compacted.length > 0 ? compacted : null
+}
+
+export class LayoutHistory {
+  constructor(limit = HISTORY_LIMIT) {
+    this.limit = limit
+    this.undoStack = []
+    this.redoStack = []
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0
+  }
+
+  // A new action invalidates everything that was undone before it
+  push(command) {
+    this.undoStack.push(command)
+    if (this.undoStack.length > this.limit) this.undoStack.shift()
+    this.redoStack = []
+  }
+
+  peekUndo() {
+    return this.undoStack[this.undoStack.length - 1] || null
+  }
+
+  peekRedo() {
+    return this.redoStack[this.redoStack.length - 1] || null
+  }
+
+  // Moves the latest entry to the redo stack once it has been reverted
+  undo() {
+    const command = this.undoStack.pop()
+    if (command) this.redoStack.push(command)
+    return command || null
+  }
+
+  redo() {
+    const command = this.redoStack.pop()
+    if (command) this.undoStack.push(command)
+    return command || null
+  }
+
+  // Splits the entry an undo or redo only partly applied: the applied items
+  // move to the other stack as their own entry, the rest stay to be retried
+  advancePart(action, isApplied) {
+    const [from, to] = action === 'undo' ? [this.undoStack, this.redoStack] : [this.redoStack, this.undoStack]
+    const command = from[from.length - 1]
+    if (!command) return null
+
+    const key = command.type === 'update' ? 'changes' : 'elements'
+    const applied = command[key].filter(isApplied)
+    const rest = command[key].filter(item => !isApplied(item))
+    if (applied.length === 0) return null
+
+    if (rest.length > 0) {
+      from[from.length - 1] = { ...command, [key]: rest }
+    } else {
+      from.pop()
+    }
+    const part = { ...command, [key]: applied }
+    to.push(part)
+    return part
+  }
+
+  remapId(kind, oldId, newId) {
+    const remap = item => {
+      if (item.kind === kind && String(item.id) === String(oldId)) item.id = newId
+    }
+
+    const commands = [...this.undoStack, ...this.redoStack]
+    commands.forEach(command => {
+      command.changes?.forEach(remap)
+      command.elements?.forEach(remap)
+    })
+  }
+
+  clear() {
+    this.undoStack = []
+    this.redoStack = []
+  }
+}
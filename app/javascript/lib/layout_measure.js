@@ -0,0 +1,90 @@
+// Real-world measurements for the venue layout editor
+//
+// Layout coordinates are pixels; each venue says how many of them make a
+// meter. Rulers, guides and the measure tool all go through these helpers so
+// they agree on rounding.
+
+// Ruler label steps in meters, smallest first
+const RULER_STEPS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000]
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+export function toMeters(pixels, pixelsPerMeter) {
+  return round(pixels / pixelsPerMeter)
+}
+
+export function toPixels(meters, pixelsPerMeter) {
+  return round(meters * pixelsPerMeter)
+}
+
+export function formatMeters(meters) {
+  return `${round(meters, meters < 10 ? 2 : 1)} m`
+}
+
+// Ticks for a ruler along one screen edge. `start` is the world coordinate at
+// the ruler's first screen pixel; labelled ticks sit at least `minSpacing`
+// screen pixels apart, with an unlabelled tick halfway between them.
+export function rulerTicks({ start, length, scale, pixelsPerMeter, minSpacing = 60 }) {
+  const screenPerMeter = pixelsPerMeter * scale
+  const step = RULER_STEPS.find(candidate => candidate * screenPerMeter >= minSpacing) || RULER_STEPS[RULER_STEPS.length - 1]
+  const half = step / 2
+
+  const firstMeter = Math.floor(start / pixelsPerMeter / half) * half
+  const ticks = []
+  for (let meters = firstMeter; ; meters = round(meters + half, 4)) {
+    const screen = (meters * pixelsPerMeter - start) * scale
+    if (screen > length) break
+    if (screen >= 0) {
+      const major = Math.abs(meters / step - Math.round(meters / step)) < 1e-6
+      ticks.push({ screen, meters: round(meters, 4), major })
+    }
+  }
+
+  return { step, ticks }
+}
+
+// Closest points between two unrotated boxes ({ x_position, y_position,
+// width, height }) and the gap between them; 0 when they overlap
+export function edgeGap(a, b) {
+  const axis = (startA, sizeA, startB, sizeB) => {
+    const endA = startA + sizeA
+    const endB = startB + sizeB
+    if (endA <= startB) return { from: endA, to: startB }
+    if (endB <= startA) return { from: startA, to: endB }
+
+    const middle = (Math.max(startA, startB) + Math.min(endA, endB)) / 2
+    return { from: middle, to: middle }
+  }
+
+  const x = axis(a.x_position, a.width, b.x_position, b.width)
+  const y = axis(a.y_position, a.height, b.y_position, b.height)
+  const dx = Math.abs(x.to - x.from)
+  const dy = Math.abs(y.to - y.from)
+
+  return {
+    from: { x: x.from, y: y.from },
+    to: { x: x.to, y: y.to },
+    dx,
+    dy,
+    distance: Math.hypot(dx, dy)
+  }
+}
+
+// Moves a span [start, start + size] so its nearer edge lands on a guide
+// within `threshold`; returns the span's start unchanged otherwise
+export function snapToGuides(start, size, guides, threshold) {
+  const edges = [start, start + size]
+  let best = null
+  guides.forEach(guide => {
+    edges.forEach((edge, index) => {
+      const distance = Math.abs(guide - edge)
+      if (distance <= threshold && (!best || distance < best.distance)) {
+        best = { distance, start: guide - index * size }
+      }
+    })
+  })
+  return best ? best.start : start
+}
@@ -0,0 +1,74 @@
+// Power and water utilities for the venue layout editor
+//
+// Sources are ordinary layout elements. Cable and hose runs are layout
+// elements too: their box is the polyline's bounding box, and
+// properties.points holds the vertices as "x,y x,y ..." relative to the box's
+// top-left corner, so moving the element moves the whole run. Tracing which
+// booths a source feeds happens on the server (UtilityPlanService).
+
+// Keep in step with LayoutElement::POWER_SOURCE_TYPES and friends
+export const POWER_SOURCE_TYPES = ['power_source', 'generator', 'distribution_board']
+export const WATER_SOURCE_TYPES = ['water_source', 'water_point']
+export const RUN_TYPES = { cable_run: 'power', hose_run: 'water' }
+export const UTILITY_TYPES = [...POWER_SOURCE_TYPES, ...WATER_SOURCE_TYPES, ...Object.keys(RUN_TYPES)]
+
+// Pixels of box around a run, so a straight run still has a width and height
+// and stays easy to click
+export const RUN_PADDING = 4
+
+function round(value) {
+  return Math.round(value * 100) / 100
+}
+
+export function isRun(record) {
+  return record.kind === 'layout_element' && Object.hasOwn(RUN_TYPES, record.element_type)
+}
+
+export function isUtility(record) {
+  return record.kind === 'layout_element' && UTILITY_TYPES.includes(record.element_type)
+}
+
+export function parsePoints(text) {
+  return String(text || '')
+    .trim()
+    .split(/\s+/)
+    .map(pair => pair.split(',').map(Number))
+    .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y))
+    .map(([x, y]) => ({ x, y }))
+}
+
+export function formatPoints(points) {
+  return points.map(({ x, y }) => `${round(x)},${round(y)}`).join(' ')
+}
+
+// A run's vertices in world coordinates
+export function runPoints(record) {
+  return parsePoints(record.properties?.points).map(({ x, y }) => ({
+    x: record.x_position + x,
+    y: record.y_position + y
+  }))
+}
+
+export function polylineLength(points) {
+  return points.slice(1).reduce((total, point, index) => {
+    const previous = points[index]
+    return total + Math.hypot(point.x - previous.x, point.y - previous.y)
+  }, 0)
+}
+
+// Box and properties for a run through the given world points
+export function runGeometry(points) {
+  const left = Math.min(...points.map(point => point.x)) - RUN_PADDING
+  const top = Math.min(...points.map(point => point.y)) - RUN_PADDING
+  const right = Math.max(...points.map(point => point.x)) + RUN_PADDING
+  const bottom = Math.max(...points.map(point => point.y)) + RUN_PADDING
+
+  return {
+    x_position: round(left),
+    y_position: round(top),
+    width: round(right - left),
+    height: round(bottom - top),
+    rotation: 0,
+    properties: { points: formatPoints(points.map(point => ({ x: point.x - left, y: point.y - top }))) }
+  }
+}
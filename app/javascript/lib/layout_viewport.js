@@ -0,0 +1,121 @@
+// Viewport for the venue layout editor
+//
+// The layout lives in world coordinates (the x / y / width / height stored on
+// booths and layout elements). The viewport maps them onto the screen:
+//
+//   screen = world * scale + offset
+//
+// where screen points are pixels relative to the canvas element's top-left
+// corner. The world layer is drawn with the matching CSS transform, so every
+// pointer position goes through toWorld() before it touches a record.
+
+export const MIN_SCALE = 0.1
+export const MAX_SCALE = 3
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value))
+}
+
+// Smallest box holding every { x_position, y_position, width, height } box;
+// null when there are none
+export function worldBounds(boxes) {
+  if (boxes.length === 0) return null
+
+  const left = Math.min(...boxes.map(box => box.x_position))
+  const top = Math.min(...boxes.map(box => box.y_position))
+  const right = Math.max(...boxes.map(box => box.x_position + box.width))
+  const bottom = Math.max(...boxes.map(box => box.y_position + box.height))
+  return { x: left, y: top, width: right - left, height: bottom - top }
+}
+
+// Grows a { x, y, width, height } box around its centre to the given aspect
+// ratio (width / height), so it maps onto a screen box without distortion
+export function expandToAspect(box, aspect) {
+  const width = Math.max(box.width, box.height * aspect)
+  const height = width / aspect
+  return {
+    x: box.x - (width - box.width) / 2,
+    y: box.y - (height - box.height) / 2,
+    width,
+    height
+  }
+}
+
+export class LayoutViewport {
+  constructor({ minScale = MIN_SCALE, maxScale = MAX_SCALE } = {}) {
+    this.minScale = minScale
+    this.maxScale = maxScale
+    this.scale = 1
+    this.offset = { x: 0, y: 0 }
+  }
+
+  get cssTransform() {
+    return `translate(${this.offset.x}px, ${this.offset.y}px) scale(${this.scale})`
+  }
+
+  toWorld({ x, y }) {
+    return {
+      x: (x - this.offset.x) / this.scale,
+      y: (y - this.offset.y) / this.scale
+    }
+  }
+
+  toScreen({ x, y }) {
+    return {
+      x: x * this.scale + this.offset.x,
+      y: y * this.scale + this.offset.y
+    }
+  }
+
+  // Screen distances (pointer travel) to world distances
+  toWorldDistance(pixels) {
+    return pixels / this.scale
+  }
+
+  panBy(deltaX, deltaY) {
+    this.offset = { x: this.offset.x + deltaX, y: this.offset.y + deltaY }
+  }
+
+  // Zooms so the world point under `screenPoint` stays under it
+  zoomAt(screenPoint, factor) {
+    const anchor = this.toWorld(screenPoint)
+    this.scale = clamp(this.scale * factor, this.minScale, this.maxScale)
+    this.offset = {
+      x: screenPoint.x - anchor.x * this.scale,
+      y: screenPoint.y - anchor.y * this.scale
+    }
+  }
+
+  // Puts the world point in the middle of a screen of the given size
+  centerOn(worldPoint, size) {
+    this.offset = {
+      x: size.width / 2 - worldPoint.x * this.scale,
+      y: size.height / 2 - worldPoint.y * this.scale
+    }
+  }
+
+  // Zooms and pans so the world box fills the screen, less `padding` pixels
+  // on every side
+  fit(box, size, { padding = 20, maxScale = this.maxScale } = {}) {
+    const width = Math.max(box.width, 1)
+    const height = Math.max(box.height, 1)
+    const scale = Math.min(
+      (size.width - padding * 2) / width,
+      (size.height - padding * 2) / height
+    )
+
+    this.scale = clamp(scale, this.minScale, Math.min(maxScale, this.maxScale))
+    this.centerOn({ x: box.x + box.width / 2, y: box.y + box.height / 2 }, size)
+  }
+
+  // The part of the world showing on a screen of the given size
+  visibleWorld(size) {
+    const topLeft = this.toWorld({ x: 0, y: 0 })
+    return {
+      x: topLeft.x,
+      y: topLeft.y,
+      width: size.width / this.scale,
+      height: size.height / this.scale
+    }
+  }
+}
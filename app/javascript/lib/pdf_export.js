@@ -0,0 +1,133 @@
+// Minimal PDF writer for exporting canvas drawings without a server round trip
+//
+// canvasToPdf tiles the canvas over landscape pages (A3 by default), embeds
+// every tile as a JPEG image and returns the PDF as a Blob. Everything,
+// including Japanese text, is already rasterized on the canvas, so no fonts
+// have to be embedded.
+
+const PAGE_SIZES = {
+  a4: [841.89, 595.28],
+  a3: [1190.55, 841.89]
+}
+const MARGIN = 28
+// Points per canvas pixel below which text gets too small to read (12px text
+// prints at about 7pt); wider canvases are split across pages instead
+const MIN_SCALE = 0.6
+
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.split(',')[1])
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+// Splits the canvas into page-sized JPEG slices: left to right within each
+// band of rows, bands top to bottom. A canvas that fits the page width at
+// MIN_SCALE or larger is scaled to the full width, as one column of pages.
+function pageSlices(canvas, pageWidth, pageHeight) {
+  const printableWidth = pageWidth - MARGIN * 2
+  const printableHeight = pageHeight - MARGIN * 2
+  const scale = Math.max(printableWidth / canvas.width, MIN_SCALE)
+  const sliceWidth = Math.floor(printableWidth / scale)
+  const sliceHeight = Math.floor(printableHeight / scale)
+  const slices = []
+
+  for (let top = 0; top < canvas.height; top += sliceHeight) {
+    const height = Math.min(sliceHeight, canvas.height - top)
+
+    for (let left = 0; left < canvas.width; left += sliceWidth) {
+      const width = Math.min(sliceWidth, canvas.width - left)
+      const slice = document.createElement('canvas')
+      slice.width = width
+      slice.height = height
+
+      const ctx = slice.getContext('2d')
+      ctx.fillStyle = '#ffffff'
+      ctx.fillRect(0, 0, slice.width, slice.height)
+      ctx.drawImage(canvas, left, top, width, height, 0, 0, width, height)
+
+      slices.push({
+        jpeg: dataUrlToBytes(slice.toDataURL('image/jpeg', 0.92)),
+        width: slice.width,
+        height: slice.height,
+        drawWidth: width * scale,
+        drawHeight: height * scale
+      })
+    }
+  }
+
+  return slices
+}
+
+export function canvasToPdf(canvas, { pageSize = 'a3' } = {}) {
+  const [pageWidth, pageHeight] = PAGE_SIZES[pageSize] || PAGE_SIZES.a3
+  const slices = pageSlices(canvas, pageWidth, pageHeight)
+
+  const encoder = new TextEncoder()
+  const chunks = []
+  const offsets = []
+  let length = 0
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data
+    chunks.push(bytes)
+    length += bytes.length
+  }
+  const beginObject = (id) => {
+    offsets[id] = length
+    write(`${id} 0 obj\n`)
+  }
+
+  // Object ids: 1 catalog, 2 page tree, then page / image / content per slice
+  const pageIds = slices.map((_, index) => 3 + index * 3)
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')
+
+  beginObject(1)
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n')
+
+  beginObject(2)
+  write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>\nendobj\n`)
+
+  slices.forEach((slice, index) => {
+    const pageId = pageIds[index]
+    const imageId = pageId + 1
+    const contentId = pageId + 2
+    const y = pageHeight - MARGIN - slice.drawHeight
+    const content = `q ${slice.drawWidth.toFixed(2)} 0 0 ${slice.drawHeight.toFixed(2)} ${MARGIN} ${y.toFixed(2)} cm /Im0 Do Q`
+
+    beginObject(pageId)
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+          `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>\nendobj\n`)
+
+    beginObject(imageId)
+    write(`<< /Type /XObject /Subtype /Image /Width ${slice.width} /Height ${slice.height} ` +
+          `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${slice.jpeg.length} >>\nstream\n`)
+    write(slice.jpeg)
+    write('\nendstream\nendobj\n')
+
+    beginObject(contentId)
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`)
+  })
+
+  const objectCount = 3 + slices.length * 3
+  const xrefOffset = length
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`)
+  for (let id = 1; id < objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`)
+  }
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  return new Blob(chunks, { type: 'application/pdf' })
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
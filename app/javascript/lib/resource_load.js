@@ -0,0 +1,36 @@
+// Resource load per assignee and day
+//
+// Counts, for every assignee, how many open tasks overlap each calendar day.
+// Dates are inclusive "YYYY-MM-DD" strings as used by the Gantt chart data.
+
+const DAY = 1000 * 60 * 60 * 24
+const CLOSED_STATUSES = ['completed', 'cancelled']
+
+const toDay = (dateString) => Math.round(Date.parse(dateString) / DAY)
+const fromDay = (day) => new Date(day * DAY).toISOString().slice(0, 10)
+
+export function isOpenTask(task) {
+  return !CLOSED_STATUSES.includes(task.status)
+}
+
+// Returns [{ userId, name, load: Map<"YYYY-MM-DD", count>, peak }] sorted by name
+export function computeResourceLoad(tasks) {
+  const assignees = new Map()
+
+  tasks.filter(isOpenTask).forEach(task => {
+    const userId = String(task.user_id)
+    if (!assignees.has(userId)) {
+      assignees.set(userId, { userId, name: task.user, load: new Map(), peak: 0 })
+    }
+
+    const assignee = assignees.get(userId)
+    for (let day = toDay(task.start); day <= toDay(task.end); day++) {
+      const date = fromDay(day)
+      const count = (assignee.load.get(date) || 0) + 1
+      assignee.load.set(date, count)
+      assignee.peak = Math.max(assignee.peak, count)
+    }
+  })
+
+  return [...assignees.values()].sort((a, b) => (a.name || '').localeCompare(b.name || '', 'ja'))
+}
@@ -0,0 +1,75 @@
+// Composable filter model for the Gantt chart
+//
+// A filter is a plain object with any of the keys below. Every key that is
+// set narrows the task list further, and the whole filter round-trips through
+// the URL query string so a filtered view can be reloaded or shared.
+//
+//   status    - task status ("pending", "in_progress", ...)
+//   priority  - task priority ("urgent", "high", ...)
+//   assignee  - user id of the assignee
+//   festival_id - id of the task's festival (the all-tasks chart spans several)
+//   from, to  - "YYYY-MM-DD" window; tasks overlapping it are kept
+//   q         - free text matched against name, description, assignee, festival
+//   milestone - key of the milestone the task leads up to
+
+export const FILTER_KEYS = ['status', 'priority', 'assignee', 'festival_id', 'from', 'to', 'q', 'milestone']
+
+export function parseTaskFilter(search) {
+  const params = new URLSearchParams(search)
+  const filter = {}
+
+  FILTER_KEYS.forEach(key => {
+    const value = params.get(key)?.trim()
+    if (value && value !== 'all') filter[key] = value
+  })
+
+  return filter
+}
+
+// Writes the filter into the given query string, leaving unrelated params alone
+export function serializeTaskFilter(filter, search = '') {
+  const params = new URLSearchParams(search)
+
+  FILTER_KEYS.forEach(key => {
+    if (filter[key]) {
+      params.set(key, filter[key])
+    } else {
+      params.delete(key)
+    }
+  })
+
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+export function isFilterEmpty(filter) {
+  return FILTER_KEYS.every(key => !filter[key])
+}
+
+export function matchesTaskFilter(task, filter) {
+  if (filter.status && task.status !== filter.status) return false
+  if (filter.priority && task.priority !== filter.priority) return false
+  if (filter.assignee && String(task.user_id) !== String(filter.assignee)) return false
+  if (filter.festival_id && String(task.festival_id) !== String(filter.festival_id)) return false
+  if (filter.milestone && task.milestone !== filter.milestone) return false
+
+  // Dates are "YYYY-MM-DD" strings, so they compare lexically
+  if (filter.from && task.end < filter.from) return false
+  if (filter.to && task.start > filter.to) return false
+
+  if (filter.q) {
+    const haystack = [task.name, task.description, task.user, task.festival]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase()
+    const terms = filter.q.toLowerCase().split(/\s+/).filter(Boolean)
+    if (!terms.every(term => haystack.includes(term))) return false
+  }
+
+  return true
+}
+
+export function applyTaskFilter(tasks, filter) {
+  if (isFilterEmpty(filter)) return tasks
+  return tasks.filter(task => matchesTaskFilter(task, filter))
+}
@@ -0,0 +1,58 @@
+// Swimlane grouping for the Gantt chart
+//
+// groupTasks splits the (already filtered) task list into groups with a
+// summary of each group's overall span and average progress. Groups keep a
+// fixed order for priority, status and milestone and are sorted by name for
+// assignees.
+
+export const GROUPINGS = ['user', 'priority', 'status', 'milestone']
+
+// Tasks without a milestone are grouped under this key
+export const NO_MILESTONE = 'none'
+
+const GROUP_ORDERS = {
+  priority: ['urgent', 'high', 'medium', 'low'],
+  status: ['pending', 'in_progress', 'completed', 'cancelled'],
+  milestone: ['vendor_deadline', 'permit_deadline', 'setup_start', 'opening', 'closing', NO_MILESTONE]
+}
+
+function groupKey(task, groupBy) {
+  if (groupBy === 'user') return String(task.user_id)
+  if (groupBy === 'milestone') return task.milestone || NO_MILESTONE
+  return task[groupBy]
+}
+
+function summarize(key, tasks) {
+  const start = tasks.reduce((earliest, task) => task.start < earliest ? task.start : earliest, tasks[0].start)
+  const end = tasks.reduce((latest, task) => task.end > latest ? task.end : latest, tasks[0].end)
+  const progress = tasks.reduce((sum, task) => sum + (task.progress || 0), 0) / tasks.length
+  const summary = { key, tasks, start, end, progress: Math.round(progress) }
+
+  // Times for the hour scales (all in the server's zone, so they sort as strings)
+  if (tasks.every(task => task.start_at && task.end_at)) {
+    summary.start_at = tasks.reduce((earliest, task) => task.start_at < earliest ? task.start_at : earliest, tasks[0].start_at)
+    summary.end_at = tasks.reduce((latest, task) => task.end_at > latest ? task.end_at : latest, tasks[0].end_at)
+  }
+
+  return summary
+}
+
+export function groupTasks(tasks, groupBy) {
+  const buckets = new Map()
+
+  tasks.forEach(task => {
+    const key = groupKey(task, groupBy)
+    if (!buckets.has(key)) buckets.set(key, [])
+    buckets.get(key).push(task)
+  })
+
+  const groups = [...buckets.entries()].map(([key, groupTasks]) => summarize(key, groupTasks))
+  const order = GROUP_ORDERS[groupBy]
+
+  if (order) {
+    const rank = (key) => order.includes(key) ? order.indexOf(key) : order.length
+    return groups.sort((a, b) => rank(a.key) - rank(b.key))
+  }
+
+  return groups.sort((a, b) => (a.tasks[0].user || '').localeCompare(b.tasks[0].user || '', 'ja'))
+}
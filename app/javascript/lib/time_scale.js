@@ -0,0 +1,76 @@
+// Time scales for the Gantt chart
+//
+// The day scale spans the whole planning period. The hour and quarter-hour
+// scales span a single festival day and place tasks by their start / due
+// times. Times arrive as ISO 8601 strings in the server's time zone
+// ("2025-08-02T09:15:00+09:00") and are handled as wall-clock minutes in that
+// zone, so the chart shows the schedule as the organizers planned it no matter
+// where the browser is.
+
+export const DAY_MINUTES = 24 * 60
+
+export const SCALES = {
+  day: { slotMinutes: DAY_MINUTES, width: 30, minWidth: 8, maxWidth: 60 },
+  hour: { slotMinutes: 60, width: 80, minWidth: 40, maxWidth: 200 },
+  quarter: { slotMinutes: 15, width: 28, minWidth: 16, maxWidth: 80 }
+}
+
+const TIMESTAMP = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/
+
+export function isTimeScale(scale) {
+  return scale !== 'day' && Object.hasOwn(SCALES, scale)
+}
+
+// Minutes since the epoch on the wall clock of the timestamp's own zone
+export function wallMinutes(timestamp) {
+  const match = TIMESTAMP.exec(timestamp || '')
+  if (!match) return NaN
+
+  const [, date, hours = '0', minutes = '0'] = match
+  return Math.round(Date.parse(date) / 60000) + parseInt(hours, 10) * 60 + parseInt(minutes, 10)
+}
+
+export function dayStartMinutes(dateString) {
+  return wallMinutes(dateString)
+}
+
+// Moves a timestamp by whole minutes, keeping its UTC offset
+export function shiftTimestamp(timestamp, minutes) {
+  const suffix = TIMESTAMP.exec(timestamp)?.[4] || ''
+  const shifted = new Date((wallMinutes(timestamp) + minutes) * 60000).toISOString()
+  return `${shifted.slice(0, 16)}:00${suffix}`
+}
+
+export function formatClock(minutes) {
+  const minuteOfDay = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES
+  return `${Math.floor(minuteOfDay / 60)}:${String(minuteOfDay % 60).padStart(2, '0')}`
+}
+
+function offsetMinutes(suffix) {
+  if (!suffix) return -new Date().getTimezoneOffset()
+  if (suffix === 'Z') return 0
+
+  const [, sign, hours, minutes] = /([+-])(\d{2}):?(\d{2})/.exec(suffix)
+  return (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10))
+}
+
+// The current time as wall-clock minutes in the zone of a reference timestamp
+export function currentWallMinutes(referenceTimestamp = null) {
+  const suffix = TIMESTAMP.exec(referenceTimestamp || '')?.[4]
+  return Math.floor(Date.now() / 60000) + offsetMinutes(suffix)
+}
+
+// Slot position of a task within a day window; at least one slot wide so
+// that zero-length tasks (start == due) stay visible
+export function slotSpan(startAt, endAt, windowStart, slotMinutes) {
+  const start = wallMinutes(startAt)
+  const end = Math.max(wallMinutes(endAt), start)
+  const startOffset = Math.floor((start - windowStart) / slotMinutes)
+  const endOffset = Math.max(Math.ceil((end - windowStart) / slotMinutes), startOffset + 1)
+  return { startOffset, duration: endOffset - startOffset }
+}
+
+export function overlapsDay(task, dateString) {
+  const dayStart = dayStartMinutes(dateString)
+  return wallMinutes(task.start_at) < dayStart + DAY_MINUTES && wallMinutes(task.end_at) >= dayStart
+}
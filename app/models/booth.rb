@@ -12,9 +12,14 @@ class Booth < ApplicationRecord
   validates :y_position, presence: true, numericality: true
   validates :rotation, numericality: { in: 0..360 }, allow_nil: true
   validates :status, presence: true
+  validates :power_load, numericality: { greater_than_or_equal_to: 0 }, allow_nil: true
 
   SIZES = %w[small medium large extra_large custom].freeze
+  # 規格サイズの一辺の長さ（メートル）
+  SIZE_DIMENSIONS = { "small" => 3, "medium" => 4, "large" => 5, "extra_large" => 6 }.freeze
   STATUSES = %w[available reserved assigned occupied maintenance unavailable].freeze
+  # 電源が必要で消費電力（kW）が未入力のブースの見込み負荷
+  DEFAULT_POWER_LOAD = 1.5
 
   validates :size, inclusion: { in: SIZES }
   validates :status, inclusion: { in: STATUSES }
@@ -145,6 +150,31 @@ class Booth < ApplicationRecord
     end
   end
 
+  # 割り当てできない理由（割り当てできるなら nil）
+  def assignment_error(vendor_application)
+    return "承認済みの申請のみ割り当てできます" unless vendor_application.approved?
+    return "ブース #{booth_number} は#{status_text}のため割り当てできません" unless is_available?
+
+    assigned = vendor_application.booth
+    "#{vendor_application.business_name}にはすでにブース #{assigned.booth_number} が割り当てられています" if assigned && assigned != self
+  end
+
+  # 割り当てはできるが、出店者に必要な設備がブースにない
+  def assignment_warnings(vendor_application)
+    warnings = []
+    if vendor_application.needs_water? && !water_required?
+      warnings << if vendor_application.food_vendor?
+        "飲食の出店者（#{vendor_application.business_name}）ですが、ブース #{booth_number} には給水がありません"
+      else
+        "#{vendor_application.business_name}は給水を希望していますが、ブース #{booth_number} には給水がありません"
+      end
+    end
+    if vendor_application.needs_power? && !power_required?
+      warnings << "#{vendor_application.business_name}は電源を希望していますが、ブース #{booth_number} には電源がありません"
+    end
+    warnings
+  end
+
   def unassign_from_vendor!
     return false unless is_assigned?
 
@@ -187,6 +217,13 @@ class Booth < ApplicationRecord
     false
   end
 
+  # 電源計画で見込む負荷（kW）。電源不要なら 0
+  def power_demand
+    return 0.0 unless power_required?
+
+    (power_load || DEFAULT_POWER_LOAD).to_f
+  end
+
   def requirements_summary
     requirements = []
     requirements << "電源" if power_required?
@@ -196,6 +233,28 @@ class Booth < ApplicationRecord
     requirements.any? ? requirements.join(", ") : "特別な要件なし"
   end
 
+  # 複製したブースに祭り内で重複しない番号と名前を振り直す（出店者の割り当ては引き継がない）
+  def renumber_as_copy
+    source_number = booth_number
+    self.booth_number = self.class.next_booth_number(festival, source_number)
+    self.name = name == "ブース #{source_number}" ? "ブース #{booth_number}" : "#{name} (コピー)"
+    self.vendor_application = nil
+    self.status = "available"
+  end
+
+  # "01-003" → "01-004" のように末尾の数字を桁数を保って進め、空いている番号を返す
+  def self.next_booth_number(festival, booth_number)
+    taken = festival.booths.pluck(:booth_number).to_set
+    prefix, digits = booth_number.to_s.match(/\A(.*?)(\d+)\z/)&.captures
+
+    candidates = if digits
+      (digits.to_i + 1..).lazy.map { |n| "#{prefix}#{n.to_s.rjust(digits.length, "0")}" }
+    else
+      (2..).lazy.map { |n| "#{booth_number}-#{n}" }
+    end
+    candidates.find { |candidate| !taken.include?(candidate) }
+  end
+
   def self.generate_booth_number(festival_id, area_index, booth_index)
     area_prefix = (area_index + 1).to_s.rjust(2, "0")
     booth_number = (booth_index + 1).to_s.rjust(3, "0")
@@ -1,6 +1,7 @@
 class Festival < ApplicationRecord
   belongs_to :user
   has_many :tasks, dependent: :destroy
+  has_many :schedule_baselines, dependent: :destroy
   has_many :vendor_applications, dependent: :destroy
   has_many :notifications, as: :notifiable, dependent: :destroy
   has_many :forums, dependent: :destroy
@@ -9,6 +9,7 @@ class LayoutElement < ApplicationRecord
   validates :height, presence: true, numericality: { greater_than: 0 }
   validates :rotation, numericality: { in: 0..360 }, allow_nil: true
   validates :layer, numericality: { greater_than_or_equal_to: 0 }, allow_nil: true
+  validate :geometry_unchanged_while_locked
 
   ELEMENT_TYPES = %w[
     stage platform seating_area entrance exit emergency_exit
@@ -17,11 +18,21 @@ class LayoutElement < ApplicationRecord
     barrier fence gate path walkway
     decoration signage screen speaker
     power_source water_source waste_disposal
+    generator distribution_board water_point cable_run hose_run
     tree building structure equipment
     custom
   ].freeze
 
+  # 電源・給水のユーティリティ要素。分電盤は上流の電源から受けて配る中継点
+  POWER_SOURCE_TYPES = %w[power_source generator distribution_board].freeze
+  WATER_SOURCE_TYPES = %w[water_source water_point].freeze
+  # properties["points"] に折れ線（要素の左上からの相対座標）を持つ配線・配管
+  UTILITY_RUN_TYPES = %w[cable_run hose_run].freeze
+
+  GEOMETRY_ATTRIBUTES = %w[x_position y_position width height rotation].freeze
+
   validates :element_type, inclusion: { in: ELEMENT_TYPES }
+  validate :run_has_points, if: :utility_run?
 
   scope :by_type, ->(type) { where(element_type: type) }
   scope :by_layer, ->(layer) { where(layer: layer) }
@@ -56,6 +67,11 @@ class LayoutElement < ApplicationRecord
     when "speaker" then "スピーカー"
     when "power_source" then "電源"
     when "water_source" then "給水"
+    when "generator" then "発電機"
+    when "distribution_board" then "分電盤"
+    when "water_point" then "給水栓"
+    when "cable_run" then "ケーブル"
+    when "hose_run" then "ホース"
     when "waste_disposal" then "ゴミ箱"
     when "tree" then "樹木"
     when "building" then "建物"
@@ -200,6 +216,28 @@ class LayoutElement < ApplicationRecord
     venue.can_be_modified_by?(user)
   end
 
+  # properties は JSON 文字列で保存する（ハッシュやパラメータを渡してもよい）
+  def properties=(value)
+    value = value.to_h.to_json if value.is_a?(Hash) || value.is_a?(ActionController::Parameters)
+    super(value)
+  end
+
+  def utility_run?
+    UTILITY_RUN_TYPES.include?(element_type)
+  end
+
+  # 配線・配管の折れ線の頂点（会場座標）。"x,y x,y ..." 形式の相対座標から求める
+  def run_points
+    properties_hash["points"].to_s.split.filter_map do |pair|
+      x, y = pair.split(",").map { |value| Float(value, exception: false) }
+      [ x_position.to_f + x, y_position.to_f + y ] if x && y
+    end
+  end
+
+  def run_length
+    run_points.each_cons(2).sum { |(x1, y1), (x2, y2)| Math.hypot(x2 - x1, y2 - y1) }
+  end
+
   def properties_hash
     return {} if properties.blank?
 
@@ -256,6 +294,18 @@ class LayoutElement < ApplicationRecord
 
   private
 
+  def run_has_points
+    errors.add(:base, "配線・配管には2点以上の経路が必要です") if run_points.size < 2
+  end
+
+  # ロック中の要素は位置・サイズ・向きを変えられない（ロック解除と同時の変更は可）
+  def geometry_unchanged_while_locked
+    return unless persisted? && locked? && locked_in_database
+    return if (GEOMETRY_ATTRIBUTES & changed_attribute_names_to_save).empty?
+
+    errors.add(:base, "ロックされた要素は移動・変形できません")
+  end
+
   def rotation_in_radians
     (rotation || 0) * Math::PI / 180
   end
@@ -0,0 +1,118 @@
+require "csv"
+
+class ScheduleBaseline < ApplicationRecord
+  belongs_to :festival
+  belongs_to :user
+
+  validates :name, presence: true, length: { maximum: 100 }, uniqueness: { scope: :festival_id }
+  validates :description, length: { maximum: 1000 }, allow_blank: true
+
+  scope :recent, -> { order(created_at: :desc) }
+
+  # 現在のタスク日程をベースラインとして記録する
+  def self.capture(festival, user, attributes = {})
+    new(attributes.merge(
+      festival: festival,
+      user: user,
+      task_snapshots: festival.tasks.order(:id).map { |task| snapshot_for(task) }
+    ))
+  end
+
+  def self.snapshot_for(task)
+    {
+      "task_id" => task.id,
+      "title" => task.title,
+      "start_date" => task.scheduled_start_date.to_date.iso8601,
+      "due_date" => task.due_date.to_date.iso8601
+    }
+  end
+
+  def task_count
+    task_snapshots.size
+  end
+
+  # ベースラインと現在の日程の差（日数、正の値は遅れ）
+  # タスクごとに status: "tracked" / "added"（ベースライン後に追加）/ "removed"（削除済み）
+  def drift_report
+    tasks = festival.tasks.index_by(&:id)
+    snapshot_ids = task_snapshots.map { |snapshot| snapshot["task_id"] }
+
+    tracked = task_snapshots.map do |snapshot|
+      task = tasks[snapshot["task_id"]]
+      baseline_start = Date.parse(snapshot["start_date"])
+      baseline_end = Date.parse(snapshot["due_date"])
+
+      if task
+        current_start = task.scheduled_start_date.to_date
+        current_end = task.due_date.to_date
+        drift_row(task.id, task.title, "tracked", baseline_start, baseline_end, current_start, current_end)
+      else
+        drift_row(snapshot["task_id"], snapshot["title"], "removed", baseline_start, baseline_end, nil, nil)
+      end
+    end
+
+    added = tasks.except(*snapshot_ids).values.map do |task|
+      drift_row(task.id, task.title, "added", nil, nil, task.scheduled_start_date.to_date, task.due_date.to_date)
+    end
+
+    tracked + added
+  end
+
+  def drift_summary(report = drift_report)
+    variances = report.filter_map { |row| row[:finish_variance] }
+
+    {
+      tracked: variances.size,
+      delayed: variances.count(&:positive?),
+      ahead: variances.count(&:negative?),
+      max_delay: [ variances.max.to_i, 0 ].max,
+      added: report.count { |row| row[:status] == "added" },
+      removed: report.count { |row| row[:status] == "removed" }
+    }
+  end
+
+  def to_csv
+    CSV.generate(headers: true) do |csv|
+      csv << [ "タスクID", "タスク名", "状態", "基準開始日", "基準期限", "現在の開始日", "現在の期限", "開始差異（日）", "期限差異（日）" ]
+
+      drift_report.each do |row|
+        csv << [
+          row[:task_id],
+          row[:title],
+          drift_status_text(row[:status]),
+          row[:baseline_start],
+          row[:baseline_end],
+          row[:current_start],
+          row[:current_end],
+          row[:start_variance],
+          row[:finish_variance]
+        ]
+      end
+    end
+  end
+
+  def drift_status_text(status)
+    case status
+    when "tracked" then "比較"
+    when "added" then "追加"
+    when "removed" then "削除"
+    else status
+    end
+  end
+
+  private
+
+  def drift_row(task_id, title, status, baseline_start, baseline_end, current_start, current_end)
+    {
+      task_id: task_id,
+      title: title,
+      status: status,
+      baseline_start: baseline_start&.iso8601,
+      baseline_end: baseline_end&.iso8601,
+      current_start: current_start&.iso8601,
+      current_end: current_end&.iso8601,
+      start_variance: baseline_start && current_start ? (current_start - baseline_start).to_i : nil,
+      finish_variance: baseline_end && current_end ? (current_end - baseline_end).to_i : nil
+    }
+  end
+end
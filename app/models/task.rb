@@ -1,6 +1,7 @@
 class Task < ApplicationRecord
   belongs_to :user
   belongs_to :festival
+  belongs_to :venue_area, optional: true
 
   # Active Storage attachments
   has_many_attached :attachments
@@ -20,10 +21,22 @@ class Task < ApplicationRecord
     cancelled: 3
   }
 
+  # ガントチャートのマイルストーン（FestivalMilestoneService が日程から算出）への紐付け
+  normalizes :milestone_key, with: ->(key) { key.presence }
+
   validates :title, :due_date, presence: true
+  validates :milestone_key, inclusion: { in: FestivalMilestoneService::MILESTONE_NAMES.keys }, allow_nil: true
   validates :title, length: { maximum: 200 }
   validates :description, length: { maximum: 1000 }, allow_blank: true
   validate :due_date_within_festival_period
+  validate :start_date_before_due_date
+  validate :venue_area_belongs_to_festival
+
+  # タスク間の依存関係
+  has_many :successor_dependencies, class_name: "TaskDependency", foreign_key: :predecessor_id, dependent: :destroy
+  has_many :predecessor_dependencies, class_name: "TaskDependency", foreign_key: :successor_id, dependent: :destroy
+  has_many :successors, through: :successor_dependencies, source: :successor
+  has_many :predecessors, through: :predecessor_dependencies, source: :predecessor
 
   # LINE連携関連
   attr_accessor :created_via_line
@@ -33,6 +46,7 @@ class Task < ApplicationRecord
   scope :due_soon, -> { where("due_date BETWEEN ? AND ? AND status != ?", Time.current, 3.days.from_now, statuses[:completed]) }
   scope :by_priority, -> { order(:priority) }
   scope :by_due_date, -> { order(:due_date) }
+  scope :unfinished, -> { where.not(status: [ :completed, :cancelled ]) }
   scope :created_via_line, -> { joins(:line_messages).distinct }
   scope :with_line_context, -> { includes(:line_messages) }
 
@@ -41,6 +55,7 @@ class Task < ApplicationRecord
 
   after_update :send_status_change_notification
   after_create :send_task_assigned_notification
+  after_update :reschedule_successors, if: -> { saved_change_to_start_date? || saved_change_to_due_date? }
 
   def overdue?
     due_date < Time.current && !completed?
@@ -50,6 +65,11 @@ class Task < ApplicationRecord
     due_date.between?(Time.current, 3.days.from_now) && !completed?
   end
 
+  # 開始日が未設定のタスクは作成日を開始日とみなす
+  def scheduled_start_date
+    start_date || created_at || Time.current
+  end
+
   # LINE連携関連メソッド
   def created_from_line?
     line_messages.any?
@@ -128,6 +148,28 @@ class Task < ApplicationRecord
     end
   end
 
+  def start_date_before_due_date
+    return unless start_date && due_date
+    if start_date.to_date > due_date.to_date
+      errors.add(:start_date, "must be on or before the due date")
+    end
+  end
+
+  def venue_area_belongs_to_festival
+    return unless venue_area && festival
+    unless venue_area.venue.festival_id == festival_id
+      errors.add(:venue_area, "must belong to one of the festival's venues")
+    end
+  end
+
+  # 後続タスクを動かせなければ、このタスクの変更ごと取り消す
+  def reschedule_successors
+    successor_dependencies.includes(:successor).each(&:enforce!)
+  rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotSaved => e
+    errors.add(:base, "Dependent task \"#{e.record.title}\" could not be rescheduled: #{e.record.errors.full_messages.to_sentence}")
+    raise ActiveRecord::Rollback
+  end
+
   def send_status_change_notification
     if saved_change_to_status?
       old_status = status_before_last_save
@@ -0,0 +1,93 @@
+class TaskDependency < ApplicationRecord
+  belongs_to :predecessor, class_name: "Task"
+  belongs_to :successor, class_name: "Task"
+
+  DEPENDENCY_TYPES = %w[finish_to_start start_to_start finish_to_finish].freeze
+
+  validates :dependency_type, presence: true, inclusion: { in: DEPENDENCY_TYPES }
+  validates :successor_id, uniqueness: { scope: :predecessor_id }
+  validate :not_self_referencing
+  validate :same_festival
+  validate :no_circular_dependency
+
+  scope :for_tasks, ->(task_ids) { where(predecessor_id: task_ids).or(where(successor_id: task_ids)) }
+
+  after_create :reschedule_successor
+
+  def dependency_type_text
+    case dependency_type
+    when "finish_to_start" then "終了→開始"
+    when "start_to_start" then "開始→開始"
+    when "finish_to_finish" then "終了→終了"
+    else dependency_type.humanize
+    end
+  end
+
+  # 先行タスクの日程を満たすよう後続タスクを後ろ倒しする（所要日数は維持）
+  def enforce!
+    shift = required_shift_days
+    return if shift <= 0
+
+    saved = successor.update!(
+      start_date: successor.scheduled_start_date + shift.days,
+      due_date: successor.due_date + shift.days
+    )
+    # さらに先のタスクを動かせなかったとき、update! は例外ではなく nil を返す
+    raise ActiveRecord::RecordNotSaved.new("Failed to save the record", successor) unless saved
+  end
+
+  def required_shift_days
+    case dependency_type
+    when "finish_to_start"
+      (predecessor.due_date.to_date + 1 - successor.scheduled_start_date.to_date).to_i
+    when "start_to_start"
+      (predecessor.scheduled_start_date.to_date - successor.scheduled_start_date.to_date).to_i
+    when "finish_to_finish"
+      (predecessor.due_date.to_date - successor.due_date.to_date).to_i
+    else
+      0
+    end
+  end
+
+  private
+
+  # 後続タスクを動かせない（フェスティバルの期間外になるなど）ときは依存関係を作らない
+  def reschedule_successor
+    enforce!
+  rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotSaved => e
+    errors.add(:successor, "could not be rescheduled: #{e.record.errors.full_messages.to_sentence}")
+    raise ActiveRecord::Rollback
+  end
+
+  def not_self_referencing
+    return unless predecessor_id && predecessor_id == successor_id
+
+    errors.add(:successor, "cannot depend on itself")
+  end
+
+  def same_festival
+    return unless predecessor && successor
+    return if predecessor.festival_id == successor.festival_id
+
+    errors.add(:successor, "must belong to the same festival")
+  end
+
+  def no_circular_dependency
+    return unless predecessor_id && successor_id
+    return if predecessor_id == successor_id
+
+    visited = Set.new
+    queue = [ successor_id ]
+
+    until queue.empty?
+      task_id = queue.shift
+      if task_id == predecessor_id
+        errors.add(:base, "Dependency would create a cycle")
+        return
+      end
+      next unless visited.add?(task_id)
+
+      queue.concat(TaskDependency.where(predecessor_id: task_id).pluck(:successor_id))
+    end
+  end
+end
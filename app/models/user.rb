@@ -32,6 +32,7 @@ class User < ApplicationRecord
 
   has_many :owned_festivals, class_name: "Festival", dependent: :destroy
   has_many :tasks, dependent: :destroy
+  has_many :schedule_baselines, dependent: :destroy
   has_many :vendor_applications, dependent: :destroy
   has_many :applied_festivals, through: :vendor_applications, source: :festival
 
@@ -21,6 +21,45 @@ class VendorApplication < ApplicationRecord
     urgent: 4
   }
 
+  # ブース割り当て時の設備チェックに使う（事業種別と要望欄から推定する）
+  FOOD_BUSINESS_PATTERN = /飲食|フード|キッチンカー|food|restaurant|catering|beverage/i
+  POWER_REQUIREMENT_PATTERN = /電源|電気|電力|コンセント|electric|power|outlet/i
+  WATER_REQUIREMENT_PATTERN = /給水|水道|水場|water|sink/i
+  # 同じ品目を扱う出店者は自動配置で離して置く（店名と紹介文から判定する）
+  COMPETITION_CATEGORIES = {
+    "ラーメン" => /ラーメン|らーめん|拉麺|ramen/i,
+    "焼きそば" => /焼きそば|やきそば|yakisoba/i,
+    "たこ焼き" => /たこ焼|たこやき|takoyaki/i,
+    "お好み焼き" => /お好み焼|okonomiyaki/i,
+    "焼き鳥" => /焼き鳥|焼鳥|やきとり|yakitori/i,
+    "唐揚げ" => /唐揚|からあげ|karaage/i,
+    "カレー" => /カレー|curry/i,
+    "かき氷" => /かき氷|shaved ice/i,
+    "クレープ" => /クレープ|crepe/i,
+    "ドリンク" => /ドリンク|ジュース|ビール|コーヒー|drink|juice|beer|coffee/i,
+    "アクセサリー" => /アクセサリー|accessor/i
+  }.freeze
+
+  # 設備・品目の判定
+  def food_vendor?
+    business_type.to_s.match?(FOOD_BUSINESS_PATTERN)
+  end
+
+  def needs_power?
+    requirements.to_s.match?(POWER_REQUIREMENT_PATTERN)
+  end
+
+  # 飲食の出店者は要望欄に書いていなくても給水が必要とみなす
+  def needs_water?
+    food_vendor? || requirements.to_s.match?(WATER_REQUIREMENT_PATTERN)
+  end
+
+  # 競合する品目のカテゴリ（該当しなければ nil）
+  def competition_category
+    text = [ business_name, description ].join(" ")
+    COMPETITION_CATEGORIES.find { |_, pattern| text.match?(pattern) }&.first
+  end
+
   validates :business_name, :business_type, :description, presence: true
   validates :business_name, length: { maximum: 100 }
   validates :business_type, length: { maximum: 50 }
@@ -36,6 +75,7 @@ class VendorApplication < ApplicationRecord
   has_many :application_reviews, dependent: :destroy
   has_many :application_comments, dependent: :destroy
   has_many :reviewers, through: :application_reviews, source: :reviewer
+  has_one :booth, dependent: :nullify
 
   # Active Storage attachments
   has_many_attached :documents
@@ -3,6 +3,7 @@ class Venue < ApplicationRecord
   has_many :venue_areas, dependent: :destroy
   has_many :layout_elements, dependent: :destroy
   has_many :booths, through: :venue_areas
+  has_one_attached :site_plan
 
   validates :name, presence: true, length: { maximum: 100 }
   validates :capacity, presence: true, numericality: { greater_than: 0 }
@@ -13,6 +14,34 @@ class Venue < ApplicationRecord
   FACILITY_TYPES = %w[indoor outdoor mixed pavilion arena stadium park convention_center].freeze
   validates :facility_type, inclusion: { in: FACILITY_TYPES }
 
+  # レイアウト座標（ピクセル）と実寸（メートル）の換算
+  DEFAULT_PIXELS_PER_METER = 10
+  validates :pixels_per_meter, numericality: { greater_than: 0 }
+
+  # レイアウトエディタのガイド線 { "vertical" => [x...], "horizontal" => [y...] }
+  serialize :layout_guides, coder: JSON
+  before_validation :normalize_layout_guides
+
+  # レイアウト安全チェックの基準（メートル）。ルールごとに有効・無効を切り替えられる
+  SAFETY_RULE_DEFAULTS = {
+    "aisle_width" => { "enabled" => true, "meters" => 3.0 },
+    "exit_clearance" => { "enabled" => true, "meters" => 2.0 },
+    "restroom_distance" => { "enabled" => true, "meters" => 50.0 },
+    "power_distance" => { "enabled" => true, "meters" => 30.0 }
+  }.freeze
+  serialize :safety_rules, coder: JSON
+
+  # レイアウトエディタの背景に敷く会場図（公園管理者などから受け取る PNG・PDF・SVG）。
+  # x, y は会場図の左上のレイアウト座標、scale は会場図1pxあたりのレイアウトのピクセル数
+  SITE_PLAN_CONTENT_TYPES = %w[image/png application/pdf image/svg+xml].freeze
+  SITE_PLAN_SETTING_DEFAULTS = { "x" => 0.0, "y" => 0.0, "scale" => 1.0, "opacity" => 0.5, "visible" => true }.freeze
+  serialize :site_plan_settings, coder: JSON
+  validate :site_plan_format, if: -> { site_plan.attached? }
+  # 会場図を差し替えたら、前の図に合わせた位置と縮尺は使えない
+  before_save :reset_site_plan_settings, if: -> { attachment_changes.key?("site_plan") && !site_plan_settings_changed? }
+  # SVG の会場図の大きさは、会場の保存や表示のたびに読み込まないよう添付後に一度だけ調べて blob の metadata に残す
+  after_commit :store_site_plan_size, on: %i[create update], if: :site_plan_svg?
+
   scope :by_type, ->(type) { where(facility_type: type) }
   scope :with_coordinates, -> { where.not(latitude: nil, longitude: nil) }
 
@@ -101,6 +130,54 @@ class Venue < ApplicationRecord
     (bounds[:max_x] - bounds[:min_x]) * (bounds[:max_y] - bounds[:min_y])
   end
 
+  def pixels_to_meters(pixels)
+    (pixels.to_f / pixels_per_meter).round(2)
+  end
+
+  def meters_to_pixels(meters)
+    (meters.to_f * pixels_per_meter).round(2)
+  end
+
+  def guides
+    layout_guides.presence || { "vertical" => [], "horizontal" => [] }
+  end
+
+  # 保存された基準を既定値に重ねる（不正な値は既定値に戻す）
+  def safety_rule_settings
+    stored = safety_rules.is_a?(Hash) ? safety_rules : {}
+    SAFETY_RULE_DEFAULTS.to_h do |rule, defaults|
+      setting = stored[rule].is_a?(Hash) ? stored[rule].stringify_keys : {}
+      enabled = setting.key?("enabled") ? ActiveModel::Type::Boolean.new.cast(setting["enabled"]) : defaults["enabled"]
+      meters = setting["meters"].to_f
+      [ rule, { "enabled" => enabled, "meters" => meters.positive? ? meters : defaults["meters"] } ]
+    end
+  end
+
+  # 保存された会場図の表示設定を既定値に重ねる（不正な値は既定値に戻す）
+  def site_plan_placement
+    stored = site_plan_settings.is_a?(Hash) ? site_plan_settings.stringify_keys : {}
+    defaults = SITE_PLAN_SETTING_DEFAULTS
+    scale = Float(stored["scale"], exception: false)
+    opacity = Float(stored["opacity"], exception: false)
+
+    {
+      "x" => (Float(stored["x"], exception: false) || defaults["x"]).round(2),
+      "y" => (Float(stored["y"], exception: false) || defaults["y"]).round(2),
+      "scale" => scale&.positive? ? scale.round(6) : defaults["scale"],
+      "opacity" => opacity ? opacity.clamp(0.05, 1.0).round(2) : defaults["opacity"],
+      "visible" => stored.key?("visible") ? ActiveModel::Type::Boolean.new.cast(stored["visible"]) : defaults["visible"]
+    }
+  end
+
+  def site_plan_svg?
+    site_plan.attached? && site_plan.content_type == "image/svg+xml"
+  end
+
+  # SVG の会場図の大きさ（viewBox の単位）。PNG・PDF はエディタが画像の大きさを使う
+  def site_plan_size
+    site_plan.blob.metadata["plan_size"] if site_plan_svg?
+  end
+
   def generate_booth_numbers
     venue_areas.includes(:booths).each_with_index do |area, area_index|
       area.booths.each_with_index do |booth, booth_index|
@@ -110,4 +187,36 @@ class Venue < ApplicationRecord
       end
     end
   end
+
+  private
+
+  def site_plan_format
+    unless site_plan.blob.content_type.in?(SITE_PLAN_CONTENT_TYPES)
+      errors.add(:site_plan, "must be a PNG, PDF, or SVG file")
+    end
+
+    if site_plan.blob.byte_size > 20.megabytes
+      errors.add(:site_plan, "must be less than 20MB")
+    end
+  end
+
+  def store_site_plan_size
+    blob = site_plan.blob
+    return if blob.metadata.key?("plan_size")
+
+    blob.update!(metadata: blob.metadata.merge("plan_size" => SitePlanTraceService.new(self).plan_size))
+  end
+
+  def reset_site_plan_settings
+    self.site_plan_settings = nil
+  end
+
+  def normalize_layout_guides
+    return if layout_guides.nil?
+
+    guides = layout_guides.is_a?(Hash) ? layout_guides.stringify_keys : {}
+    self.layout_guides = %w[vertical horizontal].index_with do |axis|
+      Array(guides[axis]).map { |position| position.to_f.round(2) }.uniq.sort
+    end
+  end
 end
@@ -1,6 +1,7 @@
 class VenueArea < ApplicationRecord
   belongs_to :venue
   has_many :booths, dependent: :destroy
+  has_many :tasks, dependent: :nullify
 
   validates :name, presence: true, length: { maximum: 100 }
   validates :area_type, presence: true
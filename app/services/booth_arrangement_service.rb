@@ -0,0 +1,357 @@
+# 会場エリアへのブース自動配置
+#
+# エリアを通路で区切った列に分け（背中合わせの2列ごとに通路を挟み、一定数ごとに横断通路を空ける）、
+# 既存のブースや障害物と重なる区画を除いた空き区画に出店者を割り当てる。
+# 割り当ては次のコストの合計が小さくなるように、貪欲法で置いたあと入れ替えで改善する。
+#   - 電源が必要な出店者と最寄りの電源の距離（給水も同様）
+#   - 同じカテゴリ（VendorApplication#competition_category）の出店者どうしが離隔距離より近いこと
+#   - 後ろの区画を使うこと（ごく小さい重みで、エリアの先頭から詰めて置く）
+# 距離はすべてメートル。回転は考慮せず、エリアと要素は外接矩形として扱う。
+class BoothArrangementService
+  DEFAULTS = { size: "medium", aisle_width: 3.0, separation: 15.0, cross_aisle_every: 10 }.freeze
+
+  POWER_WEIGHT = 1.0
+  WATER_WEIGHT = 0.5
+  COMPETITOR_WEIGHT = 5.0
+  COMPACTNESS_WEIGHT = 0.01
+  # 入れ替えによる改善を繰り返す最大回数
+  IMPROVEMENT_PASSES = 3
+  # 自動配置でブースを置いてよいレイアウト要素（ブースを並べるための区域と、上に引く配線・配管）
+  PLACEABLE_TYPES = (%w[food_area vendor_area] + LayoutElement::UTILITY_RUN_TYPES).freeze
+
+  Slot = Struct.new(:index, :x, :y, :width, :height, keyword_init: true) do
+    def center
+      [ x + width / 2.0, y + height / 2.0 ]
+    end
+
+    def overlaps?(box)
+      x < box.x_position.to_f + box.width.to_f && box.x_position.to_f < x + width &&
+        y < box.y_position.to_f + box.height.to_f && box.y_position.to_f < y + height
+    end
+  end
+
+  attr_reader :venue, :area, :vendor_applications, :options
+
+  def initialize(area, vendor_applications, options = {})
+    @area = area
+    @venue = area.venue
+    @vendor_applications = vendor_applications.to_a.sort_by(&:id)
+    @options = DEFAULTS.merge(options.compact_blank.symbolize_keys)
+  end
+
+  def valid?
+    errors.empty?
+  end
+
+  def errors
+    @errors ||= [].tap do |errors|
+      errors << "ブースの大きさが不正です" unless Booth::SIZE_DIMENSIONS.key?(options[:size])
+      errors << "通路幅は0より大きくしてください" unless aisle_width.positive?
+      errors << "横断通路の間隔は1以上にしてください" unless cross_aisle_every.positive?
+      errors << "配置する出店者を選んでください" if vendor_applications.empty?
+      errors << "エリアにブースを置ける区画がありません" if errors.empty? && slots.empty?
+    end
+  end
+
+  # 保存せずに配置案を返す
+  def proposal
+    @proposal ||= begin
+      numbers = booth_numbers(placements.size)
+      {
+        area: { id: area.id, name: area.name },
+        options: options,
+        slot_count: slots.size,
+        placements: placements.each_with_index.map { |(vendor, slot), index| placement_data(vendor, slot, numbers[index]) },
+        unplaced: unplaced.map { |vendor| vendor_reference(vendor) },
+        score: score
+      }
+    end
+  end
+
+  # 配置案どおりにブースを作り、出店者を割り当てる
+  def apply!
+    Booth.transaction do
+      proposal[:placements].map do |placement|
+        booth = area.booths.create!(
+          placement.slice(:booth_number, :name, :size, :width, :height, :x_position, :y_position,
+                          :power_required, :water_required).merge(festival: venue.festival, rotation: 0, status: "available")
+        )
+        booth.assign_to_vendor!(vendor_applications.find { |vendor| vendor.id == placement[:vendor_application_id] })
+        booth
+      end
+    end
+  end
+
+  # 配置できる区画。エリアの長辺に沿って列を作る
+  def slots
+    @slots ||= begin
+      horizontal = area.width.to_f >= area.height.to_f
+      along = horizontal ? area.width.to_f : area.height.to_f
+      across = horizontal ? area.height.to_f : area.width.to_f
+
+      positions = row_offsets(across).product(column_offsets(along)).map do |row, column|
+        horizontal ? [ column, row ] : [ row, column ]
+      end
+      candidates = positions.map do |u, v|
+        Slot.new(x: area.x_position.to_f + u, y: area.y_position.to_f + v, width: booth_side, height: booth_side)
+      end
+      candidates.reject { |slot| obstacles.any? { |obstacle| slot.overlaps?(obstacle) } }
+                .each_with_index.map { |slot, index| slot.tap { slot.index = index } }
+    end
+  end
+
+  private
+
+  def aisle_width
+    options[:aisle_width].to_f
+  end
+
+  def cross_aisle_every
+    options[:cross_aisle_every].to_i
+  end
+
+  def separation
+    @separation ||= options[:separation].to_f
+  end
+
+  def booth_side
+    @booth_side ||= venue.meters_to_pixels(Booth::SIZE_DIMENSIONS[options[:size]])
+  end
+
+  def aisle
+    @aisle ||= venue.meters_to_pixels(aisle_width)
+  end
+
+  # 列の位置。外周の通路のあと、背中合わせの2列と通路を繰り返す（どの列も正面が通路に面する）
+  def row_offsets(across)
+    offsets = []
+    offset = aisle
+    while offset + booth_side <= across
+      offsets << offset
+      break if offset + booth_side * 2 + aisle > across
+
+      offsets << offset + booth_side
+      offset += booth_side * 2 + aisle
+    end
+    offsets
+  end
+
+  # 列の中の位置。両端に通路を残し、cross_aisle_every ブースごとに横断通路を空ける
+  def column_offsets(along)
+    offsets = []
+    offset = aisle
+    while offset + booth_side <= along - aisle
+      offsets << offset
+      offset += booth_side
+      offset += aisle if (offsets.size % cross_aisle_every).zero?
+    end
+    offsets
+  end
+
+  def obstacles
+    @obstacles ||= venue.booths.to_a +
+                   venue.layout_elements.visible.where.not(element_type: PLACEABLE_TYPES).to_a
+  end
+
+  def sources(types)
+    venue.layout_elements.visible.where(element_type: types).to_a
+  end
+
+  # [出店者, 区画] の組（区画順）
+  def placements
+    @placements ||= begin
+      improve!
+      vendor_applications.filter_map { |vendor| assignment[vendor.id] && [ vendor, slots[assignment[vendor.id]] ] }
+                         .sort_by { |_, slot| slot.index }
+    end
+  end
+
+  def unplaced
+    placements
+    vendor_applications.reject { |vendor| assignment[vendor.id] }
+  end
+
+  # 出店者 id → 区画番号。制約の厳しい出店者（電源・給水が必要、同じカテゴリが多い）から順に置く
+  def assignment
+    @assignment ||= begin
+      occupied = {}
+      placement_order.each_with_object({}) do |vendor, result|
+        free = slots.reject { |slot| occupied[slot.index] }
+        break result if free.empty?
+
+        best = free.min_by { |slot| [ unary_cost(vendor, slot.index) + peer_cost(vendor, slot.index, result), slot.index ] }
+        result[vendor.id] = best.index
+        occupied[best.index] = vendor.id
+      end
+    end
+  end
+
+  def placement_order
+    vendor_applications.sort_by do |vendor|
+      [ vendor.needs_power? ? 0 : 1, vendor.needs_water? ? 0 : 1, -peers[vendor.id].size, vendor.id ]
+    end
+  end
+
+  # 2つの出店者の区画を入れ替える（空き区画への移動を含む）ことで総コストが下がる限り繰り返す。
+  # 条件のない出店者を含む入れ替えは相手側から試すので、条件のある出店者だけを動かす
+  def improve!
+    occupants = assignment.invert
+    movable = vendor_applications.select { |vendor| constrained?(vendor) }
+
+    IMPROVEMENT_PASSES.times do
+      improved = false
+      movable.each do |vendor|
+        next unless assignment[vendor.id]
+
+        slots.each do |slot|
+          from = assignment[vendor.id]
+          next if slot.index == from
+
+          other = occupants[slot.index] && vendors_by_id[occupants[slot.index]]
+          next unless swap_gain(vendor, other, from, slot.index).positive?
+
+          assignment[vendor.id] = slot.index
+          occupants[slot.index] = vendor.id
+          if other
+            assignment[other.id] = from
+            occupants[from] = other.id
+          else
+            occupants.delete(from)
+          end
+          improved = true
+        end
+      end
+      break unless improved
+    end
+  end
+
+  # vendor を from から to へ、other（いれば）を to から from へ動かしたときのコストの減少量
+  # （2つが同じカテゴリでも、入れ替えでは互いの距離は変わらないので数えない）
+  def swap_gain(vendor, other, from, to)
+    before = unary_cost(vendor, from) + peer_cost(vendor, from, assignment, skip: other&.id)
+    after = unary_cost(vendor, to) + peer_cost(vendor, to, assignment, skip: other&.id)
+    if other
+      before += unary_cost(other, to) + peer_cost(other, to, assignment, skip: vendor.id)
+      after += unary_cost(other, from) + peer_cost(other, from, assignment, skip: vendor.id)
+    end
+    before - after - 1e-9
+  end
+
+  def constrained?(vendor)
+    vendor.needs_power? || vendor.needs_water? || peers[vendor.id].any?
+  end
+
+  def unary_cost(vendor, slot_index)
+    cost = slot_index * COMPACTNESS_WEIGHT
+    cost += POWER_WEIGHT * source_distances(:power)[slot_index] if vendor.needs_power?
+    cost += WATER_WEIGHT * source_distances(:water)[slot_index] if vendor.needs_water?
+    cost
+  end
+
+  # 同じカテゴリの出店者が離隔距離より近い分のコスト
+  def peer_cost(vendor, slot_index, placed, skip: nil)
+    cost = 0.0
+    peers[vendor.id].each do |peer_id|
+      next if peer_id == skip || placed[peer_id].nil?
+
+      shortfall = separation - slot_distance(slot_index, placed[peer_id])
+      cost += shortfall * COMPETITOR_WEIGHT if shortfall.positive?
+    end
+    cost
+  end
+
+  def score
+    conflicts = placements.combination(2).count do |(a, slot_a), (b, slot_b)|
+      category(a) && category(a) == category(b) && slot_distance(slot_a.index, slot_b.index) < separation
+    end
+    power = placements.select { |vendor, _| vendor.needs_power? }.map { |_, slot| source_distances(:power)[slot.index] }
+
+    {
+      competitor_conflicts: conflicts,
+      average_power_distance: ((power.sum / power.size).round(1) if power.any?),
+      power_sources: sources(LayoutElement::POWER_SOURCE_TYPES).size
+    }
+  end
+
+  # 区画の中心から最寄りの供給元の縁までの距離。供給元がなければ 0（コストに影響させない）
+  def source_distances(utility)
+    @source_distances ||= {}
+    @source_distances[utility] ||= begin
+      types = utility == :power ? LayoutElement::POWER_SOURCE_TYPES : LayoutElement::WATER_SOURCE_TYPES
+      boxes = sources(types)
+      slots.map do |slot|
+        boxes.empty? ? 0.0 : boxes.map { |box| meters(edge_distance(slot.center, box)) }.min
+      end
+    end
+  end
+
+  def slot_distance(a, b)
+    (ax, ay) = slot_centers[a]
+    (bx, by) = slot_centers[b]
+    Math.hypot(ax - bx, ay - by)
+  end
+
+  # 区画の中心（メートル）
+  def slot_centers
+    @slot_centers ||= slots.map { |slot| slot.center.map { |value| value / venue.pixels_per_meter.to_f } }
+  end
+
+  def edge_distance((x, y), box)
+    left = box.x_position.to_f
+    top = box.y_position.to_f
+    dx = [ left - x, x - (left + box.width.to_f), 0 ].max
+    dy = [ top - y, y - (top + box.height.to_f), 0 ].max
+    Math.hypot(dx, dy)
+  end
+
+  # 出店者 id → 同じカテゴリの他の出店者の id（カテゴリのない出店者は競合しない）
+  def peers
+    @peers ||= vendor_applications.group_by { |vendor| category(vendor) }.each_with_object({}) do |(name, group), result|
+      group.each { |vendor| result[vendor.id] = name ? group.map(&:id) - [ vendor.id ] : [] }
+    end
+  end
+
+  def category(vendor)
+    @categories ||= {}
+    @categories.fetch(vendor.id) { @categories[vendor.id] = vendor.competition_category }
+  end
+
+  def vendors_by_id
+    @vendors_by_id ||= vendor_applications.index_by(&:id)
+  end
+
+  # エリアの番号（会場内での並び順）を頭に付け、祭り内で使われていない番号を先頭から振る
+  def booth_numbers(count)
+    area_index = venue.venue_areas.order(:id).pluck(:id).index(area.id) || 0
+    taken = venue.festival.booths.pluck(:booth_number).to_set
+    (0..).lazy.map { |index| Booth.generate_booth_number(venue.festival.id, area_index, index) }
+         .reject { |number| taken.include?(number) }
+         .first(count)
+  end
+
+  def placement_data(vendor, slot, booth_number)
+    {
+      vendor_application_id: vendor.id,
+      business_name: vendor.business_name,
+      category: category(vendor),
+      booth_number: booth_number,
+      name: "ブース #{booth_number}",
+      size: options[:size],
+      width: slot.width,
+      height: slot.height,
+      x_position: slot.x.round(2),
+      y_position: slot.y.round(2),
+      power_required: vendor.needs_power?,
+      water_required: vendor.needs_water?,
+      power_distance: (source_distances(:power)[slot.index].round(1) if vendor.needs_power?)
+    }
+  end
+
+  def vendor_reference(vendor)
+    { id: vendor.id, business_name: vendor.business_name, category: category(vendor) }
+  end
+
+  def meters(pixels)
+    venue.pixels_to_meters(pixels)
+  end
+end
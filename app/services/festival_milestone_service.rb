@@ -0,0 +1,86 @@
+class FestivalMilestoneService
+  # 出店審査期限の既定値（VendorApplication#submit! と同じ開催30日前）
+  VENDOR_REVIEW_DAYS = 30
+  # 許認可の事前申請日数の既定値（PermitApplication の minimum_advance_days と同じ）
+  PERMIT_ADVANCE_DAYS = 14
+  SETUP_DAYS = 2
+
+  MILESTONE_NAMES = {
+    "vendor_deadline" => "出店募集締切",
+    "permit_deadline" => "許認可申請期限",
+    "setup_start" => "設営開始",
+    "opening" => "開催初日",
+    "closing" => "最終日"
+  }.freeze
+
+  PHASE_NAMES = {
+    "vendor_recruitment" => "出店者募集",
+    "permits" => "許認可",
+    "setup" => "設営",
+    "festival" => "開催"
+  }.freeze
+
+  attr_reader :festival
+
+  def initialize(festival)
+    @festival = festival
+  end
+
+  # お祭りの日程と許認可期限から算出したマイルストーン（日付順）
+  def milestones
+    return [] unless opening
+
+    counts = festival.tasks.where.not(milestone_key: nil).group(:milestone_key).count
+    open_counts = festival.tasks.unfinished.where.not(milestone_key: nil).group(:milestone_key).count
+
+    milestone_dates.sort_by { |_key, date| date }.map do |key, date|
+      {
+        key: key,
+        name: MILESTONE_NAMES[key],
+        date: date.iso8601,
+        task_count: counts.fetch(key, 0),
+        open_task_count: open_counts.fetch(key, 0)
+      }
+    end
+  end
+
+  # 準備期間の区切り（帯表示用）。期間が成立しないフェーズは省く
+  def phases
+    return [] unless opening
+
+    dates = milestone_dates
+    planning_start = festival.created_at&.to_date || dates["vendor_deadline"]
+
+    [
+      [ "vendor_recruitment", planning_start, dates["vendor_deadline"] ],
+      [ "permits", dates["vendor_deadline"] + 1, dates["permit_deadline"] ],
+      [ "setup", dates["setup_start"], opening - 1 ],
+      [ "festival", opening, dates["closing"] ]
+    ].filter_map do |key, start_date, end_date|
+      next if start_date > end_date
+
+      { key: key, name: PHASE_NAMES[key], start: start_date.iso8601, end: end_date.iso8601 }
+    end
+  end
+
+  private
+
+  def opening
+    @opening ||= festival.start_date&.to_date
+  end
+
+  def milestone_dates
+    @milestone_dates ||= {
+      "vendor_deadline" => vendor_deadline,
+      "permit_deadline" => opening - PERMIT_ADVANCE_DAYS,
+      "setup_start" => opening - SETUP_DAYS,
+      "opening" => opening,
+      "closing" => [ festival.end_date&.to_date || opening, opening ].max
+    }
+  end
+
+  # 出店申込に締切が設定されていればその最終日、なければ審査期限の既定値
+  def vendor_deadline
+    festival.vendor_applications.maximum(:submission_deadline)&.to_date || opening - VENDOR_REVIEW_DAYS
+  end
+end
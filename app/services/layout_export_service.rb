@@ -0,0 +1,312 @@
+require "builder"
+
+# 会場レイアウトの書き出し
+#
+# SVG はレイアウト座標（ピクセル）をそのまま使った図面で、凡例と縮尺を下に付ける。
+# 印刷用の図面（凡例・出店者索引つき、ブラウザから PDF に保存する）も同じ図を使う。
+# GeoJSON は会場の緯度経度を会場エリア全体の中心に合わせ、画面の上を北として経緯度に変換する。
+# 会場の広さなら平面で近似しても誤差は無視できる。
+class LayoutExportService
+  # 緯度1度あたりの距離（メートル）
+  METERS_PER_DEGREE = 111_320.0
+  # レイアウトエディタ（getBoothColor）と同じ色
+  BOOTH_COLORS = {
+    "available" => "#28a745",
+    "assigned" => "#ffc107",
+    "occupied" => "#dc3545",
+    "reserved" => "#6f42c1",
+    "maintenance" => "#6c757d"
+  }.freeze
+  DEFAULT_BOOTH_COLOR = "#007bff"
+  DEFAULT_AREA_COLOR = "#adb5bd"
+  DEFAULT_ELEMENT_COLOR = "#6c757d"
+  RUN_COLORS = { "cable_run" => "#fd7e14", "hose_run" => "#0d6efd" }.freeze
+  # 図中の文字の高さ（メートル）
+  LABEL_METERS = 1.0
+  # 縮尺バーの長さ（メートル）
+  SCALE_BAR_METERS = 10
+  LEGEND_COLUMNS = 3
+
+  SVG_STYLE = <<~CSS.freeze
+    text { font-family: sans-serif; dominant-baseline: middle; }
+    .area { fill-opacity: 0.15; stroke-width: 1; }
+    .area-label { fill: #495057; }
+    .element { fill-opacity: 0.6; stroke: #495057; stroke-width: 0.5; }
+    .run { fill: none; stroke-width: 3; stroke-linejoin: round; }
+    .booth { stroke: #343a40; stroke-width: 1; }
+    .booth-label { fill: #212529; text-anchor: middle; font-weight: bold; }
+    .legend-label { fill: #212529; }
+    .scale-bar { fill: #212529; }
+  CSS
+
+  attr_reader :venue
+
+  def initialize(venue)
+    @venue = venue
+  end
+
+  def venue_areas
+    @venue_areas ||= venue.venue_areas.order(:id).to_a
+  end
+
+  def booths
+    @booths ||= venue.booths.includes(:venue_area, :vendor_application).order(:booth_number).to_a
+  end
+
+  def layout_elements
+    @layout_elements ||= venue.layout_elements.visible.ordered_by_layer.to_a
+  end
+
+  # 書き出す範囲（すべての要素を含む矩形、余白つき）
+  def bounds
+    @bounds ||= begin
+      box = bounding_box(venue_areas + booths + layout_elements) || { x: 0, y: 0, width: 100, height: 100 }
+      margin = venue.meters_to_pixels(2).to_f
+      { x: box[:x] - margin, y: box[:y] - margin, width: box[:width] + margin * 2, height: box[:height] + margin * 2 }
+    end
+  end
+
+  # 凡例。図に現れる種類だけを並べる
+  def legend
+    @legend ||= [
+      *booths.group_by(&:status).map do |status, group|
+        { kind: "booth", label: "ブース（#{group.first.status_text}）", color: BOOTH_COLORS.fetch(status, DEFAULT_BOOTH_COLOR) }
+      end,
+      *venue_areas.group_by(&:area_type).map do |_, group|
+        { kind: "area", label: group.first.area_type_text, color: area_color(group.first) }
+      end,
+      *layout_elements.group_by(&:element_type).map do |_, group|
+        kind = group.first.utility_run? ? "run" : "element"
+        { kind: kind, label: group.first.element_type_text, color: element_color(group.first) }
+      end
+    ]
+  end
+
+  # 出店者索引（ブース番号順）
+  def vendor_index
+    booths.select(&:vendor_application).map do |booth|
+      {
+        booth_number: booth.booth_number,
+        business_name: booth.vendor_application.business_name,
+        business_type: booth.vendor_application.business_type,
+        area: booth.venue_area.name
+      }
+    end
+  end
+
+  def to_svg
+    %(<?xml version="1.0" encoding="UTF-8"?>\n) + drawing(legend: true, standalone: true)
+  end
+
+  # 図面の svg 要素。legend: true なら凡例と縮尺バーを図の下に描く
+  def drawing(legend: false, standalone: false)
+    legend_height = legend ? legend_rows * legend_row_height + label_size * 3 : 0
+    view_box = [ bounds[:x], bounds[:y], bounds[:width], bounds[:height] + legend_height ].map { |value| value.round(2) }
+    attributes = { xmlns: "http://www.w3.org/2000/svg", viewBox: view_box.join(" "), class: "layout-export-drawing",
+                   role: "img", "aria-label": "#{venue.name} layout" }
+    attributes.merge!(width: view_box[2], height: view_box[3]) if standalone
+
+    xml = Builder::XmlMarkup.new(indent: 2)
+    xml.svg(attributes) do
+      xml.title("#{venue.festival.name} / #{venue.name}")
+      xml.style(SVG_STYLE)
+      xml.rect(x: view_box[0], y: view_box[1], width: view_box[2], height: view_box[3], fill: "#ffffff")
+      draw_areas(xml)
+      draw_elements(xml)
+      draw_booths(xml)
+      draw_legend(xml, bounds[:y] + bounds[:height] + label_size) if legend
+    end
+    xml.target!
+  end
+
+  def to_geojson
+    {
+      type: "FeatureCollection",
+      venue: { id: venue.id, name: venue.name, latitude: venue.latitude.to_f, longitude: venue.longitude.to_f },
+      features: venue_areas.map { |area| area_feature(area) } +
+                layout_elements.map { |element| element_feature(element) } +
+                booths.map { |booth| booth_feature(booth) }
+    }
+  end
+
+  private
+
+  def draw_areas(xml)
+    venue_areas.each do |area|
+      color = area_color(area)
+      xml.g(transform: rotation_transform(area)) do
+        xml.rect(box_attributes(area).merge(class: "area", fill: color, stroke: color))
+        xml.tag!("text", area.name, x: area.x_position.to_f + label_size / 2, y: area.y_position.to_f + label_size,
+                                    class: "area-label", "font-size": label_size)
+      end
+    end
+  end
+
+  def draw_elements(xml)
+    layout_elements.each do |element|
+      if element.utility_run?
+        points = element.run_points.map { |point| point.map { |value| value.round(2) }.join(",") }.join(" ")
+        xml.polyline(class: "run", points: points, stroke: element_color(element))
+      else
+        xml.rect(box_attributes(element).merge(class: "element", fill: element_color(element),
+                                               transform: rotation_transform(element)))
+      end
+    end
+  end
+
+  def draw_booths(xml)
+    booths.each do |booth|
+      center = booth.center_point
+      xml.g(transform: rotation_transform(booth)) do
+        xml.rect(box_attributes(booth).merge(class: "booth", fill: BOOTH_COLORS.fetch(booth.status, DEFAULT_BOOTH_COLOR)))
+        xml.tag!("text", booth.booth_number, x: center[:x].to_f.round(2), y: center[:y].to_f.round(2),
+                                             class: "booth-label", "font-size": booth_label_size(booth))
+      end
+    end
+  end
+
+  def draw_legend(xml, top)
+    column_width = bounds[:width] / LEGEND_COLUMNS
+    left = bounds[:x] + label_size
+
+    legend.each_with_index do |entry, index|
+      x = left + (index % LEGEND_COLUMNS) * column_width
+      y = top + (index / LEGEND_COLUMNS) * legend_row_height
+      if entry[:kind] == "run"
+        xml.line(x1: x, y1: y + label_size / 2, x2: x + label_size * 2, y2: y + label_size / 2,
+                 stroke: entry[:color], "stroke-width": 3)
+      else
+        xml.rect(x: x, y: y, width: label_size * 2, height: label_size, fill: entry[:color], stroke: "#343a40",
+                 "fill-opacity": entry[:kind] == "area" ? 0.3 : 1)
+      end
+      xml.tag!("text", entry[:label], x: x + label_size * 2.5, y: y + label_size / 2, class: "legend-label", "font-size": label_size)
+    end
+
+    bar_top = top + legend_rows * legend_row_height
+    bar_length = venue.meters_to_pixels(SCALE_BAR_METERS).to_f
+    xml.rect(x: left, y: bar_top, width: bar_length, height: label_size / 3, class: "scale-bar")
+    xml.tag!("text", "#{SCALE_BAR_METERS} m", x: left + bar_length + label_size / 2, y: bar_top + label_size / 6,
+                                             class: "legend-label", "font-size": label_size)
+  end
+
+  def legend_rows
+    (legend.size.to_f / LEGEND_COLUMNS).ceil
+  end
+
+  def legend_row_height
+    label_size * 1.6
+  end
+
+  def label_size
+    @label_size ||= venue.meters_to_pixels(LABEL_METERS).to_f
+  end
+
+  # ブース番号が枠に収まるように、小さいブースでは文字を小さくする
+  def booth_label_size(booth)
+    [ label_size, booth.width.to_f / 4, booth.height.to_f / 2 ].min.round(2)
+  end
+
+  def box_attributes(record)
+    {
+      x: record.x_position.to_f.round(2), y: record.y_position.to_f.round(2),
+      width: record.width.to_f.round(2), height: record.height.to_f.round(2)
+    }
+  end
+
+  def rotation_transform(record)
+    center = center_of(record)
+    "rotate(#{record.rotation.to_f} #{center[0].round(2)} #{center[1].round(2)})"
+  end
+
+  def area_color(area)
+    area.color.presence || DEFAULT_AREA_COLOR
+  end
+
+  def element_color(element)
+    RUN_COLORS[element.element_type] || element.color.presence || DEFAULT_ELEMENT_COLOR
+  end
+
+  def area_feature(area)
+    feature(polygon(area), kind: "venue_area", id: area.id, name: area.name,
+                           area_type: area.area_type, area_type_text: area.area_type_text)
+  end
+
+  def element_feature(element)
+    geometry = if element.utility_run?
+      { type: "LineString", coordinates: element.run_points.map { |x, y| geo_point(x, y) } }
+    else
+      polygon(element)
+    end
+    feature(geometry, kind: "layout_element", id: element.id, name: element.name,
+                      element_type: element.element_type, element_type_text: element.element_type_text)
+  end
+
+  def booth_feature(booth)
+    feature(polygon(booth), kind: "booth", id: booth.id, booth_number: booth.booth_number, name: booth.name,
+                            status: booth.status, size: booth.size, area: booth.venue_area.name,
+                            vendor: booth.vendor_application&.business_name,
+                            width_m: meters(booth.width), height_m: meters(booth.height),
+                            power_required: booth.power_required?, water_required: booth.water_required?)
+  end
+
+  def feature(geometry, properties)
+    { type: "Feature", geometry: geometry, properties: properties }
+  end
+
+  # GeoJSON の外周は反時計回り。画面（y が下向き）の時計回りの頂点を逆順にする
+  def polygon(record)
+    ring = outline(record).reverse.map { |x, y| geo_point(x, y) }
+    { type: "Polygon", coordinates: [ ring + [ ring.first ] ] }
+  end
+
+  # 回転を反映した四隅（左上・右上・右下・左下）
+  def outline(record)
+    cx, cy = center_of(record)
+    angle = record.rotation.to_f * Math::PI / 180
+    half_width = record.width.to_f / 2
+    half_height = record.height.to_f / 2
+
+    [ [ -1, -1 ], [ 1, -1 ], [ 1, 1 ], [ -1, 1 ] ].map do |sx, sy|
+      dx = sx * half_width
+      dy = sy * half_height
+      [ cx + dx * Math.cos(angle) - dy * Math.sin(angle), cy + dx * Math.sin(angle) + dy * Math.cos(angle) ]
+    end
+  end
+
+  def center_of(record)
+    [ record.x_position.to_f + record.width.to_f / 2, record.y_position.to_f + record.height.to_f / 2 ]
+  end
+
+  # レイアウト座標を [経度, 緯度] に変換する
+  def geo_point(x, y)
+    east = (x - geo_origin[0]) / venue.pixels_per_meter.to_f
+    north = (geo_origin[1] - y) / venue.pixels_per_meter.to_f
+    latitude = venue.latitude.to_f
+    [
+      (venue.longitude.to_f + east / (METERS_PER_DEGREE * Math.cos(latitude * Math::PI / 180))).round(7),
+      (latitude + north / METERS_PER_DEGREE).round(7)
+    ]
+  end
+
+  # 会場の緯度経度に対応するレイアウト座標（会場エリア全体の中心。エリアがなければ全要素の中心）
+  def geo_origin
+    @geo_origin ||= begin
+      box = bounding_box(venue_areas) || bounding_box(booths + layout_elements) || { x: 0, y: 0, width: 0, height: 0 }
+      [ box[:x] + box[:width] / 2, box[:y] + box[:height] / 2 ]
+    end
+  end
+
+  def bounding_box(records)
+    return if records.empty?
+
+    left = records.map { |record| record.x_position.to_f }.min
+    top = records.map { |record| record.y_position.to_f }.min
+    right = records.map { |record| record.x_position.to_f + record.width.to_f }.max
+    bottom = records.map { |record| record.y_position.to_f + record.height.to_f }.max
+    { x: left, y: top, width: right - left, height: bottom - top }
+  end
+
+  def meters(pixels)
+    venue.pixels_to_meters(pixels)
+  end
+end
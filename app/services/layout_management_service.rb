@@ -3,12 +3,13 @@ class LayoutManagementService
     @venue = venue
   end
 
-  def generate_layout_data
+  # include_hidden: レイアウトエディタでは非表示の要素も再表示できるように含める
+  def generate_layout_data(include_hidden: false)
     {
       venue: venue_data,
       venue_areas: venue_areas_data,
       booths: booths_data,
-      layout_elements: layout_elements_data,
+      layout_elements: layout_elements_data(include_hidden: include_hidden),
       metadata: layout_metadata
     }
   end
@@ -71,7 +72,8 @@ class LayoutManagementService
 
   def detect_overlaps
     overlaps = []
-    elements = @venue.layout_elements.visible.includes(:venue)
+    # ケーブル・ホースは他の要素の上に引くものなので重なりとして扱わない
+    elements = @venue.layout_elements.visible.where.not(element_type: LayoutElement::UTILITY_RUN_TYPES).includes(:venue)
     areas = @venue.venue_areas.includes(:venue)
     booths = @venue.booths.includes(:venue_area)
 
@@ -137,6 +139,8 @@ class LayoutManagementService
       layout_data.to_json
     when :svg
       generate_svg_layout(layout_data)
+    when :geojson
+      LayoutExportService.new(@venue).to_geojson.to_json
     when :csv
       generate_csv_layout(layout_data)
     else
@@ -257,6 +261,72 @@ class LayoutManagementService
     recommendations
   end
 
+  # レイアウトエディタ向けのブース表現（Admin::BoothsController の JSON と共通）
+  def venue_area_data(area)
+    {
+      id: area.id,
+      name: area.name,
+      description: area.description,
+      area_type: area.area_type,
+      width: area.width,
+      height: area.height,
+      x_position: area.x_position,
+      y_position: area.y_position,
+      rotation: area.rotation,
+      color: area.color,
+      capacity: area.capacity,
+      booth_count: area.booths.count,
+      occupancy_rate: area.occupancy_rate
+    }
+  end
+
+  def booth_data(booth)
+    {
+      id: booth.id,
+      name: booth.name,
+      booth_number: booth.booth_number,
+      size: booth.size,
+      width: booth.width,
+      height: booth.height,
+      x_position: booth.x_position,
+      y_position: booth.y_position,
+      rotation: booth.rotation,
+      status: booth.status,
+      power_required: booth.power_required,
+      water_required: booth.water_required,
+      power_load: booth.power_load,
+      special_requirements: booth.special_requirements,
+      venue_area: {
+        id: booth.venue_area.id,
+        name: booth.venue_area.name
+      },
+      vendor: booth.vendor_application ? {
+        id: booth.vendor_application.id,
+        business_name: booth.vendor_application.business_name,
+        user_name: booth.vendor_application.user.display_name
+      } : nil
+    }
+  end
+
+  # レイアウトエディタで割り当てに使う承認済みの申請（未割り当てか、この会場のブースに割り当て済みのもの）
+  def assignable_vendor_applications_data
+    @venue.festival.vendor_applications.approved.includes(:user, booth: :venue_area).order(:business_name)
+          .select { |application| application.booth.nil? || application.booth.venue_area.venue_id == @venue.id }
+          .map { |application| vendor_application_data(application) }
+  end
+
+  def vendor_application_data(application)
+    {
+      id: application.id,
+      business_name: application.business_name,
+      business_type: application.business_type,
+      user_name: application.user.display_name,
+      food_vendor: application.food_vendor?,
+      needs_power: application.needs_power?,
+      needs_water: application.needs_water?
+    }
+  end
+
   private
 
   def venue_data
@@ -266,60 +336,24 @@ class LayoutManagementService
       description: @venue.description,
       capacity: @venue.capacity,
       facility_type: @venue.facility_type,
-      coordinates: @venue.coordinates
+      coordinates: @venue.coordinates,
+      pixels_per_meter: @venue.pixels_per_meter.to_f,
+      layout_guides: @venue.guides,
+      safety_rules: @venue.safety_rule_settings
     }
   end
 
   def venue_areas_data
-    @venue.venue_areas.map do |area|
-      {
-        id: area.id,
-        name: area.name,
-        description: area.description,
-        area_type: area.area_type,
-        width: area.width,
-        height: area.height,
-        x_position: area.x_position,
-        y_position: area.y_position,
-        rotation: area.rotation,
-        color: area.color,
-        capacity: area.capacity,
-        booth_count: area.booths.count,
-        occupancy_rate: area.occupancy_rate
-      }
-    end
+    @venue.venue_areas.map { |area| venue_area_data(area) }
   end
 
   def booths_data
-    @venue.booths.includes(:venue_area, :vendor_application).map do |booth|
-      {
-        id: booth.id,
-        name: booth.name,
-        booth_number: booth.booth_number,
-        size: booth.size,
-        width: booth.width,
-        height: booth.height,
-        x_position: booth.x_position,
-        y_position: booth.y_position,
-        rotation: booth.rotation,
-        status: booth.status,
-        power_required: booth.power_required,
-        water_required: booth.water_required,
-        special_requirements: booth.special_requirements,
-        venue_area: {
-          id: booth.venue_area.id,
-          name: booth.venue_area.name
-        },
-        vendor: booth.vendor_application ? {
-          id: booth.vendor_application.id,
-          user_name: booth.vendor_application.user.name
-        } : nil
-      }
-    end
+    @venue.booths.includes(:venue_area, vendor_application: :user).map { |booth| booth_data(booth) }
   end
 
-  def layout_elements_data
-    @venue.layout_elements.visible.ordered_by_layer.map do |element|
+  def layout_elements_data(include_hidden: false)
+    elements = include_hidden ? @venue.layout_elements : @venue.layout_elements.visible
+    elements.ordered_by_layer.map do |element|
       {
         id: element.id,
         element_type: element.element_type,
@@ -526,10 +560,8 @@ class LayoutManagementService
     score
   end
 
-  def generate_svg_layout(layout_data)
-    # SVG generation would be implemented here
-    # This is a placeholder for SVG export functionality
-    "<!-- SVG Layout Export Placeholder -->"
+  def generate_svg_layout(_layout_data)
+    LayoutExportService.new(@venue).to_svg
   end
 
   def generate_csv_layout(layout_data)
@@ -0,0 +1,256 @@
+require "csv"
+
+# 会場レイアウトの安全チェック
+#
+# 会場ごとの基準（Venue#safety_rule_settings）でブースとレイアウト要素を検査する。
+# 違反は SafetyComplianceRecord#complete_inspection! の violations にそのまま渡せる形
+# （type / description / severity / location / corrective_action）で返す。
+# 距離はすべてメートル。回転は考慮せず、要素は外接矩形として扱う。
+class LayoutSafetyCheckService
+  # limit: 基準値が下限（min）か上限（max）か
+  RULES = {
+    "aisle_width" => { label: "通路幅", limit: "min", violation_type: "crowd_safety", severity: "major" },
+    "exit_clearance" => { label: "出入口の確保", limit: "min", violation_type: "emergency_access", severity: "critical" },
+    "restroom_distance" => { label: "トイレまでの距離", limit: "max", violation_type: "accessibility_barrier", severity: "moderate" },
+    "power_distance" => { label: "電源までの距離", limit: "max", violation_type: "electrical_issue", severity: "moderate" }
+  }.freeze
+
+  EXIT_TYPES = %w[entrance exit emergency_exit].freeze
+  # 出入口の前にあっても通行の妨げにならない要素
+  PASSABLE_TYPES = (EXIT_TYPES + %w[gate path walkway signage] + LayoutElement::UTILITY_RUN_TYPES).freeze
+
+  Item = Struct.new(:kind, :id, :label, :element_type, :power_required, :x, :y, :width, :height, keyword_init: true) do
+    def right
+      x + width
+    end
+
+    def bottom
+      y + height
+    end
+
+    def center
+      [ x + width / 2.0, y + height / 2.0 ]
+    end
+
+    def reference
+      { kind: kind, id: id, name: label }
+    end
+  end
+
+  attr_reader :venue, :rules
+
+  def initialize(venue, rules: venue.safety_rule_settings)
+    @venue = venue
+    @rules = rules
+  end
+
+  def report
+    @report ||= {
+      venue: { id: venue.id, name: venue.name },
+      checked_at: Time.current.iso8601,
+      pixels_per_meter: venue.pixels_per_meter.to_f,
+      rules: RULES.map do |rule, definition|
+        { key: rule, label: definition[:label], limit: definition[:limit],
+          enabled: rules.dig(rule, "enabled"), meters: rules.dig(rule, "meters") }
+      end,
+      violations: violations,
+      passed: violations.empty?
+    }
+  end
+
+  def violations
+    @violations ||= RULES.keys.select { |rule| rules.dig(rule, "enabled") }.flat_map do |rule|
+      send("check_#{rule}", rules.dig(rule, "meters").to_f)
+    end
+  end
+
+  def to_csv
+    CSV.generate(headers: true) do |csv|
+      csv << [ "ルール", "重要度", "違反種別", "内容", "場所", "是正措置" ]
+
+      violations.each do |violation|
+        csv << [
+          RULES[violation[:rule]][:label],
+          violation[:severity],
+          violation[:type],
+          violation[:description],
+          violation[:location],
+          violation[:corrective_action]
+        ]
+      end
+    end
+  end
+
+  private
+
+  # 向かい合うブースの間の通路が狭すぎないか（隣接して並ぶブースは対象外）
+  def check_aisle_width(minimum)
+    axes = row_axes(minimum)
+
+    booths.combination(2).filter_map do |a, b|
+      axis, gap = facing_gap(a, b)
+      next unless gap&.positive? && meters(gap) < minimum
+      # 同じ列で隣り合うブースの隙間は通路ではない
+      next if axes[a] == axis && axes[b] == axis
+
+      build_violation("aisle_width", [ a, b ], midpoint(a, b),
+                      description: "#{a.label}と#{b.label}の間の通路幅が#{format_meters(gap)}しかありません（基準 #{minimum}m 以上）",
+                      corrective_action: "ブースの間隔を#{minimum}m以上に広げてください")
+    end
+  end
+
+  # 出入口の周囲に障害物がないか
+  def check_exit_clearance(clearance)
+    obstacles = booths + layout_items.reject { |item| PASSABLE_TYPES.include?(item.element_type) }
+
+    items_of(EXIT_TYPES).flat_map do |exit_item|
+      obstacles.filter_map do |obstacle|
+        gap = edge_gap(exit_item, obstacle)
+        next unless meters(gap) < clearance
+
+        build_violation("exit_clearance", [ exit_item, obstacle ], obstacle.center,
+                        description: "#{exit_item.label}から#{format_meters(gap)}の位置に#{obstacle.label}があります（基準 #{clearance}m 以上空ける）",
+                        corrective_action: "#{obstacle.label}を#{exit_item.label}から#{clearance}m以上離してください")
+      end
+    end
+  end
+
+  # 各ブースから最寄りのトイレまでの直線距離
+  def check_restroom_distance(maximum)
+    restrooms = items_of(%w[restroom])
+    return [] if booths.empty?
+
+    if restrooms.empty?
+      return [ build_violation("restroom_distance", [], nil,
+                               description: "会場にトイレが配置されていません",
+                               corrective_action: "各ブースから#{maximum}m以内にトイレを配置してください") ]
+    end
+
+    booths.filter_map do |booth|
+      nearest = restrooms.min_by { |restroom| center_distance(booth, restroom) }
+      distance = center_distance(booth, nearest)
+      next unless meters(distance) > maximum
+
+      build_violation("restroom_distance", [ booth, nearest ], booth.center,
+                      description: "#{booth.label}から最寄りのトイレ（#{nearest.label}）まで#{format_meters(distance)}あります（基準 #{maximum}m 以内）",
+                      corrective_action: "#{booth.label}の近くにトイレを追加するか、ブースを移動してください")
+    end
+  end
+
+  # 電源が必要なブースが電源から届く範囲にあるか
+  def check_power_distance(maximum)
+    sources = items_of(LayoutElement::POWER_SOURCE_TYPES)
+
+    booths.select(&:power_required).filter_map do |booth|
+      nearest = sources.min_by { |source| edge_gap(booth, source) }
+      distance = nearest && edge_gap(booth, nearest)
+      next if distance && meters(distance) <= maximum
+
+      description = if nearest
+        "#{booth.label}から最寄りの電源（#{nearest.label}）まで#{format_meters(distance)}あります（基準 #{maximum}m 以内）"
+      else
+        "電源が必要な#{booth.label}に対し、会場に電源が配置されていません"
+      end
+
+      build_violation("power_distance", [ booth, nearest ].compact, booth.center,
+                      description: description,
+                      corrective_action: "#{booth.label}から#{maximum}m以内に電源を確保してください")
+    end
+  end
+
+  def build_violation(rule, items, position, description:, corrective_action:)
+    definition = RULES[rule]
+    location = items.map(&:label).join(" / ").presence || venue.name
+    location += "（X #{format_meters(position[0])}, Y #{format_meters(position[1])}）" if position
+
+    {
+      rule: rule,
+      type: definition[:violation_type],
+      severity: definition[:severity],
+      description: description,
+      location: location,
+      corrective_action: corrective_action,
+      elements: items.map(&:reference),
+      position: position && { x: meters(position[0]), y: meters(position[1]) }
+    }
+  end
+
+  def booths
+    @booths ||= venue.booths.map do |booth|
+      Item.new(kind: "booth", id: booth.id, label: "ブース #{booth.booth_number}", power_required: booth.power_required,
+               x: booth.x_position.to_f, y: booth.y_position.to_f, width: booth.width.to_f, height: booth.height.to_f)
+    end
+  end
+
+  def layout_items
+    @layout_items ||= venue.layout_elements.visible.map do |element|
+      Item.new(kind: "layout_element", id: element.id, label: element.name, element_type: element.element_type,
+               x: element.x_position.to_f, y: element.y_position.to_f, width: element.width.to_f, height: element.height.to_f)
+    end
+  end
+
+  def items_of(types)
+    layout_items.select { |item| types.include?(item.element_type) }
+  end
+
+  # 一方の軸で重なり、もう一方の軸で離れている2つの矩形の [離れている軸, 間隔]（向かい合っていなければ nil）
+  def facing_gap(a, b)
+    x_gap = [ a.x - b.right, b.x - a.right ].max
+    y_gap = [ a.y - b.bottom, b.y - a.bottom ].max
+
+    if x_gap >= 0 && y_gap < 0
+      [ :x, x_gap ]
+    elsif y_gap >= 0 && x_gap < 0
+      [ :y, y_gap ]
+    end
+  end
+
+  # ブースごとの列の向き（:x なら横に並ぶ列）。通路幅に満たない間隔で並ぶブースを軸ごとにつなぎ、
+  # 長くつながる方を列とみなす。列と列の間（正面どうしが向かい合う側）だけを通路として測る
+  def row_axes(minimum)
+    lengths = %i[x y].index_with { |axis| chain_lengths(axis, minimum) }
+    booths.index_with { |booth| lengths[:x][booth] >= lengths[:y][booth] ? :x : :y }
+  end
+
+  def chain_lengths(axis, minimum)
+    neighbours = Hash.new { |hash, booth| hash[booth] = [] }
+    booths.combination(2).each do |a, b|
+      gap_axis, gap = facing_gap(a, b)
+      next unless gap_axis == axis && meters(gap) < minimum
+
+      neighbours[a] << b
+      neighbours[b] << a
+    end
+
+    booths.each_with_object({}) do |booth, lengths|
+      next if lengths.key?(booth)
+
+      chain = [ booth ]
+      chain.each { |member| neighbours[member].each { |other| chain << other unless chain.include?(other) } }
+      chain.each { |member| lengths[member] = chain.size }
+    end
+  end
+
+  # 矩形の辺どうしの最短距離（重なっていれば 0）
+  def edge_gap(a, b)
+    dx = [ a.x - b.right, b.x - a.right, 0 ].max
+    dy = [ a.y - b.bottom, b.y - a.bottom, 0 ].max
+    Math.hypot(dx, dy)
+  end
+
+  def center_distance(a, b)
+    Math.hypot(a.center[0] - b.center[0], a.center[1] - b.center[1])
+  end
+
+  def midpoint(a, b)
+    [ (a.center[0] + b.center[0]) / 2.0, (a.center[1] + b.center[1]) / 2.0 ]
+  end
+
+  def meters(pixels)
+    venue.pixels_to_meters(pixels)
+  end
+
+  def format_meters(pixels)
+    "#{meters(pixels)}m"
+  end
+end
@@ -0,0 +1,76 @@
+class RunSheetService
+  UNASSIGNED_AREA = "エリア未設定".freeze
+
+  Entry = Struct.new(:task, :starts_at, :ends_at, :continued_from_before, :continues_after, keyword_init: true) do
+    def time_range
+      from = continued_from_before ? "（前日から）" : starts_at.strftime("%H:%M")
+      to = continues_after ? "（翌日へ）" : ends_at.strftime("%H:%M")
+      "#{from} ～ #{to}"
+    end
+
+    def duration_minutes
+      ((ends_at - starts_at) / 60).round
+    end
+  end
+
+  Section = Struct.new(:area, :entries, keyword_init: true) do
+    def title
+      area ? "#{area.name}（#{area.area_type_text}）" : UNASSIGNED_AREA
+    end
+  end
+
+  attr_reader :festival, :date, :area_id
+
+  def initialize(festival, date, area_id: nil)
+    @festival = festival
+    @date = date
+    @area_id = area_id.presence&.to_i
+  end
+
+  # 当日に掛かるタスクをステージ・エリアごとに開始時刻順でまとめる（キャンセル済みは除外）
+  def sections
+    @sections ||= build_sections
+  end
+
+  def task_count
+    sections.sum { |section| section.entries.size }
+  end
+
+  private
+
+  def day_start
+    @day_start ||= date.in_time_zone.beginning_of_day
+  end
+
+  def day_end
+    @day_end ||= day_start + 1.day
+  end
+
+  def build_sections
+    tasks = festival.tasks.includes(:user, :venue_area).where.not(status: :cancelled)
+    tasks = tasks.where(venue_area_id: area_id) if area_id
+    tasks = tasks.select { |task| task.scheduled_start_date < day_end && task.due_date >= day_start }
+
+    grouped = tasks.group_by(&:venue_area)
+    areas = grouped.keys.compact.sort_by { |area| [ area.area_type == "stage" ? 0 : 1, area.name ] }
+    areas << nil if grouped.key?(nil)
+
+    areas.map do |area|
+      entries = grouped[area].map { |task| build_entry(task) }
+      Section.new(area: area, entries: entries.sort_by { |entry| [ entry.starts_at, entry.ends_at ] })
+    end
+  end
+
+  def build_entry(task)
+    starts_at = task.scheduled_start_date
+    ends_at = task.due_date
+
+    Entry.new(
+      task: task,
+      starts_at: [ starts_at, day_start ].max,
+      ends_at: [ ends_at, day_end ].min,
+      continued_from_before: starts_at < day_start,
+      continues_after: ends_at > day_end
+    )
+  end
+end
@@ -0,0 +1,305 @@
+# SVG の会場図から会場エリアを作る
+#
+# rect・circle・ellipse・polygon と閉じた path を transform を反映して会場図の座標に直し、
+# 外接矩形を会場図の表示設定（位置・縮尺）でレイアウト座標に変換する。
+# 会場エリアは回転なしの矩形として作り、曲線は制御点を含めた外接矩形で近似する。
+# 線（polyline・閉じていない path）、小さすぎる図形（記号や文字の飾り）、
+# 図の大部分を覆う図形（用紙の枠や背景）はエリアにしない。
+class SitePlanTraceService
+  SHAPE_TAGS = %w[rect circle ellipse polygon path].freeze
+  # 中の図形が描かれない要素
+  SKIPPED_CONTAINERS = %w[defs clipPath mask marker pattern symbol title desc metadata].freeze
+  MIN_AREA_SQUARE_METERS = 4.0
+  MAX_PLAN_COVERAGE = 0.9
+  DEFAULT_NAME = "会場図エリア".freeze
+  NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/
+  PATH_TOKEN = /[MmLlHhVvCcSsQqTtAaZz]|#{NUMBER}/
+  # path のコマンドごとの引数の数
+  PATH_ARGUMENTS = { "M" => 2, "L" => 2, "H" => 1, "V" => 1, "C" => 6, "S" => 4, "Q" => 4, "T" => 2, "A" => 7, "Z" => 0 }.freeze
+  # 長さの単位（CSS ピクセルへの換算）
+  UNITS = { "px" => 1.0, "mm" => 96 / 25.4, "cm" => 96 / 2.54, "in" => 96.0, "pt" => 96 / 72.0, "pc" => 16.0 }.freeze
+  IDENTITY = [ 1.0, 0.0, 0.0, 1.0, 0.0, 0.0 ].freeze
+
+  attr_reader :venue, :area_type
+
+  def initialize(venue, area_type: nil)
+    @venue = venue
+    @area_type = area_type.presence || "vendor_area"
+  end
+
+  def valid?
+    errors.empty?
+  end
+
+  def errors
+    @errors ||= [].tap do |errors|
+      if !venue.site_plan_svg?
+        errors << "SVG の会場図がありません"
+      elsif root.nil?
+        errors << "会場図の SVG を読み込めません"
+      elsif shapes.empty?
+        errors << "会場エリアにできる図形がありません"
+      end
+      errors << "エリアの種類が不正です" unless VenueArea::AREA_TYPES.include?(area_type)
+    end
+  end
+
+  # 会場図の大きさ（viewBox の単位）。エディタはこの大きさに縮尺を掛けて表示する
+  def plan_size
+    return unless root
+
+    { width: view_box[2], height: view_box[3] }
+  end
+
+  # 保存せずに取り込むエリアの候補を返す
+  def proposal
+    {
+      area_type: area_type,
+      plan_size: plan_size,
+      areas: shapes
+    }
+  end
+
+  # 候補（shape_ids がなければすべて）を会場エリアとして作る
+  def import!(shape_ids = nil)
+    ids = Array(shape_ids).map(&:to_i)
+    selected = shape_ids.nil? ? shapes : shapes.select { |shape| ids.include?(shape[:id]) }
+
+    VenueArea.transaction do
+      selected.map do |shape|
+        venue.venue_areas.create!(
+          shape.slice(:name, :x_position, :y_position, :width, :height, :color).merge(
+            area_type: area_type, rotation: 0, description: "会場図（#{venue.site_plan.filename}）から取り込み"
+          )
+        )
+      end
+    end
+  end
+
+  # 取り込める図形（文書順）
+  def shapes
+    @shapes ||= begin
+      found = []
+      collect(root, translation(-view_box[0], -view_box[1]), found)
+      found.filter_map { |node, points| shape_data(node, points) }
+           .uniq { |shape| shape.values_at(:x_position, :y_position, :width, :height) }
+           .each_with_index.map { |shape, index| shape.merge(id: index) }
+    end
+  end
+
+  private
+
+  def document
+    return @document if defined?(@document)
+
+    @document = Nokogiri::XML(venue.site_plan.download) { |config| config.strict.nonet }.tap(&:remove_namespaces!)
+  rescue Nokogiri::XML::SyntaxError
+    @document = nil
+  end
+
+  def root
+    document&.root if document&.root&.name == "svg"
+  end
+
+  # [x, y, 幅, 高さ]。viewBox がなければ width・height をピクセルに換算する
+  def view_box
+    @view_box ||= begin
+      values = root["viewBox"].to_s.split(/[\s,]+/).map { |value| Float(value, exception: false) }
+      if values.size == 4 && values.all? && values[2].positive? && values[3].positive?
+        values
+      else
+        [ 0.0, 0.0, length(root["width"]), length(root["height"]) ]
+      end
+    end
+  end
+
+  def length(value)
+    number, unit = value.to_s.strip.match(/\A(#{NUMBER})\s*([a-z]*)\z/i)&.captures
+    return 0.0 unless number
+
+    number.to_f * UNITS.fetch(unit.downcase, 1.0)
+  end
+
+  # 図形と、transform を反映した頂点（会場図の座標）を集める
+  def collect(node, matrix, found)
+    node.element_children.each do |child|
+      next if SKIPPED_CONTAINERS.include?(child.name) || hidden?(child)
+
+      child_matrix = multiply(matrix, parse_transform(child["transform"]))
+      if SHAPE_TAGS.include?(child.name)
+        points = shape_points(child)
+        found << [ child, points.map { |point| apply(child_matrix, point) } ] if points.any?
+      else
+        collect(child, child_matrix, found)
+      end
+    end
+  end
+
+  def hidden?(node)
+    style = style_properties(node)
+    [ node["display"], style["display"] ].include?("none") || [ node["visibility"], style["visibility"] ].include?("hidden")
+  end
+
+  def shape_points(node)
+    case node.name
+    when "rect"
+      x, y, width, height = %w[x y width height].map { |name| node[name].to_f }
+      return [] unless width.positive? && height.positive?
+
+      [ [ x, y ], [ x + width, y ], [ x + width, y + height ], [ x, y + height ] ]
+    when "circle", "ellipse"
+      cx, cy = node["cx"].to_f, node["cy"].to_f
+      rx = (node.name == "circle" ? node["r"] : node["rx"]).to_f
+      ry = (node.name == "circle" ? node["r"] : node["ry"]).to_f
+      return [] unless rx.positive? && ry.positive?
+
+      [ [ cx - rx, cy - ry ], [ cx + rx, cy - ry ], [ cx + rx, cy + ry ], [ cx - rx, cy + ry ] ]
+    when "polygon"
+      node["points"].to_s.scan(NUMBER).map(&:to_f).each_slice(2).select { |pair| pair.size == 2 }
+    when "path"
+      path_points(node["d"])
+    end
+  end
+
+  # path の頂点と制御点。閉じていない path は線とみなして空を返す
+  def path_points(data)
+    tokens = data.to_s.scan(PATH_TOKEN)
+    points = []
+    current = [ 0.0, 0.0 ]
+    start = current
+    command = nil
+    closed = false
+
+    until tokens.empty?
+      command = tokens.shift if tokens.first.match?(/\A[a-z]\z/i)
+      break unless command
+
+      upper = command.upcase
+      if upper == "Z"
+        closed = true
+        current = start
+        command = nil
+        next
+      end
+
+      count = PATH_ARGUMENTS.fetch(upper)
+      arguments = tokens.first(count)
+      break if arguments.size < count || arguments.any? { |token| token.match?(/\A[a-z]\z/i) }
+
+      values = tokens.shift(count).map(&:to_f)
+      origin = command == upper ? [ 0.0, 0.0 ] : current
+      case upper
+      when "H" then current = [ origin[0] + values[0], current[1] ]
+      when "V" then current = [ current[0], origin[1] + values[0] ]
+      when "A" then current = [ origin[0] + values[5], origin[1] + values[6] ]
+      else
+        pairs = values.each_slice(2).map { |x, y| [ origin[0] + x, origin[1] + y ] }
+        points.concat(pairs[0...-1])
+        current = pairs.last
+      end
+      points << current
+
+      if upper == "M"
+        start = current
+        # M のあとに続く座標は直線
+        command = command == upper ? "L" : "l"
+      end
+    end
+
+    closed ? points : []
+  end
+
+  def shape_data(node, points)
+    left, right = points.map(&:first).minmax
+    top, bottom = points.map(&:last).minmax
+    plan_area = view_box[2] * view_box[3]
+    return if plan_area.positive? && (right - left) * (bottom - top) >= plan_area * MAX_PLAN_COVERAGE
+
+    placement = venue.site_plan_placement
+    scale = placement["scale"]
+    x = placement["x"] + left * scale
+    y = placement["y"] + top * scale
+    width = (right - left) * scale
+    height = (bottom - top) * scale
+    return if venue.pixels_to_meters(width) * venue.pixels_to_meters(height) < MIN_AREA_SQUARE_METERS
+
+    {
+      name: shape_name(node),
+      color: shape_color(node),
+      x_position: x.round(2),
+      y_position: y.round(2),
+      width: width.round(2),
+      height: height.round(2)
+    }
+  end
+
+  # 図形の title、Inkscape のラベル、id の順に名前を探す
+  def shape_name(node)
+    name = node.at_xpath("./title")&.text.presence || node["label"].presence || node["id"].presence
+    name ||= "#{DEFAULT_NAME} #{@unnamed_count = (@unnamed_count || 0) + 1}"
+    name.strip.truncate(100)
+  end
+
+  def shape_color(node)
+    color = node["fill"].presence || style_properties(node)["fill"]
+    color if color.to_s.match?(/\A#\h{3}(?:\h{3})?\z/)
+  end
+
+  def style_properties(node)
+    node["style"].to_s.split(";").to_h do |declaration|
+      property, value = declaration.split(":", 2).map(&:strip)
+      [ property, value ]
+    end
+  end
+
+  # SVG の transform 属性を行列 [a, b, c, d, e, f] にする
+  def parse_transform(value)
+    value.to_s.scan(/(\w+)\s*\(([^)]*)\)/).reduce(IDENTITY) do |matrix, (name, arguments)|
+      values = arguments.scan(NUMBER).map(&:to_f)
+      multiply(matrix, transform_matrix(name, values))
+    end
+  end
+
+  def transform_matrix(name, values)
+    case name
+    when "matrix"
+      values.size == 6 ? values : IDENTITY
+    when "translate"
+      translation(values[0].to_f, values[1].to_f)
+    when "scale"
+      sx = values[0] || 1.0
+      [ sx, 0.0, 0.0, values[1] || sx, 0.0, 0.0 ]
+    when "rotate"
+      angle = values[0].to_f * Math::PI / 180
+      cx, cy = values[1].to_f, values[2].to_f
+      rotation = [ Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0.0, 0.0 ]
+      multiply(multiply(translation(cx, cy), rotation), translation(-cx, -cy))
+    when "skewX"
+      [ 1.0, 0.0, Math.tan(values[0].to_f * Math::PI / 180), 1.0, 0.0, 0.0 ]
+    when "skewY"
+      [ 1.0, Math.tan(values[0].to_f * Math::PI / 180), 0.0, 1.0, 0.0, 0.0 ]
+    else
+      IDENTITY
+    end
+  end
+
+  def translation(x, y)
+    [ 1.0, 0.0, 0.0, 1.0, x, y ]
+  end
+
+  # first ∘ second（second を先に適用する）
+  def multiply(first, second)
+    a1, b1, c1, d1, e1, f1 = first
+    a2, b2, c2, d2, e2, f2 = second
+    [
+      a1 * a2 + c1 * b2, b1 * a2 + d1 * b2,
+      a1 * c2 + c1 * d2, b1 * c2 + d1 * d2,
+      a1 * e2 + c1 * f2 + e1, b1 * e2 + d1 * f2 + f1
+    ]
+  end
+
+  def apply(matrix, (x, y))
+    a, b, c, d, e, f = matrix
+    [ a * x + c * y + e, b * x + d * y + f ]
+  end
+end
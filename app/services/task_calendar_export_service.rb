@@ -0,0 +1,50 @@
+class TaskCalendarExportService
+  def initialize(tasks, calendar_name: "タスク期限")
+    @tasks = tasks
+    @calendar_name = calendar_name
+  end
+
+  # タスクの期限を終日イベントとして iCalendar 形式で出力する（キャンセル済みは除外）
+  def to_ical
+    calendar = Icalendar::Calendar.new
+    calendar.prodid = "-//Festival Planner Platform//Task Deadlines//JA"
+    calendar.append_custom_property("X-WR-CALNAME", @calendar_name)
+
+    @tasks.reject(&:cancelled?).each do |task|
+      calendar.add_event(build_event(task))
+    end
+
+    calendar.publish
+    calendar.to_ical
+  end
+
+  private
+
+  def build_event(task)
+    event = Icalendar::Event.new
+    due_on = task.due_date.to_date
+
+    event.uid = "task-deadline-#{task.id}@festival-planner.com"
+    event.dtstart = Icalendar::Values::Date.new(due_on)
+    event.dtend = Icalendar::Values::Date.new(due_on + 1.day)
+    event.summary = "【期限】#{task.title}"
+    event.description = event_description(task)
+    event.location = task.festival.location if task.festival.location.present?
+    event.dtstamp = Icalendar::Values::DateTime.new(Time.current.utc, "tzid" => "UTC")
+    event.last_modified = Icalendar::Values::DateTime.new(task.updated_at.utc, "tzid" => "UTC")
+    event.append_custom_property("X-FESTIVAL-ID", task.festival_id.to_s)
+    event.append_custom_property("X-PRIORITY", task.priority)
+
+    event
+  end
+
+  def event_description(task)
+    [
+      "お祭り: #{task.festival.name}",
+      "担当者: #{task.user.display_name}",
+      "期限: #{task.due_date.strftime('%Y/%m/%d %H:%M')}",
+      ("状態: 完了" if task.completed?),
+      task.description.presence
+    ].compact.join("\n")
+  end
+end
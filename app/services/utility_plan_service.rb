@@ -0,0 +1,250 @@
+# 会場レイアウトの電源・給水計画
+#
+# 発電機・分電盤・給水栓などの供給元と、ケーブル・ホースの折れ線から系統をたどり、
+# 供給元ごとの負荷（kW）と配線・配管の延長を集計する。
+# 折れ線の端点が要素の外接矩形（許容差あり）に入っていれば、その要素につながっているとみなす。
+# 系統はブースや分電盤を経由して伸びるが、別の電源・給水元の先には進まない。
+class UtilityPlanService
+  NETWORKS = {
+    "power" => {
+      label: "電源",
+      sources: %w[power_source generator],
+      relays: %w[distribution_board],
+      run_type: "cable_run",
+      requirement: :power_required?
+    },
+    "water" => {
+      label: "給水",
+      sources: LayoutElement::WATER_SOURCE_TYPES,
+      relays: [],
+      run_type: "hose_run",
+      requirement: :water_required?
+    }
+  }.freeze
+
+  # 折れ線の端点と要素の接続を判定するときの許容差（メートル）
+  CONNECT_TOLERANCE = 0.5
+
+  Node = Struct.new(:record, :kind, :left, :top, :right, :bottom, keyword_init: true) do
+    def touches?(point, tolerance)
+      x, y = point
+      x.between?(left - tolerance, right + tolerance) && y.between?(top - tolerance, bottom + tolerance)
+    end
+  end
+
+  attr_reader :venue
+
+  def initialize(venue)
+    @venue = venue
+  end
+
+  def report
+    @report ||= {
+      venue: { id: venue.id, name: venue.name },
+      generated_at: Time.current.iso8601,
+      power: network_summary("power"),
+      water: network_summary("water"),
+      unmet: unmet_needs,
+      booths: booth_schedule
+    }
+  end
+
+  # 供給元ごとの集計
+  def sources(utility)
+    networks[utility]
+  end
+
+  # 計画図に描く範囲（会場エリア・ブース・要素をすべて含む矩形、余白つき）
+  def plan_bounds
+    boxes = venue.venue_areas.to_a + booths + layout_elements
+    return { x: 0, y: 0, width: 100, height: 100 } if boxes.empty?
+
+    left = boxes.map { |box| box.x_position.to_f }.min
+    top = boxes.map { |box| box.y_position.to_f }.min
+    right = boxes.map { |box| box.x_position.to_f + box.width.to_f }.max
+    bottom = boxes.map { |box| box.y_position.to_f + box.height.to_f }.max
+    margin = venue.meters_to_pixels(2)
+
+    { x: left - margin, y: top - margin, width: right - left + margin * 2, height: bottom - top + margin * 2 }
+  end
+
+  def unmet_booth_ids
+    unmet_needs.map { |need| need[:booth][:id] }.uniq
+  end
+
+  def booths
+    @booths ||= venue.booths.order(:booth_number).to_a
+  end
+
+  def layout_elements
+    @layout_elements ||= venue.layout_elements.visible.ordered_by_layer.to_a
+  end
+
+  # 必要な電源・給水が届いていないブース
+  def unmet_needs
+    @unmet_needs ||= booths.flat_map do |booth|
+      NETWORKS.filter_map do |utility, config|
+        next unless booth.public_send(config[:requirement])
+
+        source = source_for(utility, booth)
+        reason = if source.nil?
+          "#{config[:label]}に接続されていません"
+        elsif source[:overloaded]
+          "#{source[:name]}の容量 #{source[:capacity_kw]}kW を超えています（負荷 #{source[:load_kw]}kW）"
+        end
+        next unless reason
+
+        { booth: booth_reference(booth), utility: utility, source: source&.slice(:id, :name), reason: reason }
+      end
+    end
+  end
+
+  private
+
+  def network_summary(utility)
+    {
+      label: NETWORKS[utility][:label],
+      sources: sources(utility),
+      total_load_kw: (sources(utility).sum { |source| source[:load_kw] }.round(2) if utility == "power"),
+      total_run_length: sources(utility).sum { |source| source[:run_length] }.round(1),
+      unconnected_run_count: unconnected_runs(utility).size
+    }
+  end
+
+  def booth_schedule
+    booths.map do |booth|
+      booth_reference(booth).merge(
+        power_required: booth.power_required?,
+        power_load_kw: booth.power_demand,
+        power_source: source_for("power", booth)&.dig(:name),
+        water_required: booth.water_required?,
+        water_source: source_for("water", booth)&.dig(:name)
+      )
+    end
+  end
+
+  def source_for(utility, booth)
+    sources(utility).find { |source| source[:booth_ids].include?(booth.id) }
+  end
+
+  def networks
+    @networks ||= NETWORKS.keys.index_with { |utility| trace(utility) }
+  end
+
+  # 電源（発電機など）から順に系統をたどり、どこからも届かない分電盤はそれ自体を供給元とする。
+  # 複数の供給元から届くブースは先にたどった供給元に数える
+  def trace(utility)
+    config = NETWORKS[utility]
+    roots = element_nodes(config[:sources])
+    relays = element_nodes(config[:relays])
+    graph = connections(utility, roots + relays + booth_nodes)
+    claimed = {}
+
+    (roots + relays).filter_map do |root|
+      next if claimed[root]
+
+      reached = walk(root, graph, stop_at: roots + claimed.keys)
+      reached.each { |node| claimed[node] = root }
+      summarize(utility, root, reached, graph)
+    end
+  end
+
+  def walk(root, graph, stop_at:)
+    reached = [ root ]
+    queue = [ root ]
+    until queue.empty?
+      graph[:neighbours][queue.shift].each do |neighbour|
+        next if reached.include?(neighbour) || stop_at.include?(neighbour)
+
+        reached << neighbour
+        queue << neighbour
+      end
+    end
+    reached
+  end
+
+  def summarize(utility, root, reached, graph)
+    supplied = reached.select { |node| node.kind == "booth" }.map(&:record)
+    runs = reached.flat_map { |node| graph[:runs][node] }.uniq
+    capacity = capacity_of(root.record) if utility == "power"
+    load = supplied.sum(&:power_demand).round(2) if utility == "power"
+
+    {
+      id: root.record.id,
+      name: root.record.name,
+      element_type: root.record.element_type,
+      type_text: root.record.element_type_text,
+      capacity_kw: capacity,
+      load_kw: load,
+      overloaded: capacity.present? && load > capacity,
+      booth_ids: supplied.map(&:id),
+      booth_numbers: supplied.map(&:booth_number),
+      relays: reached.drop(1).select { |node| node.kind == "layout_element" }.map { |node| node.record.name },
+      run_ids: runs.map(&:id),
+      run_count: runs.size,
+      run_length: meters(runs.sum(&:run_length))
+    }
+  end
+
+  # 要素どうしの隣接関係と、各要素につながる折れ線
+  def connections(utility, nodes)
+    tolerance = venue.meters_to_pixels(CONNECT_TOLERANCE)
+    neighbours = nodes.index_with { [] }
+    attached_runs = nodes.index_with { [] }
+
+    runs_of(utility).each do |run|
+      points = run.run_points
+      ends = [ points.first, points.last ]
+      touching = nodes.select { |node| ends.any? { |point| node.touches?(point, tolerance) } }
+
+      touching.each do |node|
+        attached_runs[node] << run
+        neighbours[node] |= touching - [ node ]
+      end
+    end
+
+    { neighbours: neighbours, runs: attached_runs }
+  end
+
+  # どの供給元にもつながっていない折れ線
+  def unconnected_runs(utility)
+    connected = sources(utility).flat_map { |source| source[:run_ids] }
+    runs_of(utility).reject { |run| connected.include?(run.id) }
+  end
+
+  def capacity_of(element)
+    value = Float(element.properties_hash["capacity_kw"], exception: false)
+    value if value&.positive?
+  end
+
+  def runs_of(utility)
+    layout_elements.select { |element| element.element_type == NETWORKS[utility][:run_type] }
+  end
+
+  def element_nodes(types)
+    layout_elements.select { |element| types.include?(element.element_type) }.map do |element|
+      build_node(element, "layout_element")
+    end
+  end
+
+  def booth_nodes
+    @booth_nodes ||= booths.map { |booth| build_node(booth, "booth") }
+  end
+
+  def build_node(record, kind)
+    @nodes ||= {}
+    @nodes[[ kind, record.id ]] ||= Node.new(
+      record: record, kind: kind,
+      left: record.x_position.to_f, top: record.y_position.to_f,
+      right: record.x_position.to_f + record.width.to_f, bottom: record.y_position.to_f + record.height.to_f
+    )
+  end
+
+  def booth_reference(booth)
+    { id: booth.id, booth_number: booth.booth_number, name: booth.name }
+  end
+
+  def meters(pixels)
+    venue.pixels_to_meters(pixels)
+  end
+end
@@ -0,0 +1,7 @@
+# Be sure to restart your server when you modify this file.
+
+# Add new mime types for use in respond_to blocks:
+# Mime::Type.register "text/richtext", :rtf
+
+# 会場レイアウトの GeoJSON 書き出し
+Mime::Type.register "application/geo+json", :geojson
@@ -109,6 +109,9 @@ Rails.application.routes.draw do
           patch :bulk_complete
           delete :bulk_delete
         end
+
+        # Gantt task dependencies (finish-to-start etc.)
+        resources :dependencies, only: [ :index, :create, :destroy ], controller: "task_dependencies"
       end
 
       # Payment methods endpoint
@@ -268,6 +271,13 @@ Rails.application.routes.draw do
       resources :venues do
         member do
           get :layout_editor
+          get :safety_check
+          get :utility_plan
+          post :auto_arrange
+          get :layout_export
+          get :site_plan
+          delete :remove_site_plan
+          post :trace_site_plan
         end
         resources :layout_elements do
           member do
@@ -376,6 +386,7 @@ Rails.application.routes.draw do
         patch :bulk_complete
         delete :bulk_delete
       end
+      resources :dependencies, only: [ :create, :destroy ], controller: "task_dependencies"
     end
 
     # Industry Specialization routes
@@ -437,6 +448,8 @@ Rails.application.routes.draw do
     end
     # Gantt chart for festival-specific tasks
     get "gantt", to: "festivals#gantt", as: :gantt
+    get "run_sheet", to: "festivals#run_sheet", as: :run_sheet
+    resources :schedule_baselines, only: [ :index, :show, :create, :destroy ]
   end
 
   resources :tasks, only: [ :index ] do
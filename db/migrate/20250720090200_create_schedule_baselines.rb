@@ -0,0 +1,15 @@
+class CreateScheduleBaselines < ActiveRecord::Migration[8.0]
+  def change
+    create_table :schedule_baselines do |t|
+      t.references :festival, null: false, foreign_key: true
+      t.references :user, null: false, foreign_key: true
+      t.string :name, null: false
+      t.text :description
+      t.json :task_snapshots, default: []
+
+      t.timestamps
+    end
+
+    add_index :schedule_baselines, [ :festival_id, :name ], unique: true
+  end
+end
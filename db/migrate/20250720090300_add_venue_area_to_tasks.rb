@@ -0,0 +1,5 @@
+class AddVenueAreaToTasks < ActiveRecord::Migration[8.0]
+  def change
+    add_reference :tasks, :venue_area, foreign_key: true
+  end
+end
@@ -0,0 +1,6 @@
+class AddMilestoneKeyToTasks < ActiveRecord::Migration[8.0]
+  def change
+    add_column :tasks, :milestone_key, :string
+    add_index :tasks, [ :festival_id, :milestone_key ]
+  end
+end
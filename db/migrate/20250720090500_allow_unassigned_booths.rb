@@ -0,0 +1,5 @@
+class AllowUnassignedBooths < ActiveRecord::Migration[8.0]
+  def change
+    change_column_null :booths, :vendor_application_id, true
+  end
+end
@@ -0,0 +1,6 @@
+class AddLayoutScaleToVenues < ActiveRecord::Migration[8.0]
+  def change
+    add_column :venues, :pixels_per_meter, :decimal, precision: 8, scale: 3, default: 10.0, null: false
+    add_column :venues, :layout_guides, :text
+  end
+end
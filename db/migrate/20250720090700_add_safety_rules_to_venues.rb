@@ -0,0 +1,5 @@
+class AddSafetyRulesToVenues < ActiveRecord::Migration[8.0]
+  def change
+    add_column :venues, :safety_rules, :text
+  end
+end
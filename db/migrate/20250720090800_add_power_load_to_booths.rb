@@ -0,0 +1,5 @@
+class AddPowerLoadToBooths < ActiveRecord::Migration[8.0]
+  def change
+    add_column :booths, :power_load, :decimal, precision: 6, scale: 2
+  end
+end
@@ -0,0 +1,5 @@
+class AddSitePlanSettingsToVenues < ActiveRecord::Migration[8.0]
+  def change
+    add_column :venues, :site_plan_settings, :text
+  end
+end
@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.0].define(version: 2025_07_14_070200) do
+ActiveRecord::Schema[8.0].define(version: 2025_07_20_090900) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -120,7 +120,7 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_14_070200) do
   create_table "booths", force: :cascade do |t|
     t.bigint "venue_area_id", null: false
     t.bigint "festival_id", null: false
-    t.bigint "vendor_application_id", null: false
+    t.bigint "vendor_application_id"
     t.string "name"
     t.string "booth_number"
     t.string "size"
@@ -136,6 +136,7 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_14_070200) do
     t.text "setup_instructions"
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.decimal "power_load", precision: 6, scale: 2
     t.index ["festival_id"], name: "index_booths_on_festival_id"
     t.index ["vendor_application_id"], name: "index_booths_on_vendor_application_id"
     t.index ["venue_area_id"], name: "index_booths_on_venue_area_id"
@@ -539,6 +540,30 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_14_070200) do
     t.index ["user_id"], name: "index_revenues_on_user_id"
   end
 
+  create_table "schedule_baselines", force: :cascade do |t|
+    t.bigint "festival_id", null: false
+    t.bigint "user_id", null: false
+    t.string "name", null: false
+    t.text "description"
+    t.json "task_snapshots", default: []
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["festival_id", "name"], name: "index_schedule_baselines_on_festival_id_and_name", unique: true
+    t.index ["festival_id"], name: "index_schedule_baselines_on_festival_id"
+    t.index ["user_id"], name: "index_schedule_baselines_on_user_id"
+  end
+
+  create_table "task_dependencies", force: :cascade do |t|
+    t.bigint "predecessor_id", null: false
+    t.bigint "successor_id", null: false
+    t.string "dependency_type", default: "finish_to_start", null: false
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["predecessor_id", "successor_id"], name: "index_task_dependencies_on_predecessor_id_and_successor_id", unique: true
+    t.index ["predecessor_id"], name: "index_task_dependencies_on_predecessor_id"
+    t.index ["successor_id"], name: "index_task_dependencies_on_successor_id"
+  end
+
   create_table "tasks", force: :cascade do |t|
     t.string "title"
     t.text "description"
@@ -549,8 +574,13 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_14_070200) do
     t.bigint "festival_id", null: false
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.datetime "start_date"
+    t.bigint "venue_area_id"
+    t.string "milestone_key"
+    t.index ["festival_id", "milestone_key"], name: "index_tasks_on_festival_id_and_milestone_key"
     t.index ["festival_id"], name: "index_tasks_on_festival_id"
     t.index ["user_id"], name: "index_tasks_on_user_id"
+    t.index ["venue_area_id"], name: "index_tasks_on_venue_area_id"
   end
 
   create_table "tourism_collaborations", force: :cascade do |t|
@@ -697,6 +727,10 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_14_070200) do
     t.text "contact_info"
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.decimal "pixels_per_meter", precision: 8, scale: 3, default: "10.0", null: false
+    t.text "layout_guides"
+    t.text "safety_rules"
+    t.text "site_plan_settings"
     t.index ["facility_type"], name: "index_venues_on_facility_type"
     t.index ["festival_id"], name: "index_venues_on_festival_id"
     t.index ["latitude", "longitude"], name: "index_venues_on_latitude_and_longitude"
@@ -750,8 +784,13 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_14_070200) do
   add_foreign_key "revenues", "budget_categories"
   add_foreign_key "revenues", "festivals"
   add_foreign_key "revenues", "users"
+  add_foreign_key "schedule_baselines", "festivals"
+  add_foreign_key "schedule_baselines", "users"
+  add_foreign_key "task_dependencies", "tasks", column: "predecessor_id"
+  add_foreign_key "task_dependencies", "tasks", column: "successor_id"
   add_foreign_key "tasks", "festivals"
   add_foreign_key "tasks", "users"
+  add_foreign_key "tasks", "venue_areas"
   add_foreign_key "tourism_collaborations", "festivals"
   add_foreign_key "tourism_collaborations", "municipal_authorities", column: "tourism_board_id"
   add_foreign_key "tourism_collaborations", "users", column: "coordinator_id"
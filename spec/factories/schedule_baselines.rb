@@ -0,0 +1,8 @@
+FactoryBot.define do
+  factory :schedule_baseline do
+    association :festival
+    user { festival.user }
+    sequence(:name) { |n| "委員会承認済み計画 #{n}" }
+    task_snapshots { [] }
+  end
+end
@@ -0,0 +1,15 @@
+FactoryBot.define do
+  factory :task_dependency do
+    association :predecessor, factory: :task
+    successor { association :task, festival: predecessor.festival, user: predecessor.user }
+    dependency_type { "finish_to_start" }
+
+    trait :start_to_start do
+      dependency_type { "start_to_start" }
+    end
+
+    trait :finish_to_finish do
+      dependency_type { "finish_to_finish" }
+    end
+  end
+end
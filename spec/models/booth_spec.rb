@@ -21,6 +21,38 @@ RSpec.describe Booth, type: :model do
         expect(number).to eq('03-016')
       end
     end
+
+    describe '.next_booth_number' do
+      let(:festival) { create(:festival) }
+      let(:venue_area) { create(:venue_area, venue: festival.venues.first) }
+
+      it 'skips numbers already used in the festival and keeps the padding' do
+        create(:booth, festival: festival, venue_area: venue_area, booth_number: '01-004')
+
+        expect(Booth.next_booth_number(festival, '01-003')).to eq('01-005')
+      end
+
+      it 'appends a suffix when the number has no trailing digits' do
+        expect(Booth.next_booth_number(festival, 'A')).to eq('A-2')
+      end
+    end
+  end
+
+  describe '#renumber_as_copy' do
+    let(:festival) { create(:festival) }
+    let(:venue_area) { create(:venue_area, venue: festival.venues.first) }
+
+    it 'gives the copy a free number, follows the default name and drops the vendor' do
+      source = create(:booth, festival: festival, venue_area: venue_area, booth_number: '01-001',
+                              name: 'ブース 01-001', status: 'assigned')
+      copy = source.dup
+      copy.renumber_as_copy
+
+      expect(copy.booth_number).to eq('01-002')
+      expect(copy.name).to eq('ブース 01-002')
+      expect(copy.status).to eq('available')
+      expect(copy.vendor_application).to be_nil
+    end
   end
 
   describe 'instance methods' do
@@ -73,5 +105,21 @@ RSpec.describe Booth, type: :model do
         expect(center[:y]).to eq(23)
       end
     end
+
+    describe '#power_demand' do
+      it 'is zero for booths that need no power' do
+        booth.power_required = false
+        booth.power_load = 3
+        expect(booth.power_demand).to eq(0.0)
+      end
+
+      it 'uses the stated load, or the default when none is given' do
+        booth.power_required = true
+        expect(booth.power_demand).to eq(Booth::DEFAULT_POWER_LOAD)
+
+        booth.power_load = 3.2
+        expect(booth.power_demand).to eq(3.2)
+      end
+    end
   end
 end
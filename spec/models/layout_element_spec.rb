@@ -6,4 +6,53 @@ RSpec.describe LayoutElement, type: :model do
       expect(LayoutElement).to be_a(Class)
     end
   end
+
+  describe 'locking' do
+    let(:element) do
+      create(:layout_element, venue: create(:venue), element_type: 'stage', rotation: 0, locked: true, visible: true)
+    end
+
+    it 'refuses to move or resize a locked element' do
+      expect(element.update(x_position: 50)).to be false
+      expect(element.errors[:base]).to include('ロックされた要素は移動・変形できません')
+      expect(element.reload.update(width: 30)).to be false
+    end
+
+    it 'still allows other attributes and unlocking' do
+      expect(element.update(color: '#ff0000')).to be true
+      expect(element.update(locked: false, x_position: 50)).to be true
+    end
+
+    it 'allows moving an element in the same save that locks it' do
+      element.update!(locked: false)
+      expect(element.update(locked: true, x_position: 80)).to be true
+    end
+  end
+
+  describe 'utility runs' do
+    let(:venue) { create(:venue) }
+
+    def cable(points)
+      build(:layout_element, venue: venue, element_type: 'cable_run', x_position: 100, y_position: 50,
+                             width: 40, height: 40, rotation: 0, properties: { points: points })
+    end
+
+    it 'stores a hash of properties as JSON' do
+      expect(JSON.parse(cable('0,0 30,40').properties)).to eq('points' => '0,0 30,40')
+    end
+
+    it 'places the points relative to the element and measures the run' do
+      run = cable('0,0 30,40 30,0')
+
+      expect(run.run_points).to eq([ [ 100.0, 50.0 ], [ 130.0, 90.0 ], [ 130.0, 50.0 ] ])
+      expect(run.run_length).to eq(90.0)
+    end
+
+    it 'needs at least two points' do
+      run = cable('0,0')
+
+      expect(run).not_to be_valid
+      expect(run.errors[:base]).to include('配線・配管には2点以上の経路が必要です')
+    end
+  end
 end
@@ -0,0 +1,75 @@
+require 'rails_helper'
+
+RSpec.describe ScheduleBaseline, type: :model do
+  let(:user) { create(:user) }
+  let(:festival) { create(:festival, user: user, start_date: 1.month.from_now, end_date: 2.months.from_now) }
+  let!(:task) do
+    create(:task, user: user, festival: festival, start_date: 3.days.from_now, due_date: 7.days.from_now)
+  end
+
+  describe 'associations' do
+    it { should belong_to(:festival) }
+    it { should belong_to(:user) }
+  end
+
+  describe 'validations' do
+    subject { build(:schedule_baseline, festival: festival, user: user) }
+
+    it { should validate_presence_of(:name) }
+    it { should validate_length_of(:name).is_at_most(100) }
+    it { should validate_uniqueness_of(:name).scoped_to(:festival_id) }
+  end
+
+  describe '.capture' do
+    it 'snapshots the current dates of every festival task' do
+      baseline = ScheduleBaseline.capture(festival, user, name: '委員会承認')
+      expect(baseline.save).to be true
+
+      snapshot = baseline.reload.task_snapshots.first
+      expect(snapshot['task_id']).to eq(task.id)
+      expect(snapshot['start_date']).to eq(3.days.from_now.to_date.iso8601)
+      expect(snapshot['due_date']).to eq(7.days.from_now.to_date.iso8601)
+    end
+  end
+
+  describe '#drift_report' do
+    let!(:baseline) { ScheduleBaseline.capture(festival, user, name: '委員会承認').tap(&:save!) }
+
+    it 'reports the variance in days for rescheduled tasks' do
+      task.update!(start_date: 5.days.from_now, due_date: 10.days.from_now)
+
+      row = baseline.drift_report.find { |r| r[:task_id] == task.id }
+      expect(row[:status]).to eq('tracked')
+      expect(row[:start_variance]).to eq(2)
+      expect(row[:finish_variance]).to eq(3)
+    end
+
+    it 'marks tasks added after the baseline and tasks that were deleted' do
+      added = create(:task, user: user, festival: festival, due_date: 5.days.from_now)
+      task.destroy
+
+      report = baseline.drift_report
+      expect(report.find { |r| r[:task_id] == task.id }[:status]).to eq('removed')
+      expect(report.find { |r| r[:task_id] == added.id }[:status]).to eq('added')
+    end
+
+    it 'summarizes delayed tasks' do
+      task.update!(due_date: 9.days.from_now)
+
+      summary = baseline.drift_summary
+      expect(summary[:delayed]).to eq(1)
+      expect(summary[:max_delay]).to eq(2)
+    end
+  end
+
+  describe '#to_csv' do
+    it 'exports one row per task with variances' do
+      baseline = ScheduleBaseline.capture(festival, user, name: '委員会承認').tap(&:save!)
+      rows = CSV.parse(baseline.to_csv, headers: true)
+
+      expect(rows.size).to eq(1)
+      expect(rows.first['タスク名']).to eq(task.title)
+      expect(rows.first['期限差異（日）']).to eq('0')
+    end
+  end
+end
@@ -0,0 +1,110 @@
+require 'rails_helper'
+
+RSpec.describe TaskDependency, type: :model do
+  let(:user) { create(:user) }
+  let(:festival) { create(:festival, user: user, start_date: 1.month.from_now, end_date: 2.months.from_now) }
+  let(:predecessor) do
+    create(:task, user: user, festival: festival, start_date: 3.days.from_now, due_date: 7.days.from_now)
+  end
+  let(:successor) do
+    create(:task, user: user, festival: festival, start_date: 5.days.from_now, due_date: 9.days.from_now)
+  end
+
+  describe 'associations' do
+    it { should belong_to(:predecessor).class_name('Task') }
+    it { should belong_to(:successor).class_name('Task') }
+  end
+
+  describe 'validations' do
+    it { should validate_inclusion_of(:dependency_type).in_array(TaskDependency::DEPENDENCY_TYPES) }
+
+    it 'rejects a task depending on itself' do
+      dependency = build(:task_dependency, predecessor: predecessor, successor: predecessor)
+      expect(dependency).not_to be_valid
+      expect(dependency.errors[:successor]).to include('cannot depend on itself')
+    end
+
+    it 'rejects tasks from different festivals' do
+      other_task = create(:task, user: user)
+      dependency = build(:task_dependency, predecessor: predecessor, successor: other_task)
+      expect(dependency).not_to be_valid
+      expect(dependency.errors[:successor]).to include('must belong to the same festival')
+    end
+
+    it 'rejects circular dependencies' do
+      create(:task_dependency, predecessor: predecessor, successor: successor)
+      dependency = build(:task_dependency, predecessor: successor, successor: predecessor)
+      expect(dependency).not_to be_valid
+      expect(dependency.errors[:base]).to include('Dependency would create a cycle')
+    end
+  end
+
+  describe '#enforce!' do
+    it 'refuses a link that would push the successor out of the festival period' do
+      late_predecessor = create(:task, user: user, festival: festival, start_date: festival.end_date + 20.days,
+                                       due_date: festival.end_date + 28.days)
+
+      dependency = build(:task_dependency, predecessor: late_predecessor, successor: successor)
+
+      expect(dependency.save).to be_falsey
+      expect(dependency.errors[:successor].first).to start_with('could not be rescheduled')
+      expect(successor.reload.due_date.to_date).to eq(9.days.from_now.to_date)
+    end
+
+    it 'shifts the successor after the predecessor for finish-to-start links' do
+      create(:task_dependency, predecessor: predecessor, successor: successor)
+
+      successor.reload
+      expect(successor.scheduled_start_date.to_date).to eq(predecessor.due_date.to_date + 1)
+      expect(successor.due_date.to_date).to eq(12.days.from_now.to_date)
+    end
+
+    it 'leaves the successor alone when the link is already satisfied' do
+      create(:task_dependency, :start_to_start, predecessor: predecessor, successor: successor)
+
+      expect(successor.reload.start_date.to_date).to eq(5.days.from_now.to_date)
+    end
+
+    it 'aligns due dates for finish-to-finish links' do
+      late_predecessor = create(:task, user: user, festival: festival, start_date: 3.days.from_now, due_date: 12.days.from_now)
+      create(:task_dependency, :finish_to_finish, predecessor: late_predecessor, successor: successor)
+
+      expect(successor.reload.due_date.to_date).to eq(12.days.from_now.to_date)
+    end
+  end
+
+  describe 'rescheduling when the predecessor moves' do
+    it 'cascades through the chain of successors' do
+      third = create(:task, user: user, festival: festival, start_date: 12.days.from_now, due_date: 14.days.from_now)
+      create(:task_dependency, predecessor: predecessor, successor: successor)
+      create(:task_dependency, predecessor: successor, successor: third)
+
+      predecessor.update!(due_date: predecessor.due_date + 5.days)
+
+      expect(successor.reload.scheduled_start_date.to_date).to eq(predecessor.due_date.to_date + 1)
+      expect(third.reload.scheduled_start_date.to_date).to be > successor.due_date.to_date
+    end
+
+    it 'keeps the predecessor unchanged when a successor cannot be moved' do
+      create(:task_dependency, predecessor: predecessor, successor: successor)
+      original_due_date = predecessor.reload.due_date
+
+      expect(predecessor.update(due_date: festival.end_date + 28.days)).to be_falsey
+      expect(predecessor.errors[:base].first).to include(successor.title, 'could not be rescheduled')
+      expect(predecessor.reload.due_date).to eq(original_due_date)
+      expect(successor.reload.due_date.to_date).to eq(predecessor.due_date.to_date + 5)
+    end
+
+    it 'keeps the whole chain unchanged when a task further along cannot be moved' do
+      third = create(:task, user: user, festival: festival, start_date: 14.days.from_now, due_date: festival.end_date + 25.days)
+      create(:task_dependency, predecessor: predecessor, successor: successor)
+      create(:task_dependency, predecessor: successor, successor: third)
+      successor_due_date = successor.reload.due_date
+
+      expect(predecessor.update(due_date: predecessor.due_date + 10.days)).to be_falsey
+      expect(predecessor.errors[:base].first).to include(successor.title)
+      expect(successor.reload.due_date).to eq(successor_due_date)
+      expect(third.reload.start_date.to_date).to eq(14.days.from_now.to_date)
+    end
+  end
+end
@@ -8,6 +8,7 @@ RSpec.describe Task, type: :model do
   describe 'associations' do
     it { should belong_to(:user) }
     it { should belong_to(:festival) }
+    it { should belong_to(:venue_area).optional }
     it { should have_many(:notifications).dependent(:destroy) }
   end
 
@@ -63,6 +64,60 @@ RSpec.describe Task, type: :model do
     end
   end
 
+  describe 'start_date_before_due_date' do
+    it 'is invalid when the start date is after the due date' do
+      task = build(:task, user: user, festival: festival, start_date: 10.days.from_now, due_date: 5.days.from_now)
+      expect(task).not_to be_valid
+      expect(task.errors[:start_date]).to include('must be on or before the due date')
+    end
+
+    it 'allows a one-day task' do
+      task = build(:task, user: user, festival: festival, start_date: 5.days.from_now.beginning_of_day, due_date: 5.days.from_now)
+      expect(task).to be_valid
+    end
+  end
+
+  describe 'milestone_key' do
+    it 'accepts a known milestone' do
+      expect(build(:task, user: user, festival: festival, milestone_key: 'permit_deadline')).to be_valid
+    end
+
+    it 'rejects an unknown milestone' do
+      expect(build(:task, user: user, festival: festival, milestone_key: 'unknown')).not_to be_valid
+    end
+
+    it 'stores a blank selection as nil' do
+      expect(build(:task, user: user, festival: festival, milestone_key: '').milestone_key).to be_nil
+    end
+  end
+
+  describe 'venue_area_belongs_to_festival' do
+    it 'accepts an area of one of the festival venues' do
+      area = create(:venue_area, venue: festival.venues.first)
+      expect(build(:task, user: user, festival: festival, venue_area: area)).to be_valid
+    end
+
+    it "rejects an area of another festival's venue" do
+      other_festival = create(:festival, user: user, start_date: 1.month.from_now, end_date: 2.months.from_now)
+      area = create(:venue_area, venue: other_festival.venues.first)
+      task = build(:task, user: user, festival: festival, venue_area: area)
+
+      expect(task).not_to be_valid
+      expect(task.errors[:venue_area]).to include("must belong to one of the festival's venues")
+    end
+  end
+
+  describe '#scheduled_start_date' do
+    it 'falls back to the creation time when no start date is set' do
+      expect(task.scheduled_start_date).to eq(task.created_at)
+    end
+
+    it 'uses the start date when present' do
+      task.update!(start_date: 2.days.from_now)
+      expect(task.scheduled_start_date).to eq(task.start_date)
+    end
+  end
+
   describe 'scopes' do
     let!(:overdue_task) { create(:task, due_date: 1.day.ago, status: :pending) }
     let!(:due_soon_task) { create(:task, due_date: 1.day.from_now, status: :pending) }
@@ -274,6 +274,27 @@ RSpec.describe VendorApplication, type: :model do
     end
   end
 
+  describe 'booth needs' do
+    it 'treats food vendors as needing water' do
+      app = build(:vendor_application, business_type: '飲食店', requirements: 'テーブル2台')
+      expect(app.food_vendor?).to be true
+      expect(app.needs_water?).to be true
+      expect(app.needs_power?).to be false
+    end
+
+    it 'reads power and water from the requirements' do
+      app = build(:vendor_application, business_type: '物販', requirements: '電源（100V）と給水を希望')
+      expect(app.food_vendor?).to be false
+      expect(app.needs_power?).to be true
+      expect(app.needs_water?).to be true
+    end
+
+    it 'finds the competition category from the name and description' do
+      expect(build(:vendor_application, business_name: '麺屋一番', description: '濃厚豚骨ラーメン').competition_category).to eq('ラーメン')
+      expect(build(:vendor_application, business_name: '木工房', description: '木のおもちゃ').competition_category).to be_nil
+    end
+  end
+
   describe 'deadline management' do
     describe '#submission_overdue?' do
       it 'returns true when past submission deadline and not submitted' do
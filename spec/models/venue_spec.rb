@@ -10,4 +10,86 @@ RSpec.describe Venue, type: :model do
       expect(Venue).to be_a(Class)
     end
   end
+
+  describe 'layout scale' do
+    let(:venue) { build(:venue, pixels_per_meter: 20) }
+
+    it 'converts between layout pixels and meters' do
+      expect(venue.pixels_to_meters(50)).to eq(2.5)
+      expect(venue.meters_to_pixels(3)).to eq(60.0)
+    end
+
+    it 'requires a positive scale' do
+      venue.pixels_per_meter = 0
+      expect(venue).not_to be_valid
+      expect(venue.errors[:pixels_per_meter]).to be_present
+    end
+  end
+
+  describe '#safety_rule_settings' do
+    it 'fills in defaults and replaces invalid distances' do
+      venue = build(:venue, safety_rules: { "aisle_width" => { "enabled" => "false", "meters" => "4.5" },
+                                            "power_distance" => { "meters" => "-1" } })
+
+      settings = venue.safety_rule_settings
+      expect(settings["aisle_width"]).to eq("enabled" => false, "meters" => 4.5)
+      expect(settings["power_distance"]).to eq("enabled" => true, "meters" => 30.0)
+      expect(settings.keys).to eq(Venue::SAFETY_RULE_DEFAULTS.keys)
+    end
+  end
+
+  describe 'layout guides' do
+    let(:venue) { create(:venue) }
+
+    it 'defaults to no guides' do
+      expect(venue.guides).to eq("vertical" => [], "horizontal" => [])
+    end
+
+    it 'stores sorted, unique positions per axis' do
+      venue.update!(layout_guides: { vertical: [ "120.5", 40, 40 ], horizontal: [ 10 ], diagonal: [ 1 ] })
+
+      expect(venue.reload.guides).to eq("vertical" => [ 40.0, 120.5 ], "horizontal" => [ 10.0 ])
+    end
+  end
+
+  describe 'site plan' do
+    let(:venue) { create(:venue) }
+
+    def attach_plan(filename, content_type, content = '<svg xmlns="http://www.w3.org/2000/svg"/>')
+      venue.site_plan.attach(io: StringIO.new(content), filename: filename, content_type: content_type)
+    end
+
+    it 'accepts PNG, PDF and SVG plans only' do
+      attach_plan('plan.svg', 'image/svg+xml')
+      expect(venue).to be_valid
+      expect(venue).to be_site_plan_svg
+
+      attach_plan('plan.txt', 'text/plain', 'not a plan')
+      expect(venue).not_to be_valid
+      expect(venue.errors[:site_plan]).to include('must be a PNG, PDF, or SVG file')
+    end
+
+    it 'fills in the placement defaults and replaces invalid values' do
+      venue.site_plan_settings = { "x" => "12.5", "scale" => "-2", "opacity" => "3", "visible" => "false" }
+
+      expect(venue.site_plan_placement).to eq("x" => 12.5, "y" => 0.0, "scale" => 1.0, "opacity" => 1.0, "visible" => false)
+    end
+
+    it 'stores the size of an SVG plan when it is attached' do
+      attach_plan('plan.svg', 'image/svg+xml', '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800 600"/>')
+
+      expect(venue.site_plan.blob.reload.metadata['plan_size']).to eq('width' => 800.0, 'height' => 600.0)
+      expect(venue.reload.site_plan_size).to eq('width' => 800.0, 'height' => 600.0)
+    end
+
+    it 'resets the placement when the plan is replaced' do
+      attach_plan('plan.svg', 'image/svg+xml')
+      venue.update!(site_plan_settings: { x: 100, scale: 2 })
+
+      attach_plan('new_plan.svg', 'image/svg+xml')
+
+      expect(venue.reload.site_plan_settings).to be_nil
+      expect(venue.site_plan_placement).to eq(Venue::SITE_PLAN_SETTING_DEFAULTS)
+    end
+  end
 end
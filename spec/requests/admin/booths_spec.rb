@@ -0,0 +1,166 @@
+require 'rails_helper'
+
+RSpec.describe "Admin::Booths", type: :request do
+  let(:admin_user) { create(:user, :admin) }
+  let(:festival) { create(:festival) }
+  let(:venue) { create(:venue, festival: festival) }
+  let(:venue_area) { create(:venue_area, venue: venue) }
+  let!(:booth) do
+    create(:booth, festival: festival, venue_area: venue_area, booth_number: "01-001", name: "ブース 01-001",
+                   status: "available", x_position: 10, y_position: 10, width: 4, height: 4, rotation: 0)
+  end
+
+  before { sign_in admin_user }
+
+  describe "POST /admin/festivals/:festival_id/venues/:venue_id/booths" do
+    it "renumbers a pasted copy" do
+      expect {
+        post admin_festival_venue_booths_path(festival, venue),
+             params: { duplicate: true, booth: booth.slice(:venue_area_id, :name, :booth_number, :size, :status,
+                                                           :width, :height, :rotation).merge(x_position: 30, y_position: 30) },
+             as: :json
+      }.to change(Booth, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+      body = JSON.parse(response.body)
+      expect(body["booth_number"]).to eq("01-002")
+      expect(body["name"]).to eq("ブース 01-002")
+      expect(body["venue_area"]["id"]).to eq(venue_area.id)
+    end
+
+    it "refuses an area from another venue" do
+      other_area = create(:venue_area, venue: create(:venue, festival: festival))
+
+      post admin_festival_venue_booths_path(festival, venue),
+           params: { booth: { venue_area_id: other_area.id, name: "ブース", booth_number: "09-001", size: "small",
+                              status: "available", width: 3, height: 3, x_position: 0, y_position: 0 } },
+           as: :json
+
+      expect(response).to have_http_status(:not_found)
+    end
+
+    context "when undo recreates a deleted booth" do
+      let(:vendor) { create(:vendor_application, :approved, festival: festival) }
+      let(:attributes) do
+        { venue_area_id: venue_area.id, name: "ブース 01-002", booth_number: "01-002", size: "small", status: "assigned",
+          width: 3, height: 3, x_position: 0, y_position: 0, vendor_application_id: vendor.id }
+      end
+
+      it "assigns the vendor again" do
+        post admin_festival_venue_booths_path(festival, venue), params: { booth: attributes }, as: :json
+
+        expect(response).to have_http_status(:created)
+        expect(vendor.reload.booth).to have_attributes(booth_number: "01-002", status: "assigned")
+      end
+
+      it "refuses a vendor that cannot be assigned" do
+        submitted = create(:vendor_application, :submitted, festival: festival)
+
+        expect {
+          post admin_festival_venue_booths_path(festival, venue),
+               params: { booth: attributes.merge(vendor_application_id: submitted.id) }, as: :json
+        }.not_to change(Booth, :count)
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(JSON.parse(response.body)["error"]).to eq("承認済みの申請のみ割り当てできます")
+      end
+
+      it "does not mark a booth assigned without a vendor" do
+        post admin_festival_venue_booths_path(festival, venue),
+             params: { booth: attributes.except(:vendor_application_id) }, as: :json
+
+        expect(JSON.parse(response.body)["status"]).to eq("available")
+      end
+    end
+  end
+
+  describe "PATCH /admin/festivals/:festival_id/venues/:venue_id/booths/:id" do
+    it "moves the booth" do
+      patch admin_festival_venue_booth_path(festival, venue, booth),
+            params: { booth: { x_position: 50, y_position: 60 } }, as: :json
+
+      expect(response).to have_http_status(:success)
+      expect(booth.reload.x_position).to eq(50)
+    end
+
+    it "ignores vendor and status changes, which go through assign_vendor" do
+      vendor = create(:vendor_application, :approved, festival: festival)
+
+      patch admin_festival_venue_booth_path(festival, venue, booth),
+            params: { booth: { vendor_application_id: vendor.id, status: "assigned", name: "角のブース" } }, as: :json
+
+      expect(response).to have_http_status(:success)
+      expect(booth.reload).to have_attributes(vendor_application_id: nil, status: "available", name: "角のブース")
+    end
+  end
+
+  describe "PATCH /admin/festivals/:festival_id/venues/:venue_id/booths/:id/assign_vendor" do
+    let(:vendor) do
+      create(:vendor_application, :food_truck, :approved, festival: festival, requirements: "テーブル2台")
+    end
+
+    before { booth.update!(water_required: false, power_required: true) }
+
+    it "assigns the vendor and warns about missing water" do
+      patch assign_vendor_admin_festival_venue_booth_path(festival, venue, booth),
+            params: { vendor_application_id: vendor.id }, as: :json
+
+      expect(response).to have_http_status(:success)
+      body = JSON.parse(response.body)
+      expect(body["status"]).to eq("assigned")
+      expect(body["vendor"]["id"]).to eq(vendor.id)
+      expect(body["warnings"]).to eq([ "飲食の出店者（Tasty Food Truck）ですが、ブース 01-001 には給水がありません" ])
+      expect(booth.reload.vendor_application).to eq(vendor)
+    end
+
+    it "refuses a vendor that already has a booth" do
+      create(:booth, festival: festival, venue_area: venue_area, booth_number: "01-002",
+                     status: "assigned", vendor_application: vendor)
+
+      patch assign_vendor_admin_festival_venue_booth_path(festival, venue, booth),
+            params: { vendor_application_id: vendor.id }, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(JSON.parse(response.body)["error"]).to include("ブース 01-002")
+      expect(booth.reload.vendor_application).to be_nil
+    end
+
+    it "refuses an application that is not approved" do
+      vendor.update_columns(status: VendorApplication.statuses[:submitted])
+
+      patch assign_vendor_admin_festival_venue_booth_path(festival, venue, booth),
+            params: { vendor_application_id: vendor.id }, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+    end
+  end
+
+  describe "PATCH /admin/festivals/:festival_id/venues/:venue_id/booths/:id/unassign_vendor" do
+    it "frees the booth" do
+      vendor = create(:vendor_application, :approved, festival: festival)
+      booth.update!(vendor_application: vendor, status: "assigned")
+
+      patch unassign_vendor_admin_festival_venue_booth_path(festival, venue, booth), as: :json
+
+      expect(response).to have_http_status(:success)
+      expect(JSON.parse(response.body)).to include("status" => "available", "vendor" => nil)
+      expect(booth.reload.vendor_application).to be_nil
+    end
+
+    it "reports a booth without a vendor" do
+      patch unassign_vendor_admin_festival_venue_booth_path(festival, venue, booth), as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+    end
+  end
+
+  describe "DELETE /admin/festivals/:festival_id/venues/:venue_id/booths/:id" do
+    it "deletes the booth" do
+      expect {
+        delete admin_festival_venue_booth_path(festival, venue, booth), as: :json
+      }.to change(Booth, :count).by(-1)
+
+      expect(response).to have_http_status(:no_content)
+    end
+  end
+end
@@ -0,0 +1,82 @@
+require 'rails_helper'
+
+RSpec.describe "Admin::LayoutElements", type: :request do
+  let(:admin_user) { create(:user, :admin) }
+  let(:festival) { create(:festival) }
+  let(:venue) { create(:venue, festival: festival) }
+  let!(:stage) do
+    create(:layout_element, venue: venue, element_type: "stage", name: "メインステージ",
+                            x_position: 100, y_position: 50, width: 120, height: 60, rotation: 0, visible: true)
+  end
+
+  before { sign_in admin_user }
+
+  describe "PATCH /admin/festivals/:festival_id/venues/:venue_id/layout_elements/bulk_update" do
+    it "moves and resizes several elements in one request" do
+      gate = create(:layout_element, venue: venue, element_type: "gate", name: "北ゲート",
+                                     x_position: 0, y_position: 0, width: 40, height: 20, rotation: 0, visible: true)
+
+      patch bulk_update_admin_festival_venue_layout_elements_path(festival, venue),
+            params: { layout_elements: {
+              "0" => { id: stage.id, x_position: 200, y_position: 80 },
+              "1" => { id: gate.id, width: 60 }
+            } }, as: :json
+
+      expect(response).to have_http_status(:success)
+      expect(stage.reload.x_position).to eq(200)
+      expect(stage.y_position).to eq(80)
+      expect(gate.reload.width).to eq(60)
+    end
+
+    it "ignores attributes outside the layout fields" do
+      other_venue = create(:venue, festival: festival)
+
+      patch bulk_update_admin_festival_venue_layout_elements_path(festival, venue),
+            params: { layout_elements: { "0" => { id: stage.id, x_position: 10, venue_id: other_venue.id } } }, as: :json
+
+      expect(response).to have_http_status(:success)
+      expect(stage.reload.venue).to eq(venue)
+      expect(stage.x_position).to eq(10)
+    end
+
+    it "creates entries without an id and destroys entries marked _destroy" do
+      expect {
+        patch bulk_update_admin_festival_venue_layout_elements_path(festival, venue),
+              params: { layout_elements: {
+                "0" => { element_type: "stage", name: "メインステージ (コピー)", x_position: 120, y_position: 70,
+                         width: 120, height: 60, visible: true },
+                "1" => { id: stage.id, _destroy: true }
+              } }, as: :json
+      }.not_to change(venue.layout_elements, :count)
+
+      expect(response).to have_http_status(:success)
+      created = JSON.parse(response.body)["created"]
+      expect(created.map { |element| element["name"] }).to eq([ "メインステージ (コピー)" ])
+      expect(LayoutElement.exists?(stage.id)).to be false
+    end
+
+    it "rolls back every change when one element is invalid" do
+      patch bulk_update_admin_festival_venue_layout_elements_path(festival, venue),
+            params: { layout_elements: { "0" => { id: stage.id, x_position: 300, width: 0 } } }, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(stage.reload.x_position).to eq(100)
+    end
+  end
+
+  describe "POST and DELETE /admin/festivals/:festival_id/venues/:venue_id/layout_elements" do
+    it "recreates a deleted element from its attributes" do
+      attributes = stage.slice(:element_type, :name, :x_position, :y_position, :width, :height, :visible)
+
+      delete admin_festival_venue_layout_element_path(festival, venue, stage), as: :json
+      expect(response).to have_http_status(:no_content)
+
+      expect {
+        post admin_festival_venue_layout_elements_path(festival, venue), params: { layout_element: attributes }, as: :json
+      }.to change(venue.layout_elements, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+      expect(JSON.parse(response.body)["name"]).to eq("メインステージ")
+    end
+  end
+end
@@ -0,0 +1,300 @@
+require 'rails_helper'
+
+RSpec.describe "Admin::Venues", type: :request do
+  let(:admin_user) { create(:user, :admin) }
+  let(:festival) { create(:festival) }
+  let(:venue) { create(:venue, festival: festival) }
+
+  before { sign_in admin_user }
+
+  describe "PATCH /admin/festivals/:festival_id/venues/:id" do
+    it "saves the layout scale and guides from the layout editor" do
+      patch admin_festival_venue_path(festival, venue),
+            params: { venue: { pixels_per_meter: 25, layout_guides: { vertical: [ 100 ], horizontal: [ 50, 20 ] } } },
+            as: :json
+
+      expect(response).to have_http_status(:ok)
+      body = JSON.parse(response.body)
+      expect(body["pixels_per_meter"].to_f).to eq(25.0)
+      expect(body["layout_guides"]).to eq("vertical" => [ 100.0 ], "horizontal" => [ 20.0, 50.0 ])
+      expect(venue.reload.pixels_per_meter).to eq(25)
+    end
+
+    it "rejects a scale of zero" do
+      patch admin_festival_venue_path(festival, venue), params: { venue: { pixels_per_meter: 0 } }, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(JSON.parse(response.body)).to have_key("pixels_per_meter")
+    end
+
+    it "uploads a site plan for the layout editor" do
+      patch admin_festival_venue_path(festival, venue),
+            params: { venue: { site_plan: fixture_file_upload('spec/fixtures/files/test_document.pdf', 'application/pdf') } },
+            headers: { "Accept" => "application/json" }
+
+      expect(response).to have_http_status(:ok)
+      site_plan = JSON.parse(response.body)["site_plan"]
+      expect(site_plan).to include("filename" => "test_document.pdf", "content_type" => "application/pdf")
+      expect(site_plan["settings"]).to eq(Venue::SITE_PLAN_SETTING_DEFAULTS)
+      expect(venue.reload.site_plan).to be_attached
+    end
+
+    it "saves the site plan placement" do
+      venue.site_plan.attach(io: StringIO.new('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800 600"/>'),
+                             filename: "plan.svg", content_type: "image/svg+xml")
+
+      patch admin_festival_venue_path(festival, venue),
+            params: { venue: { site_plan_settings: { x: 15, y: -5, scale: 0.25, opacity: 0.8, visible: false } } }, as: :json
+
+      expect(response).to have_http_status(:ok)
+      site_plan = JSON.parse(response.body)["site_plan"]
+      expect(site_plan["settings"]).to eq("x" => 15.0, "y" => -5.0, "scale" => 0.25, "opacity" => 0.8, "visible" => false)
+      expect(site_plan["plan_size"]).to eq("width" => 800.0, "height" => 600.0)
+      expect(site_plan["url"]).to eq(site_plan_admin_festival_venue_path(festival, venue))
+    end
+
+    it "does not read the SVG plan again when the venue is saved" do
+      venue.site_plan.attach(io: StringIO.new('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800 600"/>'),
+                             filename: "plan.svg", content_type: "image/svg+xml")
+
+      expect(SitePlanTraceService).not_to receive(:new)
+      patch admin_festival_venue_path(festival, venue), params: { venue: { pixels_per_meter: 25 } }, as: :json
+
+      expect(JSON.parse(response.body)["site_plan"]["plan_size"]).to eq("width" => 800.0, "height" => 600.0)
+    end
+
+    it "rejects a site plan that is not a PNG, PDF or SVG" do
+      patch admin_festival_venue_path(festival, venue),
+            params: { venue: { site_plan: fixture_file_upload('spec/fixtures/files/test_image.jpg', 'image/jpeg') } },
+            headers: { "Accept" => "application/json" }
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(JSON.parse(response.body)).to have_key("site_plan")
+    end
+  end
+
+  describe "GET /admin/festivals/:festival_id/venues/:id/safety_check" do
+    before do
+      area = create(:venue_area, venue: venue)
+      create(:booth, venue_area: area, festival: festival, booth_number: "01-001", x_position: 0, y_position: 0,
+                     width: 30, height: 30, rotation: 0, power_required: true)
+    end
+
+    it "returns the violations as JSON for the layout editor" do
+      get safety_check_admin_festival_venue_path(festival, venue), as: :json
+
+      expect(response).to have_http_status(:ok)
+      body = JSON.parse(response.body)
+      expect(body["passed"]).to be(false)
+      expect(body["violations"].map { |violation| violation["rule"] }).to include("power_distance", "restroom_distance")
+    end
+
+    it "exports the report as CSV" do
+      get safety_check_admin_festival_venue_path(festival, venue, format: :csv)
+
+      expect(response).to have_http_status(:ok)
+      expect(response.media_type).to eq("text/csv")
+      expect(response.body).to include("電源までの距離")
+    end
+  end
+
+  describe "GET /admin/festivals/:festival_id/venues/:id/utility_plan" do
+    let!(:booth) do
+      area = create(:venue_area, venue: venue)
+      create(:booth, venue_area: area, festival: festival, booth_number: "01-001", x_position: 0, y_position: 0,
+                     width: 30, height: 30, rotation: 0, power_required: true, power_load: 2, water_required: false)
+    end
+
+    it "returns the load totals and unmet needs as JSON for the layout editor" do
+      get utility_plan_admin_festival_venue_path(festival, venue), as: :json
+
+      expect(response).to have_http_status(:ok)
+      body = JSON.parse(response.body)
+      expect(body["power"]["sources"]).to eq([])
+      expect(body["unmet"].map { |need| need["booth"]["id"] }).to eq([ booth.id ])
+    end
+
+    it "renders the printable plan" do
+      get utility_plan_admin_festival_venue_path(festival, venue)
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include("Power &amp; Water Plan", "01-001")
+    end
+  end
+
+  describe "POST /admin/festivals/:festival_id/venues/:id/auto_arrange" do
+    let(:venue) { create(:venue, festival: festival, pixels_per_meter: 10) }
+    let(:area) { create(:venue_area, venue: venue, x_position: 0, y_position: 0, width: 400, height: 140, rotation: 0) }
+    let!(:applicant) do
+      create(:vendor_application, :approved, festival: festival, business_name: "雑貨屋", business_type: "物販",
+                                             requirements: "テーブル1台", description: "手作りの雑貨")
+    end
+
+    it "returns a proposal without saving anything" do
+      expect {
+        post auto_arrange_admin_festival_venue_path(festival, venue),
+             params: { area_id: area.id, vendor_application_ids: [ applicant.id ] }, as: :json
+      }.not_to change(Booth, :count)
+
+      expect(response).to have_http_status(:ok)
+      body = JSON.parse(response.body)
+      expect(body["placements"].map { |placement| placement["vendor_application_id"] }).to eq([ applicant.id ])
+      expect(body["unplaced"]).to eq([])
+    end
+
+    it "creates and assigns the booths when committed" do
+      expect {
+        post auto_arrange_admin_festival_venue_path(festival, venue),
+             params: { area_id: area.id, vendor_application_ids: [ applicant.id ], commit: true }, as: :json
+      }.to change(Booth, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+      expect(JSON.parse(response.body)["booths"].first["vendor"]["id"]).to eq(applicant.id)
+      expect(applicant.reload.booth.venue_area).to eq(area)
+    end
+
+    it "ignores vendors that already have a booth" do
+      create(:booth, venue_area: area, festival: festival, booth_number: "09-001", vendor_application: applicant,
+                     status: "assigned", x_position: 500, y_position: 500, width: 40, height: 40, rotation: 0)
+
+      post auto_arrange_admin_festival_venue_path(festival, venue),
+           params: { area_id: area.id, vendor_application_ids: [ applicant.id ] }, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(JSON.parse(response.body)["error"]).to eq("配置する出店者を選んでください")
+    end
+  end
+
+  describe "GET /admin/festivals/:festival_id/venues/:id/layout_export" do
+    let!(:booth) do
+      area = create(:venue_area, venue: venue, x_position: 0, y_position: 0, width: 200, height: 100, rotation: 0)
+      create(:booth, venue_area: area, festival: festival, booth_number: "01-001", x_position: 0, y_position: 0,
+                     width: 40, height: 40, rotation: 0)
+    end
+
+    it "renders the printable plan" do
+      get layout_export_admin_festival_venue_path(festival, venue)
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include("Layout Plan", "01-001", "Vendor index")
+    end
+
+    it "offers the plan as a PDF download built from the SVG drawing" do
+      get layout_export_admin_festival_venue_path(festival, venue)
+
+      page = Nokogiri::HTML(response.body)
+      export = page.at_css('[data-controller="layout-export"]')
+      expect(export["data-layout-export-svg-url-value"]).to eq(layout_export_admin_festival_venue_path(festival, venue, format: :svg))
+      expect(export["data-layout-export-filename-value"]).to eq("layout_#{venue.name}_#{Date.current}.pdf")
+      expect(export["data-layout-export-title-value"]).to eq("#{festival.name} / #{venue.name}")
+      expect(export.at_css('[data-action="layout-export#download"]')).to be_present
+    end
+
+    it "downloads the layout as SVG" do
+      get layout_export_admin_festival_venue_path(festival, venue, format: :svg)
+
+      expect(response).to have_http_status(:ok)
+      expect(response.media_type).to eq("image/svg+xml")
+      expect(response.headers["Content-Disposition"]).to include("attachment", ".svg")
+      expect(response.body).to include("01-001")
+    end
+
+    it "downloads the layout as GeoJSON" do
+      venue.update!(latitude: 35.0, longitude: 135.0)
+
+      get layout_export_admin_festival_venue_path(festival, venue, format: :geojson)
+
+      expect(response).to have_http_status(:ok)
+      expect(response.media_type).to eq("application/geo+json")
+      body = JSON.parse(response.body)
+      expect(body["type"]).to eq("FeatureCollection")
+      expect(body["features"].map { |feature| feature["properties"]["kind"] }).to contain_exactly("venue_area", "booth")
+    end
+
+    it "refuses GeoJSON for a venue without coordinates" do
+      venue.update!(latitude: nil, longitude: nil)
+
+      get layout_export_admin_festival_venue_path(festival, venue, format: :geojson)
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(JSON.parse(response.body)["error"]).to eq("会場の緯度・経度が設定されていません")
+    end
+  end
+
+  describe "POST /admin/festivals/:festival_id/venues/:id/trace_site_plan" do
+    before do
+      svg = <<~SVG
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1000 500">
+          <rect id="飲食エリア" x="100" y="50" width="200" height="100"/>
+        </svg>
+      SVG
+      venue.site_plan.attach(io: StringIO.new(svg), filename: "plan.svg", content_type: "image/svg+xml")
+    end
+
+    it "proposes venue areas without saving them" do
+      post trace_site_plan_admin_festival_venue_path(festival, venue), params: { area_type: "food_court" }, as: :json
+
+      expect(response).to have_http_status(:ok)
+      body = JSON.parse(response.body)
+      expect(body["area_type"]).to eq("food_court")
+      expect(body["areas"].map { |area| area["name"] }).to eq([ "飲食エリア" ])
+      expect(venue.venue_areas).to be_empty
+    end
+
+    it "adds the traced areas to the venue" do
+      expect {
+        post trace_site_plan_admin_festival_venue_path(festival, venue),
+             params: { area_type: "food_court", shape_ids: [ 0 ], commit: true }, as: :json
+      }.to change(venue.venue_areas, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+      expect(JSON.parse(response.body)["venue_areas"].first).to include("name" => "飲食エリア", "area_type" => "food_court")
+    end
+
+    it "refuses a plan that is not an SVG" do
+      venue.site_plan.attach(io: StringIO.new("%PDF-1.4"), filename: "plan.pdf", content_type: "application/pdf")
+
+      post trace_site_plan_admin_festival_venue_path(festival, venue), as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(JSON.parse(response.body)["error"]).to eq("SVG の会場図がありません")
+    end
+  end
+
+  describe "GET /admin/festivals/:festival_id/venues/:id/site_plan" do
+    it "serves an SVG plan as a sandboxed image" do
+      venue.site_plan.attach(io: StringIO.new('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800 600"/>'),
+                             filename: "plan.svg", content_type: "image/svg+xml")
+
+      get site_plan_admin_festival_venue_path(festival, venue)
+
+      expect(response).to have_http_status(:ok)
+      expect(response.media_type).to eq("image/svg+xml")
+      expect(response.headers["Content-Disposition"]).to start_with("inline")
+      expect(response.headers["Content-Security-Policy"]).to eq("sandbox")
+      expect(response.body).to include('viewBox="0 0 800 600"')
+    end
+
+    it "does not serve other plans" do
+      venue.site_plan.attach(io: StringIO.new("%PDF-1.4"), filename: "plan.pdf", content_type: "application/pdf")
+
+      get site_plan_admin_festival_venue_path(festival, venue)
+
+      expect(response).to have_http_status(:not_found)
+    end
+  end
+
+  describe "DELETE /admin/festivals/:festival_id/venues/:id/remove_site_plan" do
+    it "removes the site plan and its placement" do
+      venue.site_plan.attach(io: StringIO.new('<svg xmlns="http://www.w3.org/2000/svg"/>'), filename: "plan.svg",
+                             content_type: "image/svg+xml")
+      venue.update!(site_plan_settings: { scale: 2 })
+
+      delete remove_site_plan_admin_festival_venue_path(festival, venue), as: :json
+
+      expect(response).to have_http_status(:no_content)
+      expect(venue.reload.site_plan).not_to be_attached
+      expect(venue.site_plan_settings).to be_nil
+    end
+  end
+end
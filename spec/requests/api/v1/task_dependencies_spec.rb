@@ -0,0 +1,63 @@
+require 'rails_helper'
+
+RSpec.describe "Api::V1::TaskDependencies", type: :request do
+  let(:user) { create(:user, :committee_member) }
+  let(:api_token) { user.tap(&:generate_api_token!).api_token }
+  let(:headers) { { 'Authorization' => "Bearer #{api_token}", 'Content-Type' => 'application/json' } }
+  let(:festival) { create(:festival, user: user, start_date: 1.month.from_now, end_date: 2.months.from_now) }
+  let!(:predecessor) do
+    create(:task, user: user, festival: festival, start_date: 3.days.from_now, due_date: 7.days.from_now)
+  end
+  let!(:successor) do
+    create(:task, user: user, festival: festival, start_date: 5.days.from_now, due_date: 9.days.from_now)
+  end
+
+  describe "POST /api/v1/tasks/:task_id/dependencies" do
+    it "creates the dependency" do
+      expect {
+        post "/api/v1/tasks/#{predecessor.id}/dependencies",
+             params: { dependency: { successor_id: successor.id, dependency_type: 'finish_to_start' } }.to_json,
+             headers: headers
+      }.to change(TaskDependency, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+      expect(JSON.parse(response.body)['dependency']['successor_id']).to eq(successor.id)
+    end
+
+    it "rejects a cycle" do
+      create(:task_dependency, predecessor: predecessor, successor: successor)
+
+      post "/api/v1/tasks/#{successor.id}/dependencies",
+           params: { dependency: { successor_id: predecessor.id, dependency_type: 'finish_to_start' } }.to_json,
+           headers: headers
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(JSON.parse(response.body)['errors']).to include('Dependency would create a cycle')
+    end
+
+    context "when the user has no access to the festival" do
+      let(:outsider) { create(:user, :resident) }
+      let(:api_token) { outsider.tap(&:generate_api_token!).api_token }
+
+      it "is forbidden" do
+        post "/api/v1/tasks/#{predecessor.id}/dependencies",
+             params: { dependency: { successor_id: successor.id, dependency_type: 'finish_to_start' } }.to_json,
+             headers: headers
+
+        expect(response).to have_http_status(:forbidden)
+        expect(TaskDependency.count).to eq(0)
+      end
+    end
+  end
+
+  describe "DELETE /api/v1/tasks/:task_id/dependencies/:id" do
+    it "deletes the dependency" do
+      dependency = create(:task_dependency, predecessor: predecessor, successor: successor)
+
+      delete "/api/v1/tasks/#{predecessor.id}/dependencies/#{dependency.id}", headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(TaskDependency.exists?(dependency.id)).to be false
+    end
+  end
+end
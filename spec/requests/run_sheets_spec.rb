@@ -0,0 +1,47 @@
+require 'rails_helper'
+
+RSpec.describe "RunSheets", type: :request do
+  let(:committee_member) { create(:user, :committee_member) }
+  let(:festival) { create(:festival, user: committee_member, start_date: 1.month.from_now, end_date: 1.month.from_now + 1.day) }
+  let(:day) { festival.start_date.to_date }
+  let(:stage) { create(:venue_area, venue: festival.venues.first, name: 'メインステージ', area_type: 'stage') }
+  let!(:task) do
+    create(:task, user: committee_member, festival: festival, venue_area: stage, title: 'リハーサル',
+                  start_date: Time.zone.parse("#{day} 10:15"), due_date: Time.zone.parse("#{day} 11:00"))
+  end
+
+  before { sign_in committee_member }
+
+  describe "GET /festivals/:festival_id/run_sheet" do
+    it "lists the day's tasks per stage with their times" do
+      get festival_run_sheet_path(festival, date: day.iso8601)
+
+      expect(response).to have_http_status(:success)
+      expect(response.body).to include('メインステージ（ステージ）')
+      expect(response.body).to include('リハーサル')
+      expect(response.body).to include('10:15 ～ 11:00')
+    end
+
+    it "defaults to the festival's first day" do
+      get festival_run_sheet_path(festival)
+
+      expect(response).to have_http_status(:success)
+      expect(response.body).to include('リハーサル')
+    end
+
+    it "shows an empty state for a day without tasks" do
+      get festival_run_sheet_path(festival, date: (day + 1).iso8601)
+
+      expect(response.body).to include('の予定はありません')
+    end
+  end
+
+  describe "GET /festivals/:festival_id/gantt" do
+    it "sends task times and areas to the chart" do
+      get festival_gantt_path(festival)
+
+      expect(response.body).to include('start_at')
+      expect(response.body).to include('メインステージ')
+    end
+  end
+end
@@ -0,0 +1,61 @@
+require 'rails_helper'
+
+RSpec.describe "ScheduleBaselines", type: :request do
+  let(:committee_member) { create(:user, :committee_member) }
+  let(:festival) { create(:festival, user: committee_member, start_date: 1.month.from_now, end_date: 2.months.from_now) }
+  let!(:task) do
+    create(:task, user: committee_member, festival: festival, start_date: 3.days.from_now, due_date: 7.days.from_now)
+  end
+
+  before { sign_in committee_member }
+
+  describe "POST /festivals/:festival_id/schedule_baselines" do
+    it "captures the current schedule" do
+      expect {
+        post festival_schedule_baselines_path(festival),
+             params: { schedule_baseline: { name: "委員会承認済み計画" } }, as: :json
+      }.to change(ScheduleBaseline, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+      expect(JSON.parse(response.body)["baseline"]["task_count"]).to eq(1)
+    end
+
+    it "rejects a duplicate name" do
+      create(:schedule_baseline, festival: festival, name: "委員会承認済み計画")
+
+      post festival_schedule_baselines_path(festival),
+           params: { schedule_baseline: { name: "委員会承認済み計画" } }, as: :json
+      expect(response).to have_http_status(:unprocessable_entity)
+    end
+
+    context "when the user cannot manage the festival" do
+      before { sign_in create(:user, :volunteer) }
+
+      it "does not create a baseline" do
+        expect {
+          post festival_schedule_baselines_path(festival),
+               params: { schedule_baseline: { name: "計画" } }, as: :json
+        }.not_to change(ScheduleBaseline, :count)
+      end
+    end
+  end
+
+  describe "GET /festivals/:festival_id/schedule_baselines/:id" do
+    let(:baseline) { ScheduleBaseline.capture(festival, committee_member, name: "委員会承認").tap(&:save!) }
+
+    it "returns per-task variance" do
+      task.update!(due_date: 10.days.from_now)
+
+      get festival_schedule_baseline_path(festival, baseline), as: :json
+      row = JSON.parse(response.body)["tasks"].first
+      expect(row["finish_variance"]).to eq(3)
+    end
+
+    it "exports the drift report as CSV" do
+      get festival_schedule_baseline_path(festival, baseline, format: :csv)
+
+      expect(response.media_type).to eq("text/csv")
+      expect(response.body).to include(task.title)
+    end
+  end
+end
@@ -0,0 +1,73 @@
+require 'rails_helper'
+
+RSpec.describe "TaskDependencies", type: :request do
+  let(:committee_member) { create(:user, :committee_member) }
+  let(:festival) { create(:festival, user: committee_member, start_date: 1.month.from_now, end_date: 2.months.from_now) }
+  let!(:predecessor) do
+    create(:task, user: committee_member, festival: festival, start_date: 3.days.from_now, due_date: 7.days.from_now)
+  end
+  let!(:successor) do
+    create(:task, user: committee_member, festival: festival, start_date: 5.days.from_now, due_date: 9.days.from_now)
+  end
+
+  before { sign_in committee_member }
+
+  describe "POST /festivals/:festival_id/tasks/:task_id/dependencies" do
+    it "links the tasks with the session used by the Gantt chart" do
+      expect {
+        post festival_task_dependencies_path(festival, predecessor),
+             params: { dependency: { successor_id: successor.id, dependency_type: "finish_to_start" } }, as: :json
+      }.to change(TaskDependency, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+      expect(JSON.parse(response.body)["dependency"]).to include("predecessor_id" => predecessor.id,
+                                                                "successor_id" => successor.id, "type" => "finish_to_start")
+      expect(successor.reload.scheduled_start_date.to_date).to eq(predecessor.due_date.to_date + 1)
+    end
+
+    it "rejects a cycle" do
+      create(:task_dependency, predecessor: predecessor, successor: successor)
+
+      expect {
+        post festival_task_dependencies_path(festival, successor),
+             params: { dependency: { successor_id: predecessor.id, dependency_type: "finish_to_start" } }, as: :json
+      }.not_to change(TaskDependency, :count)
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(JSON.parse(response.body)["errors"]).to include("Dependency would create a cycle")
+    end
+
+    context "when the user cannot edit the task" do
+      before { sign_in create(:user, :volunteer) }
+
+      it "does not create a link" do
+        expect {
+          post festival_task_dependencies_path(festival, predecessor),
+               params: { dependency: { successor_id: successor.id, dependency_type: "finish_to_start" } }, as: :json
+        }.not_to change(TaskDependency, :count)
+      end
+    end
+  end
+
+  describe "DELETE /festivals/:festival_id/tasks/:task_id/dependencies/:id" do
+    let!(:dependency) { create(:task_dependency, predecessor: predecessor, successor: successor) }
+
+    it "removes the link" do
+      expect {
+        delete festival_task_dependency_path(festival, predecessor, dependency), as: :json
+      }.to change(TaskDependency, :count).by(-1)
+
+      expect(response).to have_http_status(:no_content)
+    end
+
+    context "when the user cannot edit the task" do
+      before { sign_in create(:user, :volunteer) }
+
+      it "keeps the link" do
+        expect {
+          delete festival_task_dependency_path(festival, predecessor, dependency), as: :json
+        }.not_to change(TaskDependency, :count)
+      end
+    end
+  end
+end
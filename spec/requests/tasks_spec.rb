@@ -48,6 +48,23 @@ RSpec.describe "Tasks", type: :request do
     end
   end
 
+  describe "GET /tasks/gantt" do
+    let!(:own_task) { create(:task, festival: festival, user: user, start_date: 2.days.from_now, due_date: 4.days.from_now) }
+
+    it "renders the chart for all of the user's tasks" do
+      get gantt_tasks_path
+      expect(response).to be_successful
+      expect(response.body).to include(own_task.title)
+    end
+
+    it "exports the task deadlines as a calendar" do
+      get gantt_tasks_path(format: :ics)
+      expect(response).to be_successful
+      expect(response.media_type).to eq("text/calendar")
+      expect(response.body).to include("【期限】#{own_task.title}")
+    end
+  end
+
   describe "GET /festivals/:festival_id/tasks/:id" do
     it "returns a successful response" do
       get festival_task_path(festival, task)
@@ -243,6 +260,41 @@ RSpec.describe "Tasks", type: :request do
       end
     end
 
+    context "when the Gantt chart reschedules the task as JSON" do
+      let(:new_start) { 10.days.from_now.beginning_of_day }
+      let(:new_due) { 12.days.from_now.beginning_of_day }
+
+      before { task.update!(start_date: 3.days.from_now, due_date: 5.days.from_now) }
+
+      it "saves the new dates and returns them" do
+        patch festival_task_path(festival, task),
+              params: { task: { start_date: new_start.iso8601, due_date: new_due.iso8601 } }, as: :json
+
+        expect(response).to have_http_status(:ok)
+        expect(task.reload.due_date).to be_within(1.second).of(new_due)
+        expect(JSON.parse(response.body)["task"]["id"]).to eq(task.id)
+      end
+
+      it "returns the validation errors" do
+        patch festival_task_path(festival, task), params: { task: { due_date: nil } }, as: :json
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(JSON.parse(response.body)["errors"]).to be_present
+      end
+
+      context "when the user cannot edit the task" do
+        before { sign_in create(:user, :volunteer) }
+
+        it "is forbidden" do
+          patch festival_task_path(festival, task),
+                params: { task: { start_date: new_start.iso8601, due_date: new_due.iso8601 } }, as: :json
+
+          expect(response).to have_http_status(:forbidden)
+          expect(task.reload.due_date).not_to be_within(1.second).of(new_due)
+        end
+      end
+    end
+
     context "when user is not task owner" do
       let(:other_user) { create(:user) }
       let(:other_user_task) { create(:task, festival: festival, user: other_user) }
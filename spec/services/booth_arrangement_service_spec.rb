@@ -0,0 +1,99 @@
+require 'rails_helper'
+
+RSpec.describe BoothArrangementService, type: :service do
+  # 10px = 1m なので、medium（4m）のブースは 40px、既定の通路（3m）は 30px
+  let(:venue) { create(:venue, pixels_per_meter: 10) }
+  let(:area) { create(:venue_area, venue: venue, x_position: 0, y_position: 0, width: 400, height: 140, rotation: 0) }
+
+  def vendor(name, business_type: '物販', requirements: 'テーブル1台', description: '手作りの雑貨')
+    create(:vendor_application, :approved, festival: venue.festival, business_name: name,
+                                           business_type: business_type, requirements: requirements, description: description)
+  end
+
+  describe '#slots' do
+    it 'fills the area with back-to-back rows facing the aisles' do
+      slots = described_class.new(area, [ vendor('雑貨A') ]).slots
+
+      expect(slots.size).to eq(18)
+      expect(slots.map(&:y).uniq).to eq([ 30.0, 70.0 ])
+      expect(slots.first).to have_attributes(x: 30.0, width: 40.0, height: 40.0)
+    end
+
+    it 'leaves a cross aisle after every few booths' do
+      slots = described_class.new(area, [ vendor('雑貨A') ], cross_aisle_every: 2).slots
+
+      expect(slots.map(&:x).uniq).to eq([ 30.0, 70.0, 140.0, 180.0, 250.0, 290.0 ])
+    end
+
+    it 'skips spots taken by booths and obstacles' do
+      create(:booth, venue_area: area, festival: venue.festival, booth_number: '01-001', x_position: 30, y_position: 30,
+                     width: 40, height: 40, rotation: 0)
+      create(:layout_element, venue: venue, element_type: 'stage', name: 'ステージ', x_position: 300, y_position: 75,
+                              width: 100, height: 60, rotation: 0, visible: true)
+
+      slots = described_class.new(area, [ vendor('雑貨A') ]).slots
+
+      expect(slots.size).to eq(15)
+      expect(slots.map { |slot| [ slot.x, slot.y ] }).not_to include([ 30.0, 30.0 ], [ 290.0, 70.0 ], [ 330.0, 70.0 ])
+    end
+  end
+
+  describe '#proposal' do
+    it 'keeps vendors of the same category apart' do
+      vendors = [ vendor('らーめん一番', business_type: '飲食店', description: '醤油ラーメン'),
+                  vendor('麺屋二郎', business_type: '飲食店', description: '味噌ラーメン') ]
+
+      proposal = described_class.new(area, vendors).proposal
+      first, second = proposal[:placements]
+
+      expect(proposal[:score][:competitor_conflicts]).to eq(0)
+      expect(Math.hypot(first[:x_position] - second[:x_position], first[:y_position] - second[:y_position])).to be >= 150
+    end
+
+    it 'puts vendors who need power next to a power source' do
+      create(:layout_element, venue: venue, element_type: 'generator', name: '発電機', x_position: 330, y_position: -20,
+                              width: 40, height: 10, rotation: 0, visible: true)
+      vendors = [ vendor('雑貨A'), vendor('雑貨B'), vendor('綿あめ屋', requirements: '電源（100V）') ]
+
+      proposal = described_class.new(area, vendors).proposal
+      powered = proposal[:placements].find { |placement| placement[:power_required] }
+
+      expect(powered).to include(business_name: '綿あめ屋', x_position: 330.0, y_position: 30.0)
+      expect(proposal[:placements].reject { |placement| placement[:power_required] }.map { |placement| placement[:x_position] })
+        .to eq([ 30.0, 70.0 ])
+      expect(proposal[:score]).to include(power_sources: 1, average_power_distance: 6.0)
+    end
+
+    it 'lists the vendors there is no room for' do
+      small = create(:venue_area, venue: venue, x_position: 0, y_position: 0, width: 100, height: 100, rotation: 0)
+
+      proposal = described_class.new(small, [ vendor('雑貨A'), vendor('雑貨B') ]).proposal
+
+      expect(proposal[:slot_count]).to eq(1)
+      expect(proposal[:placements].size).to eq(1)
+      expect(proposal[:unplaced].map { |item| item[:business_name] }).to eq([ '雑貨B' ])
+    end
+  end
+
+  describe '#errors' do
+    it 'requires vendors and a known booth size' do
+      service = described_class.new(area, [], size: 'huge')
+
+      expect(service).not_to be_valid
+      expect(service.errors).to contain_exactly('ブースの大きさが不正です', '配置する出店者を選んでください')
+    end
+  end
+
+  describe '#apply!' do
+    it 'creates the proposed booths and assigns the vendors' do
+      applicant = vendor('雑貨A')
+
+      booths = described_class.new(area, [ applicant ]).apply!
+
+      expect(booths.size).to eq(1)
+      expect(booths.first).to have_attributes(booth_number: '01-001', status: 'assigned', venue_area: area,
+                                              x_position: 30, y_position: 30, size: 'medium')
+      expect(applicant.reload.booth).to eq(booths.first)
+    end
+  end
+end
@@ -0,0 +1,49 @@
+require 'rails_helper'
+
+RSpec.describe FestivalMilestoneService, type: :service do
+  let(:user) { create(:user) }
+  let(:opening) { 60.days.from_now.to_date }
+  let(:festival) do
+    create(:festival, user: user, start_date: opening.in_time_zone.change(hour: 10), end_date: (opening + 1).in_time_zone.change(hour: 21))
+  end
+
+  subject(:service) { described_class.new(festival) }
+
+  describe '#milestones' do
+    it 'derives the milestones from the festival dates and permit lead time' do
+      dates = service.milestones.to_h { |milestone| [ milestone[:key], milestone[:date] ] }
+
+      expect(dates).to eq(
+        'vendor_deadline' => (opening - 30).iso8601,
+        'permit_deadline' => (opening - 14).iso8601,
+        'setup_start' => (opening - 2).iso8601,
+        'opening' => opening.iso8601,
+        'closing' => (opening + 1).iso8601
+      )
+    end
+
+    it 'counts the open tasks each milestone depends on' do
+      create(:task, user: user, festival: festival, milestone_key: 'permit_deadline', due_date: opening - 20)
+      create(:task, user: user, festival: festival, milestone_key: 'permit_deadline', due_date: opening - 20, status: :completed)
+
+      permit = service.milestones.find { |milestone| milestone[:key] == 'permit_deadline' }
+      expect(permit).to include(name: '許認可申請期限', task_count: 2, open_task_count: 1)
+    end
+
+    it 'is empty without festival dates' do
+      festival.update_columns(start_date: nil, end_date: nil)
+      expect(service.milestones).to eq([])
+      expect(service.phases).to eq([])
+    end
+  end
+
+  describe '#phases' do
+    it 'lays out the preparation phases up to the festival' do
+      phases = service.phases.to_h { |phase| [ phase[:key], [ phase[:start], phase[:end] ] ] }
+
+      expect(phases['permits']).to eq([ (opening - 29).iso8601, (opening - 14).iso8601 ])
+      expect(phases['setup']).to eq([ (opening - 2).iso8601, (opening - 1).iso8601 ])
+      expect(phases['festival']).to eq([ opening.iso8601, (opening + 1).iso8601 ])
+    end
+  end
+end
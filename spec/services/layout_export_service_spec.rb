@@ -0,0 +1,90 @@
+require 'rails_helper'
+
+RSpec.describe LayoutExportService, type: :service do
+  let(:venue) { create(:venue, pixels_per_meter: 10, latitude: 35.0, longitude: 135.0) }
+  # 中心 (100, 50) が会場の緯度経度になる
+  let!(:area) do
+    create(:venue_area, venue: venue, name: '物販 & 飲食', area_type: 'vendor_area', color: '#198754',
+                        x_position: 0, y_position: 0, width: 200, height: 100, rotation: 0)
+  end
+  let(:vendor_application) do
+    create(:vendor_application, :approved, festival: venue.festival, business_name: '焼きそば屋', business_type: '飲食店')
+  end
+  let!(:booth) do
+    create(:booth, venue_area: area, festival: venue.festival, booth_number: '01-001', name: 'ブース 01-001',
+                   vendor_application: vendor_application, status: 'assigned',
+                   x_position: 20, y_position: 20, width: 40, height: 40, rotation: 0)
+  end
+  let!(:cable) do
+    create(:layout_element, venue: venue, element_type: 'cable_run', name: 'ケーブル', x_position: 100, y_position: 0,
+                            width: 50, height: 50, rotation: 0, visible: true, properties: { points: '0,0 50,50' })
+  end
+
+  subject(:export) { described_class.new(venue) }
+
+  describe '#to_svg' do
+    it 'draws the areas, booths and a legend as a standalone SVG' do
+      svg = export.to_svg
+
+      expect(svg).to start_with('<?xml version="1.0" encoding="UTF-8"?>')
+      expect(svg).to include('xmlns="http://www.w3.org/2000/svg"', '>01-001</text>', '物販 &amp; 飲食')
+      expect(svg).to include('points="100.0,0.0 150.0,50.0"', 'ブース（割り当て済み）', '>10 m</text>')
+    end
+
+    it 'leaves the legend out of the drawing used on the print page' do
+      expect(export.drawing).not_to include('10 m')
+    end
+  end
+
+  describe '#legend' do
+    it 'lists only the kinds that appear on the layout' do
+      expect(export.legend).to contain_exactly(
+        { kind: 'booth', label: 'ブース（割り当て済み）', color: '#ffc107' },
+        { kind: 'area', label: 'ベンダーエリア', color: '#198754' },
+        { kind: 'run', label: cable.element_type_text, color: '#fd7e14' }
+      )
+    end
+  end
+
+  describe '#vendor_index' do
+    it 'lists the assigned vendors by booth number' do
+      expect(export.vendor_index).to eq([
+        { booth_number: '01-001', business_name: '焼きそば屋', business_type: '飲食店', area: '物販 & 飲食' }
+      ])
+    end
+  end
+
+  describe '#to_geojson' do
+    let(:geojson) { export.to_geojson }
+
+    def feature(kind)
+      geojson[:features].find { |item| item[:properties][:kind] == kind }
+    end
+
+    it 'places the middle of the venue areas on the venue coordinates, north up' do
+      ring = feature('venue_area')[:geometry][:coordinates].first
+      corners = ring.first(4)
+
+      expect(ring.size).to eq(5)
+      expect(ring.last).to eq(ring.first)
+      expect(corners.sum(&:first) / 4).to be_within(1e-6).of(135.0)
+      expect(corners.sum(&:last) / 4).to be_within(1e-6).of(35.0)
+      # 高さ 100px = 10m
+      expect(corners.map(&:last).max - corners.map(&:last).min).to be_within(1e-6).of(10 / 111_320.0)
+    end
+
+    it 'winds the outer rings counterclockwise' do
+      ring = feature('booth')[:geometry][:coordinates].first
+      area = ring.each_cons(2).sum { |(x1, y1), (x2, y2)| x1 * y2 - x2 * y1 }
+
+      expect(area).to be > 0
+    end
+
+    it 'describes booths and exports utility runs as lines' do
+      expect(feature('booth')[:properties]).to include(booth_number: '01-001', vendor: '焼きそば屋', status: 'assigned',
+                                                       width_m: 4.0, height_m: 4.0)
+      expect(feature('layout_element')[:geometry][:type]).to eq('LineString')
+      expect(feature('layout_element')[:geometry][:coordinates].size).to eq(2)
+    end
+  end
+end
@@ -0,0 +1,111 @@
+require 'rails_helper'
+
+RSpec.describe LayoutSafetyCheckService, type: :service do
+  include LayoutRecordHelpers
+
+  let(:venue) { create(:venue, pixels_per_meter: 10) }
+  let(:area) { create(:venue_area, venue: venue) }
+
+  # 指定したルールだけを有効にする
+  def only(rule, meters = nil)
+    Venue::SAFETY_RULE_DEFAULTS.to_h do |key, setting|
+      enabled = key == rule
+      [ key, setting.merge("enabled" => enabled, "meters" => (enabled && meters) || setting["meters"]) ]
+    end
+  end
+
+  describe 'aisle width' do
+    it 'flags rows whose fronts face each other closer than the minimum' do
+      a = booth('A-1', 0, 0)
+      booth('A-2', 40, 0)
+      booth('A-3', 80, 0)
+      b = booth('B-1', 0, 50)
+      booth('B-2', 40, 50)
+      booth('B-3', 80, 50)
+
+      violations = described_class.new(venue, rules: only('aisle_width')).violations
+
+      expect(violations.size).to eq(3)
+      expect(violations.first).to include(rule: 'aisle_width', type: 'crowd_safety', severity: 'major')
+      expect(violations.first[:elements].map { |ref| ref[:id] }).to contain_exactly(a.id, b.id)
+      expect(violations.first[:description]).to include('2.0m')
+    end
+
+    it 'passes booths side by side in one row' do
+      booth('A-1', 0, 0)
+      booth('A-2', 50, 0)
+      booth('A-3', 80, 0)
+      booth('B-1', 0, 100)
+      booth('C-1', 300, 0)
+      booth('C-2', 300, 40)
+
+      expect(described_class.new(venue, rules: only('aisle_width')).violations).to be_empty
+    end
+  end
+
+  describe 'exit clearance' do
+    it 'flags obstacles next to an exit and ignores walkways' do
+      blocking = booth('C-1', 0, 100)
+      element('emergency_exit', 0, 145)
+      element('walkway', 0, 150, width: 100)
+
+      violations = described_class.new(venue, rules: only('exit_clearance')).violations
+
+      expect(violations.size).to eq(1)
+      expect(violations.first).to include(type: 'emergency_access', severity: 'critical')
+      expect(violations.first[:elements].last).to include(kind: 'booth', id: blocking.id)
+    end
+  end
+
+  describe 'restroom distance' do
+    it 'reports a venue without restrooms once' do
+      booth('D-1', 0, 0)
+      booth('D-2', 40, 0)
+
+      violations = described_class.new(venue, rules: only('restroom_distance')).violations
+
+      expect(violations.map { |violation| violation[:description] }).to eq([ '会場にトイレが配置されていません' ])
+    end
+
+    it 'flags booths further from the nearest restroom than allowed' do
+      booth('D-1', 0, 0)
+      far = booth('D-2', 300, 0)
+      element('restroom', 0, 40)
+
+      violations = described_class.new(venue, rules: only('restroom_distance', 10)).violations
+
+      expect(violations.map { |violation| violation[:elements].first[:id] }).to eq([ far.id ])
+      expect(violations.first[:position]).to eq(x: 31.5, y: 1.5)
+    end
+  end
+
+  describe 'power distance' do
+    it 'flags power-hungry booths out of reach of every power source' do
+      booth('E-1', 0, 0, power: true)
+      far = booth('E-2', 500, 0, power: true)
+      booth('E-3', 1000, 0, power: false)
+      element('power_source', 40, 0)
+
+      violations = described_class.new(venue, rules: only('power_distance', 30)).violations
+
+      expect(violations.map { |violation| violation[:elements].first[:id] }).to eq([ far.id ])
+      expect(violations.first[:type]).to eq('electrical_issue')
+    end
+  end
+
+  describe '#report and #to_csv' do
+    it 'summarises the enabled rules and exports violations with a header row' do
+      booth('F-1', 0, 0, power: true)
+
+      checker = described_class.new(venue, rules: only('power_distance'))
+      report = checker.report
+
+      expect(report[:passed]).to be(false)
+      expect(report[:rules].find { |rule| rule[:key] == 'aisle_width' }[:enabled]).to be(false)
+
+      rows = CSV.parse(checker.to_csv)
+      expect(rows.first).to eq([ 'ルール', '重要度', '違反種別', '内容', '場所', '是正措置' ])
+      expect(rows.second.first).to eq('電源までの距離')
+    end
+  end
+end
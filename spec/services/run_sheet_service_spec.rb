@@ -0,0 +1,64 @@
+require 'rails_helper'
+
+RSpec.describe RunSheetService, type: :service do
+  let(:user) { create(:user) }
+  let(:festival) { create(:festival, user: user, start_date: 1.month.from_now, end_date: 1.month.from_now + 1.day) }
+  let(:day) { festival.start_date.to_date }
+  let(:at) { ->(time) { Time.zone.parse("#{day} #{time}") } }
+  let(:venue) { festival.venues.first }
+  let(:main_stage) { create(:venue_area, venue: venue, name: 'メインステージ', area_type: 'stage') }
+  let(:food_court) { create(:venue_area, venue: venue, name: 'A フードコート', area_type: 'food_court') }
+
+  let!(:sound_check) do
+    create(:task, user: user, festival: festival, venue_area: main_stage, title: 'サウンドチェック',
+                  start_date: at.call('09:00'), due_date: at.call('09:45'))
+  end
+  let!(:changeover) do
+    create(:task, user: user, festival: festival, venue_area: main_stage, title: '転換',
+                  start_date: at.call('08:15'), due_date: at.call('08:30'))
+  end
+  let!(:delivery) do
+    create(:task, user: user, festival: festival, venue_area: food_court, title: '食材搬入',
+                  start_date: at.call('07:00'), due_date: at.call('07:30'))
+  end
+  let!(:security) do
+    create(:task, user: user, festival: festival, title: '警備シフト',
+                  start_date: at.call('22:00') - 1.day, due_date: at.call('06:00'))
+  end
+  let!(:cancelled) do
+    create(:task, user: user, festival: festival, venue_area: main_stage, title: '中止した演目', status: :cancelled,
+                  start_date: at.call('12:00'), due_date: at.call('13:00'))
+  end
+  let!(:next_day) do
+    create(:task, user: user, festival: festival, venue_area: main_stage, title: '翌日の撤収',
+                  start_date: at.call('10:00') + 1.day, due_date: at.call('12:00') + 1.day)
+  end
+
+  subject(:run_sheet) { described_class.new(festival, day) }
+
+  it 'groups the day by area with stages first and unassigned tasks last' do
+    expect(run_sheet.sections.map(&:title)).to eq([ 'メインステージ（ステージ）', 'A フードコート（フードコート）', 'エリア未設定' ])
+  end
+
+  it 'orders entries by start time and skips cancelled tasks and other days' do
+    expect(run_sheet.sections.first.entries.map { |entry| entry.task.title }).to eq([ '転換', 'サウンドチェック' ])
+    expect(run_sheet.task_count).to eq(4)
+  end
+
+  it 'formats times in quarter-hour detail' do
+    entry = run_sheet.sections.first.entries.last
+    expect(entry.time_range).to eq('09:00 ～ 09:45')
+    expect(entry.duration_minutes).to eq(45)
+  end
+
+  it 'clips tasks that started the day before' do
+    entry = run_sheet.sections.last.entries.first
+    expect(entry.continued_from_before).to be true
+    expect(entry.time_range).to eq('（前日から） ～ 06:00')
+  end
+
+  it 'limits the sheet to one area' do
+    sections = described_class.new(festival, day, area_id: food_court.id.to_s).sections
+    expect(sections.map { |section| section.area }).to eq([ food_court ])
+  end
+end
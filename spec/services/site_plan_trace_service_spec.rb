@@ -0,0 +1,76 @@
+require 'rails_helper'
+
+RSpec.describe SitePlanTraceService, type: :service do
+  # 10px = 1m。会場図は左上を (10, 20) に置き、半分の大きさで表示する
+  let(:venue) { create(:venue, pixels_per_meter: 10) }
+  let(:svg) do
+    <<~SVG
+      <?xml version="1.0" encoding="UTF-8"?>
+      <svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"
+           width="297mm" height="148.5mm" viewBox="0 0 1000 500">
+        <defs><rect id="template" x="0" y="0" width="300" height="300"/></defs>
+        <rect id="paper" x="0" y="0" width="1000" height="500" fill="#ffffff"/>
+        <rect id="food" x="100" y="50" width="200" height="100" fill="#198754"><title>飲食エリア</title></rect>
+        <g transform="translate(500, 0)">
+          <circle inkscape:label="ステージ前" cx="100" cy="100" r="50" style="fill: #dc3545"/>
+        </g>
+        <rect id="sign" x="400" y="400" width="10" height="10"/>
+        <path d="M 0 0 L 100 100"/>
+        <path d="M 700 300 h 200 v 100 h -200 z" fill="none"/>
+        <rect x="600" y="250" width="100" height="100" display="none"/>
+      </svg>
+    SVG
+  end
+
+  before do
+    venue.site_plan.attach(io: StringIO.new(svg), filename: 'plan.svg', content_type: 'image/svg+xml')
+    venue.update!(site_plan_settings: { x: 10, y: 20, scale: 0.5 })
+  end
+
+  subject(:trace) { described_class.new(venue) }
+
+  describe '#shapes' do
+    it 'places the closed shapes on the layout and leaves out the paper, lines and small marks' do
+      expect(trace.shapes).to eq([
+        { id: 0, name: '飲食エリア', color: '#198754', x_position: 60.0, y_position: 45.0, width: 100.0, height: 50.0 },
+        { id: 1, name: 'ステージ前', color: '#dc3545', x_position: 285.0, y_position: 45.0, width: 50.0, height: 50.0 },
+        { id: 2, name: '会場図エリア 1', color: nil, x_position: 360.0, y_position: 170.0, width: 100.0, height: 50.0 }
+      ])
+    end
+  end
+
+  describe '#plan_size' do
+    it 'uses the viewBox' do
+      expect(trace.plan_size).to eq(width: 1000.0, height: 500.0)
+    end
+  end
+
+  describe '#errors' do
+    it 'requires an SVG plan' do
+      venue.site_plan.attach(io: StringIO.new('%PDF-1.4'), filename: 'plan.pdf', content_type: 'application/pdf')
+
+      expect(described_class.new(venue).errors).to eq([ 'SVG の会場図がありません' ])
+    end
+
+    it 'reports an SVG it cannot read' do
+      venue.site_plan.attach(io: StringIO.new('<svg><rect></svg>'), filename: 'broken.svg', content_type: 'image/svg+xml')
+
+      expect(described_class.new(venue).errors).to eq([ '会場図の SVG を読み込めません' ])
+    end
+
+    it 'requires a known area type' do
+      expect(described_class.new(venue, area_type: 'garden').errors).to eq([ 'エリアの種類が不正です' ])
+    end
+  end
+
+  describe '#import!' do
+    it 'creates the chosen shapes as venue areas' do
+      areas = described_class.new(venue, area_type: 'stage').import!([ 1 ])
+
+      expect(areas.size).to eq(1)
+      expect(areas.first).to have_attributes(name: 'ステージ前', area_type: 'stage', x_position: 285, y_position: 45,
+                                             width: 50, height: 50, rotation: 0, description: '会場図（plan.svg）から取り込み')
+      expect(venue.venue_areas.count).to eq(1)
+    end
+  end
+end
@@ -0,0 +1,28 @@
+require 'rails_helper'
+
+RSpec.describe TaskCalendarExportService, type: :service do
+  let(:user) { create(:user) }
+  let(:festival) { create(:festival, user: user, start_date: 1.month.from_now, end_date: 2.months.from_now) }
+  let!(:task) { create(:task, festival: festival, user: user, title: 'ポスター入稿', due_date: 10.days.from_now) }
+  let!(:cancelled_task) { create(:task, festival: festival, user: user, title: '中止した作業', status: :cancelled) }
+
+  subject(:ical) { described_class.new(festival.tasks, calendar_name: festival.name).to_ical }
+
+  it 'exports each task due date as an all-day event' do
+    calendar = Icalendar::Calendar.parse(ical).first
+    event = calendar.events.first
+
+    expect(calendar.events.size).to eq(1)
+    expect(event.summary).to eq('【期限】ポスター入稿')
+    expect(event.dtstart.to_date).to eq(10.days.from_now.to_date)
+    expect(event.uid).to eq("task-deadline-#{task.id}@festival-planner.com")
+  end
+
+  it 'skips cancelled tasks' do
+    expect(ical).not_to include('中止した作業')
+  end
+
+  it 'names the calendar' do
+    expect(ical).to include("X-WR-CALNAME:#{festival.name}")
+  end
+end
@@ -0,0 +1,82 @@
+require 'rails_helper'
+
+RSpec.describe UtilityPlanService, type: :service do
+  include LayoutRecordHelpers
+
+  let(:venue) { create(:venue, pixels_per_meter: 10) }
+  let(:area) { create(:venue_area, venue: venue) }
+
+  # 会場座標の頂点から配線・配管を作る
+  def run(type, *points)
+    left = points.map(&:first).min
+    top = points.map(&:last).min
+    relative = points.map { |x, y| "#{x - left},#{y - top}" }.join(" ")
+    create(:layout_element, venue: venue, element_type: type, name: type, x_position: left, y_position: top,
+                            width: points.map(&:first).max - left + 1, height: points.map(&:last).max - top + 1,
+                            rotation: 0, visible: true, properties: { points: relative })
+  end
+
+  describe 'power' do
+    let!(:generator) { element('generator', 0, 0, name: '発電機A', properties: { capacity_kw: 5 }) }
+    let!(:board) { element('distribution_board', 200, 0, name: '分電盤1') }
+    let!(:near) { booth('P-1', 0, 100, power: true, load: 2) }
+    let!(:far) { booth('P-2', 200, 100, power: true, load: 4) }
+
+    before do
+      run('cable_run', [ 10, 10 ], [ 15, 100 ])
+      run('cable_run', [ 20, 5 ], [ 200, 5 ])
+      run('cable_run', [ 210, 10 ], [ 215, 100 ])
+    end
+
+    it 'totals the load of every booth reached through distribution boards' do
+      sources = described_class.new(venue).sources('power')
+
+      expect(sources.size).to eq(1)
+      expect(sources.first).to include(id: generator.id, capacity_kw: 5.0, load_kw: 6.0, overloaded: true,
+                                       relays: [ '分電盤1' ], run_count: 3, run_length: 36.03)
+      expect(sources.first[:booth_ids]).to contain_exactly(near.id, far.id)
+    end
+
+    it 'reports booths on an overloaded source and booths without power' do
+      stranded = booth('P-3', 500, 300, power: true)
+
+      unmet = described_class.new(venue).unmet_needs
+
+      expect(unmet.map { |need| need[:booth][:id] }).to contain_exactly(near.id, far.id, stranded.id)
+      expect(unmet.find { |need| need[:booth][:id] == stranded.id }[:reason]).to eq('電源に接続されていません')
+      expect(unmet.find { |need| need[:booth][:id] == near.id }[:reason]).to include('発電機Aの容量 5.0kW を超えています')
+    end
+
+    it 'treats a distribution board no source reaches as a source of its own' do
+      generator.destroy
+
+      sources = described_class.new(venue).sources('power')
+
+      expect(sources.map { |source| source[:name] }).to eq([ '分電盤1' ])
+      expect(sources.first).to include(capacity_kw: nil, load_kw: 4.0, overloaded: false, booth_ids: [ far.id ])
+    end
+
+    it 'counts cable runs that lead nowhere' do
+      run('cable_run', [ 500, 500 ], [ 600, 500 ])
+
+      report = described_class.new(venue).report
+
+      expect(report[:power]).to include(total_load_kw: 6.0, unconnected_run_count: 1)
+    end
+  end
+
+  describe 'water' do
+    it 'follows hose runs from a water point to the booths' do
+      element('water_point', 0, 0, name: '給水栓1')
+      fed = booth('W-1', 0, 100, water: true)
+      dry = booth('W-2', 300, 100, water: true)
+      run('hose_run', [ 10, 10 ], [ 15, 100 ])
+
+      service = described_class.new(venue)
+
+      expect(service.sources('water').first).to include(name: '給水栓1', booth_ids: [ fed.id ], load_kw: nil)
+      expect(service.unmet_booth_ids).to eq([ dry.id ])
+      expect(service.report[:booths].find { |row| row[:id] == fed.id }).to include(water_source: '給水栓1')
+    end
+  end
+end
@@ -0,0 +1,14 @@
+# レイアウトのサービスのスペックで、座標を指定してブースと要素を作る。
+# 使う側で venue と area を let で定義しておく
+module LayoutRecordHelpers
+  def booth(number, x, y, size: 30, power: false, load: nil, water: false)
+    create(:booth, venue_area: area, festival: venue.festival, booth_number: number, name: "ブース #{number}",
+                   x_position: x, y_position: y, width: size, height: size, rotation: 0,
+                   power_required: power, power_load: load, water_required: water)
+  end
+
+  def element(type, x, y, name: type, width: 20, height: 10, properties: {})
+    create(:layout_element, venue: venue, element_type: type, name: name, x_position: x, y_position: y,
+                            width: width, height: height, rotation: 0, visible: true, properties: properties)
+  end
+end